@@ -8,7 +8,6 @@
  * - process: Provides information and control over the current Node.js process.
  * - cors: Middleware for enabling CORS (Cross-Origin Resource Sharing).
  * - helmet: Helps secure HTTP headers for security purposes.
- * - express-rate-limit: Middleware to limit repeated requests to public APIs.
  * - morgan: HTTP request logger middleware for Node.js.
  *********************/
 import DOTENV from "dotenv";
@@ -20,7 +19,6 @@ import COOKIE_PARSER from "cookie-parser";
 import PROCESS from "node:process";
 import CORS from "cors";
 import HELMET from "helmet";
-import RATE_LIMIT from "express-rate-limit";
 import MORGAN from "morgan";
 
 /*********************
@@ -30,6 +28,10 @@ import MORGAN from "morgan";
  * - LOG_ERROR, LOG_INFO: Logging functions for different log levels.
  * - API_RESPONSE: Custom class for standardized API responses.
  * - API_ERROR: Custom error class for handling API errors.
+ * - GLOBAL_RATE_LIMITER: Redis-backed rate limiting middleware applied to every request.
+ * - START_VIEW_COUNTER: Starts the periodic flush of the views buffered in Redis to MongoDB.
+ * - START_TEMPORARY_FILES_JANITOR: Starts the periodic cleanup of the stale files in "Public/Temporary".
+ * - START_JOB_WORKERS: Starts running the background jobs queued in Redis.
  *********************/
 import {
     ERROR,
@@ -44,6 +46,10 @@ import { START_WEB_SOCKET_SERVER } from "./WebSocket.js";
 import { LOG_ERROR, LOG_INFO } from "./Utilities/WinstonLogger.js";
 import { API_RESPONSE } from "./Utilities/ApiResponse.js";
 import { API_ERROR } from "./Utilities/ApiError.js";
+import { GLOBAL_RATE_LIMITER } from "./Middlewares/RateLimit.Middleware.js";
+import { START_VIEW_COUNTER } from "./Utilities/ViewCounter.js";
+import { START_TEMPORARY_FILES_JANITOR } from "./Utilities/TemporaryFilesJanitor.js";
+import { START_JOB_WORKERS } from "./Utilities/JobQueue.js";
 
 /*********************
  * Determine the directory name (__dirname) of the current module.
@@ -80,9 +86,13 @@ APPLICATION.use(EXPRESS.json({ limit: "16kb" }));
 APPLICATION.use(EXPRESS.urlencoded({ extended: true, limit: "16kb" }));
 
 /*********************
- * Serve static files (e.g., images, CSS, JavaScript) from the "public" directory under the "/static" URL path.
+ * Serve the files uploaded with the local storage driver, stored in "Public/Uploads", under the "/static/Uploads" URL path.
+ * - Only "Public/Uploads" is served: "Public/Temporary", which holds uploads that are still being processed,
+ *   is outside the served directory, so no spelling of its URL can reach it.
+ * - Video files are stored in "Public/Private/Videos", outside the served directory too: they are only served by
+ *   GET /api/v1/videos/:videoId/stream so that unpublished videos stay private.
  *********************/
-APPLICATION.use('/static', EXPRESS.static("public"));
+APPLICATION.use('/static/Uploads', EXPRESS.static(PATH.resolve(__dirname, "../Public/Uploads"), { index: false }));
 
 /*********************
  * Middleware to parse cookies from the incoming request.
@@ -132,21 +142,11 @@ APPLICATION.use(CORS(CorsOptions));
 APPLICATION.use(HELMET());
 
 /*********************
- * Define the rate limit options to prevent abuse and limit the number of requests from a single IP.
- * - windowMs: Time window in milliseconds (15 minutes).
- * - max: Maximum number of requests allowed within the time window.
- * - message: Message to send when the rate limit is exceeded.
+ * Use the global rate limit middleware to protect the application from excessive requests.
+ * - The counters are stored in Redis, so the limit is shared by every cluster worker and survives worker restarts.
+ * - Stricter and per-user policies are applied by the routes (see RateLimit.Middleware.js).
  *********************/
-const Limiter = RATE_LIMIT({
-    windowMs: 15 * 60 * 1000,
-    max: 100,
-    message: "Too many requests, Please try again later.",
-});
-
-/*********************
- * Use the rate limit middleware with the defined options to protect the application from excessive requests.
- *********************/
-APPLICATION.use(Limiter);
+APPLICATION.use(GLOBAL_RATE_LIMITER);
 
 /*********************
  * Use the Morgan middleware for logging HTTP requests in the 'combined' format.
@@ -158,15 +158,42 @@ APPLICATION.use(MORGAN('combined'));
  * Import router modules for handling specific routes.
  * - Test.Routes: Router module for handling test-related routes.
  * - User.Routes: Router module for handling user-related routes.
+ * - Video.Routes: Router module for handling video-related routes.
+ * - Admin.Routes: Router module for handling administration routes.
+ * - Subscription.Routes: Router module for handling channel subscription routes.
+ * - Comment.Routes: Router module for handling video comment routes.
+ * - Reaction.Routes: Router module for handling like and dislike routes.
+ * - Playlist.Routes: Router module for handling playlist routes.
+ * - Post.Routes: Router module for handling community post routes.
+ * - Dashboard.Routes: Router module for handling the creator dashboard routes.
+ * - Upload.Routes: Router module for handling the resumable video upload routes.
  *********************/
 import TestRouters from "./Routes/Test.Routes.js";
 import USER_ROUTERS from "./Routes/User.Routes.js";
+import VIDEO_ROUTERS from "./Routes/Video.Routes.js";
+import ADMIN_ROUTERS from "./Routes/Admin.Routes.js";
+import SUBSCRIPTION_ROUTERS from "./Routes/Subscription.Routes.js";
+import COMMENT_ROUTERS from "./Routes/Comment.Routes.js";
+import REACTION_ROUTERS from "./Routes/Reaction.Routes.js";
+import PLAYLIST_ROUTERS from "./Routes/Playlist.Routes.js";
+import POST_ROUTERS from "./Routes/Post.Routes.js";
+import DASHBOARD_ROUTERS from "./Routes/Dashboard.Routes.js";
+import UPLOAD_ROUTERS from "./Routes/Upload.Routes.js";
 
 /*********************
  * Define the routes for the application.
  * - /health: A simple health check endpoint that responds with the worker's process ID.
  * - /api/v1: A route prefix for version 1 of the API, handled by the TestRouters module.
  * - /api/v1/user: A route prefix for version 1 of the API, handled by the USER_ROUTERS module.
+ * - /api/v1/videos: A route prefix for version 1 of the API, handled by the VIDEO_ROUTERS module.
+ * - /api/v1/admin: A route prefix for version 1 of the API, handled by the ADMIN_ROUTERS module.
+ * - /api/v1/subscriptions: A route prefix for version 1 of the API, handled by the SUBSCRIPTION_ROUTERS module.
+ * - /api/v1/comments: A route prefix for version 1 of the API, handled by the COMMENT_ROUTERS module.
+ * - /api/v1/reactions: A route prefix for version 1 of the API, handled by the REACTION_ROUTERS module.
+ * - /api/v1/playlists: A route prefix for version 1 of the API, handled by the PLAYLIST_ROUTERS module.
+ * - /api/v1/posts: A route prefix for version 1 of the API, handled by the POST_ROUTERS module.
+ * - /api/v1/dashboard: A route prefix for version 1 of the API, handled by the DASHBOARD_ROUTERS module.
+ * - /api/v1/uploads: A route prefix for version 1 of the API, handled by the UPLOAD_ROUTERS module.
  *********************/
 APPLICATION.get('/health', (Request, Response) => {
     return Response.status(201).json(
@@ -182,6 +209,15 @@ APPLICATION.get('/health', (Request, Response) => {
 });
 APPLICATION.use("/api/v1", TestRouters);
 APPLICATION.use("/api/v1/user", USER_ROUTERS);
+APPLICATION.use("/api/v1/videos", VIDEO_ROUTERS);
+APPLICATION.use("/api/v1/admin", ADMIN_ROUTERS);
+APPLICATION.use("/api/v1/subscriptions", SUBSCRIPTION_ROUTERS);
+APPLICATION.use("/api/v1/comments", COMMENT_ROUTERS);
+APPLICATION.use("/api/v1/reactions", REACTION_ROUTERS);
+APPLICATION.use("/api/v1/playlists", PLAYLIST_ROUTERS);
+APPLICATION.use("/api/v1/posts", POST_ROUTERS);
+APPLICATION.use("/api/v1/dashboard", DASHBOARD_ROUTERS);
+APPLICATION.use("/api/v1/uploads", UPLOAD_ROUTERS);
 
 /*********************
  * Error handling middleware to catch and respond to errors.
@@ -265,6 +301,15 @@ const START_SERVER = async () => {
         /******* Start the web socket server. *******/
         START_WEB_SOCKET_SERVER(HTTP_SERVER);
 
+        /******* Start flushing the buffered views to the database. *******/
+        const STOP_VIEW_COUNTER = START_VIEW_COUNTER();
+
+        /******* Start deleting the temporary files left behind by aborted requests. *******/
+        const STOP_TEMPORARY_FILES_JANITOR = START_TEMPORARY_FILES_JANITOR();
+
+        /******* Start running the background jobs (mails, deletion of stored files, ...) in this worker. *******/
+        const STOP_JOB_WORKERS = START_JOB_WORKERS();
+
         /******* Start the http server and listen on the specified port. Log the server and worker information. *******/
         const Server = await HTTP_SERVER.listen((PORT), () => {
             LOG_INFO({
@@ -295,7 +340,11 @@ const START_SERVER = async () => {
                     message: `Worker ${PROCESS.pid} has shut down...!`
                 });
 
-                PROCESS.exit(exitCode);
+                /* Stop the janitor, let the running jobs finish, then flush the buffered views one last time before exiting */
+                STOP_TEMPORARY_FILES_JANITOR();
+                STOP_JOB_WORKERS()
+                    .then(() => STOP_VIEW_COUNTER())
+                    .finally(() => PROCESS.exit(exitCode));
             });
         }
 
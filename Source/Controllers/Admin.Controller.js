@@ -0,0 +1,333 @@
+/*********************
+ * Import custom modules and functions.
+ * - ASYNCHRONOUS_HANDLER: Wrapper to handle asynchronous operations and error handling.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - API_RESPONSE: Custom class for standardized API responses.
+ * - USER: Mongoose model representing the User schema.
+ * - ROLES, GET_ROLES_PERMISSIONS: Roles and the permissions they grant.
+ * - LOG_INFO: Logging function for informational logs, used to audit role changes.
+ * - UNLOCK_ACCOUNT: Function that removes the login lockout of an account.
+ * - GET_JOB_QUEUE_STATS, LIST_FAILED_JOBS, GET_JOB, RETRY_FAILED_JOB, DELETE_FAILED_JOB, DESCRIBE_JOB, JOB_STATUSES:
+ *   Functions to inspect the background jobs and to retry or delete the failed ones.
+ *********************/
+import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { API_RESPONSE } from "../Utilities/ApiResponse.js";
+import { USER } from "../Models/User.Model.js";
+import { ROLES, GET_ROLES_PERMISSIONS } from "../Utilities/Permissions.js";
+import { LOG_INFO } from "../Utilities/WinstonLogger.js";
+import { UNLOCK_ACCOUNT } from "../Utilities/LoginProtection.js";
+import {
+    GET_JOB_QUEUE_STATS,
+    LIST_FAILED_JOBS,
+    GET_JOB,
+    RETRY_FAILED_JOB,
+    DELETE_FAILED_JOB,
+    DESCRIBE_JOB,
+    JOB_STATUSES,
+} from "../Utilities/JobQueue.js";
+
+/*********************
+ * Describe the roles of a user: { _id, username, email, roles, permissions }.
+ *********************/
+const DESCRIBE_USER_ROLES = (User) => ({
+    _id: User._id,
+    username: User.username,
+    email: User.email,
+    roles: User.roles,
+    permissions: GET_ROLES_PERMISSIONS(User.roles),
+});
+
+/*********************
+ * Define the GET_USER_ROLES controller.
+ * - Returns the roles of a user and the permissions they grant.
+ *********************/
+export const GET_USER_ROLES = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const User = await USER.findById(Request.params.userId).select("username email roles");
+
+        if (!User) throw new API_ERROR(404, "User not found...!");
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, DESCRIBE_USER_ROLES(User), "User roles fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GRANT_ROLE controller.
+ * - Adds a role to a user. Granting a role the user already has is not an error.
+ * - The change applies to the next request of the user, since the roles are read on every authentication.
+ *********************/
+export const GRANT_ROLE = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { userId, role } = Request.params;
+
+        const User = await USER.findByIdAndUpdate(
+            userId,
+            { $addToSet: { roles: role } },
+            { new: true }
+        ).select("username email roles");
+
+        if (!User) throw new API_ERROR(404, "User not found...!");
+
+        LOG_INFO({
+            label: "Admin.Controller.js",
+            service: "GRANT_ROLE",
+            message: `Role "${role}" granted to user ${User._id} by user ${Request.User._id}`,
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, DESCRIBE_USER_ROLES(User), "Role granted Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the REVOKE_ROLE controller.
+ * - Removes a role from a user.
+ * - The base "user" role cannot be revoked, and admins cannot revoke their own admin role,
+ *   so that the application never loses its last administrator by accident.
+ *********************/
+export const REVOKE_ROLE = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { userId, role } = Request.params;
+
+        if (role === ROLES.USER) throw new API_ERROR(400, "The user role cannot be revoked...!");
+
+        if (role === ROLES.ADMIN && String(userId) === String(Request.User._id)) {
+            throw new API_ERROR(400, "You cannot revoke your own admin role...!");
+        }
+
+        const User = await USER.findByIdAndUpdate(
+            userId,
+            { $pull: { roles: role } },
+            { new: true }
+        ).select("username email roles");
+
+        if (!User) throw new API_ERROR(404, "User not found...!");
+
+        LOG_INFO({
+            label: "Admin.Controller.js",
+            service: "REVOKE_ROLE",
+            message: `Role "${role}" revoked from user ${User._id} by user ${Request.User._id}`,
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, DESCRIBE_USER_ROLES(User), "Role revoked Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the UNLOCK_USER_ACCOUNT controller.
+ * - Removes the lockout of an account locked after too many failed logins, and forgets its failed logins.
+ *********************/
+export const UNLOCK_USER_ACCOUNT = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const User = await USER.findById(Request.params.userId).select("username email");
+
+        if (!User) throw new API_ERROR(404, "User not found...!");
+
+        await UNLOCK_ACCOUNT(`User:${User._id}`);
+
+        LOG_INFO({
+            label: "Admin.Controller.js",
+            service: "UNLOCK_USER_ACCOUNT",
+            message: `Account of user ${User._id} unlocked by user ${Request.User._id}`,
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, {}, "Account unlocked Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_JOBS_OVERVIEW controller.
+ * - Returns the number of waiting, delayed and running jobs of every job type, and the number of failed jobs.
+ *********************/
+export const GET_JOBS_OVERVIEW = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const Stats = await GET_JOB_QUEUE_STATS();
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Stats, "Job queues fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_FAILED_JOBS controller.
+ * - Returns the paginated dead-letter list: the jobs that failed on every attempt, most recent failure first.
+ *********************/
+export const GET_FAILED_JOBS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { page, limit } = Request.query;
+
+        const { jobs, totalJobs } = await LIST_FAILED_JOBS({ Page: page, Limit: limit });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, {
+                jobs: jobs.map(DESCRIBE_JOB),
+                totalJobs,
+                page,
+                limit,
+                totalPages: Math.ceil(totalJobs / limit),
+            }, "Failed jobs fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_JOB_DETAILS controller.
+ * - Returns a job that is waiting, delayed, running or failed. Completed jobs are forgotten, so they are not found.
+ *********************/
+export const GET_JOB_DETAILS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const Job = await GET_JOB(Request.params.jobId);
+
+        if (!Job) throw new API_ERROR(404, "Job not found...!");
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, DESCRIBE_JOB(Job), "Job fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the RETRY_JOB controller.
+ * - Puts a failed job back in its queue, with all its attempts available again.
+ * - Only failed jobs can be retried, other jobs get a Conflict (409) error.
+ *********************/
+export const RETRY_JOB = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { jobId } = Request.params;
+        const Job = await GET_JOB(jobId);
+
+        if (!Job) throw new API_ERROR(404, "Job not found...!");
+
+        if (Job.status !== JOB_STATUSES.FAILED || !(await RETRY_FAILED_JOB(jobId))) {
+            throw new API_ERROR(409, "Only failed jobs can be retried...!");
+        }
+
+        LOG_INFO({
+            label: "Admin.Controller.js",
+            service: "RETRY_JOB",
+            message: `Job ${jobId} (${Job.name}) retried by user ${Request.User._id}`,
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, DESCRIBE_JOB(await GET_JOB(jobId)), "Job retried Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the DELETE_JOB controller.
+ * - Removes a failed job from the dead-letter list, for jobs that should not be retried.
+ * - Only failed jobs can be deleted, other jobs get a Conflict (409) error.
+ *********************/
+export const DELETE_JOB = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { jobId } = Request.params;
+        const Job = await GET_JOB(jobId);
+
+        if (!Job) throw new API_ERROR(404, "Job not found...!");
+
+        if (Job.status !== JOB_STATUSES.FAILED || !(await DELETE_FAILED_JOB(jobId))) {
+            throw new API_ERROR(409, "Only failed jobs can be deleted...!");
+        }
+
+        LOG_INFO({
+            label: "Admin.Controller.js",
+            service: "DELETE_JOB",
+            message: `Failed job ${jobId} (${Job.name}) deleted by user ${Request.User._id}`,
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { jobId }, "Job deleted Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
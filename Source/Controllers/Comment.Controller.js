@@ -0,0 +1,363 @@
+/*********************
+ * Import necessary packages and modules.
+ * - mongoose: Used here to build MongoDB ObjectIds.
+ *********************/
+import MONGOOSE from "mongoose";
+
+/*********************
+ * Import custom modules and functions.
+ * - ASYNCHRONOUS_HANDLER: Wrapper to handle asynchronous operations and error handling.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - API_RESPONSE: Custom class for standardized API responses.
+ * - COMMENT: Mongoose model representing the Comment schema.
+ * - VIDEO: Mongoose model representing the Video schema.
+ * - REACTION, REACTION_TARGET_TYPES: Mongoose model representing the Reaction schema and the types of reaction targets.
+ * - HAS_PERMISSIONS, PERMISSIONS, CAN_VIEW_VIDEO: Functions and constants to check the permissions of the user.
+ * - USER_SUMMARY_LOOKUP_STAGES: Aggregation stages that replace a user reference with a public summary of the user.
+ * - REACTION_SUMMARY_STAGES: Aggregation stages that add the likes, dislikes and reaction of the user to documents.
+ * - AGGREGATE_PAGE: Runs aggregation stages on the documents of a paginated result only.
+ *********************/
+import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { API_RESPONSE } from "../Utilities/ApiResponse.js";
+import { COMMENT } from "../Models/Comment.Model.js";
+import { VIDEO } from "../Models/Video.Model.js";
+import { REACTION, REACTION_TARGET_TYPES } from "../Models/Reaction.Model.js";
+import { HAS_PERMISSIONS, PERMISSIONS, CAN_VIEW_VIDEO } from "../Utilities/Permissions.js";
+import { USER_SUMMARY_LOOKUP_STAGES, REACTION_SUMMARY_STAGES, AGGREGATE_PAGE } from "../Utilities/AggregationStages.js";
+
+/*********************
+ * Sort orders of the comments of a video.
+ * - The pinned comment always comes first.
+ * - newest: Most recent comments first.
+ * - top: Comments with the most replies first.
+ *********************/
+const COMMENT_SORT_ORDERS = {
+    newest: { isPinned: -1, createdAt: -1, _id: -1 },
+    top: { isPinned: -1, repliesCount: -1, createdAt: -1, _id: -1 },
+};
+
+/*********************
+ * Find a video the user making the request may see.
+ * - Unpublished videos are only visible to their owner and to users allowed to manage any video.
+ * - Throws a Not Found (404) error otherwise, so the existence of unpublished videos is not revealed.
+ *********************/
+const FIND_VIEWABLE_VIDEO = async (Request, VideoId) => {
+    const Video = await VIDEO.findById(VideoId).select("owner isPublished").lean();
+
+    if (!CAN_VIEW_VIDEO(Request.User, Video)) throw new API_ERROR(404, "Video not found...!");
+
+    return Video;
+}
+
+/*********************
+ * Find a comment on a video the user making the request may see.
+ * - Throws a Not Found (404) error if the comment does not exist or its video is not visible.
+ *********************/
+const FIND_VIEWABLE_COMMENT = async (Request, CommentId) => {
+    const Comment = await COMMENT.findById(CommentId);
+
+    if (!Comment) throw new API_ERROR(404, "Comment not found...!");
+
+    const Video = await FIND_VIEWABLE_VIDEO(Request, Comment.video);
+
+    return { Comment, Video };
+}
+
+/*********************
+ * Define the GET_VIDEO_COMMENTS controller.
+ * - Returns the paginated top-level comments of a video, with a public summary of their owner,
+ *   their likes and dislikes and the reaction of the authenticated user.
+ * - Comments are sorted by "newest" or "top" (most replies), the pinned comment always comes first.
+ *********************/
+export const GET_VIDEO_COMMENTS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { videoId } = Request.params;
+        const { page, limit, sortBy } = Request.query;
+
+        await FIND_VIEWABLE_VIDEO(Request, videoId);
+
+        const Aggregate = COMMENT.aggregate([
+            { $match: { video: new MONGOOSE.Types.ObjectId(videoId), parentComment: null } },
+        ]);
+
+        const Comments = await COMMENT.aggregatePaginate(Aggregate, {
+            page,
+            limit,
+            sort: COMMENT_SORT_ORDERS[sortBy],
+        });
+
+        await AGGREGATE_PAGE(COMMENT, Comments, [
+            ...USER_SUMMARY_LOOKUP_STAGES("owner"),
+            ...REACTION_SUMMARY_STAGES(REACTION_TARGET_TYPES.COMMENT, Request.User?._id),
+        ]);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Comments, "Comments fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_COMMENT_REPLIES controller.
+ * - Returns the paginated replies of a comment, oldest first, so the conversation reads in order.
+ * - Every reply comes with a public summary of its owner, its likes and dislikes and the reaction of the authenticated user.
+ *********************/
+export const GET_COMMENT_REPLIES = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { commentId } = Request.params;
+        const { page, limit } = Request.query;
+
+        const { Comment } = await FIND_VIEWABLE_COMMENT(Request, commentId);
+
+        const Aggregate = COMMENT.aggregate([{ $match: { parentComment: Comment._id } }]);
+
+        const Replies = await COMMENT.aggregatePaginate(Aggregate, {
+            page,
+            limit,
+            sort: { createdAt: 1, _id: 1 },
+        });
+
+        await AGGREGATE_PAGE(COMMENT, Replies, [
+            ...USER_SUMMARY_LOOKUP_STAGES("owner"),
+            ...REACTION_SUMMARY_STAGES(REACTION_TARGET_TYPES.COMMENT, Request.User?._id),
+        ]);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Replies, "Replies fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the ADD_COMMENT controller.
+ * - Posts a top-level comment on a video as the authenticated user.
+ *********************/
+export const ADD_COMMENT = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { videoId } = Request.params;
+        const { content } = Request.body;
+
+        const Video = await FIND_VIEWABLE_VIDEO(Request, videoId);
+
+        const CreatedComment = await COMMENT.create({
+            content,
+            video: Video._id,
+            owner: Request.User._id,
+        });
+
+        return Response.status(201).json(
+            new API_RESPONSE(201, CreatedComment, "Comment added Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the ADD_REPLY controller.
+ * - Replies to a comment as the authenticated user.
+ * - Only one level of replies is kept: replying to a reply adds the reply to the thread of its top-level comment.
+ *********************/
+export const ADD_REPLY = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { commentId } = Request.params;
+        const { content } = Request.body;
+
+        const { Comment } = await FIND_VIEWABLE_COMMENT(Request, commentId);
+
+        const ParentCommentId = Comment.parentComment || Comment._id;
+
+        const CreatedReply = await COMMENT.create({
+            content,
+            video: Comment.video,
+            owner: Request.User._id,
+            parentComment: ParentCommentId,
+        });
+
+        await COMMENT.updateOne({ _id: ParentCommentId }, { $inc: { repliesCount: 1 } });
+
+        return Response.status(201).json(
+            new API_RESPONSE(201, CreatedReply, "Reply added Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the UPDATE_COMMENT controller.
+ * - Lets the owner of a comment edit its content. The edit date is recorded in `editedAt`.
+ *********************/
+export const UPDATE_COMMENT = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        /*******
+         * The comment was loaded, and its ownership checked, by the AUTHORIZE_OWNERSHIP middleware.
+         *******/
+        const Comment = Request.Resource;
+        const { content } = Request.body;
+
+        Comment.content = content;
+        Comment.editedAt = new Date();
+
+        await Comment.save();
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Comment, "Comment updated Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the DELETE_COMMENT controller.
+ * - Deletes a comment. Allowed for the owner of the comment, the owner of the video (removing comments from their video)
+ *   and users allowed to manage any comment.
+ * - Deleting a top-level comment also deletes its replies.
+ *********************/
+export const DELETE_COMMENT = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { commentId } = Request.params;
+
+        const Comment = await COMMENT.findById(commentId);
+
+        if (!Comment) throw new API_ERROR(404, "Comment not found...!");
+
+        const Video = await VIDEO.findById(Comment.video).select("owner").lean();
+
+        const isCommentOwner = String(Comment.owner) === String(Request.User._id);
+        const isVideoOwner = String(Video?.owner) === String(Request.User._id);
+
+        if (!isCommentOwner && !isVideoOwner && !HAS_PERMISSIONS(Request.User, PERMISSIONS.COMMENTS_MANAGE_ANY)) {
+            throw new API_ERROR(403, "You are not allowed to delete this comment...!");
+        }
+
+        /*******
+         * Delete the comment with its replies, or decrement the replies count of its parent.
+         * - The reactions on the deleted comments are deleted with them.
+         *******/
+        if (Comment.parentComment) {
+            const { deletedCount } = await COMMENT.deleteOne({ _id: Comment._id });
+
+            if (deletedCount === 1) await COMMENT.updateOne({ _id: Comment.parentComment }, { $inc: { repliesCount: -1 } });
+
+            await REACTION.deleteMany({ targetType: REACTION_TARGET_TYPES.COMMENT, target: Comment._id });
+        } else {
+            const DeletedCommentIds = await COMMENT.distinct("_id", { $or: [{ _id: Comment._id }, { parentComment: Comment._id }] });
+
+            await COMMENT.deleteMany({ _id: { $in: DeletedCommentIds } });
+            await REACTION.deleteMany({ targetType: REACTION_TARGET_TYPES.COMMENT, target: { $in: DeletedCommentIds } });
+        }
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { commentId: Comment._id }, "Comment deleted Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the TOGGLE_PIN_COMMENT controller.
+ * - Lets the owner of a video pin a top-level comment of their video, or unpin it if it was already pinned.
+ * - A video has at most one pinned comment: pinning a comment unpins the previous one.
+ *********************/
+export const TOGGLE_PIN_COMMENT = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { commentId } = Request.params;
+
+        const Comment = await COMMENT.findById(commentId);
+
+        if (!Comment) throw new API_ERROR(404, "Comment not found...!");
+
+        const Video = await VIDEO.findById(Comment.video).select("owner").lean();
+
+        if (String(Video?.owner) !== String(Request.User._id)) {
+            throw new API_ERROR(403, "Only the owner of the video can pin comments...!");
+        }
+
+        if (Comment.parentComment) throw new API_ERROR(400, "Replies cannot be pinned...!");
+
+        /*******
+         * Unpin the previously pinned comment before pinning this one.
+         * - The unique index on pinned comments makes a concurrent pin fail with a duplicate key error.
+         *******/
+        const isPinned = !Comment.isPinned;
+
+        if (isPinned) {
+            await COMMENT.updateMany({ video: Comment.video, isPinned: true }, { $set: { isPinned: false } });
+        }
+
+        try {
+            await COMMENT.updateOne({ _id: Comment._id }, { $set: { isPinned } });
+        } catch (error) {
+            if (error?.code === 11000) throw new API_ERROR(409, "Another comment was pinned at the same time, please try again...!");
+
+            throw error;
+        }
+
+        return Response.status(200).json(
+            new API_RESPONSE(
+                200,
+                { commentId: Comment._id, isPinned },
+                isPinned ? "Comment pinned Successfully...!" : "Comment unpinned Successfully...!"
+            )
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
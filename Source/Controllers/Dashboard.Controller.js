@@ -0,0 +1,194 @@
+/*********************
+ * Import necessary packages and modules.
+ * - process: Provides access to the environment variables.
+ *********************/
+import PROCESS from "node:process";
+
+/*********************
+ * Import custom modules and functions.
+ * - ASYNCHRONOUS_HANDLER: Wrapper to handle asynchronous operations and error handling.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - API_RESPONSE: Custom class for standardized API responses.
+ * - VIDEO: Mongoose model representing the Video schema.
+ * - SUBSCRIPTION: Mongoose model representing the Subscription schema.
+ * - REACTION_TARGET_TYPES: Types of reaction targets.
+ * - GET_CACHED: Returns a value from the Redis cache, or computes and caches it.
+ * - REACTION_SUMMARY_STAGES, VIDEO_COMMENTS_COUNT_STAGES: Aggregation stages that add the reactions and the number of comments to videos.
+ * - AGGREGATE_PAGE: Runs aggregation stages on the documents of a paginated result only.
+ *********************/
+import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { API_RESPONSE } from "../Utilities/ApiResponse.js";
+import { VIDEO } from "../Models/Video.Model.js";
+import { SUBSCRIPTION } from "../Models/Subscription.Model.js";
+import { REACTION_TARGET_TYPES } from "../Models/Reaction.Model.js";
+import { GET_CACHED } from "../Utilities/Cache.js";
+import { REACTION_SUMMARY_STAGES, VIDEO_COMMENTS_COUNT_STAGES, AGGREGATE_PAGE } from "../Utilities/AggregationStages.js";
+
+/*********************
+ * Lifetime of the cached dashboard statistics, in seconds (DASHBOARD_CACHE_TTL_SECONDS, 60 seconds by default).
+ * - The statistics may be this much out of date, in exchange the aggregations run at most once per period per channel.
+ *********************/
+const DASHBOARD_CACHE_TTL_SECONDS = Number(PROCESS.env.DASHBOARD_CACHE_TTL_SECONDS) || 60;
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/*********************
+ * Build the list of the last `Days` days (UTC, "YYYY-MM-DD"), oldest first, ending today.
+ *********************/
+const LAST_DAYS = (Days) => {
+    const Today = new Date().setUTCHours(0, 0, 0, 0);
+
+    return Array.from({ length: Days }, (_, Index) => new Date(Today - (Days - 1 - Index) * ONE_DAY_MS).toISOString().slice(0, 10));
+}
+
+/*********************
+ * Define the GET_CHANNEL_STATS controller.
+ * - Returns the statistics of the channel of the authenticated user:
+ *   - totalVideos, publishedVideos, unpublishedVideos: Number of videos.
+ *   - totalViews: Sum of the views persisted on the videos.
+ *   - totalVideoDuration: Sum of the durations of the videos, in seconds.
+ *   - totalWatchDuration: Estimated time spent watching the videos, in seconds (duration × views of every video,
+ *     partial plays are not tracked).
+ *   - subscribersCount: Number of subscribers of the channel.
+ *   - uploadsPerDay: Number of videos uploaded on each of the last `days` days (UTC), days without uploads included.
+ * - The statistics are cached in Redis for DASHBOARD_CACHE_TTL_SECONDS.
+ *********************/
+export const GET_CHANNEL_STATS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { days } = Request.query;
+        const UserId = Request.User._id;
+
+        const Stats = await GET_CACHED({
+            Key: `Dashboard:${UserId}:Stats:${days}`,
+            TimeToLiveSeconds: DASHBOARD_CACHE_TTL_SECONDS,
+            Load: async () => {
+                const Days = LAST_DAYS(days);
+                const Since = new Date(`${Days[0]}T00:00:00.000Z`);
+
+                const [[Result], SubscribersCount] = await Promise.all([
+                    VIDEO.aggregate([
+                        { $match: { owner: UserId } },
+                        {
+                            $facet: {
+                                totals: [
+                                    {
+                                        $group: {
+                                            _id: null,
+                                            totalVideos: { $sum: 1 },
+                                            publishedVideos: { $sum: { $cond: ["$isPublished", 1, 0] } },
+                                            totalViews: { $sum: "$views" },
+                                            totalVideoDuration: { $sum: "$duration" },
+                                            totalWatchDuration: { $sum: { $multiply: ["$duration", "$views"] } },
+                                        },
+                                    },
+                                ],
+                                uploadsPerDay: [
+                                    { $match: { createdAt: { $gte: Since } } },
+                                    {
+                                        $group: {
+                                            _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: "UTC" } },
+                                            count: { $sum: 1 },
+                                        },
+                                    },
+                                ],
+                            },
+                        },
+                    ]),
+                    SUBSCRIPTION.countDocuments({ channel: UserId }),
+                ]);
+
+                const Totals = Result.totals[0] || {};
+                const UploadsByDay = Object.fromEntries(Result.uploadsPerDay.map((Day) => [Day._id, Day.count]));
+
+                return {
+                    totalVideos: Totals.totalVideos || 0,
+                    publishedVideos: Totals.publishedVideos || 0,
+                    unpublishedVideos: (Totals.totalVideos || 0) - (Totals.publishedVideos || 0),
+                    totalViews: Totals.totalViews || 0,
+                    totalVideoDuration: Totals.totalVideoDuration || 0,
+                    totalWatchDuration: Totals.totalWatchDuration || 0,
+                    subscribersCount: SubscribersCount,
+                    uploadsPerDay: Days.map((Day) => ({ date: Day, count: UploadsByDay[Day] || 0 })),
+                    generatedAt: new Date(),
+                };
+            },
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Stats, "Channel stats fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_CHANNEL_VIDEOS_STATS controller.
+ * - Returns the paginated videos of the authenticated user, published or not, with their statistics:
+ *   views, duration, estimated watch duration, number of comments, likes and dislikes.
+ * - Query parameters: page, limit, sortBy (createdAt, views, duration or title) and sortType ("asc" or "desc").
+ * - Every page is cached in Redis for DASHBOARD_CACHE_TTL_SECONDS.
+ *********************/
+export const GET_CHANNEL_VIDEOS_STATS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { page, limit, sortBy, sortType } = Request.query;
+        const UserId = Request.User._id;
+
+        const Videos = await GET_CACHED({
+            Key: `Dashboard:${UserId}:Videos:${page}:${limit}:${sortBy}:${sortType}`,
+            TimeToLiveSeconds: DASHBOARD_CACHE_TTL_SECONDS,
+            Load: async () => {
+                const SortDirection = sortType === "asc" ? 1 : -1;
+
+                /*******
+                 * Paginate the videos, then compute the statistics of this page only.
+                 *******/
+                const Aggregate = VIDEO.aggregate([{ $match: { owner: UserId } }]);
+
+                const Page = await VIDEO.aggregatePaginate(Aggregate, {
+                    page,
+                    limit,
+                    sort: { [sortBy]: SortDirection, _id: SortDirection },
+                });
+
+                return AGGREGATE_PAGE(VIDEO, Page, [
+                    {
+                        $project: {
+                            title: 1,
+                            thumbnail: 1,
+                            isPublished: 1,
+                            views: 1,
+                            duration: 1,
+                            createdAt: 1,
+                            watchDuration: { $multiply: ["$duration", "$views"] },
+                        },
+                    },
+                    ...VIDEO_COMMENTS_COUNT_STAGES,
+                    ...REACTION_SUMMARY_STAGES(REACTION_TARGET_TYPES.VIDEO),
+                    { $project: { myReaction: 0 } },
+                ]);
+            },
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Videos, "Channel videos stats fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
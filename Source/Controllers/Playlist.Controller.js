@@ -0,0 +1,470 @@
+/*********************
+ * Import necessary packages and modules.
+ * - mongoose: Used here to build MongoDB ObjectIds.
+ *********************/
+import MONGOOSE from "mongoose";
+
+/*********************
+ * Import custom modules and functions.
+ * - ASYNCHRONOUS_HANDLER: Wrapper to handle asynchronous operations and error handling.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - API_RESPONSE: Custom class for standardized API responses.
+ * - PLAYLIST, PLAYLIST_VISIBILITIES, PLAYLIST_MAX_VIDEOS: Mongoose model representing the Playlist schema and its constants.
+ * - VIDEO: Mongoose model representing the Video schema.
+ * - USER: Mongoose model representing the User schema.
+ * - CAN_VIEW_VIDEO: Function to check whether the user may see a video.
+ * - USER_SUMMARY_LOOKUP_STAGES: Aggregation stages that replace a user reference with a public summary of the user.
+ *********************/
+import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { API_RESPONSE } from "../Utilities/ApiResponse.js";
+import { PLAYLIST, PLAYLIST_VISIBILITIES, PLAYLIST_MAX_VIDEOS } from "../Models/Playlist.Model.js";
+import { VIDEO } from "../Models/Video.Model.js";
+import { USER } from "../Models/User.Model.js";
+import { CAN_VIEW_VIDEO } from "../Utilities/Permissions.js";
+import { USER_SUMMARY_LOOKUP_STAGES } from "../Utilities/AggregationStages.js";
+
+/*********************
+ * Value of the "playlistId" parameter that designates the "Watch later" playlist of the authenticated user.
+ *********************/
+const WATCH_LATER_ALIAS = "watch-later";
+
+/*********************
+ * Find the playlist identified by the "playlistId" parameter.
+ * - The "watch-later" alias resolves to the "Watch later" playlist of the authenticated user, created the first time it is used.
+ * - Throws a Not Found (404) error if the playlist does not exist.
+ *********************/
+const FIND_PLAYLIST = async (Request) => {
+    const { playlistId } = Request.params;
+
+    if (playlistId === WATCH_LATER_ALIAS) {
+        if (!Request.User) throw new API_ERROR(401, "Unauthorized request...!");
+
+        return PLAYLIST.FindOrCreateWatchLater(Request.User._id);
+    }
+
+    const Playlist = await PLAYLIST.findById(playlistId);
+
+    if (!Playlist) throw new API_ERROR(404, "Playlist not found...!");
+
+    return Playlist;
+}
+
+/*********************
+ * Find the playlist identified by the "playlistId" parameter, when the user making the request may see it.
+ * - Private playlists are only visible to their owner, the others to anybody who has their id.
+ * - Throws a Not Found (404) error otherwise, so the existence of private playlists is not revealed.
+ *********************/
+const FIND_VIEWABLE_PLAYLIST = async (Request) => {
+    const Playlist = await FIND_PLAYLIST(Request);
+
+    const isOwner = String(Playlist.owner) === String(Request.User?._id);
+
+    if (Playlist.visibility === PLAYLIST_VISIBILITIES.PRIVATE && !isOwner) throw new API_ERROR(404, "Playlist not found...!");
+
+    return Playlist;
+}
+
+/*********************
+ * Find the playlist identified by the "playlistId" parameter, when the authenticated user owns it.
+ * - Throws a Forbidden (403) error if the user does not own the playlist.
+ *********************/
+const FIND_OWNED_PLAYLIST = async (Request) => {
+    const Playlist = await FIND_PLAYLIST(Request);
+
+    if (String(Playlist.owner) !== String(Request.User._id)) {
+        throw new API_ERROR(403, "You are not allowed to modify this playlist...!");
+    }
+
+    return Playlist;
+}
+
+/*********************
+ * Build the match of the videos of a playlist the viewer may see: published videos, and their own unpublished videos.
+ *********************/
+const VISIBLE_VIDEOS_MATCH = (ViewerId) => ({
+    $or: [{ isPublished: true }, { owner: ViewerId ?? null }],
+});
+
+/*********************
+ * Define the CREATE_PLAYLIST controller.
+ * - Creates an empty playlist owned by the authenticated user.
+ *********************/
+export const CREATE_PLAYLIST = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { name, description, visibility } = Request.body;
+
+        const CreatedPlaylist = await PLAYLIST.create({
+            name,
+            description,
+            visibility,
+            owner: Request.User._id,
+        });
+
+        return Response.status(201).json(
+            new API_RESPONSE(201, CreatedPlaylist, "Playlist created Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_USER_PLAYLISTS controller.
+ * - Returns the paginated playlists of a user, most recently updated first, with their number of videos.
+ * - Users see all their playlists, the "Watch later" playlist first. Everybody else only sees the public playlists.
+ *********************/
+export const GET_USER_PLAYLISTS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { userId } = Request.params;
+        const { page, limit } = Request.query;
+
+        const isOwnPlaylists = String(userId) === String(Request.User?._id);
+
+        const Aggregate = PLAYLIST.aggregate([
+            {
+                $match: {
+                    owner: new MONGOOSE.Types.ObjectId(userId),
+                    ...(!isOwnPlaylists && { visibility: PLAYLIST_VISIBILITIES.PUBLIC }),
+                },
+            },
+            { $addFields: { videosCount: { $size: "$videos" } } },
+            { $project: { videos: 0 } },
+        ]);
+
+        const Playlists = await PLAYLIST.aggregatePaginate(Aggregate, {
+            page,
+            limit,
+            sort: { isWatchLater: -1, updatedAt: -1, _id: -1 },
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Playlists, "Playlists fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_PLAYLIST controller.
+ * - Returns a playlist with a summary of its owner, its number of videos and its total duration (in seconds),
+ *   and a page of its videos in the order of the playlist.
+ * - Every video comes with a summary of its owner, its `position` in the playlist and the date it was added.
+ * - Videos that were unpublished by another user are left out, and not counted in the totals.
+ *********************/
+export const GET_PLAYLIST = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { page, limit } = Request.query;
+
+        const Playlist = await FIND_VIEWABLE_PLAYLIST(Request);
+        const VisibleVideosMatch = VISIBLE_VIDEOS_MATCH(Request.User?._id);
+
+        /*******
+         * Turn the entries of the playlist into one document per video, keeping their position in the playlist.
+         *******/
+        const Aggregate = PLAYLIST.aggregate([
+            { $match: { _id: Playlist._id } },
+            { $project: { videos: 1 } },
+            { $unwind: { path: "$videos", includeArrayIndex: "position" } },
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "videos.video",
+                    foreignField: "_id",
+                    as: "video",
+                    pipeline: [
+                        { $match: VisibleVideosMatch },
+                        {
+                            $project: {
+                                title: 1,
+                                thumbnail: 1,
+                                duration: 1,
+                                views: 1,
+                                owner: 1,
+                                isPublished: 1,
+                                createdAt: 1,
+                            },
+                        },
+                        ...USER_SUMMARY_LOOKUP_STAGES("owner"),
+                    ],
+                },
+            },
+            { $unwind: "$video" },
+            { $replaceRoot: { newRoot: { $mergeObjects: ["$video", { position: "$position", addedAt: "$videos.addedAt" }] } } },
+        ]);
+
+        /*******
+         * Fetch the page of videos, the totals of the playlist and the summary of its owner in parallel.
+         *******/
+        const [Videos, [Totals], Owner] = await Promise.all([
+            PLAYLIST.aggregatePaginate(Aggregate, {
+                page,
+                limit,
+                sort: { position: 1 },
+            }),
+            VIDEO.aggregate([
+                { $match: { _id: { $in: Playlist.videos.map((Entry) => Entry.video) }, ...VisibleVideosMatch } },
+                { $group: { _id: null, videosCount: { $sum: 1 }, totalDuration: { $sum: "$duration" } } },
+            ]),
+            USER.findById(Playlist.owner).select("username fullName avatar").lean(),
+        ]);
+
+        const { videos, ...Details } = Playlist.toObject();
+
+        return Response.status(200).json(
+            new API_RESPONSE(
+                200,
+                {
+                    ...Details,
+                    owner: Owner,
+                    videosCount: Totals?.videosCount || 0,
+                    totalDuration: Totals?.totalDuration || 0,
+                    videos: Videos,
+                },
+                "Playlist fetched Successfully...!"
+            )
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the UPDATE_PLAYLIST controller.
+ * - Lets the owner of a playlist update its name, description and visibility.
+ * - The "Watch later" playlist cannot be updated.
+ *********************/
+export const UPDATE_PLAYLIST = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { name, description, visibility } = Request.body;
+
+        const Playlist = await FIND_OWNED_PLAYLIST(Request);
+
+        if (Playlist.isWatchLater) throw new API_ERROR(400, "The Watch later playlist cannot be updated...!");
+
+        if (name === undefined && description === undefined && visibility === undefined) {
+            throw new API_ERROR(400, "Nothing to update, provide a name, description or visibility...!");
+        }
+
+        if (name !== undefined) Playlist.name = name;
+        if (description !== undefined) Playlist.description = description;
+        if (visibility !== undefined) Playlist.visibility = visibility;
+
+        await Playlist.save();
+
+        const { videos, ...Details } = Playlist.toObject();
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { ...Details, videosCount: videos.length }, "Playlist updated Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the DELETE_PLAYLIST controller.
+ * - Lets the owner of a playlist delete it. The videos themselves are not affected.
+ * - The "Watch later" playlist cannot be deleted.
+ *********************/
+export const DELETE_PLAYLIST = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const Playlist = await FIND_OWNED_PLAYLIST(Request);
+
+        if (Playlist.isWatchLater) throw new API_ERROR(400, "The Watch later playlist cannot be deleted...!");
+
+        await PLAYLIST.deleteOne({ _id: Playlist._id });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { playlistId: Playlist._id }, "Playlist deleted Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the ADD_VIDEO_TO_PLAYLIST controller.
+ * - Adds a video the user may see to one of their playlists, at the end or at the given `position`.
+ * - Throws a Conflict (409) error if the video is already in the playlist,
+ *   and a Bad Request (400) error if the playlist already holds PLAYLIST_MAX_VIDEOS videos.
+ *********************/
+export const ADD_VIDEO_TO_PLAYLIST = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { videoId } = Request.params;
+        const { position } = Request.body;
+
+        const Playlist = await FIND_OWNED_PLAYLIST(Request);
+
+        const Video = await VIDEO.findById(videoId).select("owner isPublished").lean();
+
+        if (!CAN_VIEW_VIDEO(Request.User, Video)) throw new API_ERROR(404, "Video not found...!");
+
+        /*******
+         * Add the video in a single update that only matches when the video is not in the playlist yet
+         * and the playlist is not full, so concurrent requests cannot add it twice or overflow the playlist.
+         *******/
+        const Result = await PLAYLIST.updateOne(
+            {
+                _id: Playlist._id,
+                "videos.video": { $ne: Video._id },
+                [`videos.${PLAYLIST_MAX_VIDEOS - 1}`]: { $exists: false },
+            },
+            {
+                $push: {
+                    videos: {
+                        $each: [{ video: Video._id, addedAt: new Date() }],
+                        ...(position !== undefined && { $position: position }),
+                    },
+                },
+            }
+        );
+
+        if (Result.modifiedCount === 0) {
+            const isAlreadyInPlaylist = await PLAYLIST.exists({ _id: Playlist._id, "videos.video": Video._id });
+
+            if (isAlreadyInPlaylist) throw new API_ERROR(409, "Video is already in the playlist...!");
+
+            throw new API_ERROR(400, `A playlist cannot hold more than ${PLAYLIST_MAX_VIDEOS} videos...!`);
+        }
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { playlistId: Playlist._id, videoId: Video._id }, "Video added to playlist Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the REMOVE_VIDEO_FROM_PLAYLIST controller.
+ * - Removes a video from one of the playlists of the authenticated user.
+ * - Throws a Not Found (404) error if the video is not in the playlist.
+ *********************/
+export const REMOVE_VIDEO_FROM_PLAYLIST = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { videoId } = Request.params;
+
+        const Playlist = await FIND_OWNED_PLAYLIST(Request);
+
+        const Result = await PLAYLIST.updateOne(
+            { _id: Playlist._id },
+            { $pull: { videos: { video: videoId } } }
+        );
+
+        if (Result.modifiedCount === 0) throw new API_ERROR(404, "Video is not in the playlist...!");
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { playlistId: Playlist._id, videoId }, "Video removed from playlist Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the MOVE_VIDEO_IN_PLAYLIST controller.
+ * - Moves a video of one of the playlists of the authenticated user to the given `position` (0 is the first position).
+ *   A position past the end moves the video to the end.
+ * - The move is done by a single pipeline update, so concurrent changes of the playlist are not lost.
+ *********************/
+export const MOVE_VIDEO_IN_PLAYLIST = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { videoId } = Request.params;
+        const { position } = Request.body;
+
+        const Playlist = await FIND_OWNED_PLAYLIST(Request);
+        const VideoId = new MONGOOSE.Types.ObjectId(videoId);
+
+        const Result = await PLAYLIST.updateOne(
+            { _id: Playlist._id, "videos.video": VideoId },
+            [
+                {
+                    $set: {
+                        videos: {
+                            $let: {
+                                vars: {
+                                    entry: { $first: { $filter: { input: "$videos", cond: { $eq: ["$$this.video", VideoId] } } } },
+                                    others: { $filter: { input: "$videos", cond: { $ne: ["$$this.video", VideoId] } } },
+                                },
+                                in: {
+                                    $concatArrays: [
+                                        { $slice: ["$$others", position] },
+                                        ["$$entry"],
+                                        { $slice: ["$$others", position, PLAYLIST_MAX_VIDEOS] },
+                                    ],
+                                },
+                            },
+                        },
+                        updatedAt: "$$NOW",
+                    },
+                },
+            ]
+        );
+
+        if (Result.matchedCount === 0) throw new API_ERROR(404, "Video is not in the playlist...!");
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { playlistId: Playlist._id, videoId, position }, "Video moved in playlist Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
@@ -0,0 +1,299 @@
+/*********************
+ * Import necessary packages and modules.
+ * - mongoose: Used here to build MongoDB ObjectIds.
+ *********************/
+import MONGOOSE from "mongoose";
+
+/*********************
+ * Import custom modules and functions.
+ * - ASYNCHRONOUS_HANDLER: Wrapper to handle asynchronous operations and error handling.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - API_RESPONSE: Custom class for standardized API responses.
+ * - POST: Mongoose model representing the community Post schema.
+ * - USER: Mongoose model representing the User schema.
+ * - REACTION, REACTION_TARGET_TYPES: Mongoose model representing the Reaction schema and the types of reaction targets.
+ * - UPLOAD_FILE, DISCARD_UPLOADED_FILES, QUEUE_FILE_DELETION: Functions to upload files to and delete files from the configured storage.
+ * - USER_SUMMARY_LOOKUP_STAGES: Aggregation stages that replace a user reference with a public summary of the user.
+ * - REACTION_SUMMARY_STAGES: Aggregation stages that add the likes, dislikes and reaction of the user to documents.
+ * - AGGREGATE_PAGE: Runs aggregation stages on the documents of a paginated result only.
+ *********************/
+import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { API_RESPONSE } from "../Utilities/ApiResponse.js";
+import { POST } from "../Models/Post.Model.js";
+import { USER } from "../Models/User.Model.js";
+import { REACTION, REACTION_TARGET_TYPES } from "../Models/Reaction.Model.js";
+import { UPLOAD_FILE, DISCARD_UPLOADED_FILES, QUEUE_FILE_DELETION } from "../Utilities/Storage.js";
+import { USER_SUMMARY_LOOKUP_STAGES, REACTION_SUMMARY_STAGES, AGGREGATE_PAGE } from "../Utilities/AggregationStages.js";
+
+/*********************
+ * Upload the image sent with a post request, if any.
+ * - Returns the uploaded image ({ key, url, ... }), or null when no image was sent.
+ *********************/
+const UPLOAD_POST_IMAGE = async (Request) => {
+    const ImageFile = Request.file;
+
+    if (!ImageFile?.path) return null;
+
+    const UploadedImage = await UPLOAD_FILE(ImageFile.path, {
+        Folder: "Posts",
+        MimeType: ImageFile.mimetype,
+        OriginalName: ImageFile.originalname,
+    });
+
+    if (!UploadedImage) throw new API_ERROR(500, "Something went wrong while uploading image...!");
+
+    return UploadedImage;
+}
+
+/*********************
+ * Define the CREATE_POST controller.
+ * - Publishes a community post on the channel of the authenticated user, with an optional `image` file.
+ * - The uploaded image is deleted again if the post cannot be created.
+ *********************/
+export const CREATE_POST = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { content } = Request.body;
+
+        const UploadedImage = await UPLOAD_POST_IMAGE(Request);
+
+        let CreatedPost;
+
+        try {
+            CreatedPost = await POST.create({
+                content,
+                image: UploadedImage?.url ?? null,
+                imageKey: UploadedImage?.key ?? null,
+                owner: Request.User._id,
+            });
+        } catch (error) {
+            await DISCARD_UPLOADED_FILES(UploadedImage);
+
+            throw error;
+        }
+
+        return Response.status(201).json(
+            new API_RESPONSE(201, CreatedPost, "Post created Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_CHANNEL_POSTS controller.
+ * - Returns the paginated community posts of a channel, the pinned post first and then newest first.
+ * - Every post comes with a public summary of its owner, its likes and dislikes and the reaction of the authenticated user.
+ *********************/
+export const GET_CHANNEL_POSTS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { channelId } = Request.params;
+        const { page, limit } = Request.query;
+
+        const Channel = await USER.exists({ _id: channelId });
+
+        if (!Channel) throw new API_ERROR(404, "Channel not found...!");
+
+        const Aggregate = POST.aggregate([{ $match: { owner: new MONGOOSE.Types.ObjectId(channelId) } }]);
+
+        const Posts = await POST.aggregatePaginate(Aggregate, {
+            page,
+            limit,
+            sort: { isPinned: -1, createdAt: -1, _id: -1 },
+        });
+
+        await AGGREGATE_PAGE(POST, Posts, [
+            { $project: { imageKey: 0 } },
+            ...USER_SUMMARY_LOOKUP_STAGES("owner"),
+            ...REACTION_SUMMARY_STAGES(REACTION_TARGET_TYPES.POST, Request.User?._id),
+        ]);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Posts, "Posts fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_POST_BY_ID controller.
+ * - Returns a single community post with a public summary of its owner, its likes and dislikes
+ *   and the reaction of the authenticated user.
+ *********************/
+export const GET_POST_BY_ID = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { postId } = Request.params;
+
+        const [Post] = await POST.aggregate([
+            { $match: { _id: new MONGOOSE.Types.ObjectId(postId) } },
+            { $project: { imageKey: 0 } },
+            ...USER_SUMMARY_LOOKUP_STAGES("owner"),
+            ...REACTION_SUMMARY_STAGES(REACTION_TARGET_TYPES.POST, Request.User?._id),
+        ]);
+
+        if (!Post) throw new API_ERROR(404, "Post not found...!");
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Post, "Post fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the UPDATE_POST controller.
+ * - Lets the owner of a post edit its content, replace its image with a new `image` file, or remove its image (`removeImage`).
+ * - The previous image is queued for deletion from the storage only once the post has been saved.
+ *********************/
+export const UPDATE_POST = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        /*******
+         * The post was loaded, and its ownership checked, by the AUTHORIZE_OWNERSHIP middleware.
+         *******/
+        const Post = Request.Resource;
+        const { content, removeImage } = Request.body;
+
+        if (!content && !removeImage && !Request.file) {
+            throw new API_ERROR(400, "Nothing to update, provide a content or an image...!");
+        }
+
+        if (removeImage && Request.file) throw new API_ERROR(400, "An image cannot be uploaded and removed at the same time...!");
+
+        const PreviousImageKey = Post.imageKey;
+        const UploadedImage = await UPLOAD_POST_IMAGE(Request);
+
+        if (content) Post.content = content;
+
+        if (UploadedImage || removeImage) {
+            Post.image = UploadedImage?.url ?? null;
+            Post.imageKey = UploadedImage?.key ?? null;
+        }
+
+        Post.editedAt = new Date();
+
+        try {
+            await Post.save();
+        } catch (error) {
+            await DISCARD_UPLOADED_FILES(UploadedImage);
+
+            throw error;
+        }
+
+        if (UploadedImage || removeImage) await QUEUE_FILE_DELETION(PreviousImageKey);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Post, "Post updated Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the DELETE_POST controller.
+ * - Lets the owner of a post (or a moderator) delete it, with its reactions and its image.
+ *********************/
+export const DELETE_POST = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        /*******
+         * The post was loaded, and its ownership checked, by the AUTHORIZE_OWNERSHIP middleware.
+         *******/
+        const Post = Request.Resource;
+
+        await POST.deleteOne({ _id: Post._id });
+        await REACTION.deleteMany({ targetType: REACTION_TARGET_TYPES.POST, target: Post._id });
+
+        await QUEUE_FILE_DELETION(Post.imageKey);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { postId: Post._id }, "Post deleted Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the TOGGLE_PIN_POST controller.
+ * - Lets the owner of a post pin it at the top of their channel, or unpin it if it was already pinned.
+ * - A channel has at most one pinned post: pinning a post unpins the previous one.
+ *********************/
+export const TOGGLE_PIN_POST = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        /*******
+         * The post was loaded, and its ownership checked, by the AUTHORIZE_OWNERSHIP middleware.
+         *******/
+        const Post = Request.Resource;
+        const isPinned = !Post.isPinned;
+
+        /*******
+         * Unpin the previously pinned post before pinning this one.
+         * - The unique index on pinned posts makes a concurrent pin fail with a duplicate key error.
+         *******/
+        if (isPinned) {
+            await POST.updateMany({ owner: Post.owner, isPinned: true }, { $set: { isPinned: false } });
+        }
+
+        try {
+            await POST.updateOne({ _id: Post._id }, { $set: { isPinned } });
+        } catch (error) {
+            if (error?.code === 11000) throw new API_ERROR(409, "Another post was pinned at the same time, please try again...!");
+
+            throw error;
+        }
+
+        return Response.status(200).json(
+            new API_RESPONSE(
+                200,
+                { postId: Post._id, isPinned },
+                isPinned ? "Post pinned Successfully...!" : "Post unpinned Successfully...!"
+            )
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
@@ -0,0 +1,213 @@
+/*********************
+ * Import necessary packages and modules.
+ * - mongoose: Used here to build MongoDB ObjectIds.
+ *********************/
+import MONGOOSE from "mongoose";
+
+/*********************
+ * Import custom modules and functions.
+ * - ASYNCHRONOUS_HANDLER: Wrapper to handle asynchronous operations and error handling.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - API_RESPONSE: Custom class for standardized API responses.
+ * - REACTION, REACTION_TARGET_TYPES, REACTION_TYPES: Mongoose model representing the Reaction schema and its constants.
+ * - VIDEO: Mongoose model representing the Video schema.
+ * - COMMENT: Mongoose model representing the Comment schema.
+ * - POST: Mongoose model representing the community Post schema.
+ * - CAN_VIEW_VIDEO: Function to check whether the user may see a video.
+ * - USER_SUMMARY_LOOKUP_STAGES: Aggregation stages that replace a user reference with a public summary of the user.
+ *********************/
+import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { API_RESPONSE } from "../Utilities/ApiResponse.js";
+import { REACTION, REACTION_TARGET_TYPES, REACTION_TYPES } from "../Models/Reaction.Model.js";
+import { VIDEO } from "../Models/Video.Model.js";
+import { COMMENT } from "../Models/Comment.Model.js";
+import { POST } from "../Models/Post.Model.js";
+import { CAN_VIEW_VIDEO } from "../Utilities/Permissions.js";
+import { USER_SUMMARY_LOOKUP_STAGES } from "../Utilities/AggregationStages.js";
+
+/*********************
+ * Find a video the user making the request may see, or null.
+ *********************/
+const FIND_VIEWABLE_VIDEO = async (Request, VideoId) => {
+    const Video = await VIDEO.findById(VideoId).select("owner isPublished").lean();
+
+    return CAN_VIEW_VIDEO(Request.User, Video) ? Video : null;
+}
+
+/*********************
+ * Functions finding the target of a reaction, per target type.
+ * - Each function returns the target when it exists and the user making the request may see it, null otherwise.
+ * - New target types are supported by adding them to REACTION_TARGET_TYPES and registering their finder here.
+ *********************/
+const REACTION_TARGET_FINDERS = {
+    [REACTION_TARGET_TYPES.VIDEO]: (Request, TargetId) => FIND_VIEWABLE_VIDEO(Request, TargetId),
+    [REACTION_TARGET_TYPES.COMMENT]: async (Request, TargetId) => {
+        const Comment = await COMMENT.findById(TargetId).select("video").lean();
+
+        return Comment && (await FIND_VIEWABLE_VIDEO(Request, Comment.video)) ? Comment : null;
+    },
+    [REACTION_TARGET_TYPES.POST]: (Request, TargetId) => POST.findById(TargetId).select("_id").lean(),
+};
+
+/*********************
+ * Find the target of a reaction from the "targetType" and "targetId" parameters.
+ * - Throws a Not Found (404) error if the target does not exist or is not visible to the user.
+ *********************/
+const FIND_REACTION_TARGET = async (Request) => {
+    const { targetType, targetId } = Request.params;
+
+    const Target = await REACTION_TARGET_FINDERS[targetType](Request, targetId);
+
+    if (!Target) throw new API_ERROR(404, "Target not found...!");
+
+    return Target;
+}
+
+/*********************
+ * Count the likes and dislikes of a target, and find the reaction of the given user.
+ *********************/
+const GET_REACTION_SUMMARY = async (TargetType, TargetId, UserId) => {
+    const [Counts, MyReaction] = await Promise.all([
+        REACTION.aggregate([
+            { $match: { targetType: TargetType, target: new MONGOOSE.Types.ObjectId(TargetId) } },
+            { $group: { _id: "$type", count: { $sum: 1 } } },
+        ]),
+        UserId ? REACTION.findOne({ targetType: TargetType, target: TargetId, user: UserId }).select("type").lean() : null,
+    ]);
+
+    const CountOf = (Type) => Counts.find((Count) => Count._id === Type)?.count || 0;
+
+    return {
+        likesCount: CountOf(REACTION_TYPES.LIKE),
+        dislikesCount: CountOf(REACTION_TYPES.DISLIKE),
+        myReaction: MyReaction?.type || null,
+    };
+}
+
+/*********************
+ * Define the TOGGLE_REACTION controller.
+ * - Likes or dislikes a target as the authenticated user, with toggle semantics:
+ *   - Sending the reaction the user already has removes it.
+ *   - Sending the other reaction replaces it (a like becomes a dislike and vice versa).
+ * - Returns the counts of the target and the reaction of the user after the change.
+ *********************/
+export const TOGGLE_REACTION = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { targetType, targetId } = Request.params;
+        const { type } = Request.body;
+        const Filter = { targetType, target: targetId, user: Request.User._id };
+
+        await FIND_REACTION_TARGET(Request);
+
+        /*******
+         * Remove the reaction if the user already had it, otherwise create or replace it.
+         * - The unique index on { targetType, target, user } makes a concurrent upsert fail with a duplicate key error,
+         *   in which case the reaction the other request wrote is kept.
+         *******/
+        const { deletedCount } = await REACTION.deleteOne({ ...Filter, type });
+
+        if (deletedCount === 0) {
+            try {
+                await REACTION.updateOne(Filter, { $set: { type } }, { upsert: true });
+            } catch (error) {
+                if (error?.code !== 11000) throw error;
+            }
+        }
+
+        const Summary = await GET_REACTION_SUMMARY(targetType, targetId, Request.User._id);
+
+        return Response.status(200).json(
+            new API_RESPONSE(
+                200,
+                Summary,
+                Summary.myReaction ? `Reaction set to ${Summary.myReaction} Successfully...!` : "Reaction removed Successfully...!"
+            )
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_REACTIONS controller.
+ * - Returns the number of likes and dislikes of a target, and the reaction of the authenticated user (null when anonymous).
+ *********************/
+export const GET_REACTIONS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { targetType, targetId } = Request.params;
+
+        await FIND_REACTION_TARGET(Request);
+
+        const Summary = await GET_REACTION_SUMMARY(targetType, targetId, Request.User?._id);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Summary, "Reactions fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_LIKED_VIDEOS controller.
+ * - Returns the paginated videos the authenticated user liked, most recently liked first, with a summary of their owner.
+ * - Videos that were deleted, or unpublished by another user, are left out.
+ *********************/
+export const GET_LIKED_VIDEOS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { page, limit } = Request.query;
+        const UserId = Request.User._id;
+
+        const Aggregate = REACTION.aggregate([
+            { $match: { user: UserId, targetType: REACTION_TARGET_TYPES.VIDEO, type: REACTION_TYPES.LIKE } },
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "target",
+                    foreignField: "_id",
+                    as: "video",
+                    pipeline: [
+                        { $match: { $or: [{ isPublished: true }, { owner: UserId }] } },
+                        ...USER_SUMMARY_LOOKUP_STAGES("owner"),
+                    ],
+                },
+            },
+            { $unwind: "$video" },
+            { $replaceRoot: { newRoot: { $mergeObjects: ["$video", { likedAt: "$updatedAt" }] } } },
+        ]);
+
+        const LikedVideos = await REACTION.aggregatePaginate(Aggregate, {
+            page,
+            limit,
+            sort: { likedAt: -1, _id: -1 },
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, LikedVideos, "Liked videos fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
@@ -0,0 +1,165 @@
+/*********************
+ * Import necessary packages and modules.
+ * - mongoose: Used here to build MongoDB ObjectIds.
+ *********************/
+import MONGOOSE from "mongoose";
+
+/*********************
+ * Import custom modules and functions.
+ * - ASYNCHRONOUS_HANDLER: Wrapper to handle asynchronous operations and error handling.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - API_RESPONSE: Custom class for standardized API responses.
+ * - USER: Mongoose model representing the User schema.
+ * - SUBSCRIPTION: Mongoose model representing the Subscription schema.
+ * - HAS_PERMISSIONS, PERMISSIONS: Function and constants to check the permissions of the user.
+ * - USER_SUMMARY_LOOKUP_STAGES: Aggregation stages that replace a user reference with a public summary of the user.
+ *********************/
+import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { API_RESPONSE } from "../Utilities/ApiResponse.js";
+import { USER } from "../Models/User.Model.js";
+import { SUBSCRIPTION } from "../Models/Subscription.Model.js";
+import { HAS_PERMISSIONS, PERMISSIONS } from "../Utilities/Permissions.js";
+import { USER_SUMMARY_LOOKUP_STAGES } from "../Utilities/AggregationStages.js";
+
+/*********************
+ * Make sure the authenticated user may list the subscriptions of another user.
+ * - Subscriber and subscription lists are private: only the user themself and users allowed to read any user can see them.
+ * - Throws a Forbidden (403) error otherwise.
+ *********************/
+const ENSURE_CAN_READ_SUBSCRIPTIONS_OF = (Request, UserId) => {
+    if (String(UserId) === String(Request.User._id)) return;
+
+    if (!HAS_PERMISSIONS(Request.User, PERMISSIONS.USERS_READ_ANY)) {
+        throw new API_ERROR(403, "You are not allowed to see the subscriptions of this user...!");
+    }
+}
+
+/*********************
+ * Define the TOGGLE_SUBSCRIPTION controller.
+ * - Subscribes the authenticated user to a channel, or unsubscribes them if they were already subscribed.
+ * - Users cannot subscribe to their own channel.
+ *********************/
+export const TOGGLE_SUBSCRIPTION = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { channelId } = Request.params;
+
+        if (String(channelId) === String(Request.User._id)) throw new API_ERROR(400, "You cannot subscribe to your own channel...!");
+
+        const Channel = await USER.exists({ _id: channelId });
+
+        if (!Channel) throw new API_ERROR(404, "Channel not found...!");
+
+        /*******
+         * Unsubscribe if a subscription exists, otherwise subscribe.
+         * - The unique index on { subscriber, channel } makes a concurrent second subscription fail with a duplicate key error,
+         *   which simply means the user is already subscribed.
+         *******/
+        const { deletedCount } = await SUBSCRIPTION.deleteOne({ subscriber: Request.User._id, channel: channelId });
+
+        if (deletedCount === 0) {
+            try {
+                await SUBSCRIPTION.create({ subscriber: Request.User._id, channel: channelId });
+            } catch (error) {
+                if (error?.code !== 11000) throw error;
+            }
+        }
+
+        const isSubscribed = deletedCount === 0;
+
+        return Response.status(200).json(
+            new API_RESPONSE(
+                200,
+                { isSubscribed },
+                isSubscribed ? "Subscribed Successfully...!" : "Unsubscribed Successfully...!"
+            )
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_CHANNEL_SUBSCRIBERS controller.
+ * - Returns the paginated subscribers of a channel, newest first, with a public summary of each subscriber.
+ * - Only the owner of the channel (or a user allowed to read any user) can list its subscribers.
+ *********************/
+export const GET_CHANNEL_SUBSCRIBERS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { channelId } = Request.params;
+        const { page, limit } = Request.query;
+
+        ENSURE_CAN_READ_SUBSCRIPTIONS_OF(Request, channelId);
+
+        const Aggregate = SUBSCRIPTION.aggregate([
+            { $match: { channel: new MONGOOSE.Types.ObjectId(channelId) } },
+            ...USER_SUMMARY_LOOKUP_STAGES("subscriber"),
+            { $project: { subscriber: 1, createdAt: 1 } },
+        ]);
+
+        const Subscribers = await SUBSCRIPTION.aggregatePaginate(Aggregate, {
+            page,
+            limit,
+            sort: { createdAt: -1, _id: -1 },
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Subscribers, "Subscribers fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_SUBSCRIBED_CHANNELS controller.
+ * - Returns the paginated channels a user is subscribed to, most recent subscriptions first.
+ * - Only the user themself (or a user allowed to read any user) can list their subscriptions.
+ *********************/
+export const GET_SUBSCRIBED_CHANNELS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { subscriberId } = Request.params;
+        const { page, limit } = Request.query;
+
+        ENSURE_CAN_READ_SUBSCRIPTIONS_OF(Request, subscriberId);
+
+        const Aggregate = SUBSCRIPTION.aggregate([
+            { $match: { subscriber: new MONGOOSE.Types.ObjectId(subscriberId) } },
+            ...USER_SUMMARY_LOOKUP_STAGES("channel"),
+            { $project: { channel: 1, createdAt: 1 } },
+        ]);
+
+        const Channels = await SUBSCRIPTION.aggregatePaginate(Aggregate, {
+            page,
+            limit,
+            sort: { createdAt: -1, _id: -1 },
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Channels, "Subscribed channels fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
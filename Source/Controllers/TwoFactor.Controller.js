@@ -0,0 +1,244 @@
+/*********************
+ * Import necessary packages and modules.
+ * - process: Node.js process module to access environment variables.
+ *********************/
+import PROCESS from "node:process";
+
+/*********************
+ * Import custom modules and functions.
+ * - ASYNCHRONOUS_HANDLER: Wrapper to handle asynchronous operations and error handling.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - API_RESPONSE: Custom class for standardized API responses.
+ * - USER: Mongoose model representing the User schema.
+ * - HASH_STRING: Helper function that returns the SHA-256 hash of a string.
+ * - GENERATE_TOTP_SECRET, VERIFY_TOTP, BUILD_OTPAUTH_URI, GENERATE_RECOVERY_CODES, NORMALISE_RECOVERY_CODE:
+ *   Functions implementing TOTP (RFC 6238) and recovery codes.
+ *********************/
+import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { API_RESPONSE } from "../Utilities/ApiResponse.js";
+import { USER } from "../Models/User.Model.js";
+import { HASH_STRING } from "../Utilities/HelperFunctions.js";
+import {
+    GENERATE_TOTP_SECRET,
+    VERIFY_TOTP,
+    BUILD_OTPAUTH_URI,
+    GENERATE_RECOVERY_CODES,
+    NORMALISE_RECOVERY_CODE,
+} from "../Utilities/Totp.js";
+
+/*********************
+ * Generate a new set of recovery codes.
+ * - Returns the plain codes, shown to the user once, and their hashes, which are the only thing stored.
+ *********************/
+const CREATE_RECOVERY_CODES = () => {
+    const RecoveryCodes = GENERATE_RECOVERY_CODES(10);
+
+    return {
+        RecoveryCodes,
+        RecoveryCodeHashes: RecoveryCodes.map((Code) => HASH_STRING(NORMALISE_RECOVERY_CODE(Code))),
+    };
+}
+
+/*********************
+ * Load the authenticated user with their password and check it.
+ * - Sensitive two-factor operations require the current password, so a stolen access token is not enough.
+ * - If the password is incorrect, throw a Bad Request (400) error.
+ *********************/
+const FIND_USER_WITH_PASSWORD = async (UserId, Password) => {
+    const User = await USER.findById(UserId);
+
+    if (!User) throw new API_ERROR(401, "Unauthorized request...!");
+
+    const isPasswordMatched = await User.isPasswordCorrect(Password);
+
+    if (!isPasswordMatched) throw new API_ERROR(400, "Incorrect password...!");
+
+    return User;
+}
+
+/*********************
+ * Define the ENROLL_TWO_FACTOR controller.
+ * - Starts the enrollment: generates a new TOTP secret, stored as pending until it is confirmed with a first code.
+ * - Returns the secret and the "otpauth://" URI to be added to an authenticator app (usually as a QR code).
+ * - Requires the current password.
+ *********************/
+export const ENROLL_TWO_FACTOR = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { password } = Request.body;
+
+        const User = await FIND_USER_WITH_PASSWORD(Request.User._id, password);
+
+        if (User.twoFactor?.isEnabled) throw new API_ERROR(409, "Two-factor authentication is already enabled...!");
+
+        const Secret = GENERATE_TOTP_SECRET();
+
+        await USER.updateOne({ _id: User._id }, { $set: { "twoFactor.pendingSecret": Secret } });
+
+        return Response.status(200).json(
+            new API_RESPONSE(
+                200,
+                {
+                    secret: Secret,
+                    otpauthUri: BUILD_OTPAUTH_URI({
+                        Secret,
+                        Issuer: PROCESS.env.TWO_FACTOR_ISSUER || "YouTube Clone",
+                        AccountName: User.email,
+                    }),
+                },
+                "Scan the code with your authenticator app, then confirm it with a code...!"
+            )
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the CONFIRM_TWO_FACTOR controller.
+ * - Completes the enrollment with a code of the pending secret, which proves the authenticator app is set up.
+ * - Enables two-factor authentication and returns the recovery codes. They are only shown this once.
+ *********************/
+export const CONFIRM_TWO_FACTOR = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { code } = Request.body;
+
+        const User = await USER.findById(Request.User._id).select("+twoFactor.pendingSecret");
+
+        if (User.twoFactor?.isEnabled) throw new API_ERROR(409, "Two-factor authentication is already enabled...!");
+        if (!User.twoFactor?.pendingSecret) throw new API_ERROR(400, "Two-factor authentication enrollment has not been started...!");
+
+        const Step = VERIFY_TOTP(User.twoFactor.pendingSecret, code);
+
+        if (Step === null) throw new API_ERROR(400, "Invalid two-factor authentication code...!");
+
+        const { RecoveryCodes, RecoveryCodeHashes } = CREATE_RECOVERY_CODES();
+
+        /*******
+         * Promote the pending secret, only if it has not been replaced by a concurrent enrollment meanwhile.
+         *******/
+        const Result = await USER.updateOne(
+            { _id: User._id, "twoFactor.pendingSecret": User.twoFactor.pendingSecret },
+            {
+                $set: {
+                    "twoFactor.isEnabled": true,
+                    "twoFactor.secret": User.twoFactor.pendingSecret,
+                    "twoFactor.recoveryCodes": RecoveryCodeHashes,
+                    "twoFactor.lastUsedStep": Step,
+                    "twoFactor.enabledAt": new Date(),
+                },
+                $unset: { "twoFactor.pendingSecret": "" },
+            }
+        );
+
+        if (Result.modifiedCount !== 1) throw new API_ERROR(409, "Two-factor authentication enrollment has changed, please try again...!");
+
+        return Response.status(200).json(
+            new API_RESPONSE(
+                200,
+                { recoveryCodes: RecoveryCodes },
+                "Two-factor authentication enabled Successfully, store your recovery codes in a safe place...!"
+            )
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the DISABLE_TWO_FACTOR controller.
+ * - Disables two-factor authentication and removes the secret and the recovery codes.
+ * - Requires the current password and a TOTP or recovery code.
+ *********************/
+export const DISABLE_TWO_FACTOR = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { password, code } = Request.body;
+
+        const User = await FIND_USER_WITH_PASSWORD(Request.User._id, password);
+
+        if (!User.twoFactor?.isEnabled) throw new API_ERROR(400, "Two-factor authentication is not enabled...!");
+
+        const isCodeCorrect = await User.isSecondFactorCorrect(code);
+
+        if (!isCodeCorrect) throw new API_ERROR(400, "Invalid two-factor authentication code...!");
+
+        await USER.updateOne(
+            { _id: User._id },
+            {
+                $set: {
+                    "twoFactor.isEnabled": false,
+                    "twoFactor.enabledAt": null,
+                },
+                $unset: {
+                    "twoFactor.secret": "",
+                    "twoFactor.pendingSecret": "",
+                    "twoFactor.recoveryCodes": "",
+                    "twoFactor.lastUsedStep": "",
+                },
+            }
+        );
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, {}, "Two-factor authentication disabled Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the REGENERATE_RECOVERY_CODES controller.
+ * - Replaces every recovery code with a new set, e.g. when the previous ones were lost or mostly used.
+ * - Requires a TOTP or recovery code.
+ *********************/
+export const REGENERATE_RECOVERY_CODES = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { code } = Request.body;
+
+        const User = await USER.findById(Request.User._id);
+
+        if (!User.twoFactor?.isEnabled) throw new API_ERROR(400, "Two-factor authentication is not enabled...!");
+
+        const isCodeCorrect = await User.isSecondFactorCorrect(code);
+
+        if (!isCodeCorrect) throw new API_ERROR(400, "Invalid two-factor authentication code...!");
+
+        const { RecoveryCodes, RecoveryCodeHashes } = CREATE_RECOVERY_CODES();
+
+        await USER.updateOne({ _id: User._id }, { $set: { "twoFactor.recoveryCodes": RecoveryCodeHashes } });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { recoveryCodes: RecoveryCodes }, "Recovery codes regenerated Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
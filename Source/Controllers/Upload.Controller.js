@@ -0,0 +1,286 @@
+/*********************
+ * Import custom modules and functions.
+ * - ASYNCHRONOUS_HANDLER: Wrapper to handle asynchronous operations and error handling.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - API_RESPONSE: Custom class for standardized API responses.
+ * - CREATE_UPLOAD, GET_UPLOAD, WITH_UPLOAD_LOCK, APPEND_TO_UPLOAD, VERIFY_UPLOAD_CHECKSUM, DISCARD_UPLOAD:
+ *   Functions managing the resumable uploads stored in Redis and in "Public/Temporary/Uploads".
+ * - RESUMABLE_UPLOAD_MAX_FILE_BYTES: Largest file that can be uploaded in chunks.
+ * - PUBLISH_VIDEO: Uploads a video file and its thumbnail and creates the video.
+ * - UPLOAD_POLICIES, ENFORCE_UPLOAD_POLICY: Upload policies of the form fields, and the function checking a file against one.
+ *********************/
+import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { API_RESPONSE } from "../Utilities/ApiResponse.js";
+import {
+    CREATE_UPLOAD,
+    GET_UPLOAD,
+    WITH_UPLOAD_LOCK,
+    APPEND_TO_UPLOAD,
+    VERIFY_UPLOAD_CHECKSUM,
+    DISCARD_UPLOAD,
+    RESUMABLE_UPLOAD_MAX_FILE_BYTES,
+} from "../Utilities/ResumableUploads.js";
+import { PUBLISH_VIDEO } from "../Utilities/VideoPublishing.js";
+import { UPLOAD_POLICIES, ENFORCE_UPLOAD_POLICY } from "../Utilities/UploadPolicies.js";
+
+/*********************
+ * Content types accepted for the chunks of an upload.
+ * - "application/offset+octet-stream" is the type used by the tus protocol, plain "application/octet-stream" is accepted too.
+ *********************/
+const CHUNK_CONTENT_TYPES = ["application/offset+octet-stream", "application/octet-stream"];
+
+/*********************
+ * Describe an upload for the responses, without its owner and the path of its file.
+ *********************/
+const UPLOAD_SUMMARY = (Upload) => ({
+    uploadId: Upload.id,
+    fileName: Upload.fileName,
+    fileSize: Upload.fileSize,
+    mimeType: Upload.mimeType,
+    offset: Upload.offset,
+    isComplete: Upload.offset === Upload.fileSize,
+    createdAt: Upload.createdAt,
+    expiresAt: Upload.expiresAt,
+});
+
+/*********************
+ * Set the headers describing the progress of an upload, named like the tus protocol headers.
+ *********************/
+const SET_UPLOAD_HEADERS = (Response, Upload) => {
+    Response.set({
+        "Upload-Offset": String(Upload.offset),
+        "Upload-Length": String(Upload.fileSize),
+        "Cache-Control": "no-store",
+    });
+}
+
+/*********************
+ * Define the CREATE_RESUMABLE_UPLOAD controller.
+ * - Starts a resumable upload of a video file for the authenticated user.
+ * - The client announces the name, size, MIME type and SHA-256 checksum of the file, then sends its content
+ *   in one or more chunks (APPEND_TO_RESUMABLE_UPLOAD) and finally publishes it (COMPLETE_RESUMABLE_UPLOAD).
+ *********************/
+export const CREATE_RESUMABLE_UPLOAD = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { fileName, fileSize, mimeType, checksum } = Request.body;
+        const Policy = UPLOAD_POLICIES.videoFile;
+
+        /*******
+         * Reject types that will not be accepted once the file is assembled, before anything is uploaded.
+         * - The content itself is checked against the policy when the upload is completed.
+         *******/
+        if (!Policy.MimeTypes.includes(mimeType)) {
+            throw new API_ERROR(415, `${Policy.Label} must be one of: ${Policy.MimeTypes.join(", ")}...!`);
+        }
+
+        const Upload = await CREATE_UPLOAD({
+            OwnerId: Request.User._id,
+            FileName: fileName,
+            FileSize: fileSize,
+            MimeType: mimeType,
+            Checksum: checksum,
+        });
+
+        SET_UPLOAD_HEADERS(Response, Upload);
+        Response.location(`${Request.baseUrl}/${Upload.id}`);
+
+        return Response.status(201).json(
+            new API_RESPONSE(201, UPLOAD_SUMMARY(Upload), "Upload created Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_RESUMABLE_UPLOAD controller.
+ * - Returns the progress of an upload, so the client knows from which offset to resume.
+ * - The offset is also sent in the "Upload-Offset" header, which makes HEAD requests enough to resume.
+ *********************/
+export const GET_RESUMABLE_UPLOAD = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const Upload = await GET_UPLOAD(Request.params.uploadId, Request.User._id);
+
+        SET_UPLOAD_HEADERS(Response, Upload);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, UPLOAD_SUMMARY(Upload), "Upload fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the APPEND_TO_RESUMABLE_UPLOAD controller.
+ * - Appends the raw request body to an upload.
+ * - The "Upload-Offset" header must hold the current offset of the upload, so a chunk is never written twice
+ *   or out of order. After a failure, the client asks for the offset (GET or HEAD) and resumes from there.
+ *********************/
+export const APPEND_TO_RESUMABLE_UPLOAD = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { uploadId } = Request.params;
+        const OffsetHeader = Request.get("Upload-Offset");
+        const LengthHeader = Request.get("Content-Length");
+
+        if (!CHUNK_CONTENT_TYPES.includes(Request.get("Content-Type")?.split(";")[0].trim().toLowerCase())) {
+            throw new API_ERROR(415, `Chunks must be sent as ${CHUNK_CONTENT_TYPES.join(" or ")}...!`);
+        }
+
+        if (!/^\d+$/.test(OffsetHeader || "")) throw new API_ERROR(400, "Upload-Offset header must be a non-negative integer...!");
+
+        const Upload = await WITH_UPLOAD_LOCK(uploadId, async () => {
+            /*******
+             * Read the upload again once the lock is held, its offset may have changed in the meantime.
+             *******/
+            const LockedUpload = await GET_UPLOAD(uploadId, Request.User._id);
+
+            SET_UPLOAD_HEADERS(Response, LockedUpload);
+
+            LockedUpload.offset = await APPEND_TO_UPLOAD(
+                LockedUpload,
+                Number(OffsetHeader),
+                Request,
+                LengthHeader ? Number(LengthHeader) : undefined
+            );
+
+            return LockedUpload;
+        });
+
+        SET_UPLOAD_HEADERS(Response, Upload);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, UPLOAD_SUMMARY(Upload), "Chunk uploaded Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the COMPLETE_RESUMABLE_UPLOAD controller.
+ * - Publishes the video once every byte of the file has been received:
+ *   - The SHA-256 hash of the assembled file must match the checksum announced when the upload started,
+ *     otherwise the upload is discarded and an Unprocessable Content (422) error is returned.
+ *   - The file must pass the policy of the `videoFile` field (type detected from its content, duration, malware scan),
+ *     except for its size, which is limited by RESUMABLE_UPLOAD_MAX_FILE_BYTES.
+ *   - The file is then stored and the video created like POST /videos does, with the `thumbnail` file,
+ *     the title, the description and the publish status sent with this request.
+ * - The upload is forgotten once the video is published.
+ *********************/
+export const COMPLETE_RESUMABLE_UPLOAD = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { uploadId } = Request.params;
+        const { title, description, isPublished } = Request.body;
+
+        const CreatedVideo = await WITH_UPLOAD_LOCK(uploadId, async () => {
+            const Upload = await GET_UPLOAD(uploadId, Request.User._id);
+
+            if (Upload.offset !== Upload.fileSize) {
+                throw new API_ERROR(409, `The upload is incomplete, ${Upload.offset} of ${Upload.fileSize} bytes were received...!`);
+            }
+
+            /*******
+             * An upload whose content is rejected can never be completed, so it is discarded.
+             * - When the malware scanner is unavailable (503) the upload is kept, to be completed again later.
+             *******/
+            let VideoFile;
+
+            try {
+                if (!(await VERIFY_UPLOAD_CHECKSUM(Upload))) {
+                    throw new API_ERROR(422, "The checksum of the uploaded file does not match, the upload was discarded...!");
+                }
+
+                VideoFile = await ENFORCE_UPLOAD_POLICY(
+                    { fieldname: "videoFile", path: Upload.path, size: Upload.fileSize, mimetype: Upload.mimeType, originalname: Upload.fileName },
+                    { ...UPLOAD_POLICIES.videoFile, MaxBytes: RESUMABLE_UPLOAD_MAX_FILE_BYTES }
+                );
+            } catch (error) {
+                if (error?.statusCode < 500) await DISCARD_UPLOAD(Upload);
+
+                throw error;
+            }
+
+            /*******
+             * The storage driver moves (or uploads and removes) the assembled file, whether it succeeds or not,
+             * so the upload cannot be completed again afterwards and is forgotten in both cases.
+             *******/
+            try {
+                return await PUBLISH_VIDEO({
+                    OwnerId: Request.User._id,
+                    VideoFile,
+                    ThumbnailFile: Request.file,
+                    Title: title,
+                    Description: description,
+                    IsPublished: isPublished,
+                });
+            } finally {
+                await DISCARD_UPLOAD(Upload);
+            }
+        });
+
+        return Response.status(201).json(
+            new API_RESPONSE(201, CreatedVideo, "Video published successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the CANCEL_RESUMABLE_UPLOAD controller.
+ * - Abandons an upload and deletes the bytes received so far.
+ *********************/
+export const CANCEL_RESUMABLE_UPLOAD = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { uploadId } = Request.params;
+
+        await WITH_UPLOAD_LOCK(uploadId, async () => {
+            const Upload = await GET_UPLOAD(uploadId, Request.User._id);
+
+            await DISCARD_UPLOAD(Upload);
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { uploadId }, "Upload cancelled Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
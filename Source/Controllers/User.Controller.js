@@ -1,18 +1,51 @@
+/*********************
+ * Import necessary packages and modules.
+ * - jsonwebtoken: Library for creating and verifying JSON Web Tokens (JWTs).
+ * - process: Node.js process module to access environment variables.
+ *********************/
+import JSON_WEB_TOKEN from "jsonwebtoken";
+import PROCESS from "node:process";
+
 /*********************
  * Import custom modules and functions.
  * - ASYNCHRONOUS_HANDLER, ASYNCHRONOUS_HANDLER_TryCatch: Wrappers to handle asynchronous operations and error handling.
  * - API_ERROR: Custom error class for handling API errors.
  * - USER: Mongoose model representing the User schema.
- * - UPLOAD_FILE_ON_CLOUDINARY: Function to upload files to Cloudinary.
+ * - SESSION: Mongoose model representing the Session schema.
+ * - UPLOAD_FILE, DISCARD_UPLOADED_FILES, QUEUE_FILE_DELETION: Functions to upload files with the configured storage driver and delete them.
  * - API_RESPONSE: Custom class for standardized API responses.
  * - GENERATE_REFRESH_AND_ACCESS_TOKEN: Function to generate JWT access and refresh tokens.
+ * - LOG_WARN, LOG_ERROR: Logging functions for warning and error logs.
+ * - HASH_STRING, DESCRIBE_USER_AGENT, ESCAPE_HTML: Helper functions to hash tokens, label devices and escape mail contents.
+ * - CREATE_ONE_TIME_TOKEN, CONSUME_ONE_TIME_TOKEN: Functions to issue and redeem single-use, expiring tokens.
+ * - QUEUE_MAIL: Function to queue mails, sent in the background with the configured mail transport.
+ * - QUEUE_USER_IMAGES_STORAGE: Function to queue the storage of the images uploaded at registration.
+ * - REDIS: Redis client, used to throttle verification emails and count two-factor attempts.
+ * - ROLES, GET_ROLES_PERMISSIONS: Roles a user can have and the permissions they grant.
+ * - GET_LOGIN_LOCK, RECORD_LOGIN_FAILURE, RECORD_LOGIN_SUCCESS, UNLOCK_ACCOUNT, SIMULATE_PASSWORD_CHECK:
+ *   Functions protecting the login against brute-force attacks.
  *********************/
 import { ASYNCHRONOUS_HANDLER, ASYNCHRONOUS_HANDLER_TryCatch } from "../Utilities/AsynchronousHandler.js";
 import { API_ERROR } from "../Utilities/ApiError.js";
 import { USER } from "../Models/User.Model.js";
-import { UPLOAD_FILE_ON_CLOUDINARY } from "../Utilities/Cloudinary.js";
+import { SESSION } from "../Models/Session.Model.js";
+import { UPLOAD_FILE, DISCARD_UPLOADED_FILES, QUEUE_FILE_DELETION } from "../Utilities/Storage.js";
 import { API_RESPONSE } from "../Utilities/ApiResponse.js";
 import { GENERATE_REFRESH_AND_ACCESS_TOKEN } from "../Utilities/TokensGenerator.js";
+import { LOG_WARN, LOG_ERROR } from "../Utilities/WinstonLogger.js";
+import { HASH_STRING, DESCRIBE_USER_AGENT, ESCAPE_HTML } from "../Utilities/HelperFunctions.js";
+import { CREATE_ONE_TIME_TOKEN, CONSUME_ONE_TIME_TOKEN } from "../Utilities/OneTimeTokens.js";
+import { QUEUE_MAIL } from "../Utilities/Mailer.js";
+import { QUEUE_USER_IMAGES_STORAGE } from "../Utilities/UserImages.js";
+import { REDIS } from "../Redis.js";
+import { ROLES, GET_ROLES_PERMISSIONS } from "../Utilities/Permissions.js";
+import {
+    GET_LOGIN_LOCK,
+    RECORD_LOGIN_FAILURE,
+    RECORD_LOGIN_SUCCESS,
+    UNLOCK_ACCOUNT,
+    SIMULATE_PASSWORD_CHECK,
+} from "../Utilities/LoginProtection.js";
 
 /*********************
  * Define options globally for setting cookies.
@@ -24,17 +57,103 @@ const CookieOptions = {
     secure: true
 }
 
+/*********************
+ * Purpose of the one-time tokens used to reset a forgotten password.
+ *********************/
+const PASSWORD_RESET_TOKEN_PURPOSE = "PasswordReset";
+
+/*********************
+ * Purpose of the one-time tokens used to verify email addresses.
+ *********************/
+const EMAIL_VERIFICATION_TOKEN_PURPOSE = "EmailVerification";
+
+/*********************
+ * Number of invalid codes accepted for one two-factor challenge before the user has to log in again.
+ *********************/
+const TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS = 5;
+
+/*********************
+ * Purpose of the one-time tokens used to unlock an account locked after too many failed logins.
+ *********************/
+const ACCOUNT_UNLOCK_TOKEN_PURPOSE = "AccountUnlock";
+
+/*********************
+ * Send an account unlock link to a user whose account was locked after too many failed logins.
+ * - The token is valid for 1 hour, the link points to ACCOUNT_UNLOCK_URL with the token in the `token` query parameter.
+ *********************/
+const SEND_ACCOUNT_UNLOCK_EMAIL = async (User) => {
+    const Token = await CREATE_ONE_TIME_TOKEN({
+        Purpose: ACCOUNT_UNLOCK_TOKEN_PURPOSE,
+        UserId: User._id,
+        TimeToLiveSeconds: 60 * 60,
+    });
+
+    const UnlockUrl = new URL(PROCESS.env.ACCOUNT_UNLOCK_URL || "http://localhost:3000/unlock-account");
+    UnlockUrl.searchParams.set("token", Token);
+
+    await QUEUE_MAIL({
+        To: User.email,
+        Subject: "Your account has been locked",
+        Text: `Hi ${User.fullName},\n\nYour account was temporarily locked after several failed login attempts. If it was you, you can unlock it right away with the link below, which expires in 1 hour. If it was not you, consider resetting your password.\n\n${UnlockUrl}`,
+        Html: `<p>Hi ${ESCAPE_HTML(User.fullName)},</p><p>Your account was temporarily locked after several failed login attempts. If it was you, you can unlock it right away with the link below, which expires in 1 hour. If it was not you, consider resetting your password.</p><p><a href="${ESCAPE_HTML(UnlockUrl)}">Unlock my account</a></p>`,
+    });
+}
+
+/*********************
+ * Send an email verification link to a user.
+ * - Issues a new verification token, which invalidates any previous one, valid for
+ *   EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS (default 24 hours).
+ * - The link points to EMAIL_VERIFICATION_URL with the token in the `token` query parameter.
+ *********************/
+const SEND_EMAIL_VERIFICATION = async (User) => {
+    const ExpiryHours = Number(PROCESS.env.EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS) || 24;
+
+    const Token = await CREATE_ONE_TIME_TOKEN({
+        Purpose: EMAIL_VERIFICATION_TOKEN_PURPOSE,
+        UserId: User._id,
+        TimeToLiveSeconds: ExpiryHours * 60 * 60,
+    });
+
+    const VerificationUrl = new URL(PROCESS.env.EMAIL_VERIFICATION_URL || "http://localhost:3000/verify-email");
+    VerificationUrl.searchParams.set("token", Token);
+
+    await QUEUE_MAIL({
+        To: User.email,
+        Subject: "Verify your email address",
+        Text: `Hi ${User.fullName},\n\nPlease confirm your email address by opening the link below. It expires in ${ExpiryHours} hours.\n\n${VerificationUrl}\n\nIf you did not create an account, you can ignore this email.`,
+        Html: `<p>Hi ${ESCAPE_HTML(User.fullName)},</p><p>Please confirm your email address by opening the link below. It expires in ${ExpiryHours} hours.</p><p><a href="${ESCAPE_HTML(VerificationUrl)}">Verify my email</a></p><p>If you did not create an account, you can ignore this email.</p>`,
+    });
+}
+
+/*********************
+ * Collect the details describing the device a new session is created from.
+ * - deviceLabel: Taken from the request body if the client sends one, otherwise derived from the User-Agent header.
+ * - userAgent: The raw User-Agent header.
+ * - ipAddress: The IP address of the client.
+ *********************/
+const GET_SESSION_DETAILS = (Request) => {
+    const UserAgent = Request.get("User-Agent") || "";
+
+    return {
+        deviceLabel: Request.body?.deviceLabel?.trim() || DESCRIBE_USER_AGENT(UserAgent),
+        userAgent: UserAgent,
+        ipAddress: Request.ip,
+    };
+}
+
 /*********************
  * Define the REGISTER_NEW_USER controller.
  * - Handles user registration by validating input, checking for existing users, 
- *   uploading files to Cloudinary, creating the user in the database, and returning a response.
+ *   creating the user in the database, queuing the storage of its images, and returning a response.
+ * - The avatar and cover image are stored in the background (see UserImages.js), so the response does not wait for
+ *   the storage provider: their URLs are set on the user a moment after the registration.
  *********************/
 export const REGISTER_NEW_USER = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
     // get user details from frontend
     // validation - not empty
     // check if user already exists: username, email
     // check for images, check for avatar
-    // upload them to cloudinary, avatar
+    // upload them to the storage, avatar
     // create user object - create entry in db
     // remove password and refresh token field from response
     // check for user creation
@@ -43,6 +162,7 @@ export const REGISTER_NEW_USER = ASYNCHRONOUS_HANDLER(async (Request, Response)
     try {
         /*******
          * Destructure required fields from the request body.
+         * - The fields are validated and normalised by the VALIDATE middleware (REGISTER_NEW_USER_SCHEMA).
          *******/
         const {
             username,
@@ -51,18 +171,6 @@ export const REGISTER_NEW_USER = ASYNCHRONOUS_HANDLER(async (Request, Response)
             password,
         } = Request.body;
 
-        /*******
-         * Validate that all required fields are provided and not empty.
-         * - If any field is missing or empty, throw a Bad Request (400) error.
-         *******/
-        if (
-            [username, email, fullName, password,].some((field) => {
-                field?.trim() === ""
-            })
-        ) {
-            throw new API_ERROR(400, "All fields are required...!"); // Bad Request
-        }
-
         /*******
          * Check if a user with the same username or email already exists in the database.
          * - If such a user exists, throw a Bad Request (400) error.
@@ -74,48 +182,54 @@ export const REGISTER_NEW_USER = ASYNCHRONOUS_HANDLER(async (Request, Response)
         if (ExistingUser) throw new API_ERROR(400, "User already exist...!"); // Bad Request
 
         /*******
-         * Check if avatar and cover image file was uploaded.
-         * - if avatar and cover image file was uploaded, get its local file path.
-         * - If no avatar file is provided, throw a Bad Request (400) error.
-         *******/
-        let AvatarLocalPath;
-        let CoverImageLocalPath;
-
-        if (Request.files) {
-            if (Array.isArray(Request.files.avatar) && Request.files.avatar.length > 0)
-                AvatarLocalPath = Request.files.avatar[0].path;
-
-            if (Array.isArray(Request.files.coverImage) && Request.files.coverImage.length > 0)
-                CoverImageLocalPath = Request.files.coverImage[0].path;
-        }
-
-        if (!AvatarLocalPath) throw new API_ERROR(404, "Avatar file is required...!"); // Bad Request
-
-        /*******
-         * Upload the avatar and cover image files to Cloudinary.
-         * - If the upload fails, throw an Internal Server Error (500) error.
-         *******/
-        const UploadAvatarOnCloudinary = await UPLOAD_FILE_ON_CLOUDINARY(AvatarLocalPath);
-        const UploadCoverImageOnCloudinary = await UPLOAD_FILE_ON_CLOUDINARY(CoverImageLocalPath);
-
-        if (!UploadAvatarOnCloudinary) throw new API_ERROR(500, "Something went wrong while uploading avatar...!");
-        if (!UploadCoverImageOnCloudinary) throw new API_ERROR(500, "Something went wrong while uploading coverImage...!");
-
-        /*******
-         * Create a new user object in the database with the provided details and uploaded file URLs.
-         * - If user creation fails, throw an Internal Server Error (500) error.
+         * Create a new user object in the database with the provided details.
+         * - The images are not stored yet: the avatar and cover image are empty until the job storing them completes.
          *******/
         const CreatedUser = await USER.create({
             username: username.toLowerCase(),
             email,
             fullName,
             password,
-            avatar: UploadAvatarOnCloudinary.url,
-            coverImage: UploadCoverImageOnCloudinary?.url || "",
         });
 
         if (!CreatedUser) throw new API_ERROR(500, "Something went wrong while registering new User...!");
 
+        /*******
+         * Queue the storage of the avatar and cover image.
+         * - The VALIDATE middleware already rejected the request if no avatar file was uploaded.
+         * - The cover image is optional, so a missing cover image is not an error.
+         * - If the job cannot be queued, the user is deleted again so the registration can be retried,
+         *   and an Internal Server Error (500) error is thrown.
+         *******/
+        try {
+            await QUEUE_USER_IMAGES_STORAGE(CreatedUser._id, Request.files, { avatar: "Avatars", coverImage: "CoverImages" });
+        } catch (error) {
+            await USER.deleteOne({ _id: CreatedUser._id });
+
+            LOG_ERROR({
+                label: "User.Controller.js",
+                service: "REGISTER_NEW_USER",
+                error: `Images of user ${CreatedUser._id} could not be queued: ${error.message}`,
+            });
+
+            throw new API_ERROR(500, "Something went wrong while uploading avatar...!");
+        }
+
+        /*******
+         * Send the email verification link.
+         * - The account is already created at this point, so a mail failure is only logged:
+         *   the user can ask for a new link with the "/resend-verification" endpoint.
+         *******/
+        try {
+            await SEND_EMAIL_VERIFICATION(CreatedUser);
+        } catch (error) {
+            LOG_ERROR({
+                label: "User.Controller.js",
+                service: "REGISTER_NEW_USER",
+                error: `Verification mail could not be sent to user ${CreatedUser._id}: ${error.message}`,
+            });
+        }
+
         /*******
          * Return a successful response with the user's ID.
          *******/
@@ -134,10 +248,65 @@ export const REGISTER_NEW_USER = ASYNCHRONOUS_HANDLER(async (Request, Response)
     }
 });
 
+/*********************
+ * Complete a login: create a new session for the device, then respond with the user data and the tokens.
+ * - Used by LOGIN_USER, and by LOGIN_WITH_TWO_FACTOR once the second factor is checked.
+ * - SessionDetails: Overrides the details collected from the request (e.g. the device label of the 2FA challenge).
+ *********************/
+const SEND_LOGIN_RESPONSE = async (Request, Response, User, SessionDetails = {}) => {
+    /*******
+     * Generate access and refresh tokens for the user.
+     * - A new session is created for the device, so other signed-in devices stay signed in.
+     * - These tokens will be used for authentication and session management.
+     *******/
+    const { AccessToken, RefreshToken } = await GENERATE_REFRESH_AND_ACCESS_TOKEN({
+        User,
+        SessionDetails: { ...GET_SESSION_DETAILS(Request), ...SessionDetails },
+    });
+
+    /*******
+     * Prepare the user data to be returned in the response.
+     * - Include only necessary fields and exclude sensitive data like passwords.
+     *******/
+    const UserData = {
+        _id: User._id,
+        username: User.username,
+        email: User.email,
+        fullName: User.fullName,
+        avatar: User.avatar,
+        coverImage: User.coverImage,
+        watchHistory: User.watchHistory,
+        roles: User.roles,
+        isEmailVerified: User.isEmailVerified,
+        isTwoFactorEnabled: Boolean(User.twoFactor?.isEnabled),
+        accessToken: AccessToken,
+        refreshToken: RefreshToken,
+    }
+
+    /*******
+     * Send the response with the user data and set the access and refresh tokens in cookies.
+     * - Return a success status (200) with the user data and tokens.
+     *******/
+    return Response.status(200)
+        .cookie("accessToken", AccessToken, CookieOptions)
+        .cookie("refreshToken", RefreshToken, CookieOptions)
+        .json(
+            new API_RESPONSE(
+                200,
+                {
+                    user: UserData,
+                },
+                "User logged in Successfully...!"
+            )
+        );
+}
+
 /*********************
  * Define the LOGIN_USER controller.
  * - Handles user login by validating input, checking for existing users,
  *   verifying the password, generating JWT tokens, and returning a response.
+ * - Failed logins are tracked per account and per IP address (see LoginProtection.js): they are delayed more and more,
+ *   then locked temporarily. Unknown accounts and wrong passwords get the same "Invalid credentials" response.
  *********************/
 export const LOGIN_USER = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
     // req body -> data
@@ -152,6 +321,7 @@ export const LOGIN_USER = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
          * Destructure required fields from the request body.
          * - Either `username` or `email` is required for login.
          * - `password` is also required.
+         * - Both rules are enforced by the VALIDATE middleware (LOGIN_USER_SCHEMA).
          *******/
         const {
             username,
@@ -160,73 +330,235 @@ export const LOGIN_USER = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
         } = Request.body;
 
         /*******
-         * Validate that either `username` or `email` is provided.
-         * - If neither is provided, throw a Bad Request (400) error.
+         * Find the user in the database based on the provided `username` or `email`.
+         * - Failed logins are counted per account, or per typed identifier when no account matches,
+         *   so that unknown accounts get exactly the same responses as known ones.
+         *******/
+        const User = await USER.findOne({
+            $or: [{ username: username?.toLowerCase() }, { email: email?.toLowerCase() }]
+        });
+
+        const AccountKey = User ? `User:${User._id}` : `Identifier:${HASH_STRING((email || username).toLowerCase())}`;
+        const Ip = Request.ip;
+
+        /*******
+         * Reject the login while the account or the IP address is locked, with a Too Many Requests (429) error.
+         *******/
+        const Lock = await GET_LOGIN_LOCK({ AccountKey, Ip });
+
+        if (Lock.isLocked) {
+            Response.set("Retry-After", String(Lock.RetryAfterSeconds));
+
+            throw new API_ERROR(429, "Too many failed login attempts, please try again later...!");
+        }
+
+        /*******
+         * Check the password.
+         * - If the user does not exist or the password is incorrect, record the failure and throw the same
+         *   Unauthorized (401) error in both cases, so the response does not reveal whether the account exists.
+         * - The failure that locks an existing account sends an unlock link to its owner.
          *******/
-        if (!username && !email) {
-            throw new API_ERROR(400, "Username or email required...!");
+        const isPasswordMatched = User
+            ? await User.isPasswordCorrect(password)
+            : await SIMULATE_PASSWORD_CHECK(password).then(() => false);
+
+        if (!isPasswordMatched) {
+            const Failure = await RECORD_LOGIN_FAILURE({ AccountKey, Ip });
+
+            if (User && Failure.isNewAccountLock) {
+                SEND_ACCOUNT_UNLOCK_EMAIL(User).catch((error) => LOG_ERROR({
+                    label: "User.Controller.js",
+                    service: "LOGIN_USER",
+                    error: `Account unlock mail could not be sent to user ${User._id}: ${error.message}`,
+                }));
+            }
+
+            throw new API_ERROR(401, "Invalid credentials...!");
         }
 
         /*******
-         * Validate that the `password` is provided.
-         * - If the password is missing, throw a Bad Request (400) error.
+         * Forget the failed logins of the account once the user is authenticated.
+         * - With two-factor authentication, the password alone is not enough: the failures are only forgotten
+         *   once the second factor is checked (see LOGIN_WITH_TWO_FACTOR).
+         *******/
+        if (!User.twoFactor?.isEnabled) await RECORD_LOGIN_SUCCESS({ AccountKey });
+
+        /*******
+         * If REQUIRE_EMAIL_VERIFICATION_FOR_LOGIN is enabled, only users with a verified email can log in.
+         * - Otherwise, throw a Forbidden (403) error.
          *******/
-        if (!password) {
-            throw new API_ERROR(400, "Password required...!");
+        if (PROCESS.env.REQUIRE_EMAIL_VERIFICATION_FOR_LOGIN === "true" && !User.isEmailVerified) {
+            throw new API_ERROR(403, "Please verify your email address before logging in...!");
         }
 
         /*******
-         * Find the user in the database based on the provided `username` or `email`.
-         * - If a user with the provided credentials does not exist, throw a Not Found (404) error.
+         * If two-factor authentication is enabled, do not issue tokens yet.
+         * - Return a short-lived challenge token instead, to be exchanged together with a valid code on "/login/2fa".
          *******/
-        const User = await USER.findOne({
-            $or: [{ username: username?.toLowerCase() }, { email: email?.toLowerCase() }]
-        });
+        if (User.twoFactor?.isEnabled) {
+            const ChallengeToken = await User.GenerateTwoFactorChallengeToken(GET_SESSION_DETAILS(Request).deviceLabel);
+
+            return Response.status(200).json(
+                new API_RESPONSE(
+                    200,
+                    {
+                        twoFactorRequired: true,
+                        challengeToken: ChallengeToken,
+                    },
+                    "Two-factor authentication code required...!"
+                )
+            );
+        }
+
+        return await SEND_LOGIN_RESPONSE(Request, Response, User);
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the LOGOUT_USER controller.
+ * - This controller handles the user logout process by revoking the session the request was made with
+ *   and removing the access and refresh tokens from the cookies.
+ * - Sessions on other devices stay active.
+ *********************/
+export const LOGOUT_USER = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        /*******
+         * Revoke the current session.
+         * - The session is attached to the request during authentication.
+         * - Access tokens issued for this session are rejected from now on.
+         *******/
+        await SESSION.updateOne(
+            {
+                _id: Request.Session._id,
+            },
+            {
+                $set: {
+                    revokedAt: new Date(),
+                },
+            }
+        );
+
+        /*******
+         * Clear the access and refresh tokens from the user's cookies.
+         * - Return a successful response indicating the user has been logged out.
+         *******/
+        return Response.status(200)
+            .clearCookie("accessToken", CookieOptions)
+            .clearCookie("refreshToken", CookieOptions)
+            .json(
+                new API_RESPONSE(
+                    200,
+                    {},
+                    "User logged out Successfully...!"
+                )
+            );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the REFRESH_ACCESS_TOKEN controller.
+ * - Issues a fresh access/refresh token pair in exchange for a valid refresh token.
+ * - The refresh token is rotated on every call: the presented token is replaced in its session by the new one.
+ * - If a refresh token that was already rotated is presented again, the whole session (token family) is revoked,
+ *   because either the legitimate client or an attacker is holding a stolen copy.
+ *********************/
+export const REFRESH_ACCESS_TOKEN = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        /*******
+         * Read the incoming refresh token from the cookies or from the request body.
+         * - If no token is found, throw an Unauthorized (401) error.
+         *******/
+        const IncomingRefreshToken = Request.cookies?.refreshToken || Request.body?.refreshToken;
 
-        if (!User) throw new API_ERROR(404, "User does not exist with this username or email...!");
+        if (!IncomingRefreshToken) throw new API_ERROR(401, "Refresh token required...!");
 
         /*******
-         * Check if the provided password matches the user's stored password.
-         * - If the password is incorrect, throw a Bad Request (400) error.
+         * Verify the refresh token using the REFRESH_TOKEN_SECRET.
+         * - An invalid signature or an expired token results in an Unauthorized (401) error.
          *******/
-        const isPasswordMatched = await User.isPasswordCorrect(password);
+        let DecodedToken;
+
+        try {
+            DecodedToken = await JSON_WEB_TOKEN.verify(IncomingRefreshToken, PROCESS.env.REFRESH_TOKEN_SECRET);
+        } catch (error) {
+            throw new API_ERROR(401, "Invalid or expired refresh token...!");
+        }
 
-        if (!isPasswordMatched) throw new API_ERROR(400, "Incorrect password...!");
+        /*******
+         * Refresh tokens issued before sessions existed do not carry a session ID and cannot be rotated.
+         *******/
+        if (!DecodedToken?.sessionId || !DecodedToken?._id) throw new API_ERROR(401, "Invalid refresh token, please login again...!");
 
         /*******
-         * Generate access and refresh tokens for the user.
-         * - These tokens will be used for authentication and session management.
+         * Find the session the refresh token was issued for.
+         * - If the session no longer exists or was revoked, throw an Unauthorized (401) error.
          *******/
-        const { AccessToken } = await GENERATE_REFRESH_AND_ACCESS_TOKEN({ User });
+        const Session = await SESSION.findOne({
+            _id: DecodedToken.sessionId,
+            user: DecodedToken._id,
+        });
+
+        if (!Session || Session.revokedAt) throw new API_ERROR(401, "Session has expired or been revoked...!");
 
         /*******
-         * Prepare the user data to be returned in the response.
-         * - Include only necessary fields and exclude sensitive data like passwords.
+         * Compare the presented token with the latest one issued for the session.
+         * - If they differ, the presented token has already been used: revoke the whole session
+         *   so that neither copy can be used anymore.
          *******/
-        const UserData = {
-            _id: User._id,
-            username: User.username,
-            email: User.email,
-            fullName: User.fullName,
-            avatar: User.avatar,
-            coverImage: User.coverImage,
-            watchHistory: User.watchHistory,
-            accessToken: AccessToken,
+        if (Session.refreshTokenHash !== HASH_STRING(IncomingRefreshToken)) {
+            await SESSION.updateOne({ _id: Session._id }, { $set: { revokedAt: new Date() } });
+
+            LOG_WARN({
+                label: "User.Controller.js",
+                service: "REFRESH_ACCESS_TOKEN",
+                message: `Refresh token reuse detected for user ${Session.user}, session ${Session._id} revoked`,
+            });
+
+            throw new API_ERROR(401, "Refresh token reuse detected, please login again...!");
         }
 
         /*******
-         * Send the response with the user data and set the access and refresh tokens in cookies.
-         * - Return a success status (200) with the user data and tokens.
+         * Rotate the tokens inside the same session.
+         * - The new refresh token replaces the presented one in the session.
+         *******/
+        const { AccessToken, RefreshToken } = await GENERATE_REFRESH_AND_ACCESS_TOKEN({
+            _id: Session.user,
+            SessionId: Session._id,
+            PreviousRefreshToken: IncomingRefreshToken,
+        });
+
+        /*******
+         * Send the response with the new tokens and set them in cookies.
          *******/
         return Response.status(200)
             .cookie("accessToken", AccessToken, CookieOptions)
+            .cookie("refreshToken", RefreshToken, CookieOptions)
             .json(
                 new API_RESPONSE(
                     200,
                     {
-                        user: UserData,
+                        accessToken: AccessToken,
+                        refreshToken: RefreshToken,
                     },
-                    "User logged in Successfully...!"
+                    "Access token refreshed Successfully...!"
                 )
             );
     } catch (error) {
@@ -242,55 +574,115 @@ export const LOGIN_USER = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
 });
 
 /*********************
- * Define the LOGOUT_USER controller.
- * - This controller handles the user logout process by clearing the user's refresh token
- *   from the database and removing the access and refresh tokens from the cookies.
+ * Define the GET_ACTIVE_SESSIONS controller.
+ * - Returns every active session of the authenticated user, most recently used first.
+ * - The session the request was made with is flagged with `isCurrent: true`.
  *********************/
-export const LOGOUT_USER = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+export const GET_ACTIVE_SESSIONS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
     try {
         /*******
-         * Extract the user's ID from the request object.
-         * - This ID is attached to the request during authentication.
+         * Find the active sessions of the user.
+         * - The refresh token hash is never returned to the client.
          *******/
-        const User = Request.User._id;
+        const Sessions = await SESSION.find({
+            user: Request.User._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        })
+            .select("-refreshTokenHash")
+            .sort({ lastSeenAt: -1 })
+            .lean();
 
         /*******
-         * Update the user's document in the database to remove the refresh token.
-         * - The `$unset` operator removes the specified field from the document.
-         * - Setting `refreshToken` to `1` effectively clears the token from the document.
-         * - The `new: true` option returns the updated document.
-         * 
-         * Note: The `$set` operator (commented out) would set `refreshToken` to `null` instead of removing it.
+         * Flag the current session.
          *******/
-        await USER.findByIdAndUpdate(
-            User,
-            {
-                $unset: {
-                    refreshToken: 1,
-                },
+        const SessionsData = Sessions.map((Session) => ({
+            ...Session,
+            isCurrent: String(Session._id) === String(Request.Session._id),
+        }));
 
-                /*
-                    $set: {
-                        refreshToken: null,
-                    },
-                */
+        return Response.status(200).json(
+            new API_RESPONSE(200, { sessions: SessionsData }, "Active sessions fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the REVOKE_SESSION controller.
+ * - Revokes one session of the authenticated user, identified by the `sessionId` route parameter.
+ * - If the revoked session is the current one, the token cookies are cleared as well.
+ *********************/
+export const REVOKE_SESSION = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { sessionId } = Request.params;
+
+        /*******
+         * Revoke the session, only if it belongs to the authenticated user and is still active.
+         * - If no such session exists, throw a Not Found (404) error.
+         *******/
+        const Session = await SESSION.findOneAndUpdate(
+            {
+                _id: sessionId,
+                user: Request.User._id,
+                revokedAt: null,
             },
             {
-                new: true,
+                $set: {
+                    revokedAt: new Date(),
+                },
             }
         );
 
+        if (!Session) throw new API_ERROR(404, "Session not found...!");
+
         /*******
-         * Clear the access and refresh tokens from the user's cookies.
-         * - Return a successful response indicating the user has been logged out.
+         * Clear the cookies when the user revoked the session the request was made with.
+         *******/
+        if (String(Session._id) === String(Request.Session._id)) {
+            Response.clearCookie("accessToken", CookieOptions).clearCookie("refreshToken", CookieOptions);
+        }
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { sessionId: Session._id }, "Session revoked Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
          *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the LOGOUT_FROM_ALL_DEVICES controller.
+ * - Revokes every active session of the authenticated user, including the current one ("log out everywhere").
+ * - Clears the token cookies of the current device.
+ *********************/
+export const LOGOUT_FROM_ALL_DEVICES = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const RevokedSessions = await SESSION.RevokeUserSessions(Request.User._id);
+
         return Response.status(200)
             .clearCookie("accessToken", CookieOptions)
+            .clearCookie("refreshToken", CookieOptions)
             .json(
                 new API_RESPONSE(
                     200,
-                    {},
-                    "User logged out Successfully...!"
+                    { revokedSessions: RevokedSessions },
+                    "User logged out from all devices Successfully...!"
                 )
             );
     } catch (error) {
@@ -304,3 +696,708 @@ export const LOGOUT_USER = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
         throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
     }
 });
+
+/*********************
+ * Define the FORGOT_PASSWORD controller.
+ * - Sends a password reset link to the email address of the account, if such an account exists.
+ * - The reset token is single-use and expires after PASSWORD_RESET_TOKEN_EXPIRY_MINUTES (default 15 minutes).
+ * - Always responds with the same message, so the endpoint cannot be used to find out which emails are registered.
+ *********************/
+export const FORGOT_PASSWORD = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { email } = Request.body;
+
+        const User = await USER.findOne({ email: email.toLowerCase() });
+
+        if (User) {
+            /*******
+             * Issue a new reset token, which invalidates any previous one, and mail the reset link.
+             * - A mail failure is logged but not reported, to keep the response identical for every email.
+             *******/
+            const ExpiryMinutes = Number(PROCESS.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES) || 15;
+
+            const Token = await CREATE_ONE_TIME_TOKEN({
+                Purpose: PASSWORD_RESET_TOKEN_PURPOSE,
+                UserId: User._id,
+                TimeToLiveSeconds: ExpiryMinutes * 60,
+            });
+
+            const ResetUrl = new URL(PROCESS.env.PASSWORD_RESET_URL || "http://localhost:3000/reset-password");
+            ResetUrl.searchParams.set("token", Token);
+
+            try {
+                await QUEUE_MAIL({
+                    To: User.email,
+                    Subject: "Reset your password",
+                    Text: `Hi ${User.fullName},\n\nUse the link below to reset your password. It expires in ${ExpiryMinutes} minutes and can only be used once.\n\n${ResetUrl}\n\nIf you did not ask for a password reset, you can ignore this email.`,
+                    Html: `<p>Hi ${ESCAPE_HTML(User.fullName)},</p><p>Use the link below to reset your password. It expires in ${ExpiryMinutes} minutes and can only be used once.</p><p><a href="${ESCAPE_HTML(ResetUrl)}">Reset my password</a></p><p>If you did not ask for a password reset, you can ignore this email.</p>`,
+                });
+            } catch (error) {
+                LOG_ERROR({
+                    label: "User.Controller.js",
+                    service: "FORGOT_PASSWORD",
+                    error: `Password reset mail could not be sent to user ${User._id}: ${error.message}`,
+                });
+            }
+        }
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, {}, "If an account exists with this email, a password reset link has been sent...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the RESET_PASSWORD controller.
+ * - Redeems a reset token sent by FORGOT_PASSWORD and sets the new password.
+ * - Every session of the user is revoked afterwards, so the old password cannot keep anyone signed in.
+ *********************/
+export const RESET_PASSWORD = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { token, password } = Request.body;
+
+        /*******
+         * Consume the token: it is deleted as it is read, so it cannot be used twice.
+         * - If the token is unknown, expired or already used, throw a Bad Request (400) error.
+         *******/
+        const UserId = await CONSUME_ONE_TIME_TOKEN({ Purpose: PASSWORD_RESET_TOKEN_PURPOSE, Token: token });
+
+        if (!UserId) throw new API_ERROR(400, "Password reset token is invalid or has expired...!");
+
+        const User = await USER.findById(UserId);
+
+        if (!User) throw new API_ERROR(400, "Password reset token is invalid or has expired...!");
+
+        /*******
+         * Save the new password (hashed by the pre-save hook of the User model) and revoke every session.
+         *******/
+        User.password = password;
+        await User.save();
+
+        const RevokedSessions = await SESSION.RevokeUserSessions(User._id);
+
+        return Response.status(200)
+            .clearCookie("accessToken", CookieOptions)
+            .clearCookie("refreshToken", CookieOptions)
+            .json(
+                new API_RESPONSE(
+                    200,
+                    { revokedSessions: RevokedSessions },
+                    "Password reset Successfully, please log in again...!"
+                )
+            );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the VERIFY_EMAIL controller.
+ * - Redeems an email verification token sent after registration (or by RESEND_EMAIL_VERIFICATION)
+ *   and marks the email address of the user as verified.
+ * - Grants the admin role to the accounts listed in ADMIN_EMAILS.
+ *********************/
+export const VERIFY_EMAIL = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { token } = Request.body;
+
+        /*******
+         * Consume the token.
+         * - If the token is unknown, expired or already used, throw a Bad Request (400) error.
+         *******/
+        const UserId = await CONSUME_ONE_TIME_TOKEN({ Purpose: EMAIL_VERIFICATION_TOKEN_PURPOSE, Token: token });
+
+        if (!UserId) throw new API_ERROR(400, "Email verification token is invalid or has expired...!");
+
+        const User = await USER.findOneAndUpdate(
+            { _id: UserId },
+            {
+                $set: {
+                    isEmailVerified: true,
+                    emailVerifiedAt: new Date(),
+                },
+            },
+            { new: true }
+        );
+
+        /*******
+         * Bootstrap the administrators: accounts whose verified email is listed in ADMIN_EMAILS get the admin role.
+         * - Only done once the email is verified, so nobody can claim the role by registering with a listed email.
+         *******/
+        const AdminEmails = (PROCESS.env.ADMIN_EMAILS || "").split(",").map((Email) => Email.trim().toLowerCase()).filter(Boolean);
+
+        if (User && AdminEmails.includes(User.email) && !User.roles.includes(ROLES.ADMIN)) {
+            await USER.updateOne({ _id: User._id }, { $addToSet: { roles: ROLES.ADMIN } });
+        }
+
+        if (!User) throw new API_ERROR(400, "Email verification token is invalid or has expired...!");
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { isEmailVerified: User.isEmailVerified }, "Email verified Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the RESEND_EMAIL_VERIFICATION controller.
+ * - Sends a new email verification link to an unverified account.
+ * - Does not require authentication, because users cannot log in before verifying their email
+ *   when REQUIRE_EMAIL_VERIFICATION_FOR_LOGIN is enabled.
+ * - Throttled per email address: one mail every EMAIL_VERIFICATION_RESEND_INTERVAL_SECONDS (default 60 seconds),
+ *   otherwise a Too Many Requests (429) error is thrown.
+ * - Responds with the same message whether or not the email is registered or already verified.
+ *********************/
+export const RESEND_EMAIL_VERIFICATION = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { email } = Request.body;
+
+        /*******
+         * Throttle by email address, whether or not it is registered, so the throttle does not reveal registered emails.
+         *******/
+        const IntervalSeconds = Number(PROCESS.env.EMAIL_VERIFICATION_RESEND_INTERVAL_SECONDS) || 60;
+        const ThrottleKey = `EmailVerification:Resend:${HASH_STRING(email.toLowerCase())}`;
+
+        const isAllowed = await REDIS.set(ThrottleKey, "1", "EX", IntervalSeconds, "NX");
+
+        if (!isAllowed) {
+            const RetryAfter = await REDIS.ttl(ThrottleKey);
+
+            Response.set("Retry-After", String(Math.max(RetryAfter, 1)));
+
+            throw new API_ERROR(429, "Please wait before requesting another verification email...!");
+        }
+
+        const User = await USER.findOne({ email: email.toLowerCase() });
+
+        if (User && !User.isEmailVerified) await SEND_EMAIL_VERIFICATION(User);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, {}, "If an unverified account exists with this email, a verification link has been sent...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the LOGIN_WITH_TWO_FACTOR controller.
+ * - Second step of the login for users with two-factor authentication enabled.
+ * - Exchanges the challenge token returned by LOGIN_USER and a TOTP or recovery code for access and refresh tokens.
+ * - A challenge accepts at most TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS invalid codes and can only be completed once.
+ * - Invalid codes are failed logins like wrong passwords: they count towards the lockout of the account and of the IP address
+ *   (see LoginProtection.js), and the failures of the account are only forgotten once a valid code is sent.
+ *********************/
+export const LOGIN_WITH_TWO_FACTOR = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { challengeToken, code } = Request.body;
+
+        /*******
+         * Verify the challenge token.
+         * - If it is invalid, expired or not a challenge token, throw an Unauthorized (401) error.
+         *******/
+        let DecodedChallenge;
+
+        try {
+            DecodedChallenge = await JSON_WEB_TOKEN.verify(challengeToken, PROCESS.env.TWO_FACTOR_CHALLENGE_TOKEN_SECRET);
+        } catch (error) {
+            throw new API_ERROR(401, "Two-factor challenge is invalid or has expired, please log in again...!");
+        }
+
+        if (DecodedChallenge?.purpose !== "TwoFactorChallenge" || !DecodedChallenge?._id || !DecodedChallenge?.jti) {
+            throw new API_ERROR(401, "Two-factor challenge is invalid or has expired, please log in again...!");
+        }
+
+        /*******
+         * Count the attempts of this challenge, until the challenge token expires.
+         *******/
+        const ChallengeKey = `TwoFactorChallenge:${DecodedChallenge.jti}`;
+        const RemainingSeconds = Math.max(DecodedChallenge.exp - Math.floor(Date.now() / 1000), 1);
+
+        const Attempts = await REDIS.incr(`${ChallengeKey}:Attempts`);
+
+        if (Attempts === 1) await REDIS.expire(`${ChallengeKey}:Attempts`, RemainingSeconds);
+
+        if (Attempts > TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS) {
+            throw new API_ERROR(401, "Too many invalid codes, please log in again...!");
+        }
+
+        /*******
+         * Check the code.
+         * - If the user no longer has two-factor authentication enabled or the code is wrong, throw an Unauthorized (401) error.
+         *******/
+        const User = await USER.findById(DecodedChallenge._id);
+
+        if (!User?.twoFactor?.isEnabled) {
+            throw new API_ERROR(401, "Two-factor challenge is invalid or has expired, please log in again...!");
+        }
+
+        const AccountKey = `User:${User._id}`;
+        const Ip = Request.ip;
+
+        /*******
+         * Reject the code while the account or the IP address is locked, with a Too Many Requests (429) error.
+         *******/
+        const Lock = await GET_LOGIN_LOCK({ AccountKey, Ip });
+
+        if (Lock.isLocked) {
+            Response.set("Retry-After", String(Lock.RetryAfterSeconds));
+
+            throw new API_ERROR(429, "Too many failed login attempts, please try again later...!");
+        }
+
+        /*******
+         * Record an invalid code as a failed login.
+         * - The failure that locks the account sends an unlock link to its owner.
+         *******/
+        const isCodeCorrect = await User.isSecondFactorCorrect(code);
+
+        if (!isCodeCorrect) {
+            const Failure = await RECORD_LOGIN_FAILURE({ AccountKey, Ip });
+
+            if (Failure.isNewAccountLock) {
+                SEND_ACCOUNT_UNLOCK_EMAIL(User).catch((error) => LOG_ERROR({
+                    label: "User.Controller.js",
+                    service: "LOGIN_WITH_TWO_FACTOR",
+                    error: `Account unlock mail could not be sent to user ${User._id}: ${error.message}`,
+                }));
+            }
+
+            throw new API_ERROR(401, "Invalid two-factor authentication code...!");
+        }
+
+        /*******
+         * Complete the challenge only once, even under concurrent requests.
+         *******/
+        const isFirstCompletion = await REDIS.set(`${ChallengeKey}:Completed`, "1", "EX", RemainingSeconds, "NX");
+
+        if (!isFirstCompletion) {
+            throw new API_ERROR(401, "Two-factor challenge is invalid or has expired, please log in again...!");
+        }
+
+        await RECORD_LOGIN_SUCCESS({ AccountKey });
+
+        return await SEND_LOGIN_RESPONSE(Request, Response, User, {
+            deviceLabel: Request.body.deviceLabel || DecodedChallenge.deviceLabel || GET_SESSION_DETAILS(Request).deviceLabel,
+        });
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the UNLOCK_ACCOUNT_WITH_TOKEN controller.
+ * - Redeems the unlock token sent when an account is locked after too many failed logins,
+ *   and removes the lockout right away instead of waiting for it to expire.
+ *********************/
+export const UNLOCK_ACCOUNT_WITH_TOKEN = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { token } = Request.body;
+
+        /*******
+         * Consume the token.
+         * - If the token is unknown, expired or already used, throw a Bad Request (400) error.
+         *******/
+        const UserId = await CONSUME_ONE_TIME_TOKEN({ Purpose: ACCOUNT_UNLOCK_TOKEN_PURPOSE, Token: token });
+
+        if (!UserId) throw new API_ERROR(400, "Account unlock token is invalid or has expired...!");
+
+        await UNLOCK_ACCOUNT(`User:${UserId}`);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, {}, "Account unlocked Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_CURRENT_USER controller.
+ * - Returns the profile of the authenticated user, with the permissions granted by their roles.
+ * - Only the profile fields are returned: the storage keys of the images and the watch history (see the watch history
+ *   endpoints) are left out, so fields added to the user later are not exposed by accident.
+ *********************/
+export const GET_CURRENT_USER = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const User = Request.User;
+
+        return Response.status(200).json(
+            new API_RESPONSE(
+                200,
+                {
+                    _id: User._id,
+                    username: User.username,
+                    email: User.email,
+                    fullName: User.fullName,
+                    avatar: User.avatar,
+                    coverImage: User.coverImage,
+                    roles: User.roles,
+                    permissions: GET_ROLES_PERMISSIONS(User.roles),
+                    isEmailVerified: User.isEmailVerified,
+                    emailVerifiedAt: User.emailVerifiedAt,
+                    isWatchHistoryPaused: User.isWatchHistoryPaused,
+                    twoFactor: {
+                        isEnabled: Boolean(User.twoFactor?.isEnabled),
+                        enabledAt: User.twoFactor?.enabledAt ?? null,
+                    },
+                    createdAt: User.createdAt,
+                    updatedAt: User.updatedAt,
+                },
+                "Current user fetched Successfully...!"
+            )
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the UPDATE_ACCOUNT_DETAILS controller.
+ * - Updates the `fullName`, `username` and/or `email` of the authenticated user.
+ * - The new username and email must not belong to another user, otherwise a Conflict (409) error is thrown.
+ * - Changing the email marks it as unverified and sends a verification link to the new address.
+ *********************/
+export const UPDATE_ACCOUNT_DETAILS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { fullName, username, email } = Request.body;
+
+        const Updates = {};
+
+        if (fullName) Updates.fullName = fullName;
+        if (username && username !== Request.User.username) Updates.username = username.toLowerCase();
+        if (email && email !== Request.User.email) {
+            Updates.email = email.toLowerCase();
+            Updates.isEmailVerified = false;
+            Updates.emailVerifiedAt = null;
+        }
+
+        /*******
+         * Check that the new username and email are not used by another user.
+         * - The unique indexes still protect against concurrent updates, see the duplicate key handling below.
+         *******/
+        if (Updates.username || Updates.email) {
+            const ExistingUser = await USER.findOne({
+                _id: { $ne: Request.User._id },
+                $or: [
+                    ...(Updates.username ? [{ username: Updates.username }] : []),
+                    ...(Updates.email ? [{ email: Updates.email }] : []),
+                ],
+            }).select("username email");
+
+            if (ExistingUser?.username === Updates.username) throw new API_ERROR(409, "Username is already taken...!");
+            if (ExistingUser) throw new API_ERROR(409, "Email is already in use...!");
+        }
+
+        let User;
+
+        try {
+            User = await USER.findByIdAndUpdate(Request.User._id, { $set: Updates }, { new: true }).select("-password");
+        } catch (error) {
+            if (error?.code === 11000) throw new API_ERROR(409, "Username or email is already in use...!");
+
+            throw error;
+        }
+
+        /*******
+         * Send a verification link to the new email address.
+         * - A mail failure is only logged: the user can ask for a new link with the "/resend-verification" endpoint.
+         *******/
+        if (Updates.email) {
+            SEND_EMAIL_VERIFICATION(User).catch((error) => LOG_ERROR({
+                label: "User.Controller.js",
+                service: "UPDATE_ACCOUNT_DETAILS",
+                error: `Verification mail could not be sent to user ${User._id}: ${error.message}`,
+            }));
+        }
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, User, "Account details updated Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the CHANGE_CURRENT_PASSWORD controller.
+ * - Changes the password of the authenticated user after checking the old one.
+ * - Every other session of the user is revoked, the current one stays signed in.
+ *********************/
+export const CHANGE_CURRENT_PASSWORD = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { oldPassword, newPassword } = Request.body;
+
+        /*******
+         * Load the user with their password and check the old password.
+         * - If it is incorrect, throw a Bad Request (400) error.
+         *******/
+        const User = await USER.findById(Request.User._id);
+
+        const isPasswordMatched = await User.isPasswordCorrect(oldPassword);
+
+        if (!isPasswordMatched) throw new API_ERROR(400, "Incorrect old password...!");
+
+        if (oldPassword === newPassword) throw new API_ERROR(400, "New password must be different from the old password...!");
+
+        /*******
+         * Save the new password (hashed by the pre-save hook of the User model) and revoke the other sessions.
+         *******/
+        User.password = newPassword;
+        await User.save();
+
+        const RevokedSessions = await SESSION.RevokeUserSessions(User._id, Request.Session._id);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { revokedSessions: RevokedSessions }, "Password changed Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Replace an image of the authenticated user (avatar or cover image).
+ * - Uploads the new image, stores its URL and storage key on the user, then queues the deletion of the previous image.
+ * - If the user cannot be updated, the new image is deleted again so that it is not left behind in the storage.
+ * - Field: Name of the URL field ("avatar" or "coverImage"), the storage key is stored in "<Field>Key".
+ * - Folder: Storage folder of the image.
+ *********************/
+const REPLACE_USER_IMAGE = async (Request, { Field, Folder }) => {
+    const ImageFile = Request.file;
+
+    const UploadedImage = await UPLOAD_FILE(ImageFile.path, {
+        Folder,
+        MimeType: ImageFile.mimetype,
+        OriginalName: ImageFile.originalname,
+    });
+
+    if (!UploadedImage) throw new API_ERROR(500, `Something went wrong while uploading ${Field}...!`);
+
+    const PreviousImageKey = Request.User[`${Field}Key`];
+
+    let User;
+
+    try {
+        User = await USER.findByIdAndUpdate(
+            Request.User._id,
+            {
+                $set: {
+                    [Field]: UploadedImage.url,
+                    [`${Field}Key`]: UploadedImage.key,
+                },
+            },
+            { new: true }
+        ).select("-password");
+    } catch (error) {
+        await DISCARD_UPLOADED_FILES(UploadedImage);
+
+        throw error;
+    }
+
+    if (!User) {
+        await DISCARD_UPLOADED_FILES(UploadedImage);
+
+        throw new API_ERROR(404, "User not found...!");
+    }
+
+    await QUEUE_FILE_DELETION(PreviousImageKey);
+
+    return User;
+}
+
+/*********************
+ * Define the UPDATE_USER_AVATAR controller.
+ * - Replaces the avatar of the authenticated user and deletes the previous one from the storage.
+ *********************/
+export const UPDATE_USER_AVATAR = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const User = await REPLACE_USER_IMAGE(Request, { Field: "avatar", Folder: "Avatars" });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, User, "Avatar updated Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the UPDATE_USER_COVER_IMAGE controller.
+ * - Replaces the cover image of the authenticated user and deletes the previous one from the storage.
+ *********************/
+export const UPDATE_USER_COVER_IMAGE = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const User = await REPLACE_USER_IMAGE(Request, { Field: "coverImage", Folder: "CoverImages" });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, User, "Cover image updated Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_USER_CHANNEL_PROFILE controller.
+ * - Returns the public channel profile of a user, found by `username`, with:
+ *   - subscribersCount: Number of users subscribed to the channel.
+ *   - subscribedToCount: Number of channels the user is subscribed to.
+ *   - videosCount: Number of published videos of the channel.
+ *   - isSubscribed: Whether the viewer is subscribed to the channel (always false for anonymous viewers).
+ * - The counts are computed by the database, without loading the subscriptions or videos.
+ *********************/
+export const GET_USER_CHANNEL_PROFILE = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { username } = Request.params;
+        const ViewerId = Request.User?._id ?? null;
+
+        const [Channel] = await USER.aggregate([
+            { $match: { username: username.toLowerCase() } },
+            {
+                $lookup: {
+                    from: "subscriptions",
+                    localField: "_id",
+                    foreignField: "channel",
+                    as: "subscribersCount",
+                    pipeline: [{ $count: "count" }],
+                },
+            },
+            {
+                $lookup: {
+                    from: "subscriptions",
+                    localField: "_id",
+                    foreignField: "subscriber",
+                    as: "subscribedToCount",
+                    pipeline: [{ $count: "count" }],
+                },
+            },
+            {
+                $lookup: {
+                    from: "subscriptions",
+                    localField: "_id",
+                    foreignField: "channel",
+                    as: "viewerSubscription",
+                    pipeline: [{ $match: { subscriber: ViewerId } }, { $limit: 1 }],
+                },
+            },
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "_id",
+                    foreignField: "owner",
+                    as: "videosCount",
+                    pipeline: [{ $match: { isPublished: true } }, { $count: "count" }],
+                },
+            },
+            {
+                $project: {
+                    username: 1,
+                    fullName: 1,
+                    avatar: 1,
+                    coverImage: 1,
+                    createdAt: 1,
+                    subscribersCount: { $ifNull: [{ $first: "$subscribersCount.count" }, 0] },
+                    subscribedToCount: { $ifNull: [{ $first: "$subscribedToCount.count" }, 0] },
+                    videosCount: { $ifNull: [{ $first: "$videosCount.count" }, 0] },
+                    isSubscribed: { $gt: [{ $size: "$viewerSubscription" }, 0] },
+                },
+            },
+        ]);
+
+        if (!Channel) throw new API_ERROR(404, "Channel does not exist...!");
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Channel, "User channel fetched Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
@@ -0,0 +1,564 @@
+/*********************
+ * Import necessary packages and modules.
+ * - mongoose: Used here to validate and build MongoDB ObjectIds.
+ * - stream: Used to pipe video files to the response.
+ *********************/
+import MONGOOSE from "mongoose";
+import STREAM from "node:stream";
+
+/*********************
+ * Import custom modules and functions.
+ * - ASYNCHRONOUS_HANDLER: Wrapper to handle asynchronous operations and error handling.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - API_RESPONSE: Custom class for standardized API responses.
+ * - VIDEO: Mongoose model representing the Video schema.
+ * - COMMENT: Mongoose model representing the Comment schema.
+ * - REACTION, REACTION_TARGET_TYPES: Mongoose model representing the Reaction schema and the types of reaction targets.
+ * - PLAYLIST: Mongoose model representing the Playlist schema.
+ * - UPLOAD_FILE, DISCARD_UPLOADED_FILES, QUEUE_FILE_DELETION: Functions to upload files to and delete files from the configured storage.
+ * - GET_FILE_DETAILS, GET_SIGNED_URL, CAN_STREAM_FILE, CREATE_READ_STREAM: Functions to describe, link to and read stored files.
+ * - PUBLISH_VIDEO: Uploads a video file and its thumbnail and creates the video.
+ * - CAN_VIEW_VIDEO: Function to check whether the user may see a video.
+ * - USER_SUMMARY_LOOKUP_STAGES: Aggregation stages that replace a user reference with a public summary of the user.
+ * - REACTION_SUMMARY_STAGES: Aggregation stages that add the likes, dislikes and reaction of the user to documents.
+ * - VIDEO_COMMENTS_COUNT_STAGES: Aggregation stages that add the number of comments to videos.
+ * - AGGREGATE_PAGE: Runs aggregation stages on the documents of a paginated result only.
+ * - USER: Mongoose model representing the User schema, used to record the watch history.
+ * - LOG_WARN: Logs non-fatal failures.
+ * - GET_VIEWER_IDENTIFIER, RECORD_VIEW, ADD_PENDING_VIEWS: Functions of the Redis-buffered view counter.
+ *********************/
+import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { API_RESPONSE } from "../Utilities/ApiResponse.js";
+import { VIDEO } from "../Models/Video.Model.js";
+import { COMMENT } from "../Models/Comment.Model.js";
+import { REACTION, REACTION_TARGET_TYPES } from "../Models/Reaction.Model.js";
+import { PLAYLIST } from "../Models/Playlist.Model.js";
+import { UPLOAD_FILE, DISCARD_UPLOADED_FILES, QUEUE_FILE_DELETION, GET_FILE_DETAILS, GET_SIGNED_URL, CAN_STREAM_FILE, CREATE_READ_STREAM } from "../Utilities/Storage.js";
+import { PUBLISH_VIDEO } from "../Utilities/VideoPublishing.js";
+import { CAN_VIEW_VIDEO } from "../Utilities/Permissions.js";
+import { USER_SUMMARY_LOOKUP_STAGES, REACTION_SUMMARY_STAGES, VIDEO_COMMENTS_COUNT_STAGES, AGGREGATE_PAGE } from "../Utilities/AggregationStages.js";
+import { USER } from "../Models/User.Model.js";
+import { LOG_WARN } from "../Utilities/WinstonLogger.js";
+import { GET_VIEWER_IDENTIFIER, RECORD_VIEW, ADD_PENDING_VIEWS } from "../Utilities/ViewCounter.js";
+
+/*********************
+ * Aggregation stages that replace the `owner` ObjectId of a video with a public summary of the owner.
+ *********************/
+const VIDEO_OWNER_LOOKUP_STAGES = USER_SUMMARY_LOOKUP_STAGES("owner");
+
+/*********************
+ * Aggregation stage removing the internal fields of a video from the responses:
+ * - viewBatches: Ids of the view batches already counted (see ViewCounter.js).
+ * - videoFileKey, thumbnailKey: Storage keys of the files, only used to delete them.
+ *********************/
+const VIDEO_PRIVATE_FIELDS_PROJECTION_STAGE = { $project: { viewBatches: 0, videoFileKey: 0, thumbnailKey: 0 } };
+
+/*********************
+ * Find the video identified by the "videoId" parameter, when the user making the request may see it.
+ * - Unpublished videos are only visible to their owner and to users allowed to manage any video.
+ * - Throws a Not Found (404) error otherwise, so the existence of unpublished videos is not revealed.
+ *********************/
+const FIND_VIEWABLE_VIDEO = async (Request, Projection) => {
+    const Video = await VIDEO.findById(Request.params.videoId).select(Projection).lean();
+
+    if (!CAN_VIEW_VIDEO(Request.User, Video)) throw new API_ERROR(404, "Video not found...!");
+
+    return Video;
+}
+
+/*********************
+ * Add a played video to the watch history of the authenticated user, without making the response wait for it.
+ * - Anonymous viewers have no watch history, a failure is only logged.
+ *********************/
+const RECORD_WATCH = (Request, VideoId, Service) => {
+    if (!Request.User) return;
+
+    USER.RecordWatch(Request.User._id, VideoId).catch((error) => {
+        LOG_WARN({
+            label: "Video.Controller.js",
+            service: Service,
+            message: `Failed to record video ${VideoId} in the watch history of user ${Request.User._id}: ${error?.message}`,
+        });
+    });
+}
+
+/*********************
+ * Count a play of a video as a view and add it to the watch history, without making the response wait for it.
+ * - Views are deduplicated per viewer like the views sent to RECORD_VIDEO_VIEW, a failure is only logged.
+ *********************/
+const COUNT_PLAY = (Request, VideoId) => {
+    RECORD_VIEW({ VideoId, Viewer: GET_VIEWER_IDENTIFIER(Request) }).catch((error) => {
+        LOG_WARN({
+            label: "Video.Controller.js",
+            service: "STREAM_VIDEO",
+            message: `Failed to count a play of video ${VideoId}: ${error?.message}`,
+        });
+    });
+
+    RECORD_WATCH(Request, VideoId, "STREAM_VIDEO");
+}
+
+/*********************
+ * Whether the "If-Range" header of a request allows a partial response.
+ * - Without the header, ranges are always honoured. Otherwise the header must match the current ETag
+ *   or Last-Modified date of the file, else the whole file is sent, since the client holds an older version of it.
+ *********************/
+const IS_RANGE_FRESH = (Request, ETag, LastModified) => {
+    const IfRange = Request.get("If-Range");
+
+    if (!IfRange) return true;
+
+    if (IfRange.includes("\"")) return IfRange === ETag;
+
+    return Date.parse(IfRange) >= LastModified.getTime();
+}
+
+/*********************
+ * Define the PUBLISH_A_VIDEO controller.
+ * - Handles video upload by validating input, uploading the video file and thumbnail to the storage,
+ *   creating the video in the database with the authenticated user as owner, and returning a response.
+ *********************/
+export const PUBLISH_A_VIDEO = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        /*******
+         * Destructure the fields from the request body and get the uploaded video file and thumbnail.
+         * - Presence and format of every field and file are enforced by the VALIDATE middleware (PUBLISH_A_VIDEO_SCHEMA).
+         *******/
+        const { title, description, isPublished } = Request.body;
+
+        const CreatedVideo = await PUBLISH_VIDEO({
+            OwnerId: Request.User._id,
+            VideoFile: Request.files.videoFile[0],
+            ThumbnailFile: Request.files.thumbnail[0],
+            Title: title,
+            Description: description,
+            IsPublished: isPublished,
+        });
+
+        return Response.status(201).json(
+            new API_RESPONSE(201, CreatedVideo, "Video published successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_ALL_VIDEOS controller.
+ * - Returns a paginated, sortable and filterable list of videos, built on `aggregatePaginate`.
+ * - Every video comes with its number of comments, its likes and dislikes and the reaction of the authenticated user.
+ * - Query parameters (validated and defaulted by GET_ALL_VIDEOS_SCHEMA):
+ *   - page, limit: Pagination.
+ *   - query: Case-insensitive text searched in the title and description.
+ *   - sortBy: createdAt, views, duration or title, sortType: "asc" or "desc".
+ *   - userId: Only return videos of this owner.
+ * - Unpublished videos are only listed for their owner, when the owner lists their own videos.
+ *********************/
+export const GET_ALL_VIDEOS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { page, limit, query, sortBy, sortType, userId } = Request.query;
+
+        /*******
+         * Build the match stage from the filters.
+         *******/
+        const Match = {};
+
+        if (userId) Match.owner = new MONGOOSE.Types.ObjectId(userId);
+
+        if (!userId || String(userId) !== String(Request.User?._id)) {
+            Match.isPublished = true;
+        }
+
+        if (query) {
+            const EscapedQuery = query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+            Match.$or = [
+                { title: { $regex: EscapedQuery, $options: "i" } },
+                { description: { $regex: EscapedQuery, $options: "i" } },
+            ];
+        }
+
+        /*******
+         * Paginate the matching videos, then look up the owner, the comments and the reactions of this page only.
+         *******/
+        const SortDirection = sortType === "asc" ? 1 : -1;
+
+        const Aggregate = VIDEO.aggregate([{ $match: Match }]);
+
+        const Videos = await VIDEO.aggregatePaginate(Aggregate, {
+            page,
+            limit,
+            sort: { [sortBy]: SortDirection, _id: SortDirection },
+        });
+
+        await AGGREGATE_PAGE(VIDEO, Videos, [
+            ...VIDEO_OWNER_LOOKUP_STAGES,
+            ...VIDEO_COMMENTS_COUNT_STAGES,
+            ...REACTION_SUMMARY_STAGES(REACTION_TARGET_TYPES.VIDEO, Request.User?._id),
+            VIDEO_PRIVATE_FIELDS_PROJECTION_STAGE,
+        ]);
+
+        await ADD_PENDING_VIEWS(Videos.docs);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Videos, "Videos fetched successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_VIDEO_BY_ID controller.
+ * - Returns a single video with a summary of its owner, its number of comments, its likes and dislikes
+ *   and the reaction of the authenticated user.
+ * - Unpublished videos are only returned to their owner and to users allowed to manage any video,
+ *   everybody else gets a Not Found (404) error.
+ *********************/
+export const GET_VIDEO_BY_ID = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { videoId } = Request.params;
+
+        const [Video] = await VIDEO.aggregate([
+            { $match: { _id: new MONGOOSE.Types.ObjectId(videoId) } },
+            ...VIDEO_OWNER_LOOKUP_STAGES,
+            ...VIDEO_COMMENTS_COUNT_STAGES,
+            ...REACTION_SUMMARY_STAGES(REACTION_TARGET_TYPES.VIDEO, Request.User?._id),
+            VIDEO_PRIVATE_FIELDS_PROJECTION_STAGE,
+        ]);
+
+        if (!CAN_VIEW_VIDEO(Request.User, Video)) throw new API_ERROR(404, "Video not found...!");
+
+        await ADD_PENDING_VIEWS(Video);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Video, "Video fetched successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the UPDATE_VIDEO controller.
+ * - Lets the owner (or a moderator) update the title, the description and the thumbnail of a video.
+ * - When a new thumbnail is uploaded, the previous one is queued for deletion from the storage.
+ *********************/
+export const UPDATE_VIDEO = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        /*******
+         * The video was loaded, and its ownership checked, by the AUTHORIZE_OWNERSHIP middleware.
+         *******/
+        const Video = Request.Resource;
+
+        const { title, description } = Request.body;
+        const ThumbnailFile = Request.file;
+        const ThumbnailLocalPath = ThumbnailFile?.path;
+
+        if (!title && !description && !ThumbnailLocalPath) {
+            throw new API_ERROR(400, "Nothing to update, provide a title, description or thumbnail...!");
+        }
+
+        if (title) Video.title = title;
+        if (description) Video.description = description;
+
+        /*******
+         * Replace the thumbnail.
+         * - The previous thumbnail is deleted only once the new one has been uploaded and saved.
+         *******/
+        const PreviousThumbnailKey = Video.thumbnailKey;
+
+        let UploadedThumbnail = null;
+
+        if (ThumbnailLocalPath) {
+            UploadedThumbnail = await UPLOAD_FILE(ThumbnailLocalPath, {
+                Folder: "Thumbnails",
+                MimeType: ThumbnailFile.mimetype,
+                OriginalName: ThumbnailFile.originalname,
+            });
+
+            if (!UploadedThumbnail) throw new API_ERROR(500, "Something went wrong while uploading thumbnail...!");
+
+            Video.thumbnail = UploadedThumbnail.url;
+            Video.thumbnailKey = UploadedThumbnail.key;
+        }
+
+        /*******
+         * If the video cannot be saved, the new thumbnail is deleted again and the previous one is kept.
+         *******/
+        try {
+            await Video.save();
+        } catch (error) {
+            await DISCARD_UPLOADED_FILES(UploadedThumbnail);
+
+            throw error;
+        }
+
+        if (UploadedThumbnail) await QUEUE_FILE_DELETION(PreviousThumbnailKey);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, Video, "Video updated successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the DELETE_VIDEO controller.
+ * - Lets the owner (or a moderator) delete a video.
+ * - The comments and reactions of the video are deleted with it and it is removed from every playlist.
+ * - The video file and thumbnail are queued for deletion from the storage after the document is removed.
+ *********************/
+export const DELETE_VIDEO = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        /*******
+         * The video was loaded, and its ownership checked, by the AUTHORIZE_OWNERSHIP middleware.
+         *******/
+        const Video = Request.Resource;
+
+        await VIDEO.deleteOne({ _id: Video._id });
+        const CommentIds = await COMMENT.distinct("_id", { video: Video._id });
+
+        await COMMENT.deleteMany({ video: Video._id });
+        await REACTION.deleteMany({
+            $or: [
+                { targetType: REACTION_TARGET_TYPES.VIDEO, target: Video._id },
+                { targetType: REACTION_TARGET_TYPES.COMMENT, target: { $in: CommentIds } },
+            ],
+        });
+        await PLAYLIST.updateMany({ "videos.video": Video._id }, { $pull: { videos: { video: Video._id } } });
+
+        await QUEUE_FILE_DELETION(Video.videoFileKey, Video.thumbnailKey);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { videoId: Video._id }, "Video deleted successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the TOGGLE_PUBLISH_STATUS controller.
+ * - Lets the owner (or a moderator) publish an unpublished video or unpublish a published one.
+ *********************/
+export const TOGGLE_PUBLISH_STATUS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        /*******
+         * The video was loaded, and its ownership checked, by the AUTHORIZE_OWNERSHIP middleware.
+         *******/
+        const Video = Request.Resource;
+
+        Video.isPublished = !Video.isPublished;
+        await Video.save();
+
+        return Response.status(200).json(
+            new API_RESPONSE(
+                200,
+                { videoId: Video._id, isPublished: Video.isPublished },
+                Video.isPublished ? "Video published successfully...!" : "Video unpublished successfully...!"
+            )
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the RECORD_VIDEO_VIEW controller.
+ * - Counts a view of a video, called by the player when playback starts, and adds it to the watch history of the authenticated user.
+ * - Views are buffered in Redis and a viewer is counted at most once per deduplication window (see ViewCounter.js).
+ * - Returns the number of views, persisted and pending, and whether this view was counted.
+ *********************/
+export const RECORD_VIDEO_VIEW = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const Video = await FIND_VIEWABLE_VIDEO(Request, "owner isPublished views");
+
+        const isCounted = await RECORD_VIEW({ VideoId: Video._id, Viewer: GET_VIEWER_IDENTIFIER(Request) });
+
+        RECORD_WATCH(Request, Video._id, "RECORD_VIDEO_VIEW");
+
+        await ADD_PENDING_VIEWS(Video);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { views: Video.views, isCounted }, "Video view recorded successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the GET_VIDEO_VIEWS controller.
+ * - Returns the number of views of a video, combining the views persisted in MongoDB and the views still buffered in Redis.
+ *********************/
+export const GET_VIDEO_VIEWS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const Video = await FIND_VIEWABLE_VIDEO(Request, "owner isPublished views");
+
+        await ADD_PENDING_VIEWS(Video);
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, { views: Video.views }, "Video views fetched successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the STREAM_VIDEO controller.
+ * - Serves the video file for playback, with the same visibility rules as GET_VIDEO_BY_ID
+ *   (unpublished videos are only served to their owner and to users allowed to manage any video).
+ * - Supports "Range" requests (206 Partial Content, a single range), "If-Range", and conditional requests
+ *   through "ETag" / "Last-Modified" (304 Not Modified).
+ * - Files stored by a provider that serves them itself (e.g. Cloudinary) are redirected to a signed delivery URL.
+ * - A play is counted as a view, and added to the watch history of the authenticated user, when the file is requested
+ *   from its first byte.
+ *********************/
+export const STREAM_VIDEO = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const Video = await FIND_VIEWABLE_VIDEO(Request, "owner isPublished videoFile videoFileKey");
+
+        if (!CAN_STREAM_FILE(Video.videoFileKey)) {
+            if (Request.method === "GET" && !Request.get("Range")) COUNT_PLAY(Request, Video._id);
+
+            return Response.redirect(302, (await GET_SIGNED_URL(Video.videoFileKey)) || Video.videoFile);
+        }
+
+        const FileDetails = await GET_FILE_DETAILS(Video.videoFileKey);
+
+        if (!FileDetails) throw new API_ERROR(404, "Video file not found...!");
+
+        /*******
+         * Validators of the file, computed from its size and last modification date.
+         * - Dates in HTTP headers have a one second precision, so the milliseconds are dropped.
+         *******/
+        const Size = FileDetails.size;
+        const LastModified = new Date(Math.floor(new Date(FileDetails.lastModified).getTime() / 1000) * 1000);
+        const ETag = `"${Size.toString(16)}-${LastModified.getTime().toString(16)}"`;
+
+        Response.set({
+            "Accept-Ranges": "bytes",
+            "Cache-Control": "private, max-age=0, must-revalidate",
+            "ETag": ETag,
+            "Last-Modified": LastModified.toUTCString(),
+        });
+
+        if (Request.fresh) return Response.status(304).end();
+
+        /*******
+         * Parse the requested range.
+         * - Unsatisfiable ranges get a Range Not Satisfiable (416) error, malformed ones are ignored.
+         * - Several ranges are not supported (they would need a multipart response), only the first one is served.
+         *******/
+        let Range = null;
+
+        if (Request.get("Range") && IS_RANGE_FRESH(Request, ETag, LastModified)) {
+            const Ranges = Request.range(Size, { combine: true });
+
+            if (Ranges === -1) {
+                Response.set("Content-Range", `bytes */${Size}`);
+                throw new API_ERROR(416, "Requested range not satisfiable...!");
+            }
+
+            if (Ranges !== -2 && Ranges?.type === "bytes") Range = Ranges[0];
+        }
+
+        const Start = Range ? Range.start : 0;
+        const End = Range ? Range.end : Size - 1;
+
+        Response.status(Range ? 206 : 200);
+        Response.set({
+            "Content-Type": FileDetails.mimeType || "application/octet-stream",
+            "Content-Length": String(Size === 0 ? 0 : End - Start + 1),
+        });
+
+        if (Range) Response.set("Content-Range", `bytes ${Start}-${End}/${Size}`);
+
+        if (Request.method === "HEAD" || Size === 0) return Response.end();
+
+        if (Start === 0) COUNT_PLAY(Request, Video._id);
+
+        /*******
+         * Pipe the file to the response.
+         * - Clients closing the connection early (seeking, closing the player) are expected and not logged.
+         *******/
+        STREAM.pipeline(CREATE_READ_STREAM(Video.videoFileKey, { Start, End }), Response, (error) => {
+            if (!error || error.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+
+            LOG_WARN({
+                label: "Video.Controller.js",
+                service: "STREAM_VIDEO",
+                message: `Failed to stream video ${Video._id}: ${error.message}`,
+            });
+        });
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message.
+         *   This ensures that any unexpected issues are properly reported and handled,
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
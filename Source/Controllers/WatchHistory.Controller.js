@@ -0,0 +1,156 @@
+/*********************
+ * Import custom modules and functions.
+ * - ASYNCHRONOUS_HANDLER: Wrapper to handle asynchronous operations and error handling.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - API_RESPONSE: Custom class for standardized API responses.
+ * - USER: Mongoose model representing the User schema.
+ * - USER_SUMMARY_LOOKUP_STAGES: Aggregation stages that replace a user reference with a public summary of the user.
+ *********************/
+import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { API_RESPONSE } from "../Utilities/ApiResponse.js";
+import { USER } from "../Models/User.Model.js";
+import { USER_SUMMARY_LOOKUP_STAGES } from "../Utilities/AggregationStages.js";
+
+/*********************
+ * Define the GET_WATCH_HISTORY controller.
+ * - Returns the paginated watch history of the authenticated user, most recently watched first.
+ * - Every entry is the watched video with a public summary of its owner.
+ * - Videos that were deleted, or unpublished by another user, are left out.
+ *********************/
+export const GET_WATCH_HISTORY = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { page, limit } = Request.query;
+        const UserId = Request.User._id;
+
+        /*******
+         * Turn the watch history array into one document per video, keeping its position in the history.
+         *******/
+        const Aggregate = USER.aggregate([
+            { $match: { _id: UserId } },
+            { $project: { watchHistory: 1 } },
+            { $unwind: { path: "$watchHistory", includeArrayIndex: "position" } },
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "watchHistory",
+                    foreignField: "_id",
+                    as: "video",
+                    pipeline: [
+                        { $match: { $or: [{ isPublished: true }, { owner: UserId }] } },
+                        ...USER_SUMMARY_LOOKUP_STAGES("owner"),
+                    ],
+                },
+            },
+            { $unwind: "$video" },
+            { $replaceRoot: { newRoot: { $mergeObjects: ["$video", { position: "$position" }] } } },
+        ]);
+
+        const WatchHistory = await USER.aggregatePaginate(Aggregate, {
+            page,
+            limit,
+            sort: { position: 1 },
+        });
+
+        return Response.status(200).json(
+            new API_RESPONSE(
+                200,
+                { ...WatchHistory, isWatchHistoryPaused: Boolean(Request.User.isWatchHistoryPaused) },
+                "Watch history fetched Successfully...!"
+            )
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the REMOVE_FROM_WATCH_HISTORY controller.
+ * - Removes one video from the watch history of the authenticated user.
+ * - Throws a Not Found (404) error if the video is not in the watch history.
+ *********************/
+export const REMOVE_FROM_WATCH_HISTORY = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { videoId } = Request.params;
+
+        const Result = await USER.updateOne(
+            { _id: Request.User._id },
+            { $pull: { watchHistory: videoId } }
+        );
+
+        if (Result.modifiedCount === 0) throw new API_ERROR(404, "Video is not in the watch history...!");
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, {}, "Video removed from watch history Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the CLEAR_WATCH_HISTORY controller.
+ * - Removes every video from the watch history of the authenticated user.
+ *********************/
+export const CLEAR_WATCH_HISTORY = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        await USER.updateOne({ _id: Request.User._id }, { $set: { watchHistory: [] } });
+
+        return Response.status(200).json(
+            new API_RESPONSE(200, {}, "Watch history cleared Successfully...!")
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
+
+/*********************
+ * Define the UPDATE_WATCH_HISTORY_SETTINGS controller.
+ * - Pauses or resumes the recording of watched videos for the authenticated user.
+ * - Pausing does not remove the existing watch history.
+ *********************/
+export const UPDATE_WATCH_HISTORY_SETTINGS = ASYNCHRONOUS_HANDLER(async (Request, Response) => {
+    try {
+        const { isPaused } = Request.body;
+
+        await USER.updateOne({ _id: Request.User._id }, { $set: { isWatchHistoryPaused: isPaused } });
+
+        return Response.status(200).json(
+            new API_RESPONSE(
+                200,
+                { isWatchHistoryPaused: isPaused },
+                isPaused ? "Watch history paused Successfully...!" : "Watch history resumed Successfully...!"
+            )
+        );
+    } catch (error) {
+        /*******
+         * If any error occurs during the execution of the try block:
+         * - The error is caught in the catch block.
+         * - A new API_ERROR is thrown with a status code and the original error message. 
+         *   This ensures that any unexpected issues are properly reported and handled, 
+         *   providing a consistent error response format.
+         *******/
+        throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
+    }
+});
@@ -0,0 +1,30 @@
+/*********************
+ * Import custom modules and functions.
+ * - LOG_INFO: Logging function for informational messages.
+ *********************/
+import { LOG_INFO } from "../Utilities/WinstonLogger.js";
+
+/*********************
+ * Console Mail Transport
+ * - Development stand-in that does not deliver anything: every mail is written to the logs.
+ * - Implements the mail transport interface used by Mailer.js: SEND(Mail).
+ *********************/
+export const CONSOLE_MAIL_TRANSPORT = {
+    /*******
+     * Name of the transport, selected with MAIL_TRANSPORT=console.
+     *******/
+    Name: "console",
+
+    /*******
+     * Log the mail and return an identifier for it.
+     *******/
+    SEND: async (Mail) => {
+        LOG_INFO({
+            label: "Console.Transport.js",
+            service: "SEND",
+            message: Mail,
+        });
+
+        return { messageId: `console-${Date.now()}` };
+    },
+};
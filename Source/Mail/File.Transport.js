@@ -0,0 +1,41 @@
+/*********************
+ * Import necessary packages and modules.
+ * - path: Provides utilities for working with file and directory paths.
+ * - fs: Provides methods for interacting with the file system.
+ * - crypto: Used to generate unique file names.
+ * - process: Provides access to environment variables.
+ *********************/
+import PATH from "node:path";
+import FILE_SYSTEM from "node:fs";
+import CRYPTO from "node:crypto";
+import PROCESS from "node:process";
+
+/*********************
+ * File Mail Transport
+ * - Development and test stand-in that writes every mail as a JSON file instead of delivering it,
+ *   so that links (password reset, email verification) can be opened from the file.
+ * - The directory is set with MAIL_FILE_DIRECTORY and defaults to "./Logs/Mails".
+ * - Implements the mail transport interface used by Mailer.js: SEND(Mail).
+ *********************/
+export const FILE_MAIL_TRANSPORT = {
+    /*******
+     * Name of the transport, selected with MAIL_TRANSPORT=file.
+     *******/
+    Name: "file",
+
+    /*******
+     * Write the mail to "<MAIL_FILE_DIRECTORY>/<timestamp>-<random>.json" and return its identifier.
+     *******/
+    SEND: async (Mail) => {
+        const Directory = PATH.resolve(PROCESS.env.MAIL_FILE_DIRECTORY || "./Logs/Mails");
+        const MessageId = `${Date.now()}-${CRYPTO.randomBytes(4).toString("hex")}`;
+
+        await FILE_SYSTEM.promises.mkdir(Directory, { recursive: true });
+        await FILE_SYSTEM.promises.writeFile(
+            PATH.join(Directory, `${MessageId}.json`),
+            JSON.stringify({ ...Mail, sentAt: new Date().toISOString() }, null, 4)
+        );
+
+        return { messageId: MessageId };
+    },
+};
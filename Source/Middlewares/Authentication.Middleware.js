@@ -12,11 +12,19 @@ import PROCESS from "node:process";
  * - API_ERROR: Custom error class for handling API errors.
  * - EXTRACT_FROM_STRING: Helper function that returns an object containing the extracted substrings.
  * - USER: Mongoose model representing the User schema.
+ * - SESSION: Mongoose model representing the Session schema.
  *********************/
 import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
 import { API_ERROR } from "../Utilities/ApiError.js";
 import { EXTRACT_FROM_STRING } from "../Utilities/HelperFunctions.js";
 import { USER } from "../Models/User.Model.js";
+import { SESSION } from "../Models/Session.Model.js";
+
+/*********************
+ * Minimum interval between two `lastSeenAt` updates of a session.
+ * - Avoids writing to the database on every single authenticated request.
+ *********************/
+const SESSION_LAST_SEEN_UPDATE_INTERVAL = 60 * 1000;
 
 /*********************
  * Define the AUTHENTICATE_USER middleware.
@@ -62,17 +70,34 @@ export const AUTHENTICATE_USER = ASYNCHRONOUS_HANDLER(async (Request, Response,
 
         /*******
          * Find the user in the database using the ID from the decoded token.
-         * - The password and refresh token are excluded from the returned data.
+         * - The password is excluded from the returned data.
          * - If the user does not exist, throw a 401 Unauthorized error.
          *******/
-        const User = await USER.findById(DecodedToken._id).select("-password -refreshToken");
+        const User = await USER.findById(DecodedToken._id).select("-password");
         if (!User) throw new API_ERROR(401, "Invalid Access Token...!");
 
         /*******
-         * Attach the authenticated user data to the request object.
+         * Find the session the access token was issued for.
+         * - Access tokens of revoked or expired sessions are rejected immediately,
+         *   even if the token itself has not expired yet.
+         *******/
+        const Session = await SESSION.FindActiveSession(DecodedToken.sessionId, User._id);
+        if (!Session) throw new API_ERROR(401, "Session has expired or been revoked...!");
+
+        /*******
+         * Record the activity on the session, at most once per SESSION_LAST_SEEN_UPDATE_INTERVAL.
+         *******/
+        if (Date.now() - new Date(Session.lastSeenAt).getTime() > SESSION_LAST_SEEN_UPDATE_INTERVAL) {
+            Session.lastSeenAt = new Date();
+            await SESSION.updateOne({ _id: Session._id }, { $set: { lastSeenAt: Session.lastSeenAt } });
+        }
+
+        /*******
+         * Attach the authenticated user and session data to the request object.
          * - This allows access to the user data in subsequent middleware or routes.
          *******/
         Request.User = User;
+        Request.Session = Session;
 
         /*******
          * Call the next middleware or route handler.
@@ -87,3 +112,32 @@ export const AUTHENTICATE_USER = ASYNCHRONOUS_HANDLER(async (Request, Response,
         throw new API_ERROR(error?.statusCode, error?.message, [error], error?.stack);
     }
 });
+
+/*********************
+ * Define the AUTHENTICATE_USER_OPTIONALLY middleware.
+ * - Used on routes that are public but behave differently for signed-in users (e.g. owners can see their unpublished videos).
+ * - If the request carries no access token, it continues as an anonymous request (`Request.User` stays undefined).
+ * - If the request carries an access token, it is verified exactly like in AUTHENTICATE_USER,
+ *   so an expired or revoked token still results in a 401 and the client knows it has to refresh it.
+ *********************/
+export const AUTHENTICATE_USER_OPTIONALLY = (Request, Response, Next) => {
+    const AuthorizationHeader = Request.cookies?.accessToken || Request.header("Authorization")?.replace("Bearer ", "");
+
+    if (!AuthorizationHeader) return Next();
+
+    return AUTHENTICATE_USER(Request, Response, Next);
+}
+
+/*********************
+ * Define the REQUIRE_VERIFIED_EMAIL middleware.
+ * - Must be placed after AUTHENTICATE_USER.
+ * - Rejects users whose email address has not been verified yet with a Forbidden (403) error,
+ *   for actions that should only be available to verified accounts (e.g. publishing videos).
+ *********************/
+export const REQUIRE_VERIFIED_EMAIL = (Request, Response, Next) => {
+    if (!Request.User) return Next(new API_ERROR(401, "Unauthorized request...!"));
+
+    if (!Request.User.isEmailVerified) return Next(new API_ERROR(403, "Please verify your email address first...!"));
+
+    return Next();
+}
@@ -0,0 +1,75 @@
+/*********************
+ * Import necessary packages and modules.
+ * - mongoose: Used here to validate MongoDB ObjectIds.
+ *********************/
+import MONGOOSE from "mongoose";
+
+/*********************
+ * Import custom modules and functions.
+ * - ASYNCHRONOUS_HANDLER: Wrapper to handle asynchronous operations and error handling.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - HAS_PERMISSIONS: Function that checks the permissions granted by the roles of a user.
+ *********************/
+import { ASYNCHRONOUS_HANDLER } from "../Utilities/AsynchronousHandler.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { HAS_PERMISSIONS } from "../Utilities/Permissions.js";
+
+/*********************
+ * Define the AUTHORIZE middleware factory.
+ * - Must be placed after AUTHENTICATE_USER.
+ * - Lets the request through only if the authenticated user has every given permission (see Permissions.js),
+ *   otherwise responds with a Forbidden (403) error.
+ *
+ * Example:
+ * - ROUTER.route("/").post(AUTHENTICATE_USER, AUTHORIZE(PERMISSIONS.VIDEOS_PUBLISH), PUBLISH_A_VIDEO);
+ *********************/
+export const AUTHORIZE = (...Permissions) => (Request, Response, Next) => {
+    if (!Request.User) return Next(new API_ERROR(401, "Unauthorized request...!"));
+
+    if (!HAS_PERMISSIONS(Request.User, ...Permissions)) {
+        return Next(new API_ERROR(403, "You do not have permission to perform this action...!"));
+    }
+
+    return Next();
+}
+
+/*********************
+ * Define the AUTHORIZE_OWNERSHIP middleware factory.
+ * - Must be placed after AUTHENTICATE_USER.
+ * - Loads the document identified by a route parameter and lets the request through only if the authenticated user
+ *   owns it, or has the `BypassPermission` (e.g. moderators acting on the content of other users).
+ * - The document is attached to the request as `Request.Resource`, so the controller does not load it again.
+ *
+ * Options:
+ * - Model: Mongoose model of the resource.
+ * - Parameter: Name of the route parameter holding the document ID.
+ * - OwnerField: Path of the owner reference in the document. (Default: "owner")
+ * - BypassPermission: Permission that grants access to the documents of other users. (Optional)
+ * - Label: Name of the resource used in error messages. (Default: "Resource")
+ *
+ * Errors:
+ * - Bad Request (400) if the ID is not a valid ObjectId.
+ * - Not Found (404) if the document does not exist.
+ * - Forbidden (403) if the user is not the owner and does not have the bypass permission.
+ *********************/
+export const AUTHORIZE_OWNERSHIP = ({ Model, Parameter, OwnerField = "owner", BypassPermission, Label = "Resource" }) => ASYNCHRONOUS_HANDLER(async (Request, Response, Next) => {
+    if (!Request.User) throw new API_ERROR(401, "Unauthorized request...!");
+
+    const ResourceId = Request.params[Parameter];
+
+    if (!MONGOOSE.isValidObjectId(ResourceId)) throw new API_ERROR(400, `Invalid ${Label.toLowerCase()} id...!`);
+
+    const Resource = await Model.findById(ResourceId);
+
+    if (!Resource) throw new API_ERROR(404, `${Label} not found...!`);
+
+    const isOwner = String(Resource.get(OwnerField)) === String(Request.User._id);
+
+    if (!isOwner && !(BypassPermission && HAS_PERMISSIONS(Request.User, BypassPermission))) {
+        throw new API_ERROR(403, `You are not allowed to modify this ${Label.toLowerCase()}...!`);
+    }
+
+    Request.Resource = Resource;
+
+    Next();
+});
@@ -1,34 +1,198 @@
 /*********************
  * Import necessary packages and modules.
  * - multer: Middleware for handling multipart/form-data, primarily used for uploading files.
+ * - fs, path: Provide methods for interacting with the file system and building file paths.
+ * - crypto: Used to generate unique file names.
  *********************/
 import MULTER from "multer";
+import FILE_SYSTEM from "node:fs";
+import PATH from "node:path";
+import CRYPTO from "node:crypto";
+
+/*********************
+ * Import custom modules and functions.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - UPLOAD_POLICIES, ENFORCE_UPLOAD_POLICY, TOO_LARGE_ERROR: Per field upload policies and the function enforcing them.
+ *********************/
+import { API_ERROR } from "../Utilities/ApiError.js";
+import { UPLOAD_POLICIES, ENFORCE_UPLOAD_POLICY, TOO_LARGE_ERROR } from "../Utilities/UploadPolicies.js";
+
+/*********************
+ * Directory where uploaded files are written until they are moved to the storage.
+ *********************/
+const TEMPORARY_DIRECTORY = "./Public/Temporary";
 
 /*********************
  * Configure Multer Storage
- * - STORAGE: Multer disk storage configuration for handling file uploads.
- * - destination: Defines the directory where uploaded files will be stored.
- * - filename: Generates a unique filename for each uploaded file to avoid conflicts.
- *********************/
-const STORAGE = MULTER.diskStorage({
-    /*******
-     * Directory where uploaded files will be saved.
-     *******/
-    destination: function (Request, File, Callback) {
-        Callback(null, "./Public/Temporary");
-    },
-    filename: function (Request, File, Callback) {
+ * - STORAGE: Multer storage engine writing the uploaded files to TEMPORARY_DIRECTORY.
+ * - _handleFile: Writes a file under a unique name, counting its bytes while they are received: as soon as the file exceeds
+ *   the MaxBytes of the policy of its field, the write stops, the partial file is deleted and the upload fails with
+ *   LIMIT_FILE_SIZE. Multer itself can only apply one size limit to every field of a request.
+ * - _removeFile: Deletes a file written by _handleFile, when Multer aborts the request.
+ *********************/
+const STORAGE = {
+    _handleFile: (Request, File, Callback) => {
         /*******
-         * Create a unique filename using the current timestamp and a random number.
+         * Create a unique filename from the field name, the current timestamp and random bytes.
+         * - The name sent by the client is never used on disk.
          *******/
-        const UniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        Callback(null, File.fieldname + "-" + UniqueSuffix);
+        const UniqueSuffix = Date.now() + '-' + CRYPTO.randomBytes(8).toString("hex");
+        const FileName = File.fieldname.replace(/[^a-zA-Z0-9_-]/g, "") + "-" + UniqueSuffix;
+        const FilePath = PATH.join(TEMPORARY_DIRECTORY, FileName);
+        const MaxBytes = UPLOAD_POLICIES[File.fieldname]?.MaxBytes || 0;
+        const Output = FILE_SYSTEM.createWriteStream(FilePath);
+
+        let Size = 0;
+        let isDone = false;
+
+        const Fail = (error) => {
+            if (isDone) return;
+            isDone = true;
+
+            File.stream.unpipe(Output);
+            File.stream.resume();
+            Output.destroy();
+            FILE_SYSTEM.unlink(FilePath, () => Callback(error));
+        }
+
+        File.stream.on("data", (Chunk) => {
+            Size += Chunk.length;
+
+            if (Size > MaxBytes) Fail(new MULTER.MulterError("LIMIT_FILE_SIZE", File.fieldname));
+        });
+        File.stream.on("error", Fail);
+        Output.on("error", Fail);
+        Output.on("finish", () => {
+            if (isDone) return;
+            isDone = true;
+
+            Callback(null, { destination: TEMPORARY_DIRECTORY, filename: FileName, path: FilePath, size: Size });
+        });
+
+        File.stream.pipe(Output);
+    },
+    _removeFile: (Request, File, Callback) => {
+        if (!File.path) return Callback(null);
+
+        FILE_SYSTEM.unlink(File.path, () => Callback(null));
+    },
+};
+
+/*********************
+ * Limits of the multipart requests, on top of the size limit of each upload policy.
+ *********************/
+const LIMITS = {
+    files: 5,
+    fields: 20,
+    fieldSize: 64 * 1024,
+    parts: 25,
+};
+
+/*********************
+ * Reject files before they are written to disk.
+ * - Files sent in a field without an upload policy get a Bad Request (400) error.
+ * - Files whose reported type is of another kind than the policy accepts (e.g. a video sent as avatar) get an
+ *   Unsupported Media Type (415) error. The reported type is only a first filter: ENFORCE_UPLOAD_POLICY checks the content.
+ *********************/
+const FILE_FILTER = (Request, File, Callback) => {
+    const Policy = UPLOAD_POLICIES[File.fieldname];
+
+    if (!Policy) return Callback(new API_ERROR(400, `Unexpected file field "${File.fieldname}"...!`));
+
+    const ReportedKind = String(File.mimetype).toLowerCase().split("/")[0];
+    const isAcceptedKind = File.mimetype === "application/octet-stream"
+        || Policy.MimeTypes.some((MimeType) => MimeType.split("/")[0] === ReportedKind);
+
+    if (!isAcceptedKind) return Callback(new API_ERROR(415, `${Policy.Label} must be one of: ${Policy.MimeTypes.join(", ")}...!`));
+
+    Callback(null, true);
+}
+
+/*********************
+ * Turn the errors of Multer into API errors.
+ * - LIMIT_FILE_SIZE becomes a Content Too Large (413) error naming the limit of the field, and so do the other size limits.
+ * - Unexpected fields and too many files or fields become Bad Request (400) errors.
+ *********************/
+const TO_API_ERROR = (error) => {
+    if (!(error instanceof MULTER.MulterError)) return error;
+
+    switch (error.code) {
+        case "LIMIT_FILE_SIZE":
+            return UPLOAD_POLICIES[error.field] ? TOO_LARGE_ERROR(UPLOAD_POLICIES[error.field]) : new API_ERROR(413, "File is too large...!");
+        case "LIMIT_FIELD_VALUE":
+            return new API_ERROR(413, `Field "${error.field}" is too large...!`);
+        case "LIMIT_UNEXPECTED_FILE":
+            return new API_ERROR(400, `Unexpected file field "${error.field}"...!`);
+        default:
+            return new API_ERROR(400, `${error.message}...!`);
     }
-});
+}
+
+/*********************
+ * The uploaded files of a request, whatever Multer method accepted them.
+ *********************/
+const UPLOADED_FILES = (Request) => [
+    ...(Request.file ? [Request.file] : []),
+    ...(Array.isArray(Request.files) ? Request.files : Object.values(Request.files || {}).flat()),
+];
+
+/*********************
+ * Delete the temporary files of a request, ignoring the files that are already gone.
+ *********************/
+const REMOVE_UPLOADED_FILES = (Request) => {
+    UPLOADED_FILES(Request).forEach((File) => FILE_SYSTEM.unlink(File.path, () => { }));
+}
+
+/*********************
+ * Wrap a Multer middleware accepting the given fields:
+ * - Every file stops being written as soon as it exceeds the size allowed for its field (see STORAGE). Multer is also
+ *   given the largest size allowed for these fields, as a last limit.
+ * - Every uploaded file is then checked against the policy of its field (see ENFORCE_UPLOAD_POLICY)
+ *   and replaced by its checked description (detected type, safe name, dimensions, duration).
+ * - When a file is rejected, every file of the request is deleted and the error is passed on.
+ * - Once the response has been sent, the temporary files the controller did not move to the storage
+ *   (e.g. because the request failed before the upload) are deleted. Files of aborted requests are left to the
+ *   temporary files janitor, since the controller may still be uploading them.
+ *********************/
+const CREATE_UPLOAD_MIDDLEWARE = (FieldNames, Accept) => {
+    const MaxBytes = Math.max(...FieldNames.map((FieldName) => UPLOAD_POLICIES[FieldName]?.MaxBytes || 0));
+    const Middleware = Accept(MULTER({
+        storage: STORAGE,
+        fileFilter: FILE_FILTER,
+        limits: { ...LIMITS, fileSize: MaxBytes },
+    }));
+
+    return (Request, Response, Next) => {
+        Middleware(Request, Response, async (error) => {
+            if (error) return Next(TO_API_ERROR(error));
+
+            Response.once("finish", () => REMOVE_UPLOADED_FILES(Request));
+
+            try {
+                if (Request.file) {
+                    Request.file = await ENFORCE_UPLOAD_POLICY(Request.file, UPLOAD_POLICIES[Request.file.fieldname]);
+                }
+
+                for (const [FieldName, Files] of Object.entries(Request.files || {})) {
+                    Request.files[FieldName] = await Promise.all(Files.map((File) => ENFORCE_UPLOAD_POLICY(File, UPLOAD_POLICIES[File.fieldname])));
+                }
+
+                Next();
+            } catch (error) {
+                REMOVE_UPLOADED_FILES(Request);
+
+                Next(error);
+            }
+        });
+    };
+}
 
 /*********************
- * Create and Export Multer Upload Instance
- * - UPLOAD: Multer middleware instance configured with the defined storage.
- * - This instance will be used in route handlers to handle file uploads.
+ * Create and Export the Upload Middleware
+ * - UPLOAD: Multer-like object to use in route handlers to handle file uploads, with the same `single` and `fields` methods.
+ * - Only fields with an upload policy (see UploadPolicies.js) can receive files.
  *********************/
-export const UPLOAD = MULTER({ storage: STORAGE });
+export const UPLOAD = {
+    single: (FieldName) => CREATE_UPLOAD_MIDDLEWARE([FieldName], (Multer) => Multer.single(FieldName)),
+    fields: (Fields) => CREATE_UPLOAD_MIDDLEWARE(Fields.map((Field) => Field.name), (Multer) => Multer.fields(Fields)),
+};
@@ -0,0 +1,123 @@
+/*********************
+ * Import necessary packages and modules.
+ * - express-rate-limit: Middleware to limit repeated requests to the API.
+ * - rate-limit-redis: Redis store for express-rate-limit, so that every cluster worker shares the same counters.
+ *********************/
+import RATE_LIMIT from "express-rate-limit";
+import { RedisStore } from "rate-limit-redis";
+
+/*********************
+ * Import custom modules and functions.
+ * - REDIS: Redis client shared by the application.
+ * - API_ERROR: Custom error class for handling API errors.
+ *********************/
+import { REDIS } from "../Redis.js";
+import { API_ERROR } from "../Utilities/ApiError.js";
+
+/*********************
+ * Identify the client a request is counted for.
+ * - Authenticated requests are counted per user, so users behind the same IP address (offices, mobile networks)
+ *   do not share a limit, and a user cannot get around the limit by changing their IP address.
+ * - Anonymous requests are counted per IP address.
+ * - Request.User is only set when the limiter is placed after AUTHENTICATE_USER or AUTHENTICATE_USER_OPTIONALLY.
+ *********************/
+const GET_CLIENT_KEY = (Request) => (Request.User?._id ? `User:${Request.User._id}` : `Ip:${Request.ip}`);
+
+/*********************
+ * CREATE_RATE_LIMITER Function
+ * - Creates a rate limiting middleware whose counters are stored in Redis under "RateLimit:<Name>:<client>".
+ * - Responds with the standard "RateLimit-*" headers (draft 7: "RateLimit" and "RateLimit-Policy")
+ *   instead of the legacy "X-RateLimit-*" headers.
+ * - When the limit is exceeded, responds with a Too Many Requests (429) API_ERROR and a "Retry-After" header.
+ * - When Redis cannot be reached, requests are let through instead of failing (see PassOnStoreError),
+ *   so that an outage of the counters does not take the whole API down.
+ *
+ * Options:
+ * - Name: Name of the policy, used to keep the counters of each policy separate.
+ * - WindowMs: Length of the window, in milliseconds.
+ * - Limit: Number of requests allowed per client and window.
+ * - KeyGenerator: Function returning the client key of a request. (Default: per user, or per IP address)
+ * - Message: Message of the error sent when the limit is exceeded.
+ * - PassOnStoreError: Whether requests are let through when the counters cannot be read or written. (Default: true)
+ *********************/
+export const CREATE_RATE_LIMITER = ({
+    Name,
+    WindowMs,
+    Limit,
+    KeyGenerator = GET_CLIENT_KEY,
+    Message = "Too many requests, Please try again later...!",
+    PassOnStoreError = true,
+}) => RATE_LIMIT({
+    windowMs: WindowMs,
+    limit: Limit,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    keyGenerator: KeyGenerator,
+    passOnStoreError: PassOnStoreError,
+    store: new RedisStore({
+        prefix: `RateLimit:${Name}:`,
+        sendCommand: (...Arguments) => REDIS.call(...Arguments),
+    }),
+    handler: (Request, Response, Next, Options) => Next(new API_ERROR(Options.statusCode, Message)),
+});
+
+/*********************
+ * Rate limiting policies.
+ * - GLOBAL_RATE_LIMITER: Applied to every request by Application.js, as a safety net per IP address.
+ * - LOGIN_RATE_LIMITER: Strict policy for the login endpoints (password and two-factor code),
+ *   always counted per IP address to slow down credential stuffing.
+ * - ACCOUNT_RECOVERY_RATE_LIMITER: Strict policy for the endpoints sending or consuming emailed links and tokens
+ *   (registration, password reset, email verification, account unlock), always counted per IP address to slow down
+ *   account enumeration and mail flooding.
+ * - ACCOUNT_SECURITY_RATE_LIMITER: Policy for the endpoints of a logged in user that check their password or a
+ *   two-factor code (change password, two-factor management), counted per user.
+ * - READ_RATE_LIMITER: Loose policy for read endpoints.
+ * - WRITE_RATE_LIMITER: Moderate policy for endpoints that create, update or delete data.
+ * - Each authentication flow has its own counters, so that a user cannot lock themselves out of logging in by
+ *   requesting a few emails. Their requests are rejected while Redis is unreachable, like the login protection
+ *   they complement.
+ *********************/
+export const GLOBAL_RATE_LIMITER = CREATE_RATE_LIMITER({
+    Name: "Global",
+    WindowMs: 15 * 60 * 1000,
+    Limit: 1000,
+    KeyGenerator: (Request) => `Ip:${Request.ip}`,
+});
+
+export const LOGIN_RATE_LIMITER = CREATE_RATE_LIMITER({
+    Name: "Login",
+    WindowMs: 15 * 60 * 1000,
+    Limit: 20,
+    KeyGenerator: (Request) => `Ip:${Request.ip}`,
+    Message: "Too many login attempts, Please try again in a few minutes...!",
+    PassOnStoreError: false,
+});
+
+export const ACCOUNT_RECOVERY_RATE_LIMITER = CREATE_RATE_LIMITER({
+    Name: "AccountRecovery",
+    WindowMs: 15 * 60 * 1000,
+    Limit: 10,
+    KeyGenerator: (Request) => `Ip:${Request.ip}`,
+    Message: "Too many attempts, Please try again in a few minutes...!",
+    PassOnStoreError: false,
+});
+
+export const ACCOUNT_SECURITY_RATE_LIMITER = CREATE_RATE_LIMITER({
+    Name: "AccountSecurity",
+    WindowMs: 15 * 60 * 1000,
+    Limit: 20,
+    Message: "Too many attempts, Please try again in a few minutes...!",
+    PassOnStoreError: false,
+});
+
+export const READ_RATE_LIMITER = CREATE_RATE_LIMITER({
+    Name: "Read",
+    WindowMs: 60 * 1000,
+    Limit: 120,
+});
+
+export const WRITE_RATE_LIMITER = CREATE_RATE_LIMITER({
+    Name: "Write",
+    WindowMs: 60 * 1000,
+    Limit: 30,
+});
@@ -0,0 +1,214 @@
+/*********************
+ * Import necessary packages and modules.
+ * - fs: Provides methods for interacting with the file system, used to remove rejected uploads.
+ *********************/
+import FILE_SYSTEM from "node:fs";
+
+/*********************
+ * Import custom modules and functions.
+ * - API_ERROR: Custom error class for handling API errors.
+ *********************/
+import { API_ERROR } from "../Utilities/ApiError.js";
+
+/*********************
+ * Patterns used by the built-in field types.
+ *********************/
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+/*********************
+ * Check whether a value should be treated as "not provided".
+ *********************/
+const IS_MISSING = (Value) => Value === undefined || Value === null || Value === "";
+
+/*********************
+ * Validate and normalise a single value against a field rule.
+ * - Returns { Value } with the normalised value, or { Error } with a message describing the problem.
+ *
+ * Supported rule properties:
+ * - type: "string" (default), "email", "number", "integer", "boolean", "objectId" or "array".
+ * - required: The value must be provided (empty strings count as missing).
+ * - default: Value used when the field is missing.
+ * - trim, lowercase: Normalise strings (trim defaults to true).
+ * - minLength, maxLength, pattern, enum: Constraints on strings.
+ * - min, max: Constraints on numbers.
+ * - items, minItems, maxItems: Rule applied to every item of an array, and constraints on its length.
+ * - message: Custom message used instead of the generated one.
+ *********************/
+const VALIDATE_VALUE = (Rule, Value, Label) => {
+    const Type = Rule.type || "string";
+    const Fail = (Message) => ({ Error: Rule.message || Message });
+
+    /******* Strings, emails and ObjectIds *******/
+    if (["string", "email", "objectId"].includes(Type)) {
+        if (typeof Value !== "string" && typeof Value !== "number") return Fail(`${Label} must be a string...!`);
+
+        let Normalised = String(Value);
+        if (Rule.trim !== false) Normalised = Normalised.trim();
+        if (Rule.lowercase || Type === "email") Normalised = Normalised.toLowerCase();
+
+        if (IS_MISSING(Normalised)) return { Value: undefined };
+        if (Type === "email" && !EMAIL_PATTERN.test(Normalised)) return Fail(`${Label} must be a valid email address...!`);
+        if (Type === "objectId" && !OBJECT_ID_PATTERN.test(Normalised)) return Fail(`${Label} must be a valid id...!`);
+        if (Rule.minLength !== undefined && Normalised.length < Rule.minLength) return Fail(`${Label} must be at least ${Rule.minLength} characters long...!`);
+        if (Rule.maxLength !== undefined && Normalised.length > Rule.maxLength) return Fail(`${Label} must be at most ${Rule.maxLength} characters long...!`);
+        if (Rule.pattern && !Rule.pattern.test(Normalised)) return Fail(`${Label} has an invalid format...!`);
+        if (Rule.enum && !Rule.enum.includes(Normalised)) return Fail(`${Label} must be one of: ${Rule.enum.join(", ")}...!`);
+
+        return { Value: Normalised };
+    }
+
+    /******* Numbers and integers (query strings and multipart bodies are coerced) *******/
+    if (Type === "number" || Type === "integer") {
+        const Normalised = typeof Value === "number" ? Value : Number(String(Value).trim());
+
+        if (Number.isNaN(Normalised) || !Number.isFinite(Normalised)) return Fail(`${Label} must be a number...!`);
+        if (Type === "integer" && !Number.isInteger(Normalised)) return Fail(`${Label} must be an integer...!`);
+        if (Rule.min !== undefined && Normalised < Rule.min) return Fail(`${Label} must be at least ${Rule.min}...!`);
+        if (Rule.max !== undefined && Normalised > Rule.max) return Fail(`${Label} must be at most ${Rule.max}...!`);
+
+        return { Value: Normalised };
+    }
+
+    /******* Booleans ("true"/"false" and "1"/"0" strings are accepted) *******/
+    if (Type === "boolean") {
+        if (typeof Value === "boolean") return { Value };
+        if (["true", "1"].includes(String(Value).toLowerCase())) return { Value: true };
+        if (["false", "0"].includes(String(Value).toLowerCase())) return { Value: false };
+
+        return Fail(`${Label} must be a boolean...!`);
+    }
+
+    /******* Arrays (every item is validated with the `items` rule) *******/
+    if (Type === "array") {
+        if (!Array.isArray(Value)) return Fail(`${Label} must be an array...!`);
+        if (Rule.minItems !== undefined && Value.length < Rule.minItems) return Fail(`${Label} must contain at least ${Rule.minItems} items...!`);
+        if (Rule.maxItems !== undefined && Value.length > Rule.maxItems) return Fail(`${Label} must contain at most ${Rule.maxItems} items...!`);
+
+        if (!Rule.items) return { Value };
+
+        const Items = [];
+
+        for (const [Index, Item] of Value.entries()) {
+            const Result = VALIDATE_VALUE(Rule.items, Item, `${Label}[${Index}]`);
+
+            if (Result.Error) return Result;
+
+            Items.push(Result.Value);
+        }
+
+        return { Value: Items };
+    }
+
+    return Fail(`${Label} has an unsupported type...!`);
+}
+
+/*********************
+ * Validate one request location (body, query or params) against its schema.
+ * - Valid values are normalised in place, missing values get their default.
+ * - Fields that are not described by the schema are left untouched.
+ * - A rule may define `custom(Value, Source)` returning an error message, for checks involving several fields.
+ * - Returns the list of errors found in this location.
+ *********************/
+const VALIDATE_LOCATION = (Schema, Source, Location) => {
+    const Errors = [];
+
+    for (const [Field, Rule] of Object.entries(Schema)) {
+        const Label = Rule.label || Field;
+        let Value = Source[Field];
+
+        if (!IS_MISSING(Value)) {
+            const Result = VALIDATE_VALUE(Rule, Value, Label);
+
+            if (Result.Error) {
+                Errors.push({ location: Location, field: Field, message: Result.Error });
+                continue;
+            }
+
+            Value = Result.Value;
+        }
+
+        if (IS_MISSING(Value)) {
+            if (Rule.required) {
+                Errors.push({ location: Location, field: Field, message: Rule.message || `${Label} is required...!` });
+                continue;
+            }
+
+            Value = Rule.default;
+        }
+
+        const CustomError = Rule.custom?.(Value, Source);
+
+        if (CustomError) {
+            Errors.push({ location: Location, field: Field, message: CustomError });
+            continue;
+        }
+
+        if (Value === undefined) delete Source[Field];
+        else Source[Field] = Value;
+    }
+
+    return Errors;
+}
+
+/*********************
+ * Validate the files uploaded through Multer against their schema.
+ * - Works with both UPLOAD.fields(...) (Request.files) and UPLOAD.single(...) (Request.file).
+ * - Supported rule properties: required, maxCount, message.
+ *********************/
+const VALIDATE_FILES = (Schema, Request) => {
+    const Errors = [];
+
+    for (const [Field, Rule] of Object.entries(Schema)) {
+        const Label = Rule.label || Field;
+        const Files = Request.file?.fieldname === Field
+            ? [Request.file]
+            : (Array.isArray(Request.files) ? Request.files.filter((File) => File.fieldname === Field) : Request.files?.[Field]) || [];
+
+        if (Rule.required && Files.length === 0) {
+            Errors.push({ location: "files", field: Field, message: Rule.message || `${Label} file is required...!` });
+        } else if (Rule.maxCount !== undefined && Files.length > Rule.maxCount) {
+            Errors.push({ location: "files", field: Field, message: `At most ${Rule.maxCount} ${Label} file(s) can be uploaded...!` });
+        }
+    }
+
+    return Errors;
+}
+
+/*********************
+ * Remove the temporary files Multer wrote for a rejected request, so they are not left behind in "Public/Temporary".
+ *********************/
+const REMOVE_UPLOADED_FILES = (Request) => {
+    const Files = [
+        ...(Request.file ? [Request.file] : []),
+        ...(Array.isArray(Request.files) ? Request.files : Object.values(Request.files || {}).flat()),
+    ];
+
+    Files.forEach((File) => {
+        if (File?.path) FILE_SYSTEM.unlink(File.path, () => { });
+    });
+}
+
+/*********************
+ * Define the VALIDATE middleware factory.
+ * - Takes a schema per request location: { body, query, params, files } (every location is optional).
+ * - Returns a middleware that validates the request, normalises the values (trim, lowercase, type coercion, defaults)
+ *   and passes control to the next handler.
+ * - If any field is invalid, responds with an Unprocessable Entity (422) API_ERROR listing every invalid field
+ *   as { location, field, message }.
+ * - Must be placed after the Multer middleware on multipart routes, because Multer is what parses the body there.
+ *********************/
+export const VALIDATE = ({ body, query, params, files } = {}) => (Request, Response, Next) => {
+    const Errors = [
+        ...(params ? VALIDATE_LOCATION(params, Request.params || (Request.params = {}), "params") : []),
+        ...(query ? VALIDATE_LOCATION(query, Request.query || (Request.query = {}), "query") : []),
+        ...(body ? VALIDATE_LOCATION(body, Request.body || (Request.body = {}), "body") : []),
+        ...(files ? VALIDATE_FILES(files, Request) : []),
+    ];
+
+    if (Errors.length === 0) return Next();
+
+    REMOVE_UPLOADED_FILES(Request);
+
+    return Next(new API_ERROR(422, "Validation failed...!", Errors));
+}
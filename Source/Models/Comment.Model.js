@@ -0,0 +1,85 @@
+/*********************
+ * Import Required Modules and Packages.
+ * - MONGOOSE: Mongoose library for MongoDB interaction.
+ * - Schema: Schema constructor from Mongoose for defining the structure of documents.
+ * - MONGOOSE_AGGREGATE_PAGINATE: Plugin for Mongoose to add pagination capability to aggregate queries.
+ *********************/
+import MONGOOSE, { Schema } from "mongoose";
+import MONGOOSE_AGGREGATE_PAGINATE from "mongoose-aggregate-paginate-v2";
+
+/*********************
+ * Define the Comment Schema.
+ * - COMMENT_SCHEMA: Mongoose schema to define the structure of Comment documents in MongoDB.
+ * - content: Text of the comment.
+ * - video: Reference to the Video the comment was posted on.
+ * - owner: Reference to the User who posted the comment.
+ * - parentComment: Reference to the Comment this comment replies to, null for top-level comments.
+ *   Only one level of replies is allowed: a reply cannot be replied to.
+ * - repliesCount: Number of replies of a top-level comment, used to sort comments by "top".
+ * - isPinned: Whether the owner of the video pinned this comment. Only top-level comments can be pinned.
+ * - editedAt: Date of the last edit of the content, null if the comment was never edited.
+ * - Timestamps: Automatically adds createdAt and updatedAt fields.
+ *********************/
+const COMMENT_SCHEMA = new Schema(
+    {
+        content: {
+            type: String, // Text of the comment.
+            required: [true, "Content is required...!"],
+            trim: true,
+        },
+        video: {
+            type: Schema.Types.ObjectId, // Reference to the Video the comment was posted on.
+            required: [true, "Video is required...!"],
+            ref: "Videos", // This refers to the "Videos" model.
+        },
+        owner: {
+            type: Schema.Types.ObjectId, // Reference to the User who posted the comment.
+            required: [true, "Owner is required...!"],
+            ref: "Users", // This refers to the "Users" model.
+        },
+        parentComment: {
+            type: Schema.Types.ObjectId, // Reference to the Comment this comment replies to.
+            ref: "Comments", // This refers to the "Comments" model.
+            default: null, // Null for top-level comments.
+        },
+        repliesCount: {
+            type: Number, // Number of replies of a top-level comment.
+            default: 0, // Defaults to 0.
+        },
+        isPinned: {
+            type: Boolean, // Whether the owner of the video pinned this comment.
+            default: false, // Defaults to false.
+        },
+        editedAt: {
+            type: Date, // Date of the last edit of the content.
+            default: null, // Null if the comment was never edited.
+        },
+    },
+    {
+        timestamps: true, // Automatically manage createdAt and updatedAt fields.
+    }
+);
+
+/*********************
+ * Define the indexes of the Comment Schema.
+ * - { video, parentComment, createdAt }: Lists the comments of a video (or the replies of a comment) by date.
+ * - { video, parentComment, repliesCount }: Lists the comments of a video by "top".
+ * - { video } where isPinned: A video has at most one pinned comment.
+ *********************/
+COMMENT_SCHEMA.index({ video: 1, parentComment: 1, createdAt: -1 });
+COMMENT_SCHEMA.index({ video: 1, parentComment: 1, repliesCount: -1 });
+COMMENT_SCHEMA.index({ video: 1 }, { unique: true, partialFilterExpression: { isPinned: true } });
+
+/*********************
+ * Apply the Aggregate Paginate Plugin to the Comment Schema.
+ * - This adds pagination capabilities to aggregate queries on the Comment model.
+ *********************/
+COMMENT_SCHEMA.plugin(MONGOOSE_AGGREGATE_PAGINATE);
+
+/*********************
+ * Create and Export the Comment Model.
+ * - COMMENT: Mongoose model for the Comment schema.
+ * - MONGOOSE.model("Comments", COMMENT_SCHEMA) creates a model named "Comments" based on the COMMENT_SCHEMA schema.
+ * - This model allows CRUD operations and queries on the "comments" collection in MongoDB.
+ *********************/
+export const COMMENT = MONGOOSE.model("Comments", COMMENT_SCHEMA);
@@ -0,0 +1,149 @@
+/*********************
+ * Import Required Modules and Packages.
+ * - MONGOOSE: Mongoose library for MongoDB interaction.
+ * - Schema: Schema constructor from Mongoose for defining the structure of documents.
+ * - MONGOOSE_AGGREGATE_PAGINATE: Plugin for Mongoose to add pagination capability to aggregate queries.
+ *********************/
+import MONGOOSE, { Schema } from "mongoose";
+import MONGOOSE_AGGREGATE_PAGINATE from "mongoose-aggregate-paginate-v2";
+
+/*********************
+ * Visibilities of a playlist.
+ * - PUBLIC: Visible to everybody and listed on the channel of its owner.
+ * - UNLISTED: Visible to anybody who has its id, but not listed.
+ * - PRIVATE: Only visible to its owner.
+ *********************/
+export const PLAYLIST_VISIBILITIES = Object.freeze({
+    PUBLIC: "public",
+    UNLISTED: "unlisted",
+    PRIVATE: "private",
+});
+
+/*********************
+ * Limits and defaults of playlists.
+ * - PLAYLIST_MAX_VIDEOS: Maximum number of videos in a playlist, keeps the documents far below the MongoDB size limit.
+ * - WATCH_LATER_PLAYLIST_NAME: Name of the "Watch later" playlist every user gets.
+ *********************/
+export const PLAYLIST_MAX_VIDEOS = 500;
+export const WATCH_LATER_PLAYLIST_NAME = "Watch later";
+
+/*********************
+ * Define the Playlist Video Schema.
+ * - An entry of a playlist: the video and the date it was added. The order of the entries is the order of the playlist.
+ *********************/
+const PLAYLIST_VIDEO_SCHEMA = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId, // Reference to the Video.
+            required: [true, "Video is required...!"],
+            ref: "Videos", // This refers to the "Videos" model.
+        },
+        addedAt: {
+            type: Date, // Date the video was added to the playlist.
+            default: Date.now,
+        },
+    },
+    {
+        _id: false, // Entries are identified by their video.
+    }
+);
+
+/*********************
+ * Define the Playlist Schema.
+ * - PLAYLIST_SCHEMA: Mongoose schema to define the structure of Playlist documents in MongoDB.
+ * - name: Name of the playlist.
+ * - description: Description of the playlist.
+ * - owner: Reference to the User who created the playlist.
+ * - visibility: One of PLAYLIST_VISIBILITIES. Defaults to private.
+ * - videos: Ordered entries of the playlist, a video appears at most once.
+ * - isWatchLater: Whether this is the "Watch later" playlist of its owner. It is created by the system,
+ *   always private, and cannot be renamed or deleted.
+ * - Timestamps: Automatically adds createdAt and updatedAt fields.
+ *********************/
+const PLAYLIST_SCHEMA = new Schema(
+    {
+        name: {
+            type: String, // Name of the playlist.
+            required: [true, "Name is required...!"],
+            trim: true,
+        },
+        description: {
+            type: String, // Description of the playlist.
+            default: "",
+        },
+        owner: {
+            type: Schema.Types.ObjectId, // Reference to the User who created the playlist.
+            required: [true, "Owner is required...!"],
+            ref: "Users", // This refers to the "Users" model.
+        },
+        visibility: {
+            type: String, // Who can see the playlist.
+            enum: Object.values(PLAYLIST_VISIBILITIES),
+            default: PLAYLIST_VISIBILITIES.PRIVATE, // Defaults to private.
+        },
+        videos: {
+            type: [PLAYLIST_VIDEO_SCHEMA], // Ordered entries of the playlist.
+            default: [],
+        },
+        isWatchLater: {
+            type: Boolean, // Whether this is the "Watch later" playlist of its owner.
+            default: false,
+        },
+    },
+    {
+        timestamps: true, // Automatically manage createdAt and updatedAt fields.
+    }
+);
+
+/*********************
+ * Define the indexes of the Playlist Schema.
+ * - { owner, updatedAt }: Lists the playlists of a user, most recently updated first.
+ * - { owner } where isWatchLater: A user has exactly one "Watch later" playlist.
+ * - { videos.video }: Removes a deleted video from every playlist.
+ *********************/
+PLAYLIST_SCHEMA.index({ owner: 1, updatedAt: -1 });
+PLAYLIST_SCHEMA.index({ owner: 1 }, { unique: true, partialFilterExpression: { isWatchLater: true } });
+PLAYLIST_SCHEMA.index({ "videos.video": 1 });
+
+/*********************
+ * Define a static method to find the "Watch later" playlist of a user.
+ * - The playlist is created the first time it is needed.
+ * - The unique index on the "Watch later" playlists makes a concurrent creation fail with a duplicate key error,
+ *   in which case the playlist created by the other request is returned.
+ *********************/
+PLAYLIST_SCHEMA.statics.FindOrCreateWatchLater = async function (UserId) {
+    const Filter = { owner: UserId, isWatchLater: true };
+
+    try {
+        return await this.findOneAndUpdate(
+            Filter,
+            {
+                $setOnInsert: {
+                    name: WATCH_LATER_PLAYLIST_NAME,
+                    description: "",
+                    visibility: PLAYLIST_VISIBILITIES.PRIVATE,
+                    videos: [],
+                },
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        if (error?.code !== 11000) throw error;
+
+        return this.findOne(Filter);
+    }
+}
+
+/*********************
+ * Apply the Aggregate Paginate Plugin to the Playlist Schema.
+ * - This adds pagination capabilities to aggregate queries on the Playlist model.
+ *********************/
+PLAYLIST_SCHEMA.plugin(MONGOOSE_AGGREGATE_PAGINATE);
+
+/*********************
+ * Create and Export the Playlist Model.
+ * - PLAYLIST: Mongoose model for the Playlist schema.
+ * - MONGOOSE.model("Playlists", PLAYLIST_SCHEMA) creates a model named "Playlists" based on the PLAYLIST_SCHEMA schema.
+ * - This model allows CRUD operations and queries on the "playlists" collection in MongoDB.
+ *********************/
+export const PLAYLIST = MONGOOSE.model("Playlists", PLAYLIST_SCHEMA);
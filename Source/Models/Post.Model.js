@@ -0,0 +1,76 @@
+/*********************
+ * Import Required Modules and Packages.
+ * - MONGOOSE: Mongoose library for MongoDB interaction.
+ * - Schema: Schema constructor from Mongoose for defining the structure of documents.
+ * - MONGOOSE_AGGREGATE_PAGINATE: Plugin for Mongoose to add pagination capability to aggregate queries.
+ *********************/
+import MONGOOSE, { Schema } from "mongoose";
+import MONGOOSE_AGGREGATE_PAGINATE from "mongoose-aggregate-paginate-v2";
+
+/*********************
+ * Define the Post Schema.
+ * - POST_SCHEMA: Mongoose schema to define the structure of community Post documents in MongoDB.
+ * - A post is a short text update, optionally with an image, published on the channel of its owner.
+ * - content: Text of the post.
+ * - image: URL or path to the image of the post, if any.
+ * - imageKey: Storage key of the image, used to delete it.
+ * - owner: Reference to the User who published the post.
+ * - isPinned: Whether the post is pinned at the top of the channel. A channel has at most one pinned post.
+ * - editedAt: Date of the last edit, null if the post was never edited.
+ * - Timestamps: Automatically adds createdAt and updatedAt fields.
+ *********************/
+const POST_SCHEMA = new Schema(
+    {
+        content: {
+            type: String, // Text of the post.
+            required: [true, "Content is required...!"],
+            trim: true,
+        },
+        image: {
+            type: String, // URL or path to the image of the post.
+            default: null,
+        },
+        imageKey: {
+            type: String, // Storage key of the image of the post.
+            default: null,
+        },
+        owner: {
+            type: Schema.Types.ObjectId, // Reference to the User who published the post.
+            required: [true, "Owner is required...!"],
+            ref: "Users", // This refers to the "Users" model.
+        },
+        isPinned: {
+            type: Boolean, // Whether the post is pinned at the top of the channel.
+            default: false, // Defaults to false.
+        },
+        editedAt: {
+            type: Date, // Date of the last edit.
+            default: null, // Null if the post was never edited.
+        },
+    },
+    {
+        timestamps: true, // Automatically manage createdAt and updatedAt fields.
+    }
+);
+
+/*********************
+ * Define the indexes of the Post Schema.
+ * - { owner, isPinned, createdAt }: Lists the posts of a channel, the pinned post first and then newest first.
+ * - { owner } where isPinned: A channel has at most one pinned post.
+ *********************/
+POST_SCHEMA.index({ owner: 1, isPinned: -1, createdAt: -1 });
+POST_SCHEMA.index({ owner: 1 }, { unique: true, partialFilterExpression: { isPinned: true } });
+
+/*********************
+ * Apply the Aggregate Paginate Plugin to the Post Schema.
+ * - This adds pagination capabilities to aggregate queries on the Post model.
+ *********************/
+POST_SCHEMA.plugin(MONGOOSE_AGGREGATE_PAGINATE);
+
+/*********************
+ * Create and Export the Post Model.
+ * - POST: Mongoose model for the Post schema.
+ * - MONGOOSE.model("Posts", POST_SCHEMA) creates a model named "Posts" based on the POST_SCHEMA schema.
+ * - This model allows CRUD operations and queries on the "posts" collection in MongoDB.
+ *********************/
+export const POST = MONGOOSE.model("Posts", POST_SCHEMA);
@@ -0,0 +1,87 @@
+/*********************
+ * Import Required Modules and Packages.
+ * - MONGOOSE: Mongoose library for MongoDB interaction.
+ * - Schema: Schema constructor from Mongoose for defining the structure of documents.
+ * - MONGOOSE_AGGREGATE_PAGINATE: Plugin for Mongoose to add pagination capability to aggregate queries.
+ *********************/
+import MONGOOSE, { Schema } from "mongoose";
+import MONGOOSE_AGGREGATE_PAGINATE from "mongoose-aggregate-paginate-v2";
+
+/*********************
+ * Types of documents users can react to.
+ * - Adding a target type also requires registering how to find it in Reaction.Controller.js.
+ *********************/
+export const REACTION_TARGET_TYPES = Object.freeze({
+    VIDEO: "video",
+    COMMENT: "comment",
+    POST: "post",
+});
+
+/*********************
+ * Reactions a user can have on a target.
+ *********************/
+export const REACTION_TYPES = Object.freeze({
+    LIKE: "like",
+    DISLIKE: "dislike",
+});
+
+/*********************
+ * Define the Reaction Schema.
+ * - REACTION_SCHEMA: Mongoose schema to define the structure of Reaction documents in MongoDB.
+ * - A reaction is the like or dislike of a user on a target (a video, a comment, a community post...).
+ * - targetType: Type of the document reacted to, one of REACTION_TARGET_TYPES.
+ * - target: ID of the document reacted to.
+ * - user: Reference to the User who reacted.
+ * - type: The reaction, one of REACTION_TYPES.
+ * - Timestamps: Automatically adds createdAt and updatedAt (the date of the last change of reaction) fields.
+ *********************/
+const REACTION_SCHEMA = new Schema(
+    {
+        targetType: {
+            type: String, // Type of the document reacted to.
+            required: [true, "Target type is required...!"],
+            enum: Object.values(REACTION_TARGET_TYPES),
+        },
+        target: {
+            type: Schema.Types.ObjectId, // ID of the document reacted to.
+            required: [true, "Target is required...!"],
+        },
+        user: {
+            type: Schema.Types.ObjectId, // Reference to the User who reacted.
+            required: [true, "User is required...!"],
+            ref: "Users", // This refers to the "Users" model.
+        },
+        type: {
+            type: String, // The reaction.
+            required: [true, "Reaction type is required...!"],
+            enum: Object.values(REACTION_TYPES),
+        },
+    },
+    {
+        timestamps: true, // Automatically manage createdAt and updatedAt fields.
+    }
+);
+
+/*********************
+ * Define the indexes of the Reaction Schema.
+ * - { targetType, target, user }: A user has at most one reaction per target.
+ * - { targetType, target, type }: Used to count the likes and dislikes of a target.
+ * - { user, targetType, type, updatedAt }: Used to list the videos a user liked, most recent first.
+ *********************/
+REACTION_SCHEMA.index({ targetType: 1, target: 1, user: 1 }, { unique: true });
+REACTION_SCHEMA.index({ targetType: 1, target: 1, type: 1 });
+REACTION_SCHEMA.index({ user: 1, targetType: 1, type: 1, updatedAt: -1 });
+
+/*********************
+ * Apply the Aggregate Paginate Plugin to the Reaction Schema.
+ * - This adds pagination capabilities to aggregate queries on the Reaction model.
+ *********************/
+REACTION_SCHEMA.plugin(MONGOOSE_AGGREGATE_PAGINATE);
+
+/*********************
+ * Create and Export the Reaction Model.
+ * - REACTION: Mongoose model for the Reaction schema.
+ * - MONGOOSE.model("Reactions", REACTION_SCHEMA) creates a model named "Reactions" based on the REACTION_SCHEMA schema.
+ * - This model allows CRUD operations and queries on the "reactions" collection in MongoDB.
+ *********************/
+export const REACTION = MONGOOSE.model("Reactions", REACTION_SCHEMA);
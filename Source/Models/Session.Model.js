@@ -0,0 +1,105 @@
+/*********************
+ * Import necessary packages and modules.
+ * - mongoose: MongoDB object modeling tool to define schemas and interact with the MongoDB database.
+ * - Schema: Mongoose's schema constructor used to define the structure of a MongoDB document.
+ *********************/
+import MONGOOSE, { Schema } from "mongoose";
+
+/*********************
+ * Define the Session Schema
+ * - SESSION_SCHEMA: Mongoose schema to define the structure of Session documents in MongoDB.
+ * - A session is created on every login and represents one signed-in device.
+ * - user: Reference to the User the session belongs to.
+ * - refreshTokenHash: SHA-256 hash of the latest refresh token issued for this session.
+ * - deviceLabel: Human readable label of the device (e.g. "Chrome on Windows").
+ * - userAgent: Raw User-Agent header sent when the session was created.
+ * - ipAddress: IP address the session was created from.
+ * - lastSeenAt: Last time the session was used to access the API.
+ * - revokedAt: Time the session was revoked, null while the session is active.
+ * - expiresAt: Time the refresh token of the session expires. MongoDB removes the document after this time.
+ * - Timestamps: Automatically adds createdAt and updatedAt fields.
+ *********************/
+const SESSION_SCHEMA = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId, // Reference to the User the session belongs to.
+            required: [true, "User is required...!"],
+            ref: "Users", // This refers to the "Users" model.
+            index: true, // Create an index for efficient querying.
+        },
+        refreshTokenHash: {
+            type: String, // SHA-256 hash of the latest refresh token.
+            required: false, // Not required.
+        },
+        deviceLabel: {
+            type: String, // Human readable label of the device.
+            required: false, // Not required.
+            trim: true, // Remove leading/trailing whitespace.
+            default: "Unknown device",
+        },
+        userAgent: {
+            type: String, // Raw User-Agent header.
+            required: false, // Not required.
+        },
+        ipAddress: {
+            type: String, // IP address the session was created from.
+            required: false, // Not required.
+        },
+        lastSeenAt: {
+            type: Date, // Last time the session was used.
+            default: Date.now,
+        },
+        revokedAt: {
+            type: Date, // Time the session was revoked.
+            default: null, // Active sessions are not revoked.
+        },
+        expiresAt: {
+            type: Date, // Time the refresh token of the session expires.
+            required: false, // Not required.
+            expires: 0, // TTL index: MongoDB deletes the document once this date has passed.
+        },
+    },
+    {
+        timestamps: true, // Automatically adds createdAt and updatedAt fields
+    }
+);
+
+/*********************
+ * Static Method to Find an Active Session
+ * - FindActiveSession: Returns the session with the given ID if it belongs to the given user,
+ *   has not been revoked and has not expired. Returns null otherwise.
+ *********************/
+SESSION_SCHEMA.statics.FindActiveSession = async function (SessionId, UserId) {
+    if (!SessionId || !UserId) return null; // Mongoose would drop undefined filters and match any session.
+
+    return await this.findOne({
+        _id: SessionId,
+        user: UserId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+}
+
+/*********************
+ * Static Method to Revoke Sessions of a User
+ * - RevokeUserSessions: Revokes every active session of the given user.
+ * - ExceptSessionId: Optional session ID that should stay active (e.g. the session performing the request).
+ * - Returns the number of revoked sessions.
+ *********************/
+SESSION_SCHEMA.statics.RevokeUserSessions = async function (UserId, ExceptSessionId) {
+    const Filter = { user: UserId, revokedAt: null };
+
+    if (ExceptSessionId) Filter._id = { $ne: ExceptSessionId };
+
+    const Result = await this.updateMany(Filter, { $set: { revokedAt: new Date() } });
+
+    return Result.modifiedCount;
+}
+
+/*********************
+ * Create and Export the Session Model
+ * - SESSION: Mongoose model for the Session schema.
+ * - MONGOOSE.model("Sessions", SESSION_SCHEMA) creates a model named "Sessions" based on the SESSION_SCHEMA schema.
+ * - This model allows CRUD operations and queries on the "sessions" collection in MongoDB.
+ *********************/
+export const SESSION = MONGOOSE.model("Sessions", SESSION_SCHEMA);
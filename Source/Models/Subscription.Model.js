@@ -0,0 +1,56 @@
+/*********************
+ * Import Required Modules and Packages.
+ * - MONGOOSE: Mongoose library for MongoDB interaction.
+ * - Schema: Schema constructor from Mongoose for defining the structure of documents.
+ * - MONGOOSE_AGGREGATE_PAGINATE: Plugin for Mongoose to add pagination capability to aggregate queries.
+ *********************/
+import MONGOOSE, { Schema } from "mongoose";
+import MONGOOSE_AGGREGATE_PAGINATE from "mongoose-aggregate-paginate-v2";
+
+/*********************
+ * Define the Subscription Schema.
+ * - SUBSCRIPTION_SCHEMA: Mongoose schema to define the structure of Subscription documents in MongoDB.
+ * - A subscription links a subscriber to the channel (user) they subscribed to.
+ * - subscriber: Reference to the User who subscribes.
+ * - channel: Reference to the User whose channel is subscribed to.
+ * - Timestamps: Automatically adds createdAt (the subscription date) and updatedAt fields.
+ *********************/
+const SUBSCRIPTION_SCHEMA = new Schema(
+    {
+        subscriber: {
+            type: Schema.Types.ObjectId, // Reference to the User who subscribes.
+            required: [true, "Subscriber is required...!"],
+            ref: "Users", // This refers to the "Users" model.
+        },
+        channel: {
+            type: Schema.Types.ObjectId, // Reference to the User whose channel is subscribed to.
+            required: [true, "Channel is required...!"],
+            ref: "Users", // This refers to the "Users" model.
+        },
+    },
+    {
+        timestamps: true, // Automatically manage createdAt and updatedAt fields.
+    }
+);
+
+/*********************
+ * Define the indexes of the Subscription Schema.
+ * - { subscriber, channel }: A user can only subscribe once to a channel, also used to list the subscriptions of a user.
+ * - { channel, createdAt }: Used to count and list the subscribers of a channel, newest first.
+ *********************/
+SUBSCRIPTION_SCHEMA.index({ subscriber: 1, channel: 1 }, { unique: true });
+SUBSCRIPTION_SCHEMA.index({ channel: 1, createdAt: -1 });
+
+/*********************
+ * Apply the Aggregate Paginate Plugin to the Subscription Schema.
+ * - This adds pagination capabilities to aggregate queries on the Subscription model.
+ *********************/
+SUBSCRIPTION_SCHEMA.plugin(MONGOOSE_AGGREGATE_PAGINATE);
+
+/*********************
+ * Create and Export the Subscription Model.
+ * - SUBSCRIPTION: Mongoose model for the Subscription schema.
+ * - MONGOOSE.model("Subscriptions", SUBSCRIPTION_SCHEMA) creates a model named "Subscriptions" based on the SUBSCRIPTION_SCHEMA schema.
+ * - This model allows CRUD operations and queries on the "subscriptions" collection in MongoDB.
+ *********************/
+export const SUBSCRIPTION = MONGOOSE.model("Subscriptions", SUBSCRIPTION_SCHEMA);
@@ -2,22 +2,32 @@
  * Import necessary packages and modules.
  * - mongoose: MongoDB object modeling tool to define schemas and interact with the MongoDB database.
  * - Schema: Mongoose's schema constructor used to define the structure of a MongoDB document.
+ * - MONGOOSE_AGGREGATE_PAGINATE: Plugin for Mongoose to add pagination capability to aggregate queries.
  * - process: Node.js process module to access environment variables.
  * - bcrypt: Library for hashing and comparing passwords.
  * - jsonwebtoken: Library for creating and verifying JSON Web Tokens (JWTs).
+ * - crypto: Node.js crypto module used to generate unique token identifiers.
  *********************/
 import MONGOOSE, { Schema } from "mongoose";
+import MONGOOSE_AGGREGATE_PAGINATE from "mongoose-aggregate-paginate-v2";
 import PROCESS from "node:process";
 import BCRYPT from "bcryptjs";
 import JSON_WEB_TOKEN from "jsonwebtoken";
+import CRYPTO from "node:crypto";
 
 /*********************
  * Import custom modules and functions.
  * - Constants: Various constant values used throughout the code.
  * - API_ERROR: Custom error class for handling API errors.
+ * - HASH_STRING: Helper function that returns the SHA-256 hash of a string.
+ * - VERIFY_TOTP, NORMALISE_RECOVERY_CODE: Functions to check two-factor authentication codes.
+ * - ROLES: Roles a user can have.
  *********************/
 import { SAVE } from "../Utilities/Constants.js";
 import { API_ERROR } from "../Utilities/ApiError.js";
+import { HASH_STRING } from "../Utilities/HelperFunctions.js";
+import { VERIFY_TOTP, NORMALISE_RECOVERY_CODE } from "../Utilities/Totp.js";
+import { ROLES } from "../Utilities/Permissions.js";
 
 /*********************
  * Define the User Schema
@@ -25,11 +35,17 @@ import { API_ERROR } from "../Utilities/ApiError.js";
  * - username: Unique identifier for the user, stored in lowercase.
  * - email: User's email address, also unique and stored in lowercase.
  * - fullName: User's full name.
- * - avatar: URL to the user's avatar image.
+ * - avatar: URL to the user's avatar image. Empty until the avatar uploaded at registration is stored (see UserImages.js).
+ * - avatarKey: Storage key of the avatar image, used to delete it.
  * - coverImage: Optional URL to the user's cover image.
- * - watchHistory: Array of references to videos the user has watched.
+ * - coverImageKey: Optional storage key of the cover image, used to delete it.
+ * - watchHistory: Array of references to videos the user has watched, most recent first and without duplicates.
+ * - isWatchHistoryPaused: When true, watched videos are not added to the watch history.
  * - password: Hashed password for the user.
- * - refreshToken: Optional token used to refresh the user's session.
+ * - roles: Roles of the user, which grant the permissions checked by the AUTHORIZE middleware.
+ * - isEmailVerified: Whether the user proved they own the email address.
+ * - emailVerifiedAt: When the email address was verified.
+ * - twoFactor: TOTP two-factor authentication settings. The secrets and recovery code hashes are never selected by default.
  * - Timestamps: Automatically adds createdAt and updatedAt fields.
  *********************/
 const USER_SCHEMA = new Schema(
@@ -55,11 +71,19 @@ const USER_SCHEMA = new Schema(
             index: true, // Create an index for efficient querying.
         },
         avatar: {
-            type: String, // Cloudinary Url to the user's avatar image.
-            required: [true, "Avatar is required...!"],
+            type: String, // Url to the user's avatar image.
+            default: "", // Set once the avatar uploaded at registration is stored.
+        },
+        avatarKey: {
+            type: String, // Storage key of the user's avatar image.
+            required: false,
         },
         coverImage: {
-            type: String, // Cloudinary Url to the user's cover image.
+            type: String, // Url to the user's cover image.
+            required: false,
+        },
+        coverImageKey: {
+            type: String, // Storage key of the user's cover image.
             required: false,
         },
         watchHistory: [
@@ -69,13 +93,57 @@ const USER_SCHEMA = new Schema(
                 ref: "Videos", // Refers to the "Videos" model.
             }
         ],
+        isWatchHistoryPaused: {
+            type: Boolean, // Whether watched videos are recorded.
+            default: false,
+        },
         password: {
             type: String, // User's password.
             required: [true, "Password is required...!"],
         },
-        refreshToken: {
-            type: String, // Refresh token for the user.
-            required: false, // Not required.
+        roles: {
+            type: [
+                {
+                    type: String, // Name of a role.
+                    enum: Object.values(ROLES), // Only known roles.
+                }
+            ],
+            default: [ROLES.USER], // Every user has the base role.
+            index: true, // Create an index to list the users of a role.
+        },
+        isEmailVerified: {
+            type: Boolean, // Whether the email address has been verified.
+            default: false,
+        },
+        emailVerifiedAt: {
+            type: Date, // When the email address was verified.
+            default: null,
+        },
+        twoFactor: {
+            isEnabled: {
+                type: Boolean, // Whether a TOTP code is required to log in.
+                default: false,
+            },
+            secret: {
+                type: String, // Base32 TOTP secret of the confirmed authenticator.
+                select: false, // Never returned unless explicitly selected.
+            },
+            pendingSecret: {
+                type: String, // Base32 TOTP secret waiting to be confirmed with a first code.
+                select: false,
+            },
+            recoveryCodes: {
+                type: [String], // SHA-256 hashes of the unused recovery codes.
+                select: false,
+            },
+            lastUsedStep: {
+                type: Number, // Time step of the last accepted TOTP code, so a code cannot be used twice.
+                select: false,
+            },
+            enabledAt: {
+                type: Date, // When two-factor authentication was enabled.
+                default: null,
+            },
         },
     },
     {
@@ -97,6 +165,51 @@ USER_SCHEMA.pre(SAVE, async function (Next) {
     Next();
 });
 
+/*********************
+ * Maximum number of videos kept in the watch history, the oldest entries are dropped first.
+ *********************/
+export const WATCH_HISTORY_MAX_ENTRIES = 200;
+
+/*********************
+ * Static Method to Record a Watched Video
+ * - RecordWatch: Moves the video to the top of the watch history of the user, adding it if needed,
+ *   and drops the oldest entries beyond WATCH_HISTORY_MAX_ENTRIES.
+ * - Runs as a single atomic update, so concurrent plays never create duplicates.
+ * - Does nothing while the user has paused their watch history.
+ * - Returns true if the watch history was updated.
+ *********************/
+USER_SCHEMA.statics.RecordWatch = async function (UserId, VideoId) {
+    const Video = new MONGOOSE.Types.ObjectId(String(VideoId));
+
+    const Result = await this.updateOne(
+        { _id: UserId, isWatchHistoryPaused: { $ne: true } },
+        [
+            {
+                $set: {
+                    watchHistory: {
+                        $slice: [
+                            {
+                                $concatArrays: [
+                                    [Video],
+                                    {
+                                        $filter: {
+                                            input: { $ifNull: ["$watchHistory", []] },
+                                            cond: { $ne: ["$$this", Video] },
+                                        },
+                                    },
+                                ],
+                            },
+                            WATCH_HISTORY_MAX_ENTRIES,
+                        ],
+                    },
+                },
+            },
+        ]
+    );
+
+    return Result.modifiedCount === 1;
+}
+
 /*********************
  * Method to Check Password Validity
  * - isPasswordCorrect: Compares the provided password with the hashed password stored in the database.
@@ -106,15 +219,77 @@ USER_SCHEMA.methods.isPasswordCorrect = async function (Password) {
     return await BCRYPT.compare(Password, this.password);
 }
 
+/*********************
+ * Method to Check a Second Factor
+ * - isSecondFactorCorrect: Checks a TOTP code or a recovery code of a user with two-factor authentication enabled.
+ * - A TOTP code is only accepted once: its time step must be newer than the last accepted one.
+ * - A recovery code is removed when it is used.
+ * - Both checks are atomic updates, so the same code cannot be accepted by two concurrent requests.
+ * - Returns true if the code was accepted, false otherwise.
+ *********************/
+USER_SCHEMA.methods.isSecondFactorCorrect = async function (Code) {
+    const User = await this.constructor.findById(this._id).select("+twoFactor.secret");
+
+    if (!User?.twoFactor?.isEnabled || !User.twoFactor.secret) return false;
+
+    const Step = VERIFY_TOTP(User.twoFactor.secret, Code);
+
+    if (Step !== null) {
+        const Result = await this.constructor.updateOne(
+            {
+                _id: this._id,
+                $or: [{ "twoFactor.lastUsedStep": null }, { "twoFactor.lastUsedStep": { $lt: Step } }],
+            },
+            { $set: { "twoFactor.lastUsedStep": Step } }
+        );
+
+        return Result.modifiedCount === 1;
+    }
+
+    const RecoveryCodeHash = HASH_STRING(NORMALISE_RECOVERY_CODE(Code));
+
+    const Result = await this.constructor.updateOne(
+        { _id: this._id, "twoFactor.recoveryCodes": RecoveryCodeHash },
+        { $pull: { "twoFactor.recoveryCodes": RecoveryCodeHash } }
+    );
+
+    return Result.modifiedCount === 1;
+}
+
+/*********************
+ * Method to Generate Two-Factor Challenge Token
+ * - GenerateTwoFactorChallengeToken: Generates the short-lived JWT returned by the login endpoint when two-factor authentication
+ *   is enabled. It proves the password was correct and must be exchanged together with a valid code for real tokens.
+ * - DeviceLabel: Label of the device that logged in, used for the session created once the challenge is completed.
+ * - jti: A unique identifier used to limit the attempts and allow the challenge to be completed only once.
+ * - The token is signed with the TWO_FACTOR_CHALLENGE_TOKEN_SECRET and expires according to the TWO_FACTOR_CHALLENGE_TOKEN_EXPIRY (default 5 minutes).
+ *********************/
+USER_SCHEMA.methods.GenerateTwoFactorChallengeToken = async function (DeviceLabel) {
+    return await JSON_WEB_TOKEN.sign(
+        {
+            _id: this._id,
+            purpose: "TwoFactorChallenge",
+            deviceLabel: DeviceLabel,
+            jti: CRYPTO.randomUUID(),
+        },
+        PROCESS.env.TWO_FACTOR_CHALLENGE_TOKEN_SECRET, // Secret key for signing the token
+        {
+            expiresIn: PROCESS.env.TWO_FACTOR_CHALLENGE_TOKEN_EXPIRY || "5m" // Token expiration time
+        },
+    );
+}
+
 /*********************
  * Method to Generate Access Token
- * - GenerateAccessToken: Generates a JWT for the user that includes the user's ID, email, username, and full name.
+ * - GenerateAccessToken: Generates a JWT for the user that includes the user's ID and the ID of the session it belongs to.
+ * - SessionId: Used by the authentication middleware to reject access tokens of revoked sessions immediately.
  * - The token is signed with the ACCESS_TOKEN_SECRET from the environment variables and expires according to the ACCESS_TOKEN_EXPIRY.
  *********************/
-USER_SCHEMA.methods.GenerateAccessToken = async function () {
+USER_SCHEMA.methods.GenerateAccessToken = async function (SessionId) {
     return await JSON_WEB_TOKEN.sign(
         {
             _id: this._id,
+            sessionId: SessionId,
         },
         PROCESS.env.ACCESS_TOKEN_SECRET, // Secret key for signing the token
         {
@@ -125,10 +300,12 @@ USER_SCHEMA.methods.GenerateAccessToken = async function () {
 
 /*********************
  * Method to Generate Refresh Token
- * - GenerateRefreshToken: Generates a JWT that contains only the user's ID.
+ * - GenerateRefreshToken: Generates a JWT that contains the user's ID, the paired access token and the session ID.
+ * - SessionId: Every refresh token rotated from the same login belongs to the same session, which is used to detect token reuse.
+ * - jti: A unique identifier so that two tokens issued within the same second never collide.
  * - The token is signed with the REFRESH_TOKEN_SECRET from the environment variables and expires according to the REFRESH_TOKEN_EXPIRY.
  *********************/
-USER_SCHEMA.methods.GenerateRefreshToken = async function (AccessToken) {
+USER_SCHEMA.methods.GenerateRefreshToken = async function (AccessToken, SessionId) {
     if (!AccessToken) {
         throw new API_ERROR(
             500,
@@ -145,7 +322,9 @@ USER_SCHEMA.methods.GenerateRefreshToken = async function (AccessToken) {
     return await JSON_WEB_TOKEN.sign(
         {
             _id: this._id,
-            accessToken: AccessToken
+            accessToken: AccessToken,
+            sessionId: SessionId,
+            jti: CRYPTO.randomUUID(),
         },
         PROCESS.env.REFRESH_TOKEN_SECRET, // Secret key for signing the token
         {
@@ -154,6 +333,12 @@ USER_SCHEMA.methods.GenerateRefreshToken = async function (AccessToken) {
     );
 }
 
+/*********************
+ * Apply the Aggregate Paginate Plugin to the User Schema.
+ * - This adds pagination capabilities to aggregate queries on the User model (e.g. the watch history).
+ *********************/
+USER_SCHEMA.plugin(MONGOOSE_AGGREGATE_PAGINATE);
+
 /*********************
  * Create and Export the User Model
  * - USER: Mongoose model for the User schema.
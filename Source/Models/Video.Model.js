@@ -11,13 +11,17 @@ import MONGOOSE_AGGREGATE_PAGINATE from "mongoose-aggregate-paginate-v2";
  * Define the Video Schema.
  * - VIDEO_SCHEMA: Mongoose schema to define the structure of Video documents in MongoDB.
  * - videoFile: URL or path to the video file.
+ * - videoFileKey: Storage key of the video file, used to delete it.
  * - thumbnail: URL or path to the video thumbnail.
+ * - thumbnailKey: Storage key of the video thumbnail, used to delete it.
  * - title: Title of the video.
  * - description: Description of the video.
  * - owner: Reference to the User who uploaded the video.
  * - duration: Duration of the video in seconds.
  * - views: Number of views the video has received. Defaults to 0.
  * - isPublished: Boolean flag indicating whether the video is published. Defaults to true.
+ * - viewBatches: Ids of the last batches of buffered views added to `views`, so a batch written twice is only counted once
+ *   (see ViewCounter.js). Not selected by default.
  *********************/
 const VIDEO_SCHEMA = new Schema(
     {
@@ -25,10 +29,18 @@ const VIDEO_SCHEMA = new Schema(
             type: String, // URL or path to the video file. 
             required: [true, "Video File is required...!"],
         },
+        videoFileKey: {
+            type: String, // Storage key of the video file.
+            required: false,
+        },
         thumbnail: {
             type: String, // URL or path to the video thumbnail.
             required: [true, "Thumbnail is required...!"],
         },
+        thumbnailKey: {
+            type: String, // Storage key of the video thumbnail.
+            required: false,
+        },
         title: {
             type: String, // Title of the video.
             required: [true, "Title is required...!"],
@@ -55,6 +67,11 @@ const VIDEO_SCHEMA = new Schema(
             type: Boolean, // Boolean flag indicating whether the video is published.
             default: true, // Defaults to true.
         },
+        viewBatches: {
+            type: [String], // Ids of the last batches of views added to `views`.
+            default: undefined,
+            select: false,
+        },
     },
     {
         timestamps: true, // Automatically manage createdAt and updatedAt fields.
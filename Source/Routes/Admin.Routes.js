@@ -0,0 +1,98 @@
+/*********************
+ * Import necessary packages and modules.
+ * - express: The Express.js framework for building web applications and APIs.
+ *********************/
+import EXPRESS from "express";
+
+/*********************
+ * Create a new Router instance.
+ * - ROUTER: This instance is used to define route handlers for different HTTP requests.
+ *********************/
+const ROUTER = EXPRESS.Router();
+
+/*********************
+ * Import custom controller functions.
+ * - GET_USER_ROLES: Returns the roles of a user and the permissions they grant.
+ * - GRANT_ROLE: Adds a role to a user.
+ * - REVOKE_ROLE: Removes a role from a user.
+ * - UNLOCK_USER_ACCOUNT: Removes the login lockout of a user.
+ * - GET_JOBS_OVERVIEW: Returns the number of jobs in each job queue.
+ * - GET_FAILED_JOBS: Returns the jobs of the dead-letter list.
+ * - GET_JOB_DETAILS: Returns a job.
+ * - RETRY_JOB: Puts a failed job back in its queue.
+ * - DELETE_JOB: Removes a failed job from the dead-letter list.
+ *********************/
+import {
+    GET_USER_ROLES,
+    GRANT_ROLE,
+    REVOKE_ROLE,
+    UNLOCK_USER_ACCOUNT,
+    GET_JOBS_OVERVIEW,
+    GET_FAILED_JOBS,
+    GET_JOB_DETAILS,
+    RETRY_JOB,
+    DELETE_JOB,
+} from "../Controllers/Admin.Controller.js";
+
+/*********************
+ * Import custom middleware functions.
+ * - AUTHENTICATE_USER: Middleware that rejects requests without a valid access token.
+ * - AUTHORIZE: Middleware factory that rejects users without the given permissions.
+ * - VALIDATE: Middleware factory that validates the request against a schema and responds
+ *   with a 422 error listing every invalid field.
+ * - READ_RATE_LIMITER, WRITE_RATE_LIMITER: Redis-backed rate limiting policies, counted per user.
+ *********************/
+import { AUTHENTICATE_USER } from "../Middlewares/Authentication.Middleware.js";
+import { AUTHORIZE } from "../Middlewares/Authorization.Middleware.js";
+import { VALIDATE } from "../Middlewares/Validation.Middleware.js";
+import { READ_RATE_LIMITER, WRITE_RATE_LIMITER } from "../Middlewares/RateLimit.Middleware.js";
+
+/*********************
+ * Import the permissions and validation schemas of the admin routes.
+ *********************/
+import { PERMISSIONS } from "../Utilities/Permissions.js";
+import { USER_ID_SCHEMA, USER_ROLE_SCHEMA, FAILED_JOBS_SCHEMA, JOB_ID_SCHEMA } from "../Validators/Admin.Validators.js";
+
+/*********************
+ * Every admin route requires an authenticated user.
+ *********************/
+ROUTER.use(AUTHENTICATE_USER);
+
+/*********************
+ * Define the routes for managing the roles of a user.
+ * - GET "/users/:userId/roles": Returns the roles and permissions of a user (requires "users:read:any").
+ * - PUT "/users/:userId/roles/:role": Grants a role to a user (requires "roles:manage").
+ * - DELETE "/users/:userId/roles/:role": Revokes a role from a user (requires "roles:manage").
+ *********************/
+ROUTER.route("/users/:userId/roles").get(READ_RATE_LIMITER, AUTHORIZE(PERMISSIONS.USERS_READ_ANY), VALIDATE(USER_ID_SCHEMA), GET_USER_ROLES);
+ROUTER.route("/users/:userId/roles/:role")
+    .put(WRITE_RATE_LIMITER, AUTHORIZE(PERMISSIONS.ROLES_MANAGE), VALIDATE(USER_ROLE_SCHEMA), GRANT_ROLE)
+    .delete(WRITE_RATE_LIMITER, AUTHORIZE(PERMISSIONS.ROLES_MANAGE), VALIDATE(USER_ROLE_SCHEMA), REVOKE_ROLE);
+
+/*********************
+ * Define a route for the "/users/:userId/unlock" endpoint.
+ * - POST "/users/:userId/unlock": Unlocks an account locked after too many failed logins (requires "users:unlock").
+ *********************/
+ROUTER.route("/users/:userId/unlock").post(WRITE_RATE_LIMITER, AUTHORIZE(PERMISSIONS.USERS_UNLOCK), VALIDATE(USER_ID_SCHEMA), UNLOCK_USER_ACCOUNT);
+
+/*********************
+ * Define the routes for inspecting the background jobs (all require "jobs:manage").
+ * - GET "/jobs": Returns the number of waiting, delayed, running and failed jobs.
+ * - GET "/jobs/failed": Returns the paginated dead-letter list.
+ * - GET "/jobs/:jobId": Returns a job.
+ * - DELETE "/jobs/:jobId": Removes a failed job from the dead-letter list.
+ * - POST "/jobs/:jobId/retry": Puts a failed job back in its queue.
+ *********************/
+ROUTER.route("/jobs").get(READ_RATE_LIMITER, AUTHORIZE(PERMISSIONS.JOBS_MANAGE), GET_JOBS_OVERVIEW);
+ROUTER.route("/jobs/failed").get(READ_RATE_LIMITER, AUTHORIZE(PERMISSIONS.JOBS_MANAGE), VALIDATE(FAILED_JOBS_SCHEMA), GET_FAILED_JOBS);
+ROUTER.route("/jobs/:jobId")
+    .get(READ_RATE_LIMITER, AUTHORIZE(PERMISSIONS.JOBS_MANAGE), VALIDATE(JOB_ID_SCHEMA), GET_JOB_DETAILS)
+    .delete(WRITE_RATE_LIMITER, AUTHORIZE(PERMISSIONS.JOBS_MANAGE), VALIDATE(JOB_ID_SCHEMA), DELETE_JOB);
+ROUTER.route("/jobs/:jobId/retry").post(WRITE_RATE_LIMITER, AUTHORIZE(PERMISSIONS.JOBS_MANAGE), VALIDATE(JOB_ID_SCHEMA), RETRY_JOB);
+
+/*********************
+ * Export the Router instance.
+ * - This allows the ROUTER to be used in other parts of the application, typically
+ *   in a main application file where all routes are centralized.
+ *********************/
+export default ROUTER;
@@ -0,0 +1,114 @@
+/*********************
+ * Import necessary packages and modules.
+ * - express: The Express.js framework for building web applications and APIs.
+ *********************/
+import EXPRESS from "express";
+
+/*********************
+ * Create a new Router instance.
+ * - ROUTER: This instance is used to define route handlers for different HTTP requests.
+ *********************/
+const ROUTER = EXPRESS.Router();
+
+/*********************
+ * Import custom controller functions.
+ * - GET_VIDEO_COMMENTS: Returns the paginated top-level comments of a video.
+ * - ADD_COMMENT: Posts a comment on a video.
+ * - GET_COMMENT_REPLIES: Returns the paginated replies of a comment.
+ * - ADD_REPLY: Replies to a comment.
+ * - UPDATE_COMMENT: Edits a comment (owner only).
+ * - DELETE_COMMENT: Deletes a comment (owner of the comment or of the video).
+ * - TOGGLE_PIN_COMMENT: Pins or unpins a comment (owner of the video only).
+ *********************/
+import {
+    GET_VIDEO_COMMENTS,
+    ADD_COMMENT,
+    GET_COMMENT_REPLIES,
+    ADD_REPLY,
+    UPDATE_COMMENT,
+    DELETE_COMMENT,
+    TOGGLE_PIN_COMMENT,
+} from "../Controllers/Comment.Controller.js";
+
+/*********************
+ * Import custom middleware functions.
+ * - AUTHENTICATE_USER: Middleware that rejects requests without a valid access token.
+ * - AUTHENTICATE_USER_OPTIONALLY: Middleware that authenticates the user when an access token is sent,
+ *   and lets anonymous requests through otherwise.
+ * - AUTHORIZE_OWNERSHIP: Middleware factory that loads a document and rejects users who do not own it.
+ * - VALIDATE: Middleware factory that validates the request against a schema and responds
+ *   with a 422 error listing every invalid field.
+ * - READ_RATE_LIMITER, WRITE_RATE_LIMITER: Redis-backed rate limiting policies, counted per user when authenticated.
+ *********************/
+import { AUTHENTICATE_USER, AUTHENTICATE_USER_OPTIONALLY } from "../Middlewares/Authentication.Middleware.js";
+import { AUTHORIZE_OWNERSHIP } from "../Middlewares/Authorization.Middleware.js";
+import { VALIDATE } from "../Middlewares/Validation.Middleware.js";
+import { READ_RATE_LIMITER, WRITE_RATE_LIMITER } from "../Middlewares/RateLimit.Middleware.js";
+
+/*********************
+ * Import the models used to authorize the comment routes.
+ * - COMMENT: Mongoose model representing the Comment schema.
+ *********************/
+import { COMMENT } from "../Models/Comment.Model.js";
+
+/*********************
+ * Import the validation schemas of the comment routes.
+ *********************/
+import {
+    GET_VIDEO_COMMENTS_SCHEMA,
+    ADD_COMMENT_SCHEMA,
+    GET_COMMENT_REPLIES_SCHEMA,
+    ADD_REPLY_SCHEMA,
+    UPDATE_COMMENT_SCHEMA,
+    COMMENT_ID_SCHEMA,
+} from "../Validators/Comment.Validators.js";
+
+/*********************
+ * Authorize the owner of the comment identified by the "commentId" parameter.
+ * - Nobody else can edit a comment, not even moderators: they can only delete it.
+ *********************/
+const AUTHORIZE_COMMENT_OWNER = AUTHORIZE_OWNERSHIP({
+    Model: COMMENT,
+    Parameter: "commentId",
+    Label: "Comment",
+});
+
+/*********************
+ * Define the routes for the "/videos/:videoId" endpoint.
+ * - GET "/videos/:videoId": Lists the comments of a video, by "newest" or "top", the pinned comment first.
+ * - POST "/videos/:videoId": Posts a comment on a video.
+ *********************/
+ROUTER.route("/videos/:videoId")
+    .get(AUTHENTICATE_USER_OPTIONALLY, READ_RATE_LIMITER, VALIDATE(GET_VIDEO_COMMENTS_SCHEMA), GET_VIDEO_COMMENTS)
+    .post(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(ADD_COMMENT_SCHEMA), ADD_COMMENT);
+
+/*********************
+ * Define the routes for the "/:commentId" endpoint.
+ * - PATCH "/:commentId": Edits a comment (owner of the comment only).
+ * - DELETE "/:commentId": Deletes a comment and its replies (owner of the comment, owner of the video or moderator).
+ *********************/
+ROUTER.route("/:commentId")
+    .patch(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(UPDATE_COMMENT_SCHEMA), AUTHORIZE_COMMENT_OWNER, UPDATE_COMMENT)
+    .delete(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(COMMENT_ID_SCHEMA), DELETE_COMMENT);
+
+/*********************
+ * Define the routes for the "/:commentId/replies" endpoint.
+ * - GET "/:commentId/replies": Lists the replies of a comment, oldest first.
+ * - POST "/:commentId/replies": Replies to a comment.
+ *********************/
+ROUTER.route("/:commentId/replies")
+    .get(AUTHENTICATE_USER_OPTIONALLY, READ_RATE_LIMITER, VALIDATE(GET_COMMENT_REPLIES_SCHEMA), GET_COMMENT_REPLIES)
+    .post(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(ADD_REPLY_SCHEMA), ADD_REPLY);
+
+/*********************
+ * Define a route for the "/:commentId/toggle-pin" endpoint.
+ * - PATCH "/:commentId/toggle-pin": Pins or unpins a comment (owner of the video only).
+ *********************/
+ROUTER.route("/:commentId/toggle-pin").patch(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(COMMENT_ID_SCHEMA), TOGGLE_PIN_COMMENT);
+
+/*********************
+ * Export the Router instance.
+ * - This allows the ROUTER to be used in other parts of the application, typically
+ *   in a main application file where all routes are centralized.
+ *********************/
+export default ROUTER;
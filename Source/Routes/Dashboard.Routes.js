@@ -0,0 +1,61 @@
+/*********************
+ * Import necessary packages and modules.
+ * - express: The Express.js framework for building web applications and APIs.
+ *********************/
+import EXPRESS from "express";
+
+/*********************
+ * Create a new Router instance.
+ * - ROUTER: This instance is used to define route handlers for different HTTP requests.
+ *********************/
+const ROUTER = EXPRESS.Router();
+
+/*********************
+ * Import custom controller functions.
+ * - GET_CHANNEL_STATS: Returns the statistics of the channel of the logged in user.
+ * - GET_CHANNEL_VIDEOS_STATS: Returns the paginated videos of the logged in user with their statistics.
+ *********************/
+import {
+    GET_CHANNEL_STATS,
+    GET_CHANNEL_VIDEOS_STATS,
+} from "../Controllers/Dashboard.Controller.js";
+
+/*********************
+ * Import custom middleware functions.
+ * - AUTHENTICATE_USER: Middleware that rejects requests without a valid access token.
+ * - VALIDATE: Middleware factory that validates the request against a schema and responds
+ *   with a 422 error listing every invalid field.
+ * - READ_RATE_LIMITER: Redis-backed rate limiting policy for read requests, counted per user.
+ *********************/
+import { AUTHENTICATE_USER } from "../Middlewares/Authentication.Middleware.js";
+import { VALIDATE } from "../Middlewares/Validation.Middleware.js";
+import { READ_RATE_LIMITER } from "../Middlewares/RateLimit.Middleware.js";
+
+/*********************
+ * Import the validation schemas of the dashboard routes.
+ *********************/
+import {
+    GET_CHANNEL_STATS_SCHEMA,
+    GET_CHANNEL_VIDEOS_STATS_SCHEMA,
+} from "../Validators/Dashboard.Validators.js";
+
+/*********************
+ * Every dashboard route requires an authenticated user, and only returns the statistics of that user.
+ *********************/
+ROUTER.use(AUTHENTICATE_USER);
+
+/*********************
+ * Define the dashboard routes.
+ * - GET "/stats": Totals of the channel and uploads per day over the last `days` days.
+ * - GET "/videos": Statistics of every video of the channel, paginated and sortable.
+ * - Both responses are cached for a short time, so they may be slightly out of date.
+ *********************/
+ROUTER.route("/stats").get(READ_RATE_LIMITER, VALIDATE(GET_CHANNEL_STATS_SCHEMA), GET_CHANNEL_STATS);
+ROUTER.route("/videos").get(READ_RATE_LIMITER, VALIDATE(GET_CHANNEL_VIDEOS_STATS_SCHEMA), GET_CHANNEL_VIDEOS_STATS);
+
+/*********************
+ * Export the Router instance.
+ * - This allows the ROUTER to be used in other parts of the application, typically
+ *   in a main application file where all routes are centralized.
+ *********************/
+export default ROUTER;
@@ -0,0 +1,100 @@
+/*********************
+ * Import necessary packages and modules.
+ * - express: The Express.js framework for building web applications and APIs.
+ *********************/
+import EXPRESS from "express";
+
+/*********************
+ * Create a new Router instance.
+ * - ROUTER: This instance is used to define route handlers for different HTTP requests.
+ *********************/
+const ROUTER = EXPRESS.Router();
+
+/*********************
+ * Import custom controller functions.
+ * - CREATE_PLAYLIST: Creates a playlist.
+ * - GET_USER_PLAYLISTS: Returns the paginated playlists of a user.
+ * - GET_PLAYLIST: Returns a playlist with a page of its videos.
+ * - UPDATE_PLAYLIST: Updates the name, description or visibility of a playlist (owner only).
+ * - DELETE_PLAYLIST: Deletes a playlist (owner only).
+ * - ADD_VIDEO_TO_PLAYLIST, REMOVE_VIDEO_FROM_PLAYLIST, MOVE_VIDEO_IN_PLAYLIST: Manage the videos of a playlist (owner only).
+ *********************/
+import {
+    CREATE_PLAYLIST,
+    GET_USER_PLAYLISTS,
+    GET_PLAYLIST,
+    UPDATE_PLAYLIST,
+    DELETE_PLAYLIST,
+    ADD_VIDEO_TO_PLAYLIST,
+    REMOVE_VIDEO_FROM_PLAYLIST,
+    MOVE_VIDEO_IN_PLAYLIST,
+} from "../Controllers/Playlist.Controller.js";
+
+/*********************
+ * Import custom middleware functions.
+ * - AUTHENTICATE_USER: Middleware that rejects requests without a valid access token.
+ * - AUTHENTICATE_USER_OPTIONALLY: Middleware that authenticates the user when an access token is sent,
+ *   and lets anonymous requests through otherwise.
+ * - VALIDATE: Middleware factory that validates the request against a schema and responds
+ *   with a 422 error listing every invalid field.
+ * - READ_RATE_LIMITER, WRITE_RATE_LIMITER: Redis-backed rate limiting policies, counted per user when authenticated.
+ *********************/
+import { AUTHENTICATE_USER, AUTHENTICATE_USER_OPTIONALLY } from "../Middlewares/Authentication.Middleware.js";
+import { VALIDATE } from "../Middlewares/Validation.Middleware.js";
+import { READ_RATE_LIMITER, WRITE_RATE_LIMITER } from "../Middlewares/RateLimit.Middleware.js";
+
+/*********************
+ * Import the validation schemas of the playlist routes.
+ *********************/
+import {
+    CREATE_PLAYLIST_SCHEMA,
+    GET_USER_PLAYLISTS_SCHEMA,
+    GET_PLAYLIST_SCHEMA,
+    UPDATE_PLAYLIST_SCHEMA,
+    PLAYLIST_ID_SCHEMA,
+    ADD_VIDEO_TO_PLAYLIST_SCHEMA,
+    MOVE_VIDEO_IN_PLAYLIST_SCHEMA,
+    REMOVE_VIDEO_FROM_PLAYLIST_SCHEMA,
+} from "../Validators/Playlist.Validators.js";
+
+/*********************
+ * Define a route for the "/" endpoint.
+ * - POST "/": Creates a playlist owned by the logged in user.
+ *********************/
+ROUTER.route("/").post(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(CREATE_PLAYLIST_SCHEMA), CREATE_PLAYLIST);
+
+/*********************
+ * Define a route for the "/users/:userId" endpoint.
+ * - GET "/users/:userId": Lists the playlists of a user. Other users only see the public playlists.
+ *********************/
+ROUTER.route("/users/:userId").get(AUTHENTICATE_USER_OPTIONALLY, READ_RATE_LIMITER, VALIDATE(GET_USER_PLAYLISTS_SCHEMA), GET_USER_PLAYLISTS);
+
+/*********************
+ * Define the routes for the "/:playlistId" endpoint.
+ * - playlistId is the id of a playlist, or "watch-later" for the "Watch later" playlist of the logged in user.
+ * - GET "/:playlistId": Returns the playlist, its total duration and a page of its videos. Private playlists are only returned to their owner.
+ * - PATCH "/:playlistId": Updates the name, description or visibility of the playlist (owner only).
+ * - DELETE "/:playlistId": Deletes the playlist (owner only).
+ *********************/
+ROUTER.route("/:playlistId")
+    .get(AUTHENTICATE_USER_OPTIONALLY, READ_RATE_LIMITER, VALIDATE(GET_PLAYLIST_SCHEMA), GET_PLAYLIST)
+    .patch(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(UPDATE_PLAYLIST_SCHEMA), UPDATE_PLAYLIST)
+    .delete(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(PLAYLIST_ID_SCHEMA), DELETE_PLAYLIST);
+
+/*********************
+ * Define the routes for the "/:playlistId/videos/:videoId" endpoint (owner only).
+ * - POST "/:playlistId/videos/:videoId": Adds the video to the playlist, at the end or at the given `position`.
+ * - PATCH "/:playlistId/videos/:videoId": Moves the video to the given `position`.
+ * - DELETE "/:playlistId/videos/:videoId": Removes the video from the playlist.
+ *********************/
+ROUTER.route("/:playlistId/videos/:videoId")
+    .post(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(ADD_VIDEO_TO_PLAYLIST_SCHEMA), ADD_VIDEO_TO_PLAYLIST)
+    .patch(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(MOVE_VIDEO_IN_PLAYLIST_SCHEMA), MOVE_VIDEO_IN_PLAYLIST)
+    .delete(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(REMOVE_VIDEO_FROM_PLAYLIST_SCHEMA), REMOVE_VIDEO_FROM_PLAYLIST);
+
+/*********************
+ * Export the Router instance.
+ * - This allows the ROUTER to be used in other parts of the application, typically
+ *   in a main application file where all routes are centralized.
+ *********************/
+export default ROUTER;
@@ -0,0 +1,127 @@
+/*********************
+ * Import necessary packages and modules.
+ * - express: The Express.js framework for building web applications and APIs.
+ *********************/
+import EXPRESS from "express";
+
+/*********************
+ * Create a new Router instance.
+ * - ROUTER: This instance is used to define route handlers for different HTTP requests.
+ *********************/
+const ROUTER = EXPRESS.Router();
+
+/*********************
+ * Import custom controller functions.
+ * - CREATE_POST: Publishes a community post, with an optional image.
+ * - GET_CHANNEL_POSTS: Returns the paginated community posts of a channel.
+ * - GET_POST_BY_ID: Returns a single community post.
+ * - UPDATE_POST: Edits a post or its image (owner only).
+ * - DELETE_POST: Deletes a post (owner or moderator).
+ * - TOGGLE_PIN_POST: Pins or unpins a post at the top of the channel (owner only).
+ *********************/
+import {
+    CREATE_POST,
+    GET_CHANNEL_POSTS,
+    GET_POST_BY_ID,
+    UPDATE_POST,
+    DELETE_POST,
+    TOGGLE_PIN_POST,
+} from "../Controllers/Post.Controller.js";
+
+/*********************
+ * Import custom middleware functions.
+ * - UPLOAD: A Multer middleware instance configured to handle file uploads.
+ * - AUTHENTICATE_USER: Middleware that rejects requests without a valid access token.
+ * - AUTHENTICATE_USER_OPTIONALLY: Middleware that authenticates the user when an access token is sent,
+ *   and lets anonymous requests through otherwise.
+ * - REQUIRE_VERIFIED_EMAIL: Middleware that rejects users whose email address is not verified.
+ * - AUTHORIZE_OWNERSHIP: Middleware factory that loads a document and rejects users who do not own it.
+ * - VALIDATE: Middleware factory that validates the request against a schema and responds
+ *   with a 422 error listing every invalid field.
+ * - READ_RATE_LIMITER, WRITE_RATE_LIMITER: Redis-backed rate limiting policies, counted per user when authenticated.
+ *********************/
+import { UPLOAD } from "../Middlewares/Multer.Middleware.js";
+import { AUTHENTICATE_USER, AUTHENTICATE_USER_OPTIONALLY, REQUIRE_VERIFIED_EMAIL } from "../Middlewares/Authentication.Middleware.js";
+import { AUTHORIZE_OWNERSHIP } from "../Middlewares/Authorization.Middleware.js";
+import { VALIDATE } from "../Middlewares/Validation.Middleware.js";
+import { READ_RATE_LIMITER, WRITE_RATE_LIMITER } from "../Middlewares/RateLimit.Middleware.js";
+
+/*********************
+ * Import the models and permissions used to authorize the post routes.
+ * - POST: Mongoose model representing the community Post schema.
+ * - PERMISSIONS: Permissions granted by the roles of a user.
+ *********************/
+import { POST } from "../Models/Post.Model.js";
+import { PERMISSIONS } from "../Utilities/Permissions.js";
+
+/*********************
+ * Import the validation schemas of the post routes.
+ *********************/
+import {
+    CREATE_POST_SCHEMA,
+    GET_CHANNEL_POSTS_SCHEMA,
+    UPDATE_POST_SCHEMA,
+    POST_ID_SCHEMA,
+} from "../Validators/Post.Validators.js";
+
+/*********************
+ * Authorize the owner of the post identified by the "postId" parameter.
+ * - AUTHORIZE_POST_OWNER: Only the owner, used to edit and pin a post.
+ * - AUTHORIZE_POST_OWNER_OR_MODERATOR: The owner, or users allowed to manage any post, used to delete a post.
+ *********************/
+const AUTHORIZE_POST_OWNER = AUTHORIZE_OWNERSHIP({
+    Model: POST,
+    Parameter: "postId",
+    Label: "Post",
+});
+const AUTHORIZE_POST_OWNER_OR_MODERATOR = AUTHORIZE_OWNERSHIP({
+    Model: POST,
+    Parameter: "postId",
+    BypassPermission: PERMISSIONS.POSTS_MANAGE_ANY,
+    Label: "Post",
+});
+
+/*********************
+ * Define a route for the "/" endpoint.
+ * - POST "/": Publishes a community post on the channel of the logged in user, with an optional `image` file.
+ *   Only users with a verified email address can publish posts.
+ *********************/
+ROUTER.route("/").post(
+    AUTHENTICATE_USER,
+    WRITE_RATE_LIMITER,
+    REQUIRE_VERIFIED_EMAIL,
+    UPLOAD.single("image"),
+    VALIDATE(CREATE_POST_SCHEMA),
+    CREATE_POST
+);
+
+/*********************
+ * Define a route for the "/channels/:channelId" endpoint.
+ * - GET "/channels/:channelId": Lists the community posts of a channel, the pinned post first.
+ *********************/
+ROUTER.route("/channels/:channelId").get(AUTHENTICATE_USER_OPTIONALLY, READ_RATE_LIMITER, VALIDATE(GET_CHANNEL_POSTS_SCHEMA), GET_CHANNEL_POSTS);
+
+/*********************
+ * Define the routes for the "/:postId" endpoint.
+ * - GET "/:postId": Returns a post.
+ * - PATCH "/:postId": Edits the content of a post, replaces its `image` file or removes it (owner only).
+ *   The ownership is checked before the upload, so files sent by other users are never written to disk.
+ * - DELETE "/:postId": Deletes a post (owner or moderator).
+ *********************/
+ROUTER.route("/:postId")
+    .get(AUTHENTICATE_USER_OPTIONALLY, READ_RATE_LIMITER, VALIDATE(POST_ID_SCHEMA), GET_POST_BY_ID)
+    .patch(AUTHENTICATE_USER, WRITE_RATE_LIMITER, AUTHORIZE_POST_OWNER, UPLOAD.single("image"), VALIDATE(UPDATE_POST_SCHEMA), UPDATE_POST)
+    .delete(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(POST_ID_SCHEMA), AUTHORIZE_POST_OWNER_OR_MODERATOR, DELETE_POST);
+
+/*********************
+ * Define a route for the "/:postId/toggle-pin" endpoint.
+ * - PATCH "/:postId/toggle-pin": Pins the post at the top of the channel, or unpins it (owner only).
+ *********************/
+ROUTER.route("/:postId/toggle-pin").patch(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(POST_ID_SCHEMA), AUTHORIZE_POST_OWNER, TOGGLE_PIN_POST);
+
+/*********************
+ * Export the Router instance.
+ * - This allows the ROUTER to be used in other parts of the application, typically
+ *   in a main application file where all routes are centralized.
+ *********************/
+export default ROUTER;
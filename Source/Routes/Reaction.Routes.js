@@ -0,0 +1,68 @@
+/*********************
+ * Import necessary packages and modules.
+ * - express: The Express.js framework for building web applications and APIs.
+ *********************/
+import EXPRESS from "express";
+
+/*********************
+ * Create a new Router instance.
+ * - ROUTER: This instance is used to define route handlers for different HTTP requests.
+ *********************/
+const ROUTER = EXPRESS.Router();
+
+/*********************
+ * Import custom controller functions.
+ * - TOGGLE_REACTION: Likes or dislikes a target, or removes the reaction.
+ * - GET_REACTIONS: Returns the likes and dislikes of a target.
+ * - GET_LIKED_VIDEOS: Returns the paginated videos the user liked.
+ *********************/
+import {
+    TOGGLE_REACTION,
+    GET_REACTIONS,
+    GET_LIKED_VIDEOS,
+} from "../Controllers/Reaction.Controller.js";
+
+/*********************
+ * Import custom middleware functions.
+ * - AUTHENTICATE_USER: Middleware that rejects requests without a valid access token.
+ * - AUTHENTICATE_USER_OPTIONALLY: Middleware that authenticates the user when an access token is sent,
+ *   and lets anonymous requests through otherwise.
+ * - VALIDATE: Middleware factory that validates the request against a schema and responds
+ *   with a 422 error listing every invalid field.
+ * - READ_RATE_LIMITER, WRITE_RATE_LIMITER: Redis-backed rate limiting policies, counted per user when authenticated.
+ *********************/
+import { AUTHENTICATE_USER, AUTHENTICATE_USER_OPTIONALLY } from "../Middlewares/Authentication.Middleware.js";
+import { VALIDATE } from "../Middlewares/Validation.Middleware.js";
+import { READ_RATE_LIMITER, WRITE_RATE_LIMITER } from "../Middlewares/RateLimit.Middleware.js";
+
+/*********************
+ * Import the validation schemas of the reaction routes.
+ *********************/
+import {
+    GET_REACTIONS_SCHEMA,
+    TOGGLE_REACTION_SCHEMA,
+    GET_LIKED_VIDEOS_SCHEMA,
+} from "../Validators/Reaction.Validators.js";
+
+/*********************
+ * Define a route for the "/videos/liked" endpoint.
+ * - GET "/videos/liked": Lists the videos the logged in user liked, most recently liked first.
+ *********************/
+ROUTER.route("/videos/liked").get(AUTHENTICATE_USER, READ_RATE_LIMITER, VALIDATE(GET_LIKED_VIDEOS_SCHEMA), GET_LIKED_VIDEOS);
+
+/*********************
+ * Define the routes for the "/:targetType/:targetId" endpoint.
+ * - targetType is the type of the document reacted to: "video", "comment" or "post".
+ * - GET "/:targetType/:targetId": Returns the likes and dislikes of the target, and the reaction of the logged in user.
+ * - POST "/:targetType/:targetId": Likes or dislikes the target (`type`). Sending the current reaction again removes it.
+ *********************/
+ROUTER.route("/:targetType/:targetId")
+    .get(AUTHENTICATE_USER_OPTIONALLY, READ_RATE_LIMITER, VALIDATE(GET_REACTIONS_SCHEMA), GET_REACTIONS)
+    .post(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(TOGGLE_REACTION_SCHEMA), TOGGLE_REACTION);
+
+/*********************
+ * Export the Router instance.
+ * - This allows the ROUTER to be used in other parts of the application, typically
+ *   in a main application file where all routes are centralized.
+ *********************/
+export default ROUTER;
@@ -0,0 +1,69 @@
+/*********************
+ * Import necessary packages and modules.
+ * - express: The Express.js framework for building web applications and APIs.
+ *********************/
+import EXPRESS from "express";
+
+/*********************
+ * Create a new Router instance.
+ * - ROUTER: This instance is used to define route handlers for different HTTP requests.
+ *********************/
+const ROUTER = EXPRESS.Router();
+
+/*********************
+ * Import custom controller functions.
+ * - TOGGLE_SUBSCRIPTION: Subscribes to or unsubscribes from a channel.
+ * - GET_CHANNEL_SUBSCRIBERS: Returns the paginated subscribers of a channel.
+ * - GET_SUBSCRIBED_CHANNELS: Returns the paginated channels a user is subscribed to.
+ *********************/
+import {
+    TOGGLE_SUBSCRIPTION,
+    GET_CHANNEL_SUBSCRIBERS,
+    GET_SUBSCRIBED_CHANNELS,
+} from "../Controllers/Subscription.Controller.js";
+
+/*********************
+ * Import custom middleware functions.
+ * - AUTHENTICATE_USER: Middleware that rejects requests without a valid access token.
+ * - VALIDATE: Middleware factory that validates the request against a schema and responds
+ *   with a 422 error listing every invalid field.
+ * - READ_RATE_LIMITER, WRITE_RATE_LIMITER: Redis-backed rate limiting policies, counted per user.
+ *********************/
+import { AUTHENTICATE_USER } from "../Middlewares/Authentication.Middleware.js";
+import { VALIDATE } from "../Middlewares/Validation.Middleware.js";
+import { READ_RATE_LIMITER, WRITE_RATE_LIMITER } from "../Middlewares/RateLimit.Middleware.js";
+
+/*********************
+ * Import the validation schemas of the subscription routes.
+ *********************/
+import {
+    TOGGLE_SUBSCRIPTION_SCHEMA,
+    GET_CHANNEL_SUBSCRIBERS_SCHEMA,
+    GET_SUBSCRIBED_CHANNELS_SCHEMA,
+} from "../Validators/Subscription.Validators.js";
+
+/*********************
+ * Every subscription route requires an authenticated user.
+ *********************/
+ROUTER.use(AUTHENTICATE_USER);
+
+/*********************
+ * Define the routes for the "/channels/:channelId" endpoints.
+ * - POST "/channels/:channelId": Subscribes to the channel, or unsubscribes if already subscribed.
+ * - GET "/channels/:channelId/subscribers": Lists the subscribers of the channel (channel owner only).
+ *********************/
+ROUTER.route("/channels/:channelId").post(WRITE_RATE_LIMITER, VALIDATE(TOGGLE_SUBSCRIPTION_SCHEMA), TOGGLE_SUBSCRIPTION);
+ROUTER.route("/channels/:channelId/subscribers").get(READ_RATE_LIMITER, VALIDATE(GET_CHANNEL_SUBSCRIBERS_SCHEMA), GET_CHANNEL_SUBSCRIBERS);
+
+/*********************
+ * Define a route for the "/users/:subscriberId/channels" endpoint.
+ * - GET "/users/:subscriberId/channels": Lists the channels the user is subscribed to (the user themself only).
+ *********************/
+ROUTER.route("/users/:subscriberId/channels").get(READ_RATE_LIMITER, VALIDATE(GET_SUBSCRIBED_CHANNELS_SCHEMA), GET_SUBSCRIBED_CHANNELS);
+
+/*********************
+ * Export the Router instance.
+ * - This allows the ROUTER to be used in other parts of the application, typically
+ *   in a main application file where all routes are centralized.
+ *********************/
+export default ROUTER;
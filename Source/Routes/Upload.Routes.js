@@ -0,0 +1,102 @@
+/*********************
+ * Import necessary packages and modules.
+ * - express: The Express.js framework for building web applications and APIs.
+ *********************/
+import EXPRESS from "express";
+
+/*********************
+ * Create a new Router instance.
+ * - ROUTER: This instance is used to define route handlers for different HTTP requests.
+ *********************/
+const ROUTER = EXPRESS.Router();
+
+/*********************
+ * Import custom controller functions.
+ * - CREATE_RESUMABLE_UPLOAD: Starts a resumable upload of a video file.
+ * - GET_RESUMABLE_UPLOAD: Returns the progress of an upload.
+ * - APPEND_TO_RESUMABLE_UPLOAD: Appends a chunk to an upload.
+ * - COMPLETE_RESUMABLE_UPLOAD: Verifies the checksum of an upload and publishes the video.
+ * - CANCEL_RESUMABLE_UPLOAD: Abandons an upload.
+ *********************/
+import {
+    CREATE_RESUMABLE_UPLOAD,
+    GET_RESUMABLE_UPLOAD,
+    APPEND_TO_RESUMABLE_UPLOAD,
+    COMPLETE_RESUMABLE_UPLOAD,
+    CANCEL_RESUMABLE_UPLOAD,
+} from "../Controllers/Upload.Controller.js";
+
+/*********************
+ * Import custom middleware functions.
+ * - UPLOAD: A Multer middleware instance configured to handle file uploads.
+ * - AUTHENTICATE_USER: Middleware that rejects requests without a valid access token.
+ * - REQUIRE_VERIFIED_EMAIL: Middleware that rejects users whose email address is not verified.
+ * - AUTHORIZE: Middleware factory that rejects users without the given permissions.
+ * - VALIDATE: Middleware factory that validates the request against a schema and responds
+ *   with a 422 error listing every invalid field.
+ * - READ_RATE_LIMITER, WRITE_RATE_LIMITER: Redis-backed rate limiting policies, counted per user.
+ *********************/
+import { UPLOAD } from "../Middlewares/Multer.Middleware.js";
+import { AUTHENTICATE_USER, REQUIRE_VERIFIED_EMAIL } from "../Middlewares/Authentication.Middleware.js";
+import { AUTHORIZE } from "../Middlewares/Authorization.Middleware.js";
+import { VALIDATE } from "../Middlewares/Validation.Middleware.js";
+import { READ_RATE_LIMITER, WRITE_RATE_LIMITER } from "../Middlewares/RateLimit.Middleware.js";
+
+/*********************
+ * Import the permissions used to authorize the upload routes.
+ * - PERMISSIONS: Permissions granted by the roles of a user.
+ *********************/
+import { PERMISSIONS } from "../Utilities/Permissions.js";
+
+/*********************
+ * Import the validation schemas of the upload routes.
+ *********************/
+import {
+    CREATE_RESUMABLE_UPLOAD_SCHEMA,
+    RESUMABLE_UPLOAD_ID_SCHEMA,
+    COMPLETE_RESUMABLE_UPLOAD_SCHEMA,
+} from "../Validators/Upload.Validators.js";
+
+/*********************
+ * Every upload route requires an authenticated user, uploads are only visible to the user who started them.
+ *********************/
+ROUTER.use(AUTHENTICATE_USER);
+
+/*********************
+ * Define the route for the "/" endpoint.
+ * - POST "/": Starts a resumable upload. Like POST /videos, only users with a verified email address
+ *   who may publish videos can upload.
+ *********************/
+ROUTER.route("/").post(WRITE_RATE_LIMITER, REQUIRE_VERIFIED_EMAIL, AUTHORIZE(PERMISSIONS.VIDEOS_PUBLISH), VALIDATE(CREATE_RESUMABLE_UPLOAD_SCHEMA), CREATE_RESUMABLE_UPLOAD);
+
+/*********************
+ * Define the routes for the "/:uploadId" endpoint.
+ * - GET (and HEAD) "/:uploadId": Returns the progress of the upload, the offset is also sent in the "Upload-Offset" header.
+ * - PATCH "/:uploadId": Appends the request body (application/offset+octet-stream) at the offset given in the "Upload-Offset" header.
+ * - DELETE "/:uploadId": Cancels the upload.
+ *********************/
+ROUTER.route("/:uploadId")
+    .get(READ_RATE_LIMITER, VALIDATE(RESUMABLE_UPLOAD_ID_SCHEMA), GET_RESUMABLE_UPLOAD)
+    .patch(WRITE_RATE_LIMITER, VALIDATE(RESUMABLE_UPLOAD_ID_SCHEMA), APPEND_TO_RESUMABLE_UPLOAD)
+    .delete(WRITE_RATE_LIMITER, VALIDATE(RESUMABLE_UPLOAD_ID_SCHEMA), CANCEL_RESUMABLE_UPLOAD);
+
+/*********************
+ * Define the route for the "/:uploadId/complete" endpoint.
+ * - POST "/:uploadId/complete": Verifies the checksum of the uploaded file and publishes the video.
+ *   - UPLOAD.single("thumbnail"): Accepts the `thumbnail` file of the video.
+ *********************/
+ROUTER.route("/:uploadId/complete").post(
+    WRITE_RATE_LIMITER,
+    REQUIRE_VERIFIED_EMAIL,
+    AUTHORIZE(PERMISSIONS.VIDEOS_PUBLISH),
+    UPLOAD.single("thumbnail"),
+    VALIDATE(COMPLETE_RESUMABLE_UPLOAD_SCHEMA),
+    COMPLETE_RESUMABLE_UPLOAD
+);
+
+/*********************
+ * Export the Router instance.
+ * - This allows the ROUTER to be used in other parts of the application, typically
+ *   in a main application file where all routes are centralized.
+ *********************/
+export default ROUTER;
@@ -15,8 +15,71 @@ const ROUTER = EXPRESS.Router();
  * - REGISTER_NEW_USER: This function will handle the logic for registering a new user.
  * - LOGIN_USER: This function will handle the logic for logging in a user.
  * - LOGOUT_USER: This function will handle the logic for logging out a user.
+ * - REFRESH_ACCESS_TOKEN: This function will handle the logic for rotating the access and refresh tokens.
+ * - GET_ACTIVE_SESSIONS: This function will handle the logic for listing the active sessions of a user.
+ * - REVOKE_SESSION: This function will handle the logic for revoking a single session.
+ * - LOGOUT_FROM_ALL_DEVICES: This function will handle the logic for revoking every session of a user.
+ * - FORGOT_PASSWORD: This function will handle the logic for sending a password reset link.
+ * - RESET_PASSWORD: This function will handle the logic for resetting a password with a reset token.
+ * - VERIFY_EMAIL: This function will handle the logic for verifying an email address with a verification token.
+ * - RESEND_EMAIL_VERIFICATION: This function will handle the logic for sending a new verification link.
+ * - LOGIN_WITH_TWO_FACTOR: This function will handle the logic for completing a login with a two-factor code.
+ * - UNLOCK_ACCOUNT_WITH_TOKEN: This function will handle the logic for unlocking an account with the emailed token.
+ * - GET_CURRENT_USER: This function will handle the logic for returning the profile of the logged in user.
+ * - UPDATE_ACCOUNT_DETAILS: This function will handle the logic for updating the full name, username and email.
+ * - CHANGE_CURRENT_PASSWORD: This function will handle the logic for changing the password.
+ * - UPDATE_USER_AVATAR, UPDATE_USER_COVER_IMAGE: These functions will handle the logic for replacing the profile images.
+ * - GET_USER_CHANNEL_PROFILE: This function will handle the logic for returning the channel profile of a user.
  *********************/
-import { REGISTER_NEW_USER, LOGIN_USER, LOGOUT_USER } from "../Controllers/User.Controller.js";
+import {
+    REGISTER_NEW_USER,
+    LOGIN_USER,
+    LOGOUT_USER,
+    REFRESH_ACCESS_TOKEN,
+    GET_ACTIVE_SESSIONS,
+    REVOKE_SESSION,
+    LOGOUT_FROM_ALL_DEVICES,
+    FORGOT_PASSWORD,
+    RESET_PASSWORD,
+    VERIFY_EMAIL,
+    RESEND_EMAIL_VERIFICATION,
+    LOGIN_WITH_TWO_FACTOR,
+    UNLOCK_ACCOUNT_WITH_TOKEN,
+    GET_CURRENT_USER,
+    UPDATE_ACCOUNT_DETAILS,
+    CHANGE_CURRENT_PASSWORD,
+    UPDATE_USER_AVATAR,
+    UPDATE_USER_COVER_IMAGE,
+    GET_USER_CHANNEL_PROFILE,
+} from "../Controllers/User.Controller.js";
+
+/*********************
+ * Import the two-factor authentication controller functions.
+ * - ENROLL_TWO_FACTOR: Generates a pending TOTP secret and its "otpauth://" URI.
+ * - CONFIRM_TWO_FACTOR: Enables two-factor authentication with a first code and returns the recovery codes.
+ * - DISABLE_TWO_FACTOR: Disables two-factor authentication.
+ * - REGENERATE_RECOVERY_CODES: Replaces the recovery codes.
+ *********************/
+import {
+    ENROLL_TWO_FACTOR,
+    CONFIRM_TWO_FACTOR,
+    DISABLE_TWO_FACTOR,
+    REGENERATE_RECOVERY_CODES,
+} from "../Controllers/TwoFactor.Controller.js";
+
+/*********************
+ * Import the watch history controller functions.
+ * - GET_WATCH_HISTORY: Returns the paginated watch history.
+ * - REMOVE_FROM_WATCH_HISTORY: Removes one video from the watch history.
+ * - CLEAR_WATCH_HISTORY: Removes every video from the watch history.
+ * - UPDATE_WATCH_HISTORY_SETTINGS: Pauses or resumes the watch history.
+ *********************/
+import {
+    GET_WATCH_HISTORY,
+    REMOVE_FROM_WATCH_HISTORY,
+    CLEAR_WATCH_HISTORY,
+    UPDATE_WATCH_HISTORY_SETTINGS,
+} from "../Controllers/WatchHistory.Controller.js";
 
 /*********************
  * Import custom middleware functions.
@@ -26,9 +89,52 @@ import { REGISTER_NEW_USER, LOGIN_USER, LOGOUT_USER } from "../Controllers/User.
  * - AUTHENTICATE_USER: Middleware function that verifies the user's authentication status 
  *   by checking the validity of the access token. This middleware ensures that only authenticated 
  *   users can access certain routes, such as logging out.
+ * - AUTHENTICATE_USER_OPTIONALLY: Authenticates the user when an access token is sent, and lets anonymous requests through otherwise.
+ * - VALIDATE: Middleware factory that validates the request against a schema and responds
+ *   with a 422 error listing every invalid field.
+ * - LOGIN_RATE_LIMITER, ACCOUNT_RECOVERY_RATE_LIMITER, ACCOUNT_SECURITY_RATE_LIMITER, READ_RATE_LIMITER, WRITE_RATE_LIMITER:
+ *   Redis-backed rate limiting policies. The strict login and account recovery policies protect the credential endpoints,
+ *   the others are counted per user when placed after AUTHENTICATE_USER.
  *********************/
 import { UPLOAD } from "../Middlewares/Multer.Middleware.js";
-import { AUTHENTICATE_USER } from "../Middlewares/Authentication.Middleware.js"
+import { AUTHENTICATE_USER, AUTHENTICATE_USER_OPTIONALLY } from "../Middlewares/Authentication.Middleware.js"
+import { VALIDATE } from "../Middlewares/Validation.Middleware.js";
+import {
+    LOGIN_RATE_LIMITER,
+    ACCOUNT_RECOVERY_RATE_LIMITER,
+    ACCOUNT_SECURITY_RATE_LIMITER,
+    READ_RATE_LIMITER,
+    WRITE_RATE_LIMITER,
+} from "../Middlewares/RateLimit.Middleware.js";
+
+/*********************
+ * Import the validation schemas of the user routes.
+ * - Each schema describes the body, query, params and files accepted by a route and is applied with VALIDATE.
+ *********************/
+import {
+    REGISTER_NEW_USER_SCHEMA,
+    LOGIN_USER_SCHEMA,
+    REFRESH_ACCESS_TOKEN_SCHEMA,
+    REVOKE_SESSION_SCHEMA,
+    FORGOT_PASSWORD_SCHEMA,
+    RESET_PASSWORD_SCHEMA,
+    VERIFY_EMAIL_SCHEMA,
+    RESEND_EMAIL_VERIFICATION_SCHEMA,
+    LOGIN_WITH_TWO_FACTOR_SCHEMA,
+    ENROLL_TWO_FACTOR_SCHEMA,
+    CONFIRM_TWO_FACTOR_SCHEMA,
+    DISABLE_TWO_FACTOR_SCHEMA,
+    REGENERATE_RECOVERY_CODES_SCHEMA,
+    UNLOCK_ACCOUNT_SCHEMA,
+    UPDATE_ACCOUNT_DETAILS_SCHEMA,
+    CHANGE_PASSWORD_SCHEMA,
+    UPDATE_AVATAR_SCHEMA,
+    UPDATE_COVER_IMAGE_SCHEMA,
+    GET_USER_CHANNEL_PROFILE_SCHEMA,
+    GET_WATCH_HISTORY_SCHEMA,
+    REMOVE_FROM_WATCH_HISTORY_SCHEMA,
+    UPDATE_WATCH_HISTORY_SETTINGS_SCHEMA,
+} from "../Validators/User.Validators.js";
 
 /*********************
  * Define a route for the "/registerNewUser" endpoint.
@@ -41,6 +147,8 @@ import { AUTHENTICATE_USER } from "../Middlewares/Authentication.Middleware.js"
  *   - `maxCount: 1`: Limits the number of files for this field to 1.
  *   - `name: "coverImage"`: Specifies that the uploaded file should be assigned to the `coverImage` field.
  *   - `maxCount: 1`: Limits the number of files for this field to 1.
+ * - VALIDATE(REGISTER_NEW_USER_SCHEMA): Validates the text fields and the presence of the avatar.
+ *   It runs after UPLOAD because Multer is what parses multipart bodies.
  * 
  * Controller:
  * - REGISTER_NEW_USER: This function is called after the files are uploaded and handles the logic
@@ -51,6 +159,7 @@ import { AUTHENTICATE_USER } from "../Middlewares/Authentication.Middleware.js"
  *   for `avatar` and `coverImage`, and then the REGISTER_NEW_USER function processes the request.
  *********************/
 ROUTER.route("/register").post(
+    ACCOUNT_RECOVERY_RATE_LIMITER,
     UPLOAD.fields([
         {
             name: "avatar", // name should be same as in User.Model schema.
@@ -61,6 +170,7 @@ ROUTER.route("/register").post(
             maxCount: 1
         }
     ]),
+    VALIDATE(REGISTER_NEW_USER_SCHEMA),
     REGISTER_NEW_USER
 );
 
@@ -72,7 +182,7 @@ ROUTER.route("/register").post(
  * - LOGIN_USER: This function handles the logic for user login, 
  *   including verifying user credentials and generating authentication tokens.
  *********************/
-ROUTER.route("/login").post(LOGIN_USER);
+ROUTER.route("/login").post(LOGIN_RATE_LIMITER, VALIDATE(LOGIN_USER_SCHEMA), LOGIN_USER);
 
 /*********************
  * Define a route for the "/logout" endpoint.
@@ -85,13 +195,137 @@ ROUTER.route("/login").post(LOGIN_USER);
  *
  * Controller:
  * - LOGOUT_USER: This function handles the logic for logging out the user, including clearing 
- *   the user's authentication tokens from cookies and the database.
+ *   the user's authentication tokens from cookies and revoking the current session.
  *
  * Summary:
  * - When a POST request is made to "/logout", the AUTHENTICATE_USER middleware first verifies the user's 
  *   authentication status, and if successful, the LOGOUT_USER function processes the logout request.
  *********************/
-ROUTER.route("/logout").post(AUTHENTICATE_USER, LOGOUT_USER);
+ROUTER.route("/logout").post(AUTHENTICATE_USER, WRITE_RATE_LIMITER, LOGOUT_USER);
+
+/*********************
+ * Define a route for the "/refresh-token" endpoint.
+ * - ROUTER.route("/refresh-token"): Defines a route path for refreshing the access token.
+ *
+ * Controller:
+ * - REFRESH_ACCESS_TOKEN: This function reads the refresh token from the cookies or the request body,
+ *   issues a new access/refresh token pair and rotates the stored refresh token. Presenting an already
+ *   used refresh token revokes the whole token family.
+ *
+ * Note:
+ * - No AUTHENTICATE_USER middleware is used here, because the access token is usually expired when this route is called.
+ *********************/
+ROUTER.route("/refresh-token").post(WRITE_RATE_LIMITER, VALIDATE(REFRESH_ACCESS_TOKEN_SCHEMA), REFRESH_ACCESS_TOKEN);
+
+/*********************
+ * Define a route for the "/logout-all" endpoint.
+ * - ROUTER.route("/logout-all"): Defines a route path for logging out from every device.
+ *
+ * Middleware:
+ * - AUTHENTICATE_USER: Verifies the user's authentication status before the controller runs.
+ *
+ * Controller:
+ * - LOGOUT_FROM_ALL_DEVICES: This function revokes every active session of the user, including the current one.
+ *********************/
+ROUTER.route("/logout-all").post(AUTHENTICATE_USER, WRITE_RATE_LIMITER, LOGOUT_FROM_ALL_DEVICES);
+
+/*********************
+ * Define the routes for the "/sessions" endpoints.
+ * - GET "/sessions": Lists the active sessions (devices) of the authenticated user.
+ * - DELETE "/sessions/:sessionId": Revokes one session of the authenticated user.
+ *
+ * Middleware:
+ * - AUTHENTICATE_USER: Verifies the user's authentication status before the controllers run.
+ *
+ * Controllers:
+ * - GET_ACTIVE_SESSIONS: Returns the active sessions with their device label, user agent, IP address and activity dates.
+ * - REVOKE_SESSION: Revokes the session so that its access and refresh tokens are rejected immediately.
+ *********************/
+ROUTER.route("/sessions").get(AUTHENTICATE_USER, READ_RATE_LIMITER, GET_ACTIVE_SESSIONS);
+ROUTER.route("/sessions/:sessionId").delete(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(REVOKE_SESSION_SCHEMA), REVOKE_SESSION);
+
+/*********************
+ * Define the routes for the password reset flow.
+ * - POST "/forgot-password": Sends a single-use, expiring password reset link to the email of the account.
+ *   The response is the same whether or not the email is registered.
+ * - POST "/reset-password": Sets a new password using the token from the link, then revokes every session of the user.
+ * - No AUTHENTICATE_USER middleware is used here, because the user cannot log in without their password.
+ *********************/
+ROUTER.route("/forgot-password").post(ACCOUNT_RECOVERY_RATE_LIMITER, VALIDATE(FORGOT_PASSWORD_SCHEMA), FORGOT_PASSWORD);
+ROUTER.route("/reset-password").post(ACCOUNT_RECOVERY_RATE_LIMITER, VALIDATE(RESET_PASSWORD_SCHEMA), RESET_PASSWORD);
+
+/*********************
+ * Define the routes for the email verification flow.
+ * - POST "/verify-email": Marks the email address as verified using the token sent after registration.
+ * - POST "/resend-verification": Sends a new verification link, at most once per interval for the same email.
+ * - No AUTHENTICATE_USER middleware is used here, because logging in may require a verified email.
+ *********************/
+ROUTER.route("/verify-email").post(ACCOUNT_RECOVERY_RATE_LIMITER, VALIDATE(VERIFY_EMAIL_SCHEMA), VERIFY_EMAIL);
+ROUTER.route("/resend-verification").post(ACCOUNT_RECOVERY_RATE_LIMITER, VALIDATE(RESEND_EMAIL_VERIFICATION_SCHEMA), RESEND_EMAIL_VERIFICATION);
+
+/*********************
+ * Define a route for the "/login/2fa" endpoint.
+ * - POST "/login/2fa": Second step of the login when two-factor authentication is enabled.
+ *   Exchanges the challenge token returned by "/login" and a TOTP or recovery code for access and refresh tokens.
+ *********************/
+ROUTER.route("/login/2fa").post(LOGIN_RATE_LIMITER, VALIDATE(LOGIN_WITH_TWO_FACTOR_SCHEMA), LOGIN_WITH_TWO_FACTOR);
+
+/*********************
+ * Define a route for the "/unlock-account" endpoint.
+ * - POST "/unlock-account": Unlocks an account locked after too many failed logins, using the token emailed to its owner.
+ *********************/
+ROUTER.route("/unlock-account").post(ACCOUNT_RECOVERY_RATE_LIMITER, VALIDATE(UNLOCK_ACCOUNT_SCHEMA), UNLOCK_ACCOUNT_WITH_TOKEN);
+
+/*********************
+ * Define the routes for managing two-factor authentication.
+ * - POST "/2fa/enroll": Starts the enrollment and returns the secret and its "otpauth://" URI (requires the password).
+ * - POST "/2fa/confirm": Enables two-factor authentication with a first code and returns the recovery codes.
+ * - POST "/2fa/disable": Disables two-factor authentication (requires the password and a code).
+ * - POST "/2fa/recovery-codes": Replaces the recovery codes (requires a code).
+ * - AUTHENTICATE_USER: Verifies the user's authentication status before the controllers run.
+ *********************/
+ROUTER.route("/2fa/enroll").post(AUTHENTICATE_USER, ACCOUNT_SECURITY_RATE_LIMITER, VALIDATE(ENROLL_TWO_FACTOR_SCHEMA), ENROLL_TWO_FACTOR);
+ROUTER.route("/2fa/confirm").post(AUTHENTICATE_USER, ACCOUNT_SECURITY_RATE_LIMITER, VALIDATE(CONFIRM_TWO_FACTOR_SCHEMA), CONFIRM_TWO_FACTOR);
+ROUTER.route("/2fa/disable").post(AUTHENTICATE_USER, ACCOUNT_SECURITY_RATE_LIMITER, VALIDATE(DISABLE_TWO_FACTOR_SCHEMA), DISABLE_TWO_FACTOR);
+ROUTER.route("/2fa/recovery-codes").post(AUTHENTICATE_USER, ACCOUNT_SECURITY_RATE_LIMITER, VALIDATE(REGENERATE_RECOVERY_CODES_SCHEMA), REGENERATE_RECOVERY_CODES);
+
+/*********************
+ * Define the routes for the profile of the logged in user.
+ * - GET "/me": Returns the profile of the user, without the password and the two-factor secrets.
+ * - PATCH "/me": Updates the full name, username and/or email. A new email has to be verified again.
+ * - POST "/change-password": Changes the password after checking the old one, and signs out the other devices.
+ * - PATCH "/avatar": Replaces the avatar with the uploaded `avatar` file, the previous one is deleted.
+ * - PATCH "/cover-image": Replaces the cover image with the uploaded `coverImage` file, the previous one is deleted.
+ * - AUTHENTICATE_USER: Verifies the user's authentication status before the controllers run.
+ *********************/
+ROUTER.route("/me")
+    .get(AUTHENTICATE_USER, READ_RATE_LIMITER, GET_CURRENT_USER)
+    .patch(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(UPDATE_ACCOUNT_DETAILS_SCHEMA), UPDATE_ACCOUNT_DETAILS);
+ROUTER.route("/change-password").post(AUTHENTICATE_USER, ACCOUNT_SECURITY_RATE_LIMITER, VALIDATE(CHANGE_PASSWORD_SCHEMA), CHANGE_CURRENT_PASSWORD);
+ROUTER.route("/avatar").patch(AUTHENTICATE_USER, WRITE_RATE_LIMITER, UPLOAD.single("avatar"), VALIDATE(UPDATE_AVATAR_SCHEMA), UPDATE_USER_AVATAR);
+ROUTER.route("/cover-image").patch(AUTHENTICATE_USER, WRITE_RATE_LIMITER, UPLOAD.single("coverImage"), VALIDATE(UPDATE_COVER_IMAGE_SCHEMA), UPDATE_USER_COVER_IMAGE);
+
+/*********************
+ * Define a route for the "/channel/:username" endpoint.
+ * - GET "/channel/:username": Returns the public channel profile of a user with its subscriber, subscription
+ *   and video counts, and whether the viewer is subscribed to it.
+ * - AUTHENTICATE_USER_OPTIONALLY: The profile is public, the viewer is only needed for `isSubscribed`.
+ *********************/
+ROUTER.route("/channel/:username").get(AUTHENTICATE_USER_OPTIONALLY, READ_RATE_LIMITER, VALIDATE(GET_USER_CHANNEL_PROFILE_SCHEMA), GET_USER_CHANNEL_PROFILE);
+
+/*********************
+ * Define the routes for the watch history of the logged in user.
+ * - GET "/history": Returns the paginated watch history, most recently watched first.
+ * - PATCH "/history": Pauses or resumes the recording of watched videos (`isPaused`).
+ * - DELETE "/history": Clears the watch history.
+ * - DELETE "/history/:videoId": Removes one video from the watch history.
+ * - AUTHENTICATE_USER: Verifies the user's authentication status before the controllers run.
+ *********************/
+ROUTER.route("/history")
+    .get(AUTHENTICATE_USER, READ_RATE_LIMITER, VALIDATE(GET_WATCH_HISTORY_SCHEMA), GET_WATCH_HISTORY)
+    .patch(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(UPDATE_WATCH_HISTORY_SETTINGS_SCHEMA), UPDATE_WATCH_HISTORY_SETTINGS)
+    .delete(AUTHENTICATE_USER, WRITE_RATE_LIMITER, CLEAR_WATCH_HISTORY);
+ROUTER.route("/history/:videoId").delete(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(REMOVE_FROM_WATCH_HISTORY_SCHEMA), REMOVE_FROM_WATCH_HISTORY);
 
 /*********************
  * Export the Router instance.
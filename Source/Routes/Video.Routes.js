@@ -0,0 +1,152 @@
+/*********************
+ * Import necessary packages and modules.
+ * - express: The Express.js framework for building web applications and APIs.
+ *********************/
+import EXPRESS from "express";
+
+/*********************
+ * Create a new Router instance.
+ * - ROUTER: This instance is used to define route handlers for different HTTP requests.
+ *********************/
+const ROUTER = EXPRESS.Router();
+
+/*********************
+ * Import custom controller functions.
+ * - PUBLISH_A_VIDEO: Uploads a video file and its thumbnail and creates the video.
+ * - GET_ALL_VIDEOS: Returns a paginated, sortable and filterable list of videos.
+ * - GET_VIDEO_BY_ID: Returns a single video.
+ * - UPDATE_VIDEO: Updates the title, description or thumbnail of a video (owner only).
+ * - DELETE_VIDEO: Deletes a video and its files (owner only).
+ * - TOGGLE_PUBLISH_STATUS: Publishes or unpublishes a video (owner only).
+ * - RECORD_VIDEO_VIEW: Counts a view of a video.
+ * - GET_VIDEO_VIEWS: Returns the number of views of a video.
+ * - STREAM_VIDEO: Serves the video file for playback, with HTTP Range support.
+ *********************/
+import {
+    PUBLISH_A_VIDEO,
+    GET_ALL_VIDEOS,
+    GET_VIDEO_BY_ID,
+    UPDATE_VIDEO,
+    DELETE_VIDEO,
+    TOGGLE_PUBLISH_STATUS,
+    RECORD_VIDEO_VIEW,
+    GET_VIDEO_VIEWS,
+    STREAM_VIDEO,
+} from "../Controllers/Video.Controller.js";
+
+/*********************
+ * Import custom middleware functions.
+ * - UPLOAD: A Multer middleware instance configured to handle file uploads.
+ * - AUTHENTICATE_USER: Middleware that rejects requests without a valid access token.
+ * - AUTHENTICATE_USER_OPTIONALLY: Middleware that authenticates the user when an access token is sent,
+ *   and lets anonymous requests through otherwise.
+ * - REQUIRE_VERIFIED_EMAIL: Middleware that rejects users whose email address is not verified.
+ * - AUTHORIZE: Middleware factory that rejects users without the given permissions.
+ * - AUTHORIZE_OWNERSHIP: Middleware factory that loads a document and rejects users who do not own it.
+ * - READ_RATE_LIMITER, WRITE_RATE_LIMITER: Redis-backed rate limiting policies, counted per user when authenticated.
+ * - VALIDATE: Middleware factory that validates the request against a schema and responds
+ *   with a 422 error listing every invalid field.
+ *********************/
+import { UPLOAD } from "../Middlewares/Multer.Middleware.js";
+import { AUTHENTICATE_USER, AUTHENTICATE_USER_OPTIONALLY, REQUIRE_VERIFIED_EMAIL } from "../Middlewares/Authentication.Middleware.js";
+import { VALIDATE } from "../Middlewares/Validation.Middleware.js";
+import { AUTHORIZE, AUTHORIZE_OWNERSHIP } from "../Middlewares/Authorization.Middleware.js";
+import { READ_RATE_LIMITER, WRITE_RATE_LIMITER } from "../Middlewares/RateLimit.Middleware.js";
+
+/*********************
+ * Import the models and permissions used to authorize the video routes.
+ * - VIDEO: Mongoose model representing the Video schema.
+ * - PERMISSIONS: Permissions granted by the roles of a user.
+ *********************/
+import { VIDEO } from "../Models/Video.Model.js";
+import { PERMISSIONS } from "../Utilities/Permissions.js";
+
+/*********************
+ * Import the validation schemas of the video routes.
+ * - Each schema describes the body, query, params and files accepted by a route and is applied with VALIDATE.
+ *********************/
+import {
+    GET_ALL_VIDEOS_SCHEMA,
+    PUBLISH_A_VIDEO_SCHEMA,
+    VIDEO_ID_SCHEMA,
+    UPDATE_VIDEO_SCHEMA,
+} from "../Validators/Video.Validators.js";
+
+/*********************
+ * Authorize the owner of the video identified by the "videoId" parameter, or users allowed to manage any video.
+ *********************/
+const AUTHORIZE_VIDEO_OWNER = AUTHORIZE_OWNERSHIP({
+    Model: VIDEO,
+    Parameter: "videoId",
+    BypassPermission: PERMISSIONS.VIDEOS_MANAGE_ANY,
+    Label: "Video",
+});
+
+/*********************
+ * Define the routes for the "/" endpoint.
+ * - GET "/": Lists videos. Anonymous users only see published videos,
+ *   owners also see their unpublished videos when filtering by their own user id.
+ * - POST "/": Publishes a new video. Only users with a verified email address can publish videos.
+ *   - UPLOAD.fields([...]): Accepts one `videoFile` and one `thumbnail` file.
+ *********************/
+ROUTER.route("/")
+    .get(AUTHENTICATE_USER_OPTIONALLY, READ_RATE_LIMITER, VALIDATE(GET_ALL_VIDEOS_SCHEMA), GET_ALL_VIDEOS)
+    .post(
+        AUTHENTICATE_USER,
+        WRITE_RATE_LIMITER,
+        REQUIRE_VERIFIED_EMAIL,
+        AUTHORIZE(PERMISSIONS.VIDEOS_PUBLISH),
+        UPLOAD.fields([
+            {
+                name: "videoFile", // name should be same as in Video.Model schema.
+                maxCount: 1
+            },
+            {
+                name: "thumbnail", // name should be same as in Video.Model schema.
+                maxCount: 1
+            }
+        ]),
+        VALIDATE(PUBLISH_A_VIDEO_SCHEMA),
+        PUBLISH_A_VIDEO
+    );
+
+/*********************
+ * Define the routes for the "/:videoId" endpoint.
+ * - GET "/:videoId": Returns a video. Unpublished videos are only returned to their owner.
+ * - PATCH "/:videoId": Updates a video, optionally replacing its `thumbnail` file (owner or moderator only).
+ *   The ownership is checked before the upload, so files sent by other users are never written to disk.
+ * - DELETE "/:videoId": Deletes a video (owner or moderator only).
+ *********************/
+ROUTER.route("/:videoId")
+    .get(AUTHENTICATE_USER_OPTIONALLY, READ_RATE_LIMITER, VALIDATE(VIDEO_ID_SCHEMA), GET_VIDEO_BY_ID)
+    .patch(AUTHENTICATE_USER, WRITE_RATE_LIMITER, AUTHORIZE_VIDEO_OWNER, UPLOAD.single("thumbnail"), VALIDATE(UPDATE_VIDEO_SCHEMA), UPDATE_VIDEO)
+    .delete(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(VIDEO_ID_SCHEMA), AUTHORIZE_VIDEO_OWNER, DELETE_VIDEO);
+
+/*********************
+ * Define a route for the "/:videoId/toggle-publish" endpoint.
+ * - PATCH "/:videoId/toggle-publish": Publishes or unpublishes a video (owner or moderator only).
+ *********************/
+ROUTER.route("/:videoId/toggle-publish").patch(AUTHENTICATE_USER, WRITE_RATE_LIMITER, VALIDATE(VIDEO_ID_SCHEMA), AUTHORIZE_VIDEO_OWNER, TOGGLE_PUBLISH_STATUS);
+
+/*********************
+ * Define the routes for the "/:videoId/views" endpoint.
+ * - GET "/:videoId/views": Returns the number of views, including the views not yet written to the database.
+ * - POST "/:videoId/views": Counts a view. A viewer is counted at most once per video during the deduplication window.
+ *********************/
+ROUTER.route("/:videoId/views")
+    .get(AUTHENTICATE_USER_OPTIONALLY, READ_RATE_LIMITER, VALIDATE(VIDEO_ID_SCHEMA), GET_VIDEO_VIEWS)
+    .post(AUTHENTICATE_USER_OPTIONALLY, WRITE_RATE_LIMITER, VALIDATE(VIDEO_ID_SCHEMA), RECORD_VIDEO_VIEW);
+
+/*********************
+ * Define a route for the "/:videoId/stream" endpoint.
+ * - GET (and HEAD) "/:videoId/stream": Serves the video file, whole or a byte range. Unpublished videos are only served to their owner.
+ *   The access token can be sent in the "accessToken" cookie, since video players cannot set an Authorization header.
+ *********************/
+ROUTER.route("/:videoId/stream").get(AUTHENTICATE_USER_OPTIONALLY, READ_RATE_LIMITER, VALIDATE(VIDEO_ID_SCHEMA), STREAM_VIDEO);
+
+/*********************
+ * Export the Router instance.
+ * - This allows the ROUTER to be used in other parts of the application, typically
+ *   in a main application file where all routes are centralized.
+ *********************/
+export default ROUTER;
@@ -0,0 +1,118 @@
+/*********************
+ * Import custom modules and functions.
+ * - UPLOAD_FILE_ON_CLOUDINARY, DELETE_FILE_FROM_CLOUDINARY, GET_SIGNED_CLOUDINARY_URL, GET_CLOUDINARY_FILE_DETAILS:
+ *   Low level Cloudinary functions wrapped by this driver.
+ *********************/
+import {
+    UPLOAD_FILE_ON_CLOUDINARY,
+    DELETE_FILE_FROM_CLOUDINARY,
+    GET_SIGNED_CLOUDINARY_URL,
+    GET_CLOUDINARY_FILE_DETAILS,
+} from "../Utilities/Cloudinary.js";
+
+/*********************
+ * Folders whose files must not be reachable by their plain Cloudinary URL.
+ * - They are uploaded as "authenticated" files, which Cloudinary only delivers with a signed URL.
+ * - Videos are only served by GET /api/v1/videos/:videoId/stream, which checks that the video is published.
+ *********************/
+const PRIVATE_FOLDERS = ["Videos"];
+
+/*********************
+ * Split a Cloudinary storage key into its parts.
+ * - Keys have the form "<resource_type>/<public_id>.<format>", e.g. "video/Videos/abc123.mp4", and
+ *   "<resource_type>/authenticated/<public_id>.<format>" for authenticated files.
+ * - Returns null if the key does not have that form.
+ *********************/
+const PARSE_KEY = (Key = "") => {
+    const Match = /^(image|video|raw)\/(?:(authenticated)\/)?(.+?)(?:\.([a-z0-9]+))?$/i.exec(Key);
+
+    if (!Match) return null;
+
+    const [, ResourceType, Type = "upload", PublicId, Format] = Match;
+
+    return { ResourceType, Type, PublicId, Format };
+}
+
+/*********************
+ * Cloudinary Storage Driver
+ * - Stores files on Cloudinary, files are served from Cloudinary's CDN.
+ * - Implements the storage driver interface used by Storage.js: UPLOAD_FILE, DELETE_FILE, GET_SIGNED_URL and GET_FILE_DETAILS.
+ *********************/
+export const CLOUDINARY_STORAGE = {
+    /*******
+     * Name of the driver, used as the prefix of the keys it creates.
+     *******/
+    Name: "cloudinary",
+
+    /*******
+     * Upload a local file to Cloudinary.
+     * - The local file is removed once the upload has finished, whether it succeeded or not.
+     * - Files of PRIVATE_FOLDERS are uploaded as authenticated files and get no URL.
+     * - Returns the description of the stored file, or null if the upload failed.
+     *******/
+    UPLOAD_FILE: async (LocalFilePath, { Folder } = {}) => {
+        const isPrivate = PRIVATE_FOLDERS.includes(Folder);
+        const Response = await UPLOAD_FILE_ON_CLOUDINARY(LocalFilePath, { Folder, ...(isPrivate ? { Type: "authenticated" } : {}) });
+
+        if (!Response) return null;
+
+        const Type = Response.type === "authenticated" ? "authenticated/" : "";
+
+        return {
+            key: `${Response.resource_type}/${Type}${Response.public_id}${Response.format ? `.${Response.format}` : ""}`,
+            url: isPrivate ? null : Response.secure_url || Response.url,
+            size: Response.bytes,
+            mimeType: Response.format ? `${Response.resource_type}/${Response.format}` : null,
+            duration: Response.duration || null,
+            width: Response.width || null,
+            height: Response.height || null,
+        };
+    },
+
+    /*******
+     * Delete a file from Cloudinary.
+     * - Returns true if Cloudinary reports the file as deleted or already missing.
+     *******/
+    DELETE_FILE: async (Key) => {
+        const ParsedKey = PARSE_KEY(Key);
+
+        if (!ParsedKey) return false;
+
+        const Response = await DELETE_FILE_FROM_CLOUDINARY(ParsedKey.PublicId, ParsedKey.ResourceType, ParsedKey.Type);
+
+        return Response?.result === "ok" || Response?.result === "not found";
+    },
+
+    /*******
+     * Build a signed delivery URL, served by Cloudinary's CDN.
+     * - Signed delivery URLs do not expire, `ExpiresInSeconds` is ignored: the signature only grants access to this file.
+     *******/
+    GET_SIGNED_URL: async (Key) => {
+        const ParsedKey = PARSE_KEY(Key);
+
+        if (!ParsedKey) return null;
+
+        return GET_SIGNED_CLOUDINARY_URL(ParsedKey.PublicId, ParsedKey.Format, ParsedKey.ResourceType, ParsedKey.Type);
+    },
+
+    /*******
+     * Describe a stored file (size, type, last modification), or return null if it does not exist.
+     *******/
+    GET_FILE_DETAILS: async (Key) => {
+        const ParsedKey = PARSE_KEY(Key);
+
+        if (!ParsedKey) return null;
+
+        const Resource = await GET_CLOUDINARY_FILE_DETAILS(ParsedKey.PublicId, ParsedKey.ResourceType, ParsedKey.Type);
+
+        if (!Resource) return null;
+
+        return {
+            key: Key,
+            url: Resource.secure_url || Resource.url,
+            size: Resource.bytes,
+            mimeType: Resource.format ? `${Resource.resource_type}/${Resource.format}` : null,
+            lastModified: new Date(Resource.created_at),
+        };
+    },
+};
@@ -0,0 +1,238 @@
+/*********************
+ * Import necessary packages and modules.
+ * - path, url: Used for working with file paths and URLs.
+ * - fs: Provides methods for interacting with the file system.
+ * - crypto: Used to generate unique file names.
+ * - process: Provides access to environment variables.
+ *********************/
+import PATH from "node:path";
+import URL from "node:url";
+import FILE_SYSTEM from "node:fs";
+import CRYPTO from "node:crypto";
+import PROCESS from "node:process";
+
+/*********************
+ * Import custom modules and functions.
+ * - LOG_ERROR, LOG_INFO: Logging functions for different log levels.
+ * - INSPECT_FILE: Detects the type of a file from its content.
+ *********************/
+import { LOG_ERROR, LOG_INFO } from "../Utilities/WinstonLogger.js";
+import { INSPECT_FILE } from "../Utilities/FileInspection.js";
+
+/*********************
+ * Determine the directory name (__dirname) of the current module.
+ * This is necessary because __dirname is not available when using ES modules.
+ *********************/
+const __filename = URL.fileURLToPath(import.meta.url);
+const __dirname = PATH.dirname(__filename);
+
+/*********************
+ * Directories used by the driver.
+ * - PUBLIC_DIRECTORY: The "Public" directory, holding the stored files and the temporary files ("Public/Temporary").
+ * - UPLOADS_DIRECTORY: Sub directory of PUBLIC_DIRECTORY where uploaded files are stored. It is the only directory
+ *   Express serves, under the "/static/Uploads" URL path.
+ * - PRIVATE_DIRECTORY: Sub directory of PUBLIC_DIRECTORY where the files of PRIVATE_FOLDERS are stored. It is not served,
+ *   its files are only read by the application (see CREATE_READ_STREAM).
+ *********************/
+export const PUBLIC_DIRECTORY = PATH.resolve(__dirname, "../../Public");
+const UPLOADS_DIRECTORY = "Uploads";
+const PRIVATE_DIRECTORY = "Private";
+
+/*********************
+ * Folders whose files must not be reachable by URL.
+ * - Videos are only served by GET /api/v1/videos/:videoId/stream, which checks that the video is published.
+ *********************/
+const PRIVATE_FOLDERS = ["Videos"];
+
+/*********************
+ * MIME types of the file extensions the application accepts.
+ * - Used to describe stored files, whose extension is the one of the type detected from their content.
+ *********************/
+const MIME_TYPES = {
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".mp4": "video/mp4",
+    ".mov": "video/quicktime",
+    ".webm": "video/webm",
+    ".mkv": "video/x-matroska",
+};
+
+/*********************
+ * Resolve a storage key to an absolute path inside PUBLIC_DIRECTORY.
+ * - Returns null for keys that would escape PUBLIC_DIRECTORY (e.g. "../../etc/passwd").
+ *********************/
+const RESOLVE_KEY = (Key = "") => {
+    const AbsolutePath = PATH.resolve(PUBLIC_DIRECTORY, Key);
+
+    if (!Key || !AbsolutePath.startsWith(PUBLIC_DIRECTORY + PATH.sep)) return null;
+
+    return AbsolutePath;
+}
+
+/*********************
+ * Build the public URL of a storage key.
+ * - STORAGE_PUBLIC_BASE_URL can be set to serve files from another host (e.g. "https://cdn.example.com"),
+ *   otherwise a root relative URL is returned.
+ * - Returns null for the files of PRIVATE_DIRECTORY, which have no URL.
+ *********************/
+const BUILD_URL = (Key) => {
+    const UrlPath = Key.split(PATH.sep).join("/");
+
+    if (!UrlPath.startsWith(`${UPLOADS_DIRECTORY}/`)) return null;
+
+    return `${PROCESS.env.STORAGE_PUBLIC_BASE_URL || ""}/static/${UrlPath}`;
+}
+
+/*********************
+ * Move a file, falling back to copy + delete when source and destination are on different devices.
+ *********************/
+const MOVE_FILE = async (SourcePath, DestinationPath) => {
+    try {
+        await FILE_SYSTEM.promises.rename(SourcePath, DestinationPath);
+    } catch (error) {
+        if (error.code !== "EXDEV") throw error;
+
+        await FILE_SYSTEM.promises.copyFile(SourcePath, DestinationPath);
+        await FILE_SYSTEM.promises.unlink(SourcePath);
+    }
+}
+
+/*********************
+ * Local Disk Storage Driver
+ * - Stores files in "Public/Uploads/<Folder>", files are served by Express under "/static/Uploads".
+ * - Files of PRIVATE_FOLDERS are stored in "Public/Private/<Folder>" instead, which is not served.
+ * - Useful to run the application offline, in development or in tests, without a Cloudinary account.
+ * - Implements the storage driver interface used by Storage.js: UPLOAD_FILE, DELETE_FILE, GET_SIGNED_URL, GET_FILE_DETAILS
+ *   and CREATE_READ_STREAM.
+ *********************/
+export const LOCAL_DISK_STORAGE = {
+    /*******
+     * Name of the driver, used as the prefix of the keys it creates.
+     *******/
+    Name: "local",
+
+    /*******
+     * Move a temporary local file into the uploads directory.
+     * - The file gets a new random name. Its type, and so its extension, is detected from its content:
+     *   the name and type reported by the client are ignored, so a file is never served with another type than its own.
+     * - Files of PRIVATE_FOLDERS are moved into the private directory and get no URL.
+     * - On failure the temporary file is removed, like the Cloudinary driver does.
+     * - Returns the description of the stored file, or null if the upload failed.
+     *******/
+    UPLOAD_FILE: async (LocalFilePath, { Folder = "Files" } = {}) => {
+        if (!LocalFilePath) return null;
+
+        try {
+            const { mimeType: MimeType, extension: Extension } = await INSPECT_FILE(LocalFilePath);
+            const SafeFolder = String(Folder).replace(/[^a-zA-Z0-9_-]/g, "") || "Files";
+            const FileName = `${Date.now()}-${CRYPTO.randomBytes(8).toString("hex")}${Extension || ""}`;
+            const Directory = PRIVATE_FOLDERS.includes(SafeFolder) ? PRIVATE_DIRECTORY : UPLOADS_DIRECTORY;
+            const Key = PATH.join(Directory, SafeFolder, FileName);
+            const DestinationPath = RESOLVE_KEY(Key);
+
+            await FILE_SYSTEM.promises.mkdir(PATH.dirname(DestinationPath), { recursive: true });
+            await MOVE_FILE(LocalFilePath, DestinationPath);
+
+            const Stats = await FILE_SYSTEM.promises.stat(DestinationPath);
+
+            LOG_INFO({
+                label: "LocalDisk.Storage.js",
+                service: "UPLOAD_FILE try",
+                message: `Stored ${Key} (${Stats.size} bytes)`,
+            });
+
+            return {
+                key: Key.split(PATH.sep).join("/"),
+                url: BUILD_URL(Key),
+                size: Stats.size,
+                mimeType: MimeType,
+                duration: null,
+                width: null,
+                height: null,
+            };
+        } catch (error) {
+            await FILE_SYSTEM.promises.unlink(LocalFilePath).catch(() => { });
+
+            LOG_ERROR({
+                label: "LocalDisk.Storage.js",
+                service: "UPLOAD_FILE catch",
+                error: error.message,
+            });
+
+            return null;
+        }
+    },
+
+    /*******
+     * Delete a stored file.
+     * - Returns true if the file was deleted or did not exist.
+     *******/
+    DELETE_FILE: async (Key) => {
+        const AbsolutePath = RESOLVE_KEY(Key);
+
+        if (!AbsolutePath) return false;
+
+        try {
+            await FILE_SYSTEM.promises.unlink(AbsolutePath);
+            return true;
+        } catch (error) {
+            if (error.code === "ENOENT") return true;
+
+            LOG_ERROR({
+                label: "LocalDisk.Storage.js",
+                service: "DELETE_FILE catch",
+                error: error.message,
+            });
+
+            return false;
+        }
+    },
+
+    /*******
+     * Files stored on the local disk cannot be signed: return the plain URL of public files, and null for private ones.
+     * - Private files are read through the application instead (see CREATE_READ_STREAM).
+     *******/
+    GET_SIGNED_URL: async (Key) => {
+        if (!RESOLVE_KEY(Key)) return null;
+
+        return BUILD_URL(Key);
+    },
+
+    /*******
+     * Describe a stored file (size, type, last modification), or return null if it does not exist.
+     *******/
+    GET_FILE_DETAILS: async (Key) => {
+        const AbsolutePath = RESOLVE_KEY(Key);
+
+        if (!AbsolutePath) return null;
+
+        try {
+            const Stats = await FILE_SYSTEM.promises.stat(AbsolutePath);
+
+            return {
+                key: Key,
+                url: BUILD_URL(Key),
+                size: Stats.size,
+                mimeType: MIME_TYPES[PATH.extname(AbsolutePath).toLowerCase()] || null,
+                lastModified: Stats.mtime,
+            };
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /*******
+     * Open a readable stream on a stored file, from byte `Start` to byte `End` (inclusive, the whole file by default).
+     * - Returns null for keys outside PUBLIC_DIRECTORY. A missing file makes the stream emit an "error" event.
+     *******/
+    CREATE_READ_STREAM: (Key, { Start, End } = {}) => {
+        const AbsolutePath = RESOLVE_KEY(Key);
+
+        if (!AbsolutePath) return null;
+
+        return FILE_SYSTEM.createReadStream(AbsolutePath, { start: Start, end: End });
+    },
+};
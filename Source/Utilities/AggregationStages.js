@@ -0,0 +1,118 @@
+/*********************
+ * Reusable aggregation stages shared by the controllers.
+ *********************/
+
+/*********************
+ * USER_SUMMARY_LOOKUP_STAGES Function
+ * - Returns the aggregation stages that replace a user reference (e.g. the `owner` of a video)
+ *   with a public summary of the user: { _id, username, fullName, avatar }.
+ * - Only non sensitive fields of the user are projected.
+ * - Field: Name of the field holding the user ObjectId.
+ *********************/
+export const USER_SUMMARY_LOOKUP_STAGES = (Field) => [
+    {
+        $lookup: {
+            from: "users",
+            localField: Field,
+            foreignField: "_id",
+            as: Field,
+            pipeline: [
+                {
+                    $project: {
+                        username: 1,
+                        fullName: 1,
+                        avatar: 1,
+                    },
+                },
+            ],
+        },
+    },
+    {
+        $addFields: {
+            [Field]: { $first: `$${Field}` },
+        },
+    },
+];
+
+/*********************
+ * REACTION_SUMMARY_STAGES Function
+ * - Returns the aggregation stages that add the reactions of the documents to each document:
+ *   - likesCount, dislikesCount: Number of likes and dislikes.
+ *   - myReaction: Reaction of the given user ("like", "dislike"), null if they did not react or no user is given.
+ * - TargetType: Type of the documents in the reactions, one of REACTION_TARGET_TYPES (e.g. "video").
+ * - UserId: ObjectId of the authenticated user, if any.
+ *********************/
+export const REACTION_SUMMARY_STAGES = (TargetType, UserId = null) => [
+    {
+        $lookup: {
+            from: "reactions",
+            localField: "_id",
+            foreignField: "target",
+            as: "reactions",
+            pipeline: [
+                { $match: { targetType: TargetType } },
+                {
+                    $group: {
+                        _id: null,
+                        likesCount: { $sum: { $cond: [{ $eq: ["$type", "like"] }, 1, 0] } },
+                        dislikesCount: { $sum: { $cond: [{ $eq: ["$type", "dislike"] }, 1, 0] } },
+                        myReaction: { $max: { $cond: [{ $eq: ["$user", UserId] }, "$type", null] } },
+                    },
+                },
+            ],
+        },
+    },
+    {
+        $addFields: {
+            likesCount: { $ifNull: [{ $first: "$reactions.likesCount" }, 0] },
+            dislikesCount: { $ifNull: [{ $first: "$reactions.dislikesCount" }, 0] },
+            myReaction: { $ifNull: [{ $first: "$reactions.myReaction" }, null] },
+        },
+    },
+    {
+        $project: { reactions: 0 },
+    },
+];
+
+/*********************
+ * VIDEO_COMMENTS_COUNT_STAGES
+ * - Aggregation stages that add the number of comments of a video, replies included, as `commentsCount`.
+ *********************/
+export const VIDEO_COMMENTS_COUNT_STAGES = [
+    {
+        $lookup: {
+            from: "comments",
+            localField: "_id",
+            foreignField: "video",
+            as: "commentsCount",
+            pipeline: [{ $count: "count" }],
+        },
+    },
+    {
+        $addFields: {
+            commentsCount: { $ifNull: [{ $first: "$commentsCount.count" }, 0] },
+        },
+    },
+];
+
+/*********************
+ * AGGREGATE_PAGE Function
+ * - Runs aggregation stages on the documents of a page returned by `aggregatePaginate`, and replaces them with the result.
+ * - Lookups (owner summaries, counts, reactions) are run here rather than before `aggregatePaginate`, which would run
+ *   them for every matching document, to count them and to skip the previous pages.
+ * - Model: Model the page was paginated from. Page: Result of `aggregatePaginate`. Stages: Stages run on its documents.
+ * - The order of the page is kept. Returns the page.
+ *********************/
+export const AGGREGATE_PAGE = async (Model, Page, Stages) => {
+    if (Page.docs.length === 0) return Page;
+
+    const Documents = await Model.aggregate([
+        { $match: { _id: { $in: Page.docs.map((Document) => Document._id) } } },
+        ...Stages,
+    ]);
+    const DocumentsById = new Map(Documents.map((Document) => [String(Document._id), Document]));
+
+    Page.docs = Page.docs.map((Document) => DocumentsById.get(String(Document._id))).filter(Boolean);
+
+    return Page;
+}
@@ -0,0 +1,41 @@
+/*********************
+ * Import custom modules and functions.
+ * - REDIS: Redis client used to store the cached values.
+ * - LOG_WARN: Logs non-fatal failures.
+ *********************/
+import { REDIS } from "../Redis.js";
+import { LOG_WARN } from "./WinstonLogger.js";
+
+/*********************
+ * GET_CACHED Function
+ * - Returns the value cached under `Key`, or computes it with `Load()` and caches it for `TimeToLiveSeconds`.
+ * - Values are stored as JSON, so they must be serialisable (ObjectIds and dates come back as strings).
+ * - Redis failures are logged and the value is computed without the cache, so a Redis outage does not break the caller.
+ *********************/
+export const GET_CACHED = async ({ Key, TimeToLiveSeconds, Load }) => {
+    try {
+        const CachedValue = await REDIS.get(Key);
+
+        if (CachedValue !== null) return JSON.parse(CachedValue);
+    } catch (error) {
+        LOG_WARN({
+            label: "Cache.js",
+            service: "GET_CACHED",
+            message: `Failed to read the cache key "${Key}": ${error?.message}`,
+        });
+    }
+
+    const Value = await Load();
+
+    try {
+        await REDIS.set(Key, JSON.stringify(Value), "EX", TimeToLiveSeconds);
+    } catch (error) {
+        LOG_WARN({
+            label: "Cache.js",
+            service: "GET_CACHED",
+            message: `Failed to write the cache key "${Key}": ${error?.message}`,
+        });
+    }
+
+    return Value;
+}
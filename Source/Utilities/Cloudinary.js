@@ -11,9 +11,10 @@ import FILE_SYSTEM from "node:fs";
 /*********************
  * Import custom modules and functions.
  * - LOG_ERROR: Function for logging error messages.
+ * - LOG_WARN: Function for logging warnings.
  * - LOG_INFO: Function for logging informational messages.
  *********************/
-import { LOG_ERROR, LOG_INFO } from "./WinstonLogger.js";
+import { LOG_ERROR, LOG_WARN, LOG_INFO } from "./WinstonLogger.js";
 
 /*********************
  * Configure Cloudinary with credentials from environment variables.
@@ -27,22 +28,46 @@ CLOUDINARY.config({
     api_secret: PROCESS.env.CLOUDINARY_API_SECRET,
 });
 
+/*********************
+ * Remove a local (temporary) file without throwing, logging a warning unless it was already gone.
+ *********************/
+const REMOVE_LOCAL_FILE = async (LocalFilePath) => {
+    if (!LocalFilePath) return;
+
+    try {
+        await FILE_SYSTEM.promises.unlink(LocalFilePath);
+    } catch (error) {
+        if (error.code === "ENOENT") return;
+
+        LOG_WARN({
+            label: "Cloudinary.js",
+            service: "REMOVE_LOCAL_FILE",
+            message: `Temporary file "${LocalFilePath}" could not be removed: ${error.message}`,
+        });
+    }
+}
+
 /*********************
  * Upload a local file to Cloudinary.
  * - LocalFilePath: Path to the file to be uploaded.
+ * - Options.Folder: Optional Cloudinary folder the file is uploaded into.
+ * - Options.Type: Optional delivery type of the file, "authenticated" for files only reachable by signed URLs. Defaults to "upload".
  * - If LocalFilePath is not provided, return null.
  * - If LocalFilePath is provided, upload the file to Cloudinary with automatic resource type detection.
  * - On success, logs the response from Cloudinary and returns it.
- * - After a successful upload, delete the local file using `unlinkSync` to prevent leftover files.
- * - On failure, deletes the local file using `unlinkSync` to ensure that the failed upload does not leave unwanted files on the filesystem.
+ * - After a successful upload, delete the local file to prevent leftover files.
+ * - On failure, deletes the local file as well, to ensure that the failed upload does not leave unwanted files on the filesystem.
+ * - A local file that is already gone is not an error, files missed here are removed later by the temporary files janitor.
  * - Logs the error and returns null if the upload fails or LocalFilePath is not provided.
  *********************/
-const UPLOAD_FILE_ON_CLOUDINARY = async (LocalFilePath) => {
+const UPLOAD_FILE_ON_CLOUDINARY = async (LocalFilePath, Options = {}) => {
     try {
         if (!LocalFilePath) return null;
 
         const Response = await CLOUDINARY.uploader.upload(LocalFilePath, {
-            resource_type: "auto"
+            resource_type: "auto",
+            ...(Options.Folder ? { folder: Options.Folder } : {}),
+            ...(Options.Type ? { type: Options.Type } : {}),
         });
 
         LOG_INFO({
@@ -51,10 +76,10 @@ const UPLOAD_FILE_ON_CLOUDINARY = async (LocalFilePath) => {
             message: Response,
         });
 
-        FILE_SYSTEM.unlinkSync(LocalFilePath);
+        await REMOVE_LOCAL_FILE(LocalFilePath);
         return Response;
     } catch (error) {
-        FILE_SYSTEM.unlinkSync(LocalFilePath);
+        await REMOVE_LOCAL_FILE(LocalFilePath);
 
         LOG_ERROR({
             label: "Cloudinary.js",
@@ -67,6 +92,84 @@ const UPLOAD_FILE_ON_CLOUDINARY = async (LocalFilePath) => {
 }
 
 /*********************
- * Export the UPLOAD_FILE_ON_CLOUDINARY function for use in other modules.
+ * Delete a file from Cloudinary.
+ * - PublicId: The public ID returned by Cloudinary when the file was uploaded.
+ * - ResourceType: The Cloudinary resource type of the file ("image", "video" or "raw"). Defaults to "image".
+ * - Type: The delivery type of the file ("upload" or "authenticated"). Defaults to "upload".
+ * - Returns the response from Cloudinary on success.
+ * - Logs the error and returns null if the deletion fails or no public ID is provided.
+ *********************/
+const DELETE_FILE_FROM_CLOUDINARY = async (PublicId, ResourceType = "image", Type = "upload") => {
+    try {
+        if (!PublicId) return null;
+
+        const Response = await CLOUDINARY.uploader.destroy(PublicId, {
+            resource_type: ResourceType,
+            type: Type,
+            invalidate: true,
+        });
+
+        LOG_INFO({
+            label: "Cloudinary.js",
+            service: "DELETE_FILE_FROM_CLOUDINARY try",
+            message: Response,
+        });
+
+        return Response;
+    } catch (error) {
+        LOG_ERROR({
+            label: "Cloudinary.js",
+            service: "DELETE_FILE_FROM_CLOUDINARY catch",
+            error: error.message,
+        });
+
+        return null;
+    }
+}
+
+/*********************
+ * Build a signed delivery URL for a file stored on Cloudinary, served by its CDN.
+ * - PublicId, Format, ResourceType, Type: Identify the file on Cloudinary.
+ * - The signature lets Cloudinary deliver "authenticated" files, which are refused without it, and prevents the
+ *   transformations of the URL from being changed.
+ *********************/
+const GET_SIGNED_CLOUDINARY_URL = (PublicId, Format, ResourceType = "image", Type = "upload") => {
+    return CLOUDINARY.url(PublicId, {
+        resource_type: ResourceType,
+        type: Type,
+        format: Format,
+        sign_url: true,
+        secure: true,
+    });
+}
+
+/*********************
+ * Fetch the details (size, format, dimensions, creation date) of a file stored on Cloudinary.
+ * - Type: The delivery type of the file ("upload" or "authenticated"). Defaults to "upload".
+ * - Returns the resource description from the Cloudinary Admin API.
+ * - Logs the error and returns null if the file does not exist or the request fails.
+ *********************/
+const GET_CLOUDINARY_FILE_DETAILS = async (PublicId, ResourceType = "image", Type = "upload") => {
+    try {
+        return await CLOUDINARY.api.resource(PublicId, { resource_type: ResourceType, type: Type });
+    } catch (error) {
+        LOG_ERROR({
+            label: "Cloudinary.js",
+            service: "GET_CLOUDINARY_FILE_DETAILS catch",
+            error: error?.message || error?.error?.message,
+        });
+
+        return null;
+    }
+}
+
+/*********************
+ * Export the Cloudinary functions for use in other modules.
+ * - These functions are used by the Cloudinary storage driver, controllers should go through Storage.js instead.
  *********************/
-export { UPLOAD_FILE_ON_CLOUDINARY };
+export {
+    UPLOAD_FILE_ON_CLOUDINARY,
+    DELETE_FILE_FROM_CLOUDINARY,
+    GET_SIGNED_CLOUDINARY_URL,
+    GET_CLOUDINARY_FILE_DETAILS,
+};
@@ -0,0 +1,324 @@
+/*********************
+ * Import necessary packages and modules.
+ * - fs: Provides methods for interacting with the file system.
+ *********************/
+import FILE_SYSTEM from "node:fs";
+
+/*********************
+ * Number of bytes read from the start of a file to detect its type and image dimensions.
+ * - Large enough for the EXIF data JPEG files carry before their frame header, and for the header of WebM files.
+ *********************/
+const HEAD_BYTES = 1024 * 1024;
+
+/*********************
+ * File types detected from their magic bytes, with the extension files of that type are stored with.
+ *********************/
+const FILE_TYPES = {
+    "image/jpeg": ".jpg",
+    "image/png": ".png",
+    "image/gif": ".gif",
+    "image/webp": ".webp",
+    "video/mp4": ".mp4",
+    "video/quicktime": ".mov",
+    "video/webm": ".webm",
+    "video/x-matroska": ".mkv",
+};
+
+/*********************
+ * Major brands (the first field of the "ftyp" box) of the MP4 and QuickTime videos, with their type.
+ * - Other ISO base media files, like HEIC or AVIF images, share the "ftyp" box and must not be taken for videos.
+ *********************/
+const MP4_BRANDS = {
+    "isom": "video/mp4",
+    "iso2": "video/mp4",
+    "iso4": "video/mp4",
+    "iso5": "video/mp4",
+    "iso6": "video/mp4",
+    "mp41": "video/mp4",
+    "mp42": "video/mp4",
+    "avc1": "video/mp4",
+    "dash": "video/mp4",
+    "M4V ": "video/mp4",
+    "qt  ": "video/quicktime",
+};
+
+/*********************
+ * Maximum number of boxes walked to find the duration of an MP4 or QuickTime file.
+ * - Every box costs a read, so a file made of many tiny boxes is treated as unreadable instead of being walked to its end.
+ *********************/
+const MAX_MP4_BOXES = 1000;
+
+/*********************
+ * Matroska (EBML) element ids used to find the type and the duration of WebM and Matroska files.
+ *********************/
+const EBML_IDS = {
+    HEADER: 0x1A45DFA3,
+    DOC_TYPE: 0x4282,
+    SEGMENT: 0x18538067,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    DURATION: 0x4489,
+    CLUSTER: 0x1F43B675,
+};
+
+/*********************
+ * Read `Length` bytes at `Position` from an open file, fewer when the file ends before.
+ *********************/
+const READ_BYTES = async (FileHandle, Position, Length) => {
+    const Bytes = Buffer.alloc(Length);
+    const { bytesRead } = await FileHandle.read(Bytes, 0, Length, Position);
+
+    return Bytes.subarray(0, bytesRead);
+}
+
+/*********************
+ * Read a Matroska variable length integer at `Position`.
+ * - Ids keep their length marker bit (`KeepMarker`), sizes do not. A size with every bit set means "unknown" (Infinity).
+ * - Returns { Value, Length }, or null when the buffer ends before the integer.
+ *********************/
+const READ_EBML_VINT = (Head, Position, KeepMarker = false) => {
+    const FirstByte = Head[Position];
+
+    if (FirstByte === undefined || FirstByte === 0) return null;
+
+    const Length = Math.clz32(FirstByte) - 23;
+
+    if (Position + Length > Head.length) return null;
+
+    let Value = KeepMarker ? FirstByte : FirstByte & (0xFF >> Length);
+    let isUnknown = Value === (0xFF >> Length);
+
+    for (let Index = 1; Index < Length; Index++) {
+        Value = Value * 256 + Head[Position + Index];
+        isUnknown = isUnknown && Head[Position + Index] === 0xFF;
+    }
+
+    return { Value: !KeepMarker && isUnknown ? Infinity : Value, Length };
+}
+
+/*********************
+ * Iterate over the Matroska elements found between `Start` and `End` of the buffer, as { Id, DataStart, DataEnd }.
+ *********************/
+function* EBML_ELEMENTS(Head, Start, End) {
+    let Position = Start;
+
+    while (Position < End) {
+        const Id = READ_EBML_VINT(Head, Position, true);
+        const Size = Id && READ_EBML_VINT(Head, Position + Id.Length);
+
+        if (!Size) return;
+
+        const DataStart = Position + Id.Length + Size.Length;
+        const DataEnd = Math.min(DataStart + Size.Value, Head.length);
+
+        yield { Id: Id.Value, DataStart, DataEnd };
+
+        Position = DataEnd;
+    }
+}
+
+/*********************
+ * Read the unsigned integer or the float stored in a Matroska element.
+ * - Floats are 4 or 8 bytes long: any other size, or a float cut by the end of the buffer, reads as null.
+ *********************/
+const READ_EBML_UINT = (Head, { DataStart, DataEnd }) => Head.subarray(DataStart, DataEnd).reduce((Value, Byte) => Value * 256 + Byte, 0);
+const READ_EBML_FLOAT = (Head, { DataStart, DataEnd }) => {
+    const Size = DataEnd - DataStart;
+
+    if ((Size !== 4 && Size !== 8) || DataStart + Size > Head.length) return null;
+
+    return Size === 4 ? Head.readFloatBE(DataStart) : Head.readDoubleBE(DataStart);
+}
+
+/*********************
+ * Describe a WebM or Matroska file from its first bytes: its type ("webm" or "matroska") and its duration in seconds.
+ *********************/
+const INSPECT_MATROSKA = (Head) => {
+    let DocType = "matroska";
+    let Duration = null;
+
+    for (const Element of EBML_ELEMENTS(Head, 0, Head.length)) {
+        if (Element.Id === EBML_IDS.HEADER) {
+            for (const Child of EBML_ELEMENTS(Head, Element.DataStart, Element.DataEnd)) {
+                if (Child.Id === EBML_IDS.DOC_TYPE) DocType = Head.toString("ascii", Child.DataStart, Child.DataEnd).replace(/\0/g, "");
+            }
+        }
+
+        if (Element.Id !== EBML_IDS.SEGMENT) continue;
+
+        for (const Child of EBML_ELEMENTS(Head, Element.DataStart, Element.DataEnd)) {
+            if (Child.Id === EBML_IDS.CLUSTER) break;
+            if (Child.Id !== EBML_IDS.INFO) continue;
+
+            let TimecodeScale = 1000000;
+            let RawDuration = null;
+
+            for (const Field of EBML_ELEMENTS(Head, Child.DataStart, Child.DataEnd)) {
+                if (Field.Id === EBML_IDS.TIMECODE_SCALE) TimecodeScale = READ_EBML_UINT(Head, Field);
+                if (Field.Id === EBML_IDS.DURATION) RawDuration = READ_EBML_FLOAT(Head, Field);
+            }
+
+            if (RawDuration !== null) Duration = (RawDuration * TimecodeScale) / 1e9;
+            break;
+        }
+
+        break;
+    }
+
+    return { MimeType: DocType === "webm" ? "video/webm" : "video/x-matroska", Duration };
+}
+
+/*********************
+ * Read the duration, in seconds, of an MP4 or QuickTime file from the "mvhd" box of its "moov" box.
+ * - The boxes are walked by reading their headers only, since "moov" is often at the end of the file.
+ * - At most MAX_MP4_BOXES boxes are walked, the duration of larger files is not read.
+ *********************/
+const READ_MP4_DURATION = async (FileHandle, FileSize) => {
+    let WalkedBoxes = 0;
+
+    const FIND_BOX = async (Type, Start, End) => {
+        let Position = Start;
+
+        while (Position + 8 <= End) {
+            if (++WalkedBoxes > MAX_MP4_BOXES) return null;
+
+            const Header = await READ_BYTES(FileHandle, Position, 16);
+
+            if (Header.length < 8) return null;
+
+            let Size = Header.readUInt32BE(0);
+            let HeaderSize = 8;
+
+            if (Size === 1 && Header.length >= 16) {
+                Size = Number(Header.readBigUInt64BE(8));
+                HeaderSize = 16;
+            } else if (Size === 0) {
+                Size = End - Position;
+            }
+
+            if (Size < HeaderSize) return null;
+
+            if (Header.toString("ascii", 4, 8) === Type) return { Start: Position, DataStart: Position + HeaderSize, End: Position + Size };
+
+            Position += Size;
+        }
+
+        return null;
+    }
+
+    const Movie = await FIND_BOX("moov", 0, FileSize);
+    const MovieHeader = Movie && await FIND_BOX("mvhd", Movie.DataStart, Movie.End);
+
+    if (!MovieHeader) return null;
+
+    const Data = await READ_BYTES(FileHandle, MovieHeader.DataStart, 32);
+    const isVersion1 = Data[0] === 1;
+
+    if (Data.length < (isVersion1 ? 32 : 20)) return null;
+
+    const TimeScale = Data.readUInt32BE(isVersion1 ? 20 : 12);
+    const Duration = isVersion1 ? Number(Data.readBigUInt64BE(24)) : Data.readUInt32BE(16);
+
+    return TimeScale > 0 ? Duration / TimeScale : null;
+}
+
+/*********************
+ * Read the dimensions of a JPEG image from its first frame header (SOFn marker).
+ *********************/
+const READ_JPEG_DIMENSIONS = (Head) => {
+    let Position = 2;
+
+    while (Position + 9 < Head.length) {
+        if (Head[Position] !== 0xFF) return null;
+
+        const Marker = Head[Position + 1];
+
+        if (Marker === 0xFF) {
+            Position += 1;
+            continue;
+        }
+
+        if (Marker === 0x01 || (Marker >= 0xD0 && Marker <= 0xD8)) {
+            Position += 2;
+            continue;
+        }
+
+        const isFrameHeader = Marker >= 0xC0 && Marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(Marker);
+
+        if (isFrameHeader) return { Width: Head.readUInt16BE(Position + 7), Height: Head.readUInt16BE(Position + 5) };
+
+        Position += 2 + Head.readUInt16BE(Position + 2);
+    }
+
+    return null;
+}
+
+/*********************
+ * Read the dimensions of a WebP image from its first chunk (lossy "VP8 ", lossless "VP8L" or extended "VP8X").
+ *********************/
+const READ_WEBP_DIMENSIONS = (Head) => {
+    if (Head.length < 30) return null;
+
+    const Chunk = Head.toString("ascii", 12, 16);
+
+    if (Chunk === "VP8 ") return { Width: Head.readUInt16LE(26) & 0x3FFF, Height: Head.readUInt16LE(28) & 0x3FFF };
+
+    if (Chunk === "VP8L") {
+        const Bits = Head.readUInt32LE(21);
+
+        return { Width: (Bits & 0x3FFF) + 1, Height: ((Bits >> 14) & 0x3FFF) + 1 };
+    }
+
+    if (Chunk === "VP8X") return { Width: Head.readUIntLE(24, 3) + 1, Height: Head.readUIntLE(27, 3) + 1 };
+
+    return null;
+}
+
+/*********************
+ * INSPECT_FILE Function
+ * - Detects the type of a file from its content (magic bytes), ignoring its name and the type reported by the client.
+ * - Returns { mimeType, extension, width, height, duration }:
+ *   - mimeType and extension are null when the type is not one of FILE_TYPES.
+ *   - width and height (pixels) are set for images, duration (seconds) for videos when it can be read.
+ *********************/
+export const INSPECT_FILE = async (FilePath) => {
+    const FileHandle = await FILE_SYSTEM.promises.open(FilePath, "r");
+
+    try {
+        const { size: FileSize } = await FileHandle.stat();
+        const Head = await READ_BYTES(FileHandle, 0, Math.min(FileSize, HEAD_BYTES));
+
+        let MimeType = null;
+        let Dimensions = null;
+        let Duration = null;
+
+        if (Head.length >= 3 && Head[0] === 0xFF && Head[1] === 0xD8 && Head[2] === 0xFF) {
+            MimeType = "image/jpeg";
+            Dimensions = READ_JPEG_DIMENSIONS(Head);
+        } else if (Head.length >= 24 && Head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+            MimeType = "image/png";
+            Dimensions = { Width: Head.readUInt32BE(16), Height: Head.readUInt32BE(20) };
+        } else if (Head.length >= 10 && ["GIF87a", "GIF89a"].includes(Head.toString("ascii", 0, 6))) {
+            MimeType = "image/gif";
+            Dimensions = { Width: Head.readUInt16LE(6), Height: Head.readUInt16LE(8) };
+        } else if (Head.length >= 16 && Head.toString("ascii", 0, 4) === "RIFF" && Head.toString("ascii", 8, 12) === "WEBP") {
+            MimeType = "image/webp";
+            Dimensions = READ_WEBP_DIMENSIONS(Head);
+        } else if (Head.length >= 12 && Head.toString("ascii", 4, 8) === "ftyp" && MP4_BRANDS[Head.toString("ascii", 8, 12)]) {
+            MimeType = MP4_BRANDS[Head.toString("ascii", 8, 12)];
+            Duration = await READ_MP4_DURATION(FileHandle, FileSize);
+        } else if (Head.length >= 4 && Head.readUInt32BE(0) === EBML_IDS.HEADER) {
+            ({ MimeType, Duration } = INSPECT_MATROSKA(Head));
+        }
+
+        return {
+            mimeType: MimeType,
+            extension: FILE_TYPES[MimeType] || null,
+            width: Dimensions?.Width ?? null,
+            height: Dimensions?.Height ?? null,
+            duration: Number.isFinite(Duration) ? Duration : null,
+        };
+    } finally {
+        await FileHandle.close();
+    }
+}
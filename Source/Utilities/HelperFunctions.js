@@ -1,3 +1,9 @@
+/*********************
+ * Import necessary packages and modules.
+ * - crypto: Node.js crypto module used for hashing.
+ *********************/
+import CRYPTO from "node:crypto";
+
 /*********************
  * INSERT_INTO_STRING Function
  * - This function inserts specified strings into a given string (`OriginalString`) at positions defined by the occurrence of certain characters.
@@ -210,3 +216,76 @@ export const EXTRACT_FROM_STRING = ({
      *******/
     return { StringBefore, StringAfter, UpdatedString };
 }
+
+/*********************
+ * HASH_STRING Function
+ * - This function returns the SHA-256 hash of a string, encoded as hexadecimal.
+ * - It is used to store secrets such as refresh tokens without keeping them in plain text.
+ * 
+ * Parameters:
+ * - Value: The string to hash.
+ * 
+ * Return:
+ * - The hexadecimal SHA-256 hash, or an empty string if no value is provided.
+ *********************/
+export const HASH_STRING = (Value = "") => {
+    if (!Value) return "";
+
+    return CRYPTO.createHash("sha256").update(String(Value)).digest("hex");
+}
+
+/*********************
+ * DESCRIBE_USER_AGENT Function
+ * - This function derives a short, human readable device label (e.g. "Chrome on Windows") from a User-Agent header.
+ * - It only recognises the most common browsers and operating systems and falls back to "Unknown".
+ * 
+ * Parameters:
+ * - UserAgent: The raw User-Agent header. (Default: empty string)
+ * 
+ * Return:
+ * - A label in the form "<Browser> on <Operating System>".
+ *********************/
+export const DESCRIBE_USER_AGENT = (UserAgent = "") => {
+    /*******
+     * Ordered lists of patterns: the first match wins, so more specific patterns come first
+     * (e.g. Edge and Opera user agents also contain "Chrome").
+     *******/
+    const Browsers = [
+        ["Edge", /Edg\//],
+        ["Opera", /OPR\//],
+        ["Chrome", /Chrome\//],
+        ["Firefox", /Firefox\//],
+        ["Safari", /Safari\//],
+        ["Postman", /PostmanRuntime\//],
+        ["curl", /curl\//],
+    ];
+    const OperatingSystems = [
+        ["Android", /Android/],
+        ["iOS", /iPhone|iPad|iPod/],
+        ["Windows", /Windows/],
+        ["macOS", /Mac OS X|Macintosh/],
+        ["Linux", /Linux/],
+    ];
+
+    const Browser = Browsers.find(([, Pattern]) => Pattern.test(UserAgent))?.[0] || "Unknown browser";
+    const OperatingSystem = OperatingSystems.find(([, Pattern]) => Pattern.test(UserAgent))?.[0] || "Unknown OS";
+
+    return `${Browser} on ${OperatingSystem}`;
+}
+
+/*********************
+ * ESCAPE_HTML Function
+ * - This function escapes the characters that have a meaning in HTML, so that user provided values
+ *   (e.g. a full name) can be inserted into the HTML body of an email.
+ * 
+ * Parameters:
+ * - Value: The value to escape. (Default: empty string)
+ * 
+ * Return:
+ * - The escaped string.
+ *********************/
+export const ESCAPE_HTML = (Value = "") => {
+    const Entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+    return String(Value).replace(/[&<>"']/g, (Character) => Entities[Character]);
+}
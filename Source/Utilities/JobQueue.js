@@ -0,0 +1,591 @@
+/*********************
+ * Import necessary packages and modules.
+ * - crypto: Used to generate the job ids.
+ * - process: Provides access to the environment variables.
+ *********************/
+import CRYPTO from "node:crypto";
+import PROCESS from "node:process";
+
+/*********************
+ * Import custom modules and functions.
+ * - REDIS: Redis client the jobs are stored in.
+ * - LOG_ERROR, LOG_WARN, LOG_INFO: Logging functions for error, warning and info logs.
+ *********************/
+import { REDIS } from "../Redis.js";
+import { LOG_ERROR, LOG_WARN, LOG_INFO } from "./WinstonLogger.js";
+
+/*********************
+ * Job queue settings (overridable through environment variables).
+ * - JOB_WORKER_CONCURRENCY: Largest number of jobs a worker process runs at the same time, whatever their type.
+ * - JOB_QUEUE_POLL_INTERVAL_MS: How often an idle worker looks for new jobs.
+ * - MAX_BACKOFF_MS: Longest wait between two attempts of a job.
+ * - SHUTDOWN_GRACE_MS: How long a stopping worker waits for its running jobs. Jobs still running
+ *   after that are run again by another worker once their timeout expires.
+ * - LEASE_MARGIN_MS: Added to the timeout of a job before another worker may take it over, so the worker running it
+ *   has time to record the timeout itself.
+ *********************/
+const JOB_WORKER_CONCURRENCY = Number(PROCESS.env.JOB_WORKER_CONCURRENCY) || 4;
+const JOB_QUEUE_POLL_INTERVAL_MS = Number(PROCESS.env.JOB_QUEUE_POLL_INTERVAL_MS) || 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const SHUTDOWN_GRACE_MS = 5 * 1000;
+const LEASE_MARGIN_MS = 30 * 1000;
+
+/*********************
+ * Status of a job.
+ * - WAITING: Ready to run, in the waiting list of its queue.
+ * - DELAYED: Scheduled for later (delayed job, or retry after a failure), in the delayed set of its queue.
+ * - ACTIVE: Being run by a worker.
+ * - FAILED: Failed on every attempt, in the dead-letter list until it is retried or deleted.
+ *********************/
+export const JOB_STATUSES = Object.freeze({
+    WAITING: "waiting",
+    DELAYED: "delayed",
+    ACTIVE: "active",
+    FAILED: "failed",
+});
+
+/*********************
+ * Redis keys used by the job queue.
+ * - JOB_KEY: Hash holding a job (name, payload, status, attempts, errors and dates).
+ * - WAITING_KEY: List of the ids of the jobs of a queue that are ready to run, oldest first.
+ * - DELAYED_KEY: Sorted set of the ids of the delayed jobs of a queue, scored by the time they become ready.
+ * - ACTIVE_KEY: Sorted set of the ids of the running jobs of a queue, scored by the time their lease expires.
+ *   Jobs of a worker that died are found there and run again.
+ * - DEAD_LETTER_KEY: List of the ids of the failed jobs of every queue, most recent first.
+ * - Every job type has its own queue, so each type has its own concurrency limit.
+ *********************/
+const JOB_KEY_PREFIX = "Jobs:Job:";
+const QUEUE_KEY_PREFIX = "Jobs:Queue:";
+const JOB_KEY = (JobId) => `${JOB_KEY_PREFIX}${JobId}`;
+const WAITING_KEY = (Name) => `${QUEUE_KEY_PREFIX}${Name}:Waiting`;
+const DELAYED_KEY = (Name) => `${QUEUE_KEY_PREFIX}${Name}:Delayed`;
+const ACTIVE_KEY = (Name) => `${QUEUE_KEY_PREFIX}${Name}:Active`;
+const DEAD_LETTER_KEY = "Jobs:DeadLetter";
+
+/*********************
+ * Lua script claiming the next job of a queue, atomically so a job is never given to two workers.
+ * - Jobs whose lease expired (their worker died or stopped before they finished) are put back in the waiting list,
+ *   or in the dead-letter list when it was their last attempt.
+ * - Delayed jobs that are due are moved to the waiting list.
+ * - The first waiting job is then marked active until its lease (ARGV[2]) expires, with the token of this attempt (ARGV[4]),
+ *   and returned as a flat list of hash fields and values, or nil when the queue is empty.
+ * - The token of a job whose lease expired is removed, so its worker can no longer complete or fail it (see COMPLETE_JOB).
+ * - KEYS: waiting list, delayed set, active set, dead-letter list. ARGV: now, lease (ms), job key prefix, attempt token.
+ *********************/
+const CLAIM_JOB_SCRIPT = `
+local Now = tonumber(ARGV[1])
+
+for _, JobId in ipairs(redis.call("ZRANGEBYSCORE", KEYS[3], "-inf", Now, "LIMIT", 0, 100)) do
+    local JobKey = ARGV[3] .. JobId
+    redis.call("ZREM", KEYS[3], JobId)
+
+    if redis.call("EXISTS", JobKey) == 1 then
+        local Attempts = tonumber(redis.call("HGET", JobKey, "attempts") or "0")
+        local MaxAttempts = tonumber(redis.call("HGET", JobKey, "maxAttempts") or "1")
+        redis.call("HSET", JobKey, "lastError", "The job timed out or its worker stopped")
+        redis.call("HDEL", JobKey, "token")
+
+        if Attempts >= MaxAttempts then
+            redis.call("HSET", JobKey, "status", "failed", "failedAt", Now)
+            redis.call("LPUSH", KEYS[4], JobId)
+        else
+            redis.call("HSET", JobKey, "status", "waiting")
+            redis.call("RPUSH", KEYS[1], JobId)
+        end
+    end
+end
+
+for _, JobId in ipairs(redis.call("ZRANGEBYSCORE", KEYS[2], "-inf", Now, "LIMIT", 0, 100)) do
+    redis.call("ZREM", KEYS[2], JobId)
+    redis.call("HSET", ARGV[3] .. JobId, "status", "waiting")
+    redis.call("RPUSH", KEYS[1], JobId)
+end
+
+local JobId = redis.call("LPOP", KEYS[1])
+
+while JobId and redis.call("EXISTS", ARGV[3] .. JobId) == 0 do
+    JobId = redis.call("LPOP", KEYS[1])
+end
+
+if not JobId then
+    return nil
+end
+
+local JobKey = ARGV[3] .. JobId
+redis.call("ZADD", KEYS[3], Now + tonumber(ARGV[2]), JobId)
+redis.call("HSET", JobKey, "status", "active", "startedAt", Now, "token", ARGV[4])
+redis.call("HINCRBY", JobKey, "attempts", 1)
+
+return redis.call("HGETALL", JobKey)
+`;
+
+/*********************
+ * Lua script forgetting a job that succeeded, only if this attempt (ARGV[2]) still holds it.
+ * - Returns 1 when the job was completed, 0 when its lease expired and it was given back to the queue.
+ * - KEYS: job hash, active set. ARGV: job id, attempt token.
+ *********************/
+const COMPLETE_JOB_SCRIPT = `
+if redis.call("HGET", KEYS[1], "token") ~= ARGV[2] then
+    return 0
+end
+
+redis.call("ZREM", KEYS[2], ARGV[1])
+redis.call("DEL", KEYS[1])
+
+return 1
+`;
+
+/*********************
+ * Lua script recording a failed attempt of a job, only if this attempt (ARGV[2]) still holds it.
+ * - The job is scheduled again at ARGV[5], or moved to the dead-letter list when it was its last attempt (ARGV[3] is "1").
+ * - Returns 1 when the failure was recorded, 0 when the lease of the attempt expired and it was given back to the queue.
+ * - KEYS: job hash, active set, delayed set, dead-letter list. ARGV: job id, attempt token, last attempt, now, run at, error.
+ *********************/
+const FAIL_JOB_SCRIPT = `
+if redis.call("HGET", KEYS[1], "token") ~= ARGV[2] then
+    return 0
+end
+
+redis.call("ZREM", KEYS[2], ARGV[1])
+redis.call("HDEL", KEYS[1], "token")
+
+if ARGV[3] == "1" then
+    redis.call("HSET", KEYS[1], "status", "failed", "lastError", ARGV[6], "failedAt", ARGV[4])
+    redis.call("LPUSH", KEYS[4], ARGV[1])
+else
+    redis.call("HSET", KEYS[1], "status", "delayed", "lastError", ARGV[6], "runAt", ARGV[5])
+    redis.call("ZADD", KEYS[3], ARGV[5], ARGV[1])
+end
+
+return 1
+`;
+
+/*********************
+ * Lua script moving a failed job from the dead-letter list back to the waiting list of its queue, with its attempts reset.
+ * - Returns 1 when the job was retried, 0 when it is not in the dead-letter list or is not of the queue ARGV[3].
+ * - KEYS: dead-letter list, job hash, waiting list of its queue. ARGV: job id, now, job name.
+ *********************/
+const RETRY_JOB_SCRIPT = `
+if redis.call("HGET", KEYS[2], "name") ~= ARGV[3] then
+    return 0
+end
+
+if redis.call("LREM", KEYS[1], 1, ARGV[1]) == 0 then
+    return 0
+end
+
+redis.call("HSET", KEYS[2], "status", "waiting", "attempts", 0, "runAt", ARGV[2])
+redis.call("HDEL", KEYS[2], "failedAt")
+redis.call("RPUSH", KEYS[3], ARGV[1])
+
+return 1
+`;
+
+/*********************
+ * Registered job types, by name (see REGISTER_JOB).
+ *********************/
+const JOB_DEFINITIONS = {};
+
+/*********************
+ * Describe a job from its Redis hash.
+ *********************/
+const PARSE_JOB = (Fields) => {
+    if (!Fields?.id) return null;
+
+    const ToDate = (Value) => Value ? new Date(Number(Value)) : null;
+
+    return {
+        id: Fields.id,
+        name: Fields.name,
+        payload: JSON.parse(Fields.payload || "null"),
+        status: Fields.status,
+        attempts: Number(Fields.attempts) || 0,
+        maxAttempts: Number(Fields.maxAttempts) || 1,
+        lastError: Fields.lastError || null,
+        createdAt: ToDate(Fields.createdAt),
+        runAt: ToDate(Fields.runAt),
+        startedAt: ToDate(Fields.startedAt),
+        failedAt: ToDate(Fields.failedAt),
+    };
+}
+
+/*********************
+ * REGISTER_JOB Function
+ * - Registers a job type, which can then be queued with ENQUEUE_JOB and is run by the workers (see START_JOB_WORKERS).
+ * - Handler: Async function called with the payload, the job and an AbortSignal. A job fails when it throws.
+ *   Jobs run at least once: a job may run again after a timeout or a crash, so handlers must be safe to repeat.
+ *   The signal is aborted when the attempt times out: long handlers should stop at that point, since the job is
+ *   retried, possibly by another worker.
+ * - Options.MaxAttempts: Attempts before the job is moved to the dead-letter list (5 by default).
+ * - Options.Concurrency: Largest number of jobs of this type a worker process runs at the same time (1 by default).
+ * - Options.BackoffMs: Wait before the first retry, doubled after each failed attempt (10 seconds by default).
+ * - Options.TimeoutMs: An attempt running for longer fails (5 minutes by default).
+ * - Options.HidePayload: The payload holds secrets (e.g. the links of a mail) and is not shown by DESCRIBE_JOB.
+ * - Job types are registered when their module is loaded, so every worker knows every type.
+ *********************/
+export const REGISTER_JOB = (Name, Handler, { MaxAttempts = 5, Concurrency = 1, BackoffMs = 10 * 1000, TimeoutMs = 5 * 60 * 1000, HidePayload = false } = {}) => {
+    if (typeof Handler !== "function") throw new Error(`Job "${Name}" must have a handler function`);
+    if (!/^[a-zA-Z0-9_-]+$/.test(Name)) throw new Error(`Job name "${Name}" may only contain letters, digits, "_" and "-"`);
+
+    JOB_DEFINITIONS[Name] = { Name, Handler, MaxAttempts, Concurrency, BackoffMs, TimeoutMs, HidePayload };
+}
+
+/*********************
+ * DESCRIBE_JOB Function
+ * - Describes a job for the API responses, without the payload of the job types that hide it.
+ *********************/
+export const DESCRIBE_JOB = (Job) => JOB_DEFINITIONS[Job.name]?.HidePayload ? { ...Job, payload: null } : Job;
+
+/*********************
+ * ENQUEUE_JOB Function
+ * - Queues a job of a registered type. The payload must be serializable to JSON.
+ * - Options.DelayMs: Run the job after this delay instead of as soon as possible.
+ * - Returns the id of the job. Throws if the job type is unknown.
+ *********************/
+export const ENQUEUE_JOB = async (Name, Payload = {}, { DelayMs = 0 } = {}) => {
+    const Definition = JOB_DEFINITIONS[Name];
+
+    if (!Definition) throw new Error(`Unknown job "${Name}", expected one of: ${Object.keys(JOB_DEFINITIONS).join(", ")}`);
+
+    const JobId = CRYPTO.randomBytes(12).toString("hex");
+    const Now = Date.now();
+    const RunAt = Now + Math.max(0, DelayMs);
+    const isDelayed = RunAt > Now;
+
+    const Transaction = REDIS.multi().hset(JOB_KEY(JobId), {
+        id: JobId,
+        name: Name,
+        payload: JSON.stringify(Payload),
+        status: isDelayed ? JOB_STATUSES.DELAYED : JOB_STATUSES.WAITING,
+        attempts: 0,
+        maxAttempts: Definition.MaxAttempts,
+        createdAt: Now,
+        runAt: RunAt,
+    });
+
+    if (isDelayed) Transaction.zadd(DELAYED_KEY(Name), RunAt, JobId);
+    else Transaction.rpush(WAITING_KEY(Name), JobId);
+
+    await Transaction.exec();
+
+    return JobId;
+}
+
+/*********************
+ * Claim the next job of a queue, or return null when there is none.
+ * - Returns { Job, Token }, Token identifying this attempt of the job (see COMPLETE_JOB and FAIL_JOB).
+ *********************/
+const CLAIM_JOB = async (Definition) => {
+    const Token = CRYPTO.randomUUID();
+    const Fields = await REDIS.eval(
+        CLAIM_JOB_SCRIPT,
+        4,
+        WAITING_KEY(Definition.Name),
+        DELAYED_KEY(Definition.Name),
+        ACTIVE_KEY(Definition.Name),
+        DEAD_LETTER_KEY,
+        Date.now(),
+        Definition.TimeoutMs + LEASE_MARGIN_MS,
+        JOB_KEY_PREFIX,
+        Token
+    );
+
+    if (!Fields) return null;
+
+    const Hash = {};
+
+    for (let Index = 0; Index < Fields.length; Index += 2) Hash[Fields[Index]] = Fields[Index + 1];
+
+    return { Job: PARSE_JOB(Hash), Token };
+}
+
+/*********************
+ * Log that an attempt finished after its lease expired, so its result was not recorded.
+ *********************/
+const LOG_LOST_LEASE = (Job, Service) => {
+    LOG_WARN({
+        label: "JobQueue.js",
+        service: Service,
+        message: `Attempt ${Job.attempts} of job ${Job.id} (${Job.name}) finished after its lease expired, its result was ignored`,
+    });
+}
+
+/*********************
+ * Forget a job that succeeded.
+ * - Nothing is changed if the attempt lost the job (its lease expired and the job was given back to the queue).
+ *********************/
+const COMPLETE_JOB = async (Definition, Job, Token) => {
+    const isCompleted = await REDIS.eval(COMPLETE_JOB_SCRIPT, 2, JOB_KEY(Job.id), ACTIVE_KEY(Definition.Name), Job.id, Token);
+
+    if (isCompleted !== 1) LOG_LOST_LEASE(Job, "COMPLETE_JOB");
+}
+
+/*********************
+ * Record a failed attempt of a job.
+ * - The job is retried after an exponential backoff, or moved to the dead-letter list after its last attempt.
+ * - Nothing is changed if the attempt lost the job (its lease expired and the job was given back to the queue).
+ *********************/
+const FAIL_JOB = async (Definition, Job, Token, error) => {
+    const Now = Date.now();
+    const LastError = String(error?.message || error).slice(0, 1000);
+    const isLastAttempt = Job.attempts >= Job.maxAttempts;
+    const RunAt = Now + Math.min(Definition.BackoffMs * 2 ** (Job.attempts - 1), MAX_BACKOFF_MS);
+
+    const isRecorded = await REDIS.eval(
+        FAIL_JOB_SCRIPT,
+        4,
+        JOB_KEY(Job.id),
+        ACTIVE_KEY(Definition.Name),
+        DELAYED_KEY(Definition.Name),
+        DEAD_LETTER_KEY,
+        Job.id,
+        Token,
+        isLastAttempt ? "1" : "0",
+        Now,
+        RunAt,
+        LastError
+    );
+
+    if (isRecorded !== 1) return LOG_LOST_LEASE(Job, "FAIL_JOB");
+
+    if (isLastAttempt) {
+        LOG_ERROR({
+            label: "JobQueue.js",
+            service: "FAIL_JOB",
+            error: `Job ${Job.id} (${Job.name}) failed after ${Job.attempts} attempt(s) and was moved to the dead-letter list: ${LastError}`,
+        });
+
+        return;
+    }
+
+    LOG_WARN({
+        label: "JobQueue.js",
+        service: "FAIL_JOB",
+        message: `Attempt ${Job.attempts} of job ${Job.id} (${Job.name}) failed, retrying at ${new Date(RunAt).toISOString()}: ${LastError}`,
+    });
+}
+
+/*********************
+ * Run one attempt of a job, then record its result.
+ * - An attempt running for longer than the timeout of its type fails, and the signal given to its handler is aborted.
+ *********************/
+const RUN_JOB = async (Definition, Job, Token) => {
+    const Controller = new AbortController();
+
+    let Timer;
+
+    try {
+        await Promise.race([
+            Promise.resolve().then(() => Definition.Handler(Job.payload, Job, Controller.signal)),
+            new Promise((Resolve, Reject) => {
+                Timer = setTimeout(() => {
+                    const TimeoutError = new Error(`The job timed out after ${Definition.TimeoutMs}ms`);
+
+                    Controller.abort(TimeoutError);
+                    Reject(TimeoutError);
+                }, Definition.TimeoutMs);
+            }),
+        ]);
+    } catch (error) {
+        await FAIL_JOB(Definition, Job, Token, error);
+        return;
+    } finally {
+        clearTimeout(Timer);
+    }
+
+    await COMPLETE_JOB(Definition, Job, Token);
+}
+
+/*********************
+ * START_JOB_WORKERS Function
+ * - Runs the queued jobs of every registered type in this worker process.
+ * - Each type is consumed by its own loop, which runs up to `Concurrency` jobs of that type at the same time, and
+ *   at most JOB_WORKER_CONCURRENCY jobs run at the same time in the process. Idle loops look for new jobs every
+ *   JOB_QUEUE_POLL_INTERVAL_MS.
+ * - Every cluster worker runs the loops, the jobs are shared between them through Redis.
+ * - Returns a function that stops looking for new jobs and waits a few seconds for the running ones, used on shutdown.
+ *********************/
+export const START_JOB_WORKERS = () => {
+    const RunningJobs = new Set();
+    const Sleeps = new Set();
+
+    let isStopping = false;
+
+    /*******
+     * Wait for the poll interval, or until the workers are stopped.
+     *******/
+    const Sleep = () => new Promise((Resolve) => {
+        let Timer;
+
+        const Wake = () => {
+            clearTimeout(Timer);
+            Sleeps.delete(Wake);
+            Resolve();
+        };
+
+        Timer = setTimeout(Wake, JOB_QUEUE_POLL_INTERVAL_MS);
+        Sleeps.add(Wake);
+    });
+
+    const Consume = async (Definition) => {
+        let Running = 0;
+
+        while (!isStopping) {
+            if (Running >= Definition.Concurrency || RunningJobs.size >= JOB_WORKER_CONCURRENCY) {
+                await Sleep();
+                continue;
+            }
+
+            let Claim = null;
+
+            try {
+                Claim = await CLAIM_JOB(Definition);
+            } catch (error) {
+                LOG_ERROR({
+                    label: "JobQueue.js",
+                    service: "CLAIM_JOB",
+                    error: `Failed to claim a "${Definition.Name}" job: ${error?.message}`,
+                });
+            }
+
+            if (!Claim) {
+                await Sleep();
+                continue;
+            }
+
+            const { Job, Token } = Claim;
+
+            Running += 1;
+
+            const Execution = RUN_JOB(Definition, Job, Token)
+                .catch((error) => {
+                    LOG_ERROR({
+                        label: "JobQueue.js",
+                        service: "RUN_JOB",
+                        error: `Failed to record the result of job ${Job.id} (${Job.name}): ${error?.message}`,
+                    });
+                })
+                .finally(() => {
+                    Running -= 1;
+                    RunningJobs.delete(Execution);
+                });
+
+            RunningJobs.add(Execution);
+        }
+    };
+
+    Object.values(JOB_DEFINITIONS).forEach((Definition) => Consume(Definition));
+
+    LOG_INFO({
+        label: "JobQueue.js",
+        service: "START_JOB_WORKERS",
+        message: `Running the jobs ${Object.keys(JOB_DEFINITIONS).join(", ")} with up to ${JOB_WORKER_CONCURRENCY} jobs at a time`,
+    });
+
+    return async () => {
+        isStopping = true;
+        [...Sleeps].forEach((Wake) => Wake());
+
+        let Timer;
+
+        await Promise.race([
+            Promise.allSettled([...RunningJobs]),
+            new Promise((Resolve) => {
+                Timer = setTimeout(Resolve, SHUTDOWN_GRACE_MS);
+            }),
+        ]);
+
+        clearTimeout(Timer);
+    };
+}
+
+/*********************
+ * GET_JOB Function
+ * - Returns a job that is waiting, delayed, running or failed, or null if it does not exist (completed jobs are forgotten).
+ *********************/
+export const GET_JOB = async (JobId) => PARSE_JOB(await REDIS.hgetall(JOB_KEY(JobId)));
+
+/*********************
+ * GET_JOB_QUEUE_STATS Function
+ * - Counts the waiting, delayed and running jobs of every job type, and the failed jobs in the dead-letter list.
+ *********************/
+export const GET_JOB_QUEUE_STATS = async () => {
+    const Names = Object.keys(JOB_DEFINITIONS).sort();
+    const Pipeline = REDIS.pipeline();
+
+    Names.forEach((Name) => {
+        Pipeline.llen(WAITING_KEY(Name)).zcard(DELAYED_KEY(Name)).zcard(ACTIVE_KEY(Name));
+    });
+
+    Pipeline.llen(DEAD_LETTER_KEY);
+
+    const Counts = (await Pipeline.exec()).map(([error, Count]) => {
+        if (error) throw error;
+
+        return Count;
+    });
+
+    return {
+        queues: Names.map((Name, Index) => ({
+            name: Name,
+            waiting: Counts[Index * 3],
+            delayed: Counts[Index * 3 + 1],
+            active: Counts[Index * 3 + 2],
+        })),
+        failed: Counts[Counts.length - 1],
+    };
+}
+
+/*********************
+ * LIST_FAILED_JOBS Function
+ * - Returns a page of the dead-letter list, most recent failure first: { jobs, totalJobs }.
+ *********************/
+export const LIST_FAILED_JOBS = async ({ Page = 1, Limit = 20 } = {}) => {
+    const Start = (Page - 1) * Limit;
+
+    const [JobIds, TotalJobs] = await Promise.all([
+        REDIS.lrange(DEAD_LETTER_KEY, Start, Start + Limit - 1),
+        REDIS.llen(DEAD_LETTER_KEY),
+    ]);
+
+    const Pipeline = REDIS.pipeline();
+
+    JobIds.forEach((JobId) => Pipeline.hgetall(JOB_KEY(JobId)));
+
+    const Jobs = JobIds.length > 0 ? await Pipeline.exec() : [];
+
+    return {
+        jobs: Jobs.map(([, Fields]) => PARSE_JOB(Fields)).filter(Boolean),
+        totalJobs: TotalJobs,
+    };
+}
+
+/*********************
+ * RETRY_FAILED_JOB Function
+ * - Moves a job from the dead-letter list back to its queue, with all its attempts available again.
+ * - Returns false when the job is not in the dead-letter list.
+ *********************/
+export const RETRY_FAILED_JOB = async (JobId) => {
+    const Name = await REDIS.hget(JOB_KEY(JobId), "name");
+
+    if (!Name) return false;
+
+    const isRetried = await REDIS.eval(RETRY_JOB_SCRIPT, 3, DEAD_LETTER_KEY, JOB_KEY(JobId), WAITING_KEY(Name), JobId, Date.now(), Name);
+
+    return isRetried === 1;
+}
+
+/*********************
+ * DELETE_FAILED_JOB Function
+ * - Removes a job from the dead-letter list and forgets it.
+ * - Returns false when the job is not in the dead-letter list.
+ *********************/
+export const DELETE_FAILED_JOB = async (JobId) => {
+    const RemovedCount = await REDIS.lrem(DEAD_LETTER_KEY, 1, JobId);
+
+    if (RemovedCount === 0) return false;
+
+    await REDIS.del(JOB_KEY(JobId));
+
+    return true;
+}
@@ -0,0 +1,172 @@
+/*********************
+ * Import necessary packages and modules.
+ * - bcrypt: Used to spend the same time on unknown accounts as on known ones.
+ * - process: Provides access to environment variables.
+ *********************/
+import BCRYPT from "bcryptjs";
+import PROCESS from "node:process";
+
+/*********************
+ * Import custom modules and functions.
+ * - REDIS: Redis client used to store the failure counters and the lockouts.
+ *********************/
+import { REDIS } from "../Redis.js";
+
+/*********************
+ * Brute-force protection settings (overridable with environment variables).
+ * - ACCOUNT_MAX_FAILURES: Failed logins allowed for one account within the failure window before it is locked.
+ * - IP_MAX_FAILURES: Failed logins allowed from one IP address (on any account) within the failure window before it is locked.
+ * - FAILURE_WINDOW_SECONDS: How long failed logins are remembered.
+ * - LOCKOUT_DURATIONS_SECONDS: Duration of the 1st, 2nd, 3rd... lockout of an account within a day. The last one is repeated.
+ * - IP_LOCKOUT_SECONDS: Duration of an IP address lockout.
+ * - DELAY_STEP_MS, MAX_DELAY_MS: Delay added to every failed attempt after the first ones, growing with each failure.
+ *********************/
+const ACCOUNT_MAX_FAILURES = Number(PROCESS.env.LOGIN_ACCOUNT_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = Number(PROCESS.env.LOGIN_IP_MAX_FAILURES) || 20;
+const FAILURE_WINDOW_SECONDS = 15 * 60;
+const LOCKOUT_DURATIONS_SECONDS = [60, 5 * 60, 15 * 60, 60 * 60];
+const LOCKOUT_HISTORY_SECONDS = 24 * 60 * 60;
+const IP_LOCKOUT_SECONDS = 15 * 60;
+const DELAY_STEP_MS = 500;
+const MAX_DELAY_MS = 3000;
+
+/*********************
+ * Redis keys of an account or IP address.
+ * - Failures: Number of failed logins in the current failure window.
+ * - Lock: Present while the account or IP address is locked, expires with the lockout.
+ * - Lockouts: Number of lockouts of the account in the last day, used to make lockouts longer each time.
+ *********************/
+const KEYS = (Subject) => ({
+    Failures: `LoginProtection:${Subject}:Failures`,
+    Lock: `LoginProtection:${Subject}:Lock`,
+    Lockouts: `LoginProtection:${Subject}:Lockouts`,
+});
+
+/*********************
+ * Lua script locking an account, unless it is already locked.
+ * - The lock lasts the duration of the nth lockout of the day (ARGV[2...]), n being counted in the lockout history,
+ *   and the failed logins that caused it are forgotten.
+ * - Runs atomically, so when several failures reach the limit at the same time only one of them locks the account:
+ *   it returns 1, the others return 0 and neither lengthen the lockout nor notify the owner again.
+ * - KEYS: lock, failures, lockout history. ARGV: lockout history lifetime (seconds), lockout durations (seconds).
+ *********************/
+const LOCK_ACCOUNT_SCRIPT = `
+if redis.call("EXISTS", KEYS[1]) == 1 then
+    return 0
+end
+
+local Lockouts = redis.call("INCR", KEYS[3])
+redis.call("EXPIRE", KEYS[3], ARGV[1])
+
+redis.call("SET", KEYS[1], "1", "EX", ARGV[math.min(Lockouts, #ARGV - 1) + 1])
+redis.call("DEL", KEYS[2])
+
+return 1
+`;
+
+/*********************
+ * Hash compared against when the account does not exist, computed once when the module is loaded.
+ *********************/
+const DUMMY_PASSWORD_HASH = BCRYPT.hash("login-protection-dummy-password", 12);
+
+/*********************
+ * Wait for the given number of milliseconds.
+ *********************/
+const SLEEP = (Milliseconds) => new Promise((Resolve) => setTimeout(Resolve, Milliseconds));
+
+/*********************
+ * GET_LOGIN_LOCK Function
+ * - Checks whether logins are currently blocked for an account or an IP address.
+ * - AccountKey: Identifies the account (e.g. "User:<id>"), or what was typed when no account matches,
+ *   so that unknown accounts behave exactly like known ones.
+ * - Returns { isLocked, RetryAfterSeconds }.
+ *********************/
+export const GET_LOGIN_LOCK = async ({ AccountKey, Ip }) => {
+    const [AccountTimeToLive, IpTimeToLive] = await Promise.all([
+        REDIS.pttl(KEYS(`Account:${AccountKey}`).Lock),
+        REDIS.pttl(KEYS(`Ip:${Ip}`).Lock),
+    ]);
+
+    const RemainingMs = Math.max(AccountTimeToLive, IpTimeToLive, 0);
+
+    return { isLocked: RemainingMs > 0, RetryAfterSeconds: Math.ceil(RemainingMs / 1000) };
+}
+
+/*********************
+ * RECORD_LOGIN_FAILURE Function
+ * - Counts a failed login for the account and the IP address, and locks them once their limit is reached.
+ * - Account lockouts get longer with every lockout of the same day (see LOCKOUT_DURATIONS_SECONDS).
+ * - Waits for a delay that grows with the number of failures before returning, to slow down guessing.
+ * - Returns { isLocked, isNewAccountLock, RetryAfterSeconds }. `isNewAccountLock` is true only for the failure
+ *   that locked the account, even among concurrent failures, so that the account owner is notified once per lockout.
+ *********************/
+export const RECORD_LOGIN_FAILURE = async ({ AccountKey, Ip }) => {
+    const AccountKeys = KEYS(`Account:${AccountKey}`);
+    const IpKeys = KEYS(`Ip:${Ip}`);
+
+    /*******
+     * The counters are created with the expiry of the failure window, INCR keeps it.
+     *******/
+    const [, [, AccountFailures], , [, IpFailures]] = await REDIS.multi()
+        .set(AccountKeys.Failures, 0, "EX", FAILURE_WINDOW_SECONDS, "NX")
+        .incr(AccountKeys.Failures)
+        .set(IpKeys.Failures, 0, "EX", FAILURE_WINDOW_SECONDS, "NX")
+        .incr(IpKeys.Failures)
+        .exec();
+
+    let isNewAccountLock = false;
+
+    if (AccountFailures >= ACCOUNT_MAX_FAILURES) {
+        const isLockSet = await REDIS.eval(
+            LOCK_ACCOUNT_SCRIPT,
+            3,
+            AccountKeys.Lock,
+            AccountKeys.Failures,
+            AccountKeys.Lockouts,
+            LOCKOUT_HISTORY_SECONDS,
+            ...LOCKOUT_DURATIONS_SECONDS
+        );
+
+        isNewAccountLock = isLockSet === 1;
+    }
+
+    if (IpFailures >= IP_MAX_FAILURES) {
+        await REDIS.multi()
+            .set(IpKeys.Lock, "1", "EX", IP_LOCKOUT_SECONDS)
+            .del(IpKeys.Failures)
+            .exec();
+    }
+
+    await SLEEP(Math.min(Math.max(AccountFailures - 2, 0) * DELAY_STEP_MS, MAX_DELAY_MS));
+
+    return { ...(await GET_LOGIN_LOCK({ AccountKey, Ip })), isNewAccountLock };
+}
+
+/*********************
+ * RECORD_LOGIN_SUCCESS Function
+ * - Forgets the failed logins of the account after a successful login.
+ * - The counter of the IP address is kept, so that an attacker cannot reset it by logging into their own account.
+ *********************/
+export const RECORD_LOGIN_SUCCESS = async ({ AccountKey }) => {
+    await REDIS.del(KEYS(`Account:${AccountKey}`).Failures);
+}
+
+/*********************
+ * UNLOCK_ACCOUNT Function
+ * - Removes the lockout, the failed logins and the lockout history of an account.
+ * - Used by the unlock link sent by email and by the admin unlock endpoint.
+ *********************/
+export const UNLOCK_ACCOUNT = async (AccountKey) => {
+    const AccountKeys = KEYS(`Account:${AccountKey}`);
+
+    await REDIS.del(AccountKeys.Failures, AccountKeys.Lock, AccountKeys.Lockouts);
+}
+
+/*********************
+ * SIMULATE_PASSWORD_CHECK Function
+ * - Spends the time of a bcrypt comparison when no account matches the login,
+ *   so that response times do not reveal which accounts exist.
+ *********************/
+export const SIMULATE_PASSWORD_CHECK = async (Password) => {
+    await BCRYPT.compare(String(Password), await DUMMY_PASSWORD_HASH);
+}
@@ -0,0 +1,84 @@
+/*********************
+ * Import necessary packages and modules.
+ * - process: Provides access to environment variables.
+ *********************/
+import PROCESS from "node:process";
+
+/*********************
+ * Import custom modules and functions.
+ * - CONSOLE_MAIL_TRANSPORT: Transport that writes mails to the logs.
+ * - FILE_MAIL_TRANSPORT: Transport that writes mails to JSON files.
+ * - LOG_ERROR: Logging function for error messages.
+ * - REGISTER_JOB, ENQUEUE_JOB: Functions to declare and queue background jobs.
+ *********************/
+import { CONSOLE_MAIL_TRANSPORT } from "../Mail/Console.Transport.js";
+import { FILE_MAIL_TRANSPORT } from "../Mail/File.Transport.js";
+import { LOG_ERROR } from "./WinstonLogger.js";
+import { REGISTER_JOB, ENQUEUE_JOB } from "./JobQueue.js";
+
+/*********************
+ * Registered mail transports, by name.
+ * - Every transport implements: SEND({ from, to, subject, text, html }) and returns { messageId }.
+ * - Real providers (SMTP, SES, ...) are plugged in with REGISTER_MAIL_TRANSPORT.
+ *********************/
+const MAIL_TRANSPORTS = {
+    [CONSOLE_MAIL_TRANSPORT.Name]: CONSOLE_MAIL_TRANSPORT,
+    [FILE_MAIL_TRANSPORT.Name]: FILE_MAIL_TRANSPORT,
+};
+
+/*********************
+ * REGISTER_MAIL_TRANSPORT Function
+ * - Registers (or replaces) a mail transport, which can then be selected with the MAIL_TRANSPORT environment variable.
+ * - Transport: An object with a `SEND(Mail)` async function.
+ *********************/
+export const REGISTER_MAIL_TRANSPORT = (Name, Transport) => {
+    if (typeof Transport?.SEND !== "function") throw new Error(`Mail transport "${Name}" must implement SEND(Mail)`);
+
+    MAIL_TRANSPORTS[Name] = { ...Transport, Name };
+}
+
+/*********************
+ * SEND_MAIL Function
+ * - Sends a mail with the transport selected by MAIL_TRANSPORT (defaults to "console").
+ * - The sender defaults to MAIL_FROM.
+ * - Returns the result of the transport, or throws if the transport is unknown or fails.
+ *********************/
+export const SEND_MAIL = async ({ To, Subject, Text, Html }) => {
+    const TransportName = (PROCESS.env.MAIL_TRANSPORT || CONSOLE_MAIL_TRANSPORT.Name).toLowerCase();
+    const Transport = MAIL_TRANSPORTS[TransportName];
+
+    if (!Transport) throw new Error(`Unknown MAIL_TRANSPORT "${TransportName}", expected one of: ${Object.keys(MAIL_TRANSPORTS).join(", ")}`);
+
+    try {
+        return await Transport.SEND({
+            from: PROCESS.env.MAIL_FROM || "no-reply@localhost",
+            to: To,
+            subject: Subject,
+            text: Text,
+            html: Html,
+        });
+    } catch (error) {
+        LOG_ERROR({
+            label: "Mailer.js",
+            service: "SEND_MAIL catch",
+            error: `Mail transport "${TransportName}" failed: ${error.message}`,
+        });
+
+        throw error;
+    }
+}
+
+/*********************
+ * Background job sending a mail, retried with a backoff when the transport fails.
+ * - The payload holds the links sent to the user, so it is hidden from the admin endpoints.
+ *********************/
+const SEND_MAIL_JOB = "SendMail";
+
+REGISTER_JOB(SEND_MAIL_JOB, (Mail) => SEND_MAIL(Mail), { MaxAttempts: 5, Concurrency: 2, BackoffMs: 30 * 1000, HidePayload: true });
+
+/*********************
+ * QUEUE_MAIL Function
+ * - Queues a mail ({ To, Subject, Text, Html }) to be sent by a worker, so the request does not wait for the transport.
+ * - Returns the id of the job, or throws if the job cannot be queued.
+ *********************/
+export const QUEUE_MAIL = ({ To, Subject, Text, Html }) => ENQUEUE_JOB(SEND_MAIL_JOB, { To, Subject, Text, Html });
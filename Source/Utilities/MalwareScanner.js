@@ -0,0 +1,73 @@
+/*********************
+ * Import necessary packages and modules.
+ * - process: Provides access to environment variables.
+ *********************/
+import PROCESS from "node:process";
+
+/*********************
+ * Import custom modules and functions.
+ * - LOG_ERROR, LOG_WARN: Logging functions for error and warning messages.
+ *********************/
+import { LOG_ERROR, LOG_WARN } from "./WinstonLogger.js";
+
+/*********************
+ * Scanner that accepts every file, used when no malware scanner is configured (local development, tests).
+ *********************/
+const NO_MALWARE_SCANNER = {
+    Name: "none",
+    SCAN: async () => ({ isClean: true, threat: null }),
+};
+
+/*********************
+ * Registered malware scanners, by name.
+ * - Every scanner implements: SCAN(FilePath, { MimeType, FieldName }) and returns { isClean, threat }.
+ * - Real scanners (ClamAV, a cloud scanning API, ...) are plugged in with REGISTER_MALWARE_SCANNER.
+ *********************/
+const MALWARE_SCANNERS = {
+    [NO_MALWARE_SCANNER.Name]: NO_MALWARE_SCANNER,
+};
+
+/*********************
+ * REGISTER_MALWARE_SCANNER Function
+ * - Registers (or replaces) a malware scanner, which can then be selected with the MALWARE_SCANNER environment variable.
+ * - Scanner: An object with a `SCAN(FilePath, Details)` async function.
+ *********************/
+export const REGISTER_MALWARE_SCANNER = (Name, Scanner) => {
+    if (typeof Scanner?.SCAN !== "function") throw new Error(`Malware scanner "${Name}" must implement SCAN(FilePath, Details)`);
+
+    MALWARE_SCANNERS[Name] = { ...Scanner, Name };
+}
+
+/*********************
+ * SCAN_FILE Function
+ * - Scans an uploaded file with the scanner selected by MALWARE_SCANNER (defaults to "none", which accepts every file).
+ * - Returns { isClean, threat }. Throws if the scanner is unknown or fails, so files are never accepted unscanned.
+ *********************/
+export const SCAN_FILE = async (FilePath, { MimeType, FieldName } = {}) => {
+    const ScannerName = (PROCESS.env.MALWARE_SCANNER || NO_MALWARE_SCANNER.Name).toLowerCase();
+    const Scanner = MALWARE_SCANNERS[ScannerName];
+
+    if (!Scanner) throw new Error(`Unknown MALWARE_SCANNER "${ScannerName}", expected one of: ${Object.keys(MALWARE_SCANNERS).join(", ")}`);
+
+    try {
+        const Result = await Scanner.SCAN(FilePath, { MimeType, FieldName });
+
+        if (!Result?.isClean) {
+            LOG_WARN({
+                label: "MalwareScanner.js",
+                service: "SCAN_FILE",
+                message: `Scanner "${ScannerName}" rejected a ${FieldName} file: ${Result?.threat || "unknown threat"}`,
+            });
+        }
+
+        return { isClean: Boolean(Result?.isClean), threat: Result?.threat || null };
+    } catch (error) {
+        LOG_ERROR({
+            label: "MalwareScanner.js",
+            service: "SCAN_FILE catch",
+            error: `Malware scanner "${ScannerName}" failed: ${error.message}`,
+        });
+
+        throw error;
+    }
+}
@@ -0,0 +1,74 @@
+/*********************
+ * Import necessary packages and modules.
+ * - crypto: Node.js crypto module used to generate random tokens.
+ *********************/
+import CRYPTO from "node:crypto";
+
+/*********************
+ * Import custom modules and functions.
+ * - REDIS: Redis client used to store the tokens.
+ * - HASH_STRING: Helper function that returns the SHA-256 hash of a string.
+ *********************/
+import { REDIS } from "../Redis.js";
+import { HASH_STRING } from "./HelperFunctions.js";
+
+/*********************
+ * Build the Redis keys of a token.
+ * - TOKEN_KEY: Maps the hash of a token to the ID of the user it was issued for.
+ * - USER_KEY: Maps a user to the hash of their latest token, so that issuing a new token invalidates the previous one.
+ * - Only hashes are stored: a leaked Redis dump cannot be used to reset passwords or verify emails.
+ *********************/
+const TOKEN_KEY = (Purpose, TokenHash) => `OneTimeToken:${Purpose}:Token:${TokenHash}`;
+const USER_KEY = (Purpose, UserId) => `OneTimeToken:${Purpose}:User:${UserId}`;
+
+/*********************
+ * CREATE_ONE_TIME_TOKEN Function
+ * - Creates a random, single-use token for a user and a purpose (e.g. "PasswordReset") that expires after `TimeToLiveSeconds`.
+ * - Any token previously issued for the same user and purpose is invalidated.
+ * - Returns the token in plain text: it is meant to be sent to the user and is never stored as is.
+ *********************/
+export const CREATE_ONE_TIME_TOKEN = async ({ Purpose, UserId, TimeToLiveSeconds }) => {
+    const Token = CRYPTO.randomBytes(32).toString("hex");
+    const TokenHash = HASH_STRING(Token);
+
+    const PreviousTokenHash = await REDIS.get(USER_KEY(Purpose, UserId));
+
+    const Transaction = REDIS.multi();
+
+    if (PreviousTokenHash) Transaction.del(TOKEN_KEY(Purpose, PreviousTokenHash));
+
+    await Transaction
+        .set(TOKEN_KEY(Purpose, TokenHash), String(UserId), "EX", TimeToLiveSeconds)
+        .set(USER_KEY(Purpose, UserId), TokenHash, "EX", TimeToLiveSeconds)
+        .exec();
+
+    return Token;
+}
+
+/*********************
+ * CONSUME_ONE_TIME_TOKEN Function
+ * - Redeems a token created by CREATE_ONE_TIME_TOKEN for the given purpose.
+ * - The token is deleted atomically while it is read, so it can only be used once even under concurrent requests.
+ * - Returns the ID of the user the token was issued for, or null if the token is unknown, expired or already used.
+ *********************/
+export const CONSUME_ONE_TIME_TOKEN = async ({ Purpose, Token }) => {
+    if (!Token) return null;
+
+    const UserId = await REDIS.getdel(TOKEN_KEY(Purpose, HASH_STRING(Token)));
+
+    if (!UserId) return null;
+
+    await REDIS.del(USER_KEY(Purpose, UserId));
+
+    return UserId;
+}
+
+/*********************
+ * REVOKE_ONE_TIME_TOKENS Function
+ * - Invalidates the pending token of a user for the given purpose, if there is one.
+ *********************/
+export const REVOKE_ONE_TIME_TOKENS = async ({ Purpose, UserId }) => {
+    const TokenHash = await REDIS.getdel(USER_KEY(Purpose, UserId));
+
+    if (TokenHash) await REDIS.del(TOKEN_KEY(Purpose, TokenHash));
+}
@@ -0,0 +1,77 @@
+/*********************
+ * Roles a user can have.
+ * - USER: Every account has this role, it cannot be revoked.
+ * - MODERATOR: Can moderate the content of other users.
+ * - ADMIN: Can do everything, including granting and revoking roles.
+ *********************/
+export const ROLES = Object.freeze({
+    USER: "user",
+    MODERATOR: "moderator",
+    ADMIN: "admin",
+});
+
+/*********************
+ * Permissions checked by the AUTHORIZE middleware.
+ * - Named "<resource>:<action>", with the ":any" suffix for actions on resources owned by other users.
+ *********************/
+export const PERMISSIONS = Object.freeze({
+    VIDEOS_PUBLISH: "videos:publish",
+    VIDEOS_MANAGE_ANY: "videos:manage:any",
+    COMMENTS_MANAGE_ANY: "comments:manage:any",
+    POSTS_MANAGE_ANY: "posts:manage:any",
+    USERS_READ_ANY: "users:read:any",
+    USERS_UNLOCK: "users:unlock",
+    ROLES_MANAGE: "roles:manage",
+    JOBS_MANAGE: "jobs:manage",
+});
+
+/*********************
+ * Permissions granted by each role.
+ * - A user has the union of the permissions of all their roles.
+ *********************/
+const ROLE_PERMISSIONS = Object.freeze({
+    [ROLES.USER]: [
+        PERMISSIONS.VIDEOS_PUBLISH,
+    ],
+    [ROLES.MODERATOR]: [
+        PERMISSIONS.VIDEOS_MANAGE_ANY,
+        PERMISSIONS.COMMENTS_MANAGE_ANY,
+        PERMISSIONS.POSTS_MANAGE_ANY,
+        PERMISSIONS.USERS_READ_ANY,
+        PERMISSIONS.USERS_UNLOCK,
+    ],
+    [ROLES.ADMIN]: Object.values(PERMISSIONS),
+});
+
+/*********************
+ * GET_ROLES_PERMISSIONS Function
+ * - Returns the sorted list of permissions granted by a list of roles. Unknown roles grant nothing.
+ *********************/
+export const GET_ROLES_PERMISSIONS = (Roles = []) => [
+    ...new Set(Roles.flatMap((Role) => ROLE_PERMISSIONS[Role] || [])),
+].sort();
+
+/*********************
+ * HAS_PERMISSIONS Function
+ * - Checks whether a user has every given permission, through any of their roles.
+ *********************/
+export const HAS_PERMISSIONS = (User, ...Permissions) => {
+    const UserPermissions = GET_ROLES_PERMISSIONS(User?.roles);
+
+    return Permissions.every((Permission) => UserPermissions.includes(Permission));
+}
+
+/*********************
+ * CAN_VIEW_VIDEO Function
+ * - Checks whether a user (or an anonymous visitor, when User is undefined) may see a video.
+ * - Published videos are visible to everybody, unpublished videos only to their owner and to users allowed to manage any video.
+ * - The owner of the video may be an ObjectId or a populated user.
+ *********************/
+export const CAN_VIEW_VIDEO = (User, Video) => {
+    if (!Video) return false;
+    if (Video.isPublished) return true;
+
+    const isOwner = String(Video.owner?._id ?? Video.owner) === String(User?._id);
+
+    return isOwner || HAS_PERMISSIONS(User, PERMISSIONS.VIDEOS_MANAGE_ANY);
+}
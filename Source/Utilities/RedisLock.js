@@ -0,0 +1,63 @@
+/*********************
+ * Import necessary packages and modules.
+ * - crypto: Node.js crypto module used to generate the lock tokens.
+ *********************/
+import CRYPTO from "node:crypto";
+
+/*********************
+ * Import custom modules and functions.
+ * - REDIS: Redis client the locks are stored in.
+ *********************/
+import { REDIS } from "../Redis.js";
+
+/*********************
+ * Lua script releasing a lock only when it is still held with the given token,
+ * so a worker whose lock expired cannot release the lock of another worker.
+ *********************/
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+    return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+/*********************
+ * Lua script extending a lock only when it is still held with the given token.
+ *********************/
+const EXTEND_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+    return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+/*********************
+ * ACQUIRE_LOCK Function
+ * - Takes the lock stored under `Key` for `TimeToLiveMs` milliseconds, shared by every worker and server.
+ * - Returns the token to release the lock with, or null when the lock is already held.
+ * - The lock expires on its own, so a worker that dies while holding it does not block the others forever.
+ *********************/
+export const ACQUIRE_LOCK = async (Key, TimeToLiveMs) => {
+    const Token = CRYPTO.randomUUID();
+    const isLocked = await REDIS.set(Key, Token, "PX", TimeToLiveMs, "NX");
+
+    return isLocked ? Token : null;
+}
+
+/*********************
+ * RELEASE_LOCK Function
+ * - Releases a lock taken with ACQUIRE_LOCK, if it is still held with `Token`.
+ *********************/
+export const RELEASE_LOCK = async (Key, Token) => {
+    await REDIS.eval(RELEASE_LOCK_SCRIPT, 1, Key, Token);
+}
+
+/*********************
+ * EXTEND_LOCK Function
+ * - Resets the lifetime of a lock taken with ACQUIRE_LOCK to `TimeToLiveMs`, if it is still held with `Token`.
+ * - Used by long tasks to keep their lock while they run, without holding it forever if the worker dies.
+ * - Returns true when the lock was extended, false when it was lost.
+ *********************/
+export const EXTEND_LOCK = async (Key, Token, TimeToLiveMs) => {
+    return (await REDIS.eval(EXTEND_LOCK_SCRIPT, 1, Key, Token, TimeToLiveMs)) === 1;
+}
@@ -0,0 +1,221 @@
+/*********************
+ * Import necessary packages and modules.
+ * - path: Used for working with file paths.
+ * - fs: Provides methods for interacting with the file system.
+ * - stream: Used to write the chunks to disk and to hash the assembled file.
+ * - crypto: Used to generate the upload ids and to compute the checksum of the assembled file.
+ * - process: Provides access to the environment variables.
+ *********************/
+import PATH from "node:path";
+import FILE_SYSTEM from "node:fs";
+import STREAM from "node:stream";
+import CRYPTO from "node:crypto";
+import PROCESS from "node:process";
+
+/*********************
+ * Import custom modules and functions.
+ * - REDIS: Redis client the state of the uploads is stored in.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - PUBLIC_DIRECTORY: The "Public" directory, whose "Temporary" sub directory is never served.
+ * - ACQUIRE_LOCK, RELEASE_LOCK: Functions to take and release a lock shared by the workers.
+ *********************/
+import { REDIS } from "../Redis.js";
+import { API_ERROR } from "./ApiError.js";
+import { PUBLIC_DIRECTORY } from "../Storage/LocalDisk.Storage.js";
+import { ACQUIRE_LOCK, RELEASE_LOCK } from "./RedisLock.js";
+
+/*********************
+ * Resumable upload settings (overridable through environment variables).
+ * - RESUMABLE_UPLOAD_MAX_FILE_BYTES: Largest file that can be uploaded (10 GiB by default).
+ * - RESUMABLE_UPLOAD_MAX_CHUNK_BYTES: Largest chunk a single request can append (64 MiB by default).
+ * - RESUMABLE_UPLOAD_EXPIRY_HOURS: An upload that receives no chunk for this long is forgotten (24 hours by default).
+ * - UPLOAD_LOCK_TIME_TO_LIVE_MS: Lifetime of the lock that keeps two requests from writing the same upload at the same time.
+ *********************/
+export const RESUMABLE_UPLOAD_MAX_FILE_BYTES = Number(PROCESS.env.RESUMABLE_UPLOAD_MAX_FILE_BYTES) || 10 * 1024 * 1024 * 1024;
+export const RESUMABLE_UPLOAD_MAX_CHUNK_BYTES = Number(PROCESS.env.RESUMABLE_UPLOAD_MAX_CHUNK_BYTES) || 64 * 1024 * 1024;
+const RESUMABLE_UPLOAD_EXPIRY_SECONDS = (Number(PROCESS.env.RESUMABLE_UPLOAD_EXPIRY_HOURS) || 24) * 60 * 60;
+const UPLOAD_LOCK_TIME_TO_LIVE_MS = 30 * 60 * 1000;
+
+/*********************
+ * Where the uploads are assembled: "Public/Temporary/Uploads/<upload id>".
+ *********************/
+const UPLOADS_DIRECTORY = PATH.join(PUBLIC_DIRECTORY, "Temporary", "Uploads");
+
+/*********************
+ * Redis keys used by the resumable uploads.
+ * - UPLOAD_KEY: Hash holding the state of an upload (owner, file name, size, type, checksum and offset).
+ * - UPLOAD_LOCK_KEY: Lock held by the request writing to an upload.
+ *********************/
+const UPLOAD_KEY = (UploadId) => `Uploads:${UploadId}`;
+const UPLOAD_LOCK_KEY = (UploadId) => `Uploads:${UploadId}:Lock`;
+
+/*********************
+ * Describe an upload from its Redis hash.
+ *********************/
+const PARSE_UPLOAD = (UploadId, Fields) => ({
+    id: UploadId,
+    owner: Fields.owner,
+    fileName: Fields.fileName,
+    fileSize: Number(Fields.fileSize),
+    mimeType: Fields.mimeType,
+    checksum: Fields.checksum,
+    offset: Number(Fields.offset),
+    path: PATH.join(UPLOADS_DIRECTORY, UploadId),
+    createdAt: new Date(Number(Fields.createdAt)),
+    expiresAt: new Date(Date.now() + RESUMABLE_UPLOAD_EXPIRY_SECONDS * 1000),
+});
+
+/*********************
+ * CREATE_UPLOAD Function
+ * - Starts a resumable upload: creates the empty file the chunks are written to and stores the state of the upload.
+ * - Checksum: SHA-256 hash (hexadecimal) of the whole file, verified once every chunk has been received.
+ * - Throws a Content Too Large (413) error when the file exceeds RESUMABLE_UPLOAD_MAX_FILE_BYTES.
+ *********************/
+export const CREATE_UPLOAD = async ({ OwnerId, FileName, FileSize, MimeType, Checksum }) => {
+    if (FileSize > RESUMABLE_UPLOAD_MAX_FILE_BYTES) {
+        throw new API_ERROR(413, `The file must be at most ${RESUMABLE_UPLOAD_MAX_FILE_BYTES} bytes...!`);
+    }
+
+    const UploadId = CRYPTO.randomBytes(16).toString("hex");
+    const Fields = {
+        owner: String(OwnerId),
+        fileName: FileName,
+        fileSize: FileSize,
+        mimeType: MimeType,
+        checksum: Checksum,
+        offset: 0,
+        createdAt: Date.now(),
+    };
+
+    await FILE_SYSTEM.promises.mkdir(UPLOADS_DIRECTORY, { recursive: true });
+    await FILE_SYSTEM.promises.writeFile(PATH.join(UPLOADS_DIRECTORY, UploadId), "", { flag: "wx" });
+
+    await REDIS.multi()
+        .hset(UPLOAD_KEY(UploadId), Fields)
+        .expire(UPLOAD_KEY(UploadId), RESUMABLE_UPLOAD_EXPIRY_SECONDS)
+        .exec();
+
+    return PARSE_UPLOAD(UploadId, Fields);
+}
+
+/*********************
+ * GET_UPLOAD Function
+ * - Returns the upload `UploadId` of the user `OwnerId`.
+ * - Throws a Not Found (404) error if it does not exist, expired, or belongs to another user.
+ *********************/
+export const GET_UPLOAD = async (UploadId, OwnerId) => {
+    const Fields = await REDIS.hgetall(UPLOAD_KEY(UploadId));
+
+    if (!Fields?.owner || Fields.owner !== String(OwnerId)) throw new API_ERROR(404, "Upload not found...!");
+
+    return PARSE_UPLOAD(UploadId, Fields);
+}
+
+/*********************
+ * IS_UPLOAD_PENDING Function
+ * - Whether the upload `UploadId` still exists, whoever it belongs to. Used to keep its file when cleaning up "Public/Temporary".
+ *********************/
+export const IS_UPLOAD_PENDING = async (UploadId) => (await REDIS.exists(UPLOAD_KEY(UploadId))) === 1;
+
+/*********************
+ * WITH_UPLOAD_LOCK Function
+ * - Runs `Callback` while holding the lock of an upload, so chunks are never written by two requests at the same time.
+ * - Throws a Conflict (409) error when another request holds the lock.
+ *********************/
+export const WITH_UPLOAD_LOCK = async (UploadId, Callback) => {
+    const LockToken = await ACQUIRE_LOCK(UPLOAD_LOCK_KEY(UploadId), UPLOAD_LOCK_TIME_TO_LIVE_MS);
+
+    if (!LockToken) throw new API_ERROR(409, "Another request is writing to this upload, please try again later...!");
+
+    try {
+        return await Callback();
+    } finally {
+        await RELEASE_LOCK(UPLOAD_LOCK_KEY(UploadId), LockToken);
+    }
+}
+
+/*********************
+ * APPEND_TO_UPLOAD Function
+ * - Writes the bytes of `Source` (the request body) at `Offset`, which must be the current offset of the upload.
+ * - The bytes written before the connection dropped are kept, so the client can resume from the offset it gets back.
+ * - Throws a Conflict (409) error when `Offset` does not match, and a Content Too Large (413) error when the chunk is larger
+ *   than RESUMABLE_UPLOAD_MAX_CHUNK_BYTES or would make the file larger than announced.
+ *   The announced `Length` (Content-Length) is checked before reading the body, so the error can still be sent to the client;
+ *   the bytes are counted as well, for bodies sent without a length.
+ * - Must be called while holding the lock of the upload (see WITH_UPLOAD_LOCK). Returns the new offset.
+ *********************/
+export const APPEND_TO_UPLOAD = async (Upload, Offset, Source, Length) => {
+    if (Offset !== Upload.offset) {
+        throw new API_ERROR(409, `The upload is at offset ${Upload.offset}, resume from there...!`);
+    }
+
+    const Remaining = Upload.fileSize - Upload.offset;
+
+    if (Length > RESUMABLE_UPLOAD_MAX_CHUNK_BYTES) {
+        throw new API_ERROR(413, `A chunk must be at most ${RESUMABLE_UPLOAD_MAX_CHUNK_BYTES} bytes...!`);
+    }
+
+    if (Length > Remaining) {
+        throw new API_ERROR(413, `The file is larger than the announced ${Upload.fileSize} bytes...!`);
+    }
+
+    let Received = 0;
+
+    const SizeGuard = new STREAM.Transform({
+        transform(Chunk, Encoding, Callback) {
+            Received += Chunk.length;
+
+            if (Received > RESUMABLE_UPLOAD_MAX_CHUNK_BYTES) {
+                return Callback(new API_ERROR(413, `A chunk must be at most ${RESUMABLE_UPLOAD_MAX_CHUNK_BYTES} bytes...!`));
+            }
+
+            if (Received > Remaining) {
+                return Callback(new API_ERROR(413, `The file is larger than the announced ${Upload.fileSize} bytes...!`));
+            }
+
+            Callback(null, Chunk);
+        },
+    });
+
+    const Destination = FILE_SYSTEM.createWriteStream(Upload.path, { flags: "r+", start: Offset });
+
+    let PipelineError = null;
+
+    try {
+        await STREAM.promises.pipeline(Source, SizeGuard, Destination);
+    } catch (error) {
+        PipelineError = error;
+    }
+
+    const NewOffset = Offset + Destination.bytesWritten;
+
+    await REDIS.multi()
+        .hset(UPLOAD_KEY(Upload.id), "offset", NewOffset)
+        .expire(UPLOAD_KEY(Upload.id), RESUMABLE_UPLOAD_EXPIRY_SECONDS)
+        .exec();
+
+    if (PipelineError) throw PipelineError;
+
+    return NewOffset;
+}
+
+/*********************
+ * VERIFY_UPLOAD_CHECKSUM Function
+ * - Returns true when the SHA-256 hash of the assembled file matches the checksum announced when the upload started.
+ *********************/
+export const VERIFY_UPLOAD_CHECKSUM = async (Upload) => {
+    const Hash = CRYPTO.createHash("sha256");
+
+    for await (const Chunk of FILE_SYSTEM.createReadStream(Upload.path)) Hash.update(Chunk);
+
+    return Hash.digest("hex") === Upload.checksum;
+}
+
+/*********************
+ * DISCARD_UPLOAD Function
+ * - Forgets an upload and deletes its file, if it is still there.
+ *********************/
+export const DISCARD_UPLOAD = async (Upload) => {
+    await REDIS.del(UPLOAD_KEY(Upload.id));
+    await FILE_SYSTEM.promises.rm(Upload.path, { force: true });
+}
@@ -0,0 +1,186 @@
+/*********************
+ * Import necessary packages and modules.
+ * - process: Provides access to environment variables.
+ *********************/
+import PROCESS from "node:process";
+
+/*********************
+ * Import custom modules and functions.
+ * - CLOUDINARY_STORAGE: Storage driver that stores files on Cloudinary.
+ * - LOCAL_DISK_STORAGE: Storage driver that stores files on the local disk, served under "/static/Uploads".
+ * - LOG_WARN, LOG_ERROR: Logging functions for warnings and errors.
+ * - REGISTER_JOB, ENQUEUE_JOB: Functions to declare and queue background jobs.
+ *********************/
+import { CLOUDINARY_STORAGE } from "../Storage/Cloudinary.Storage.js";
+import { LOCAL_DISK_STORAGE } from "../Storage/LocalDisk.Storage.js";
+import { LOG_WARN, LOG_ERROR } from "./WinstonLogger.js";
+import { REGISTER_JOB, ENQUEUE_JOB } from "./JobQueue.js";
+
+/*********************
+ * Registered storage drivers, by name.
+ * - Every driver implements: UPLOAD_FILE(LocalFilePath, Options), DELETE_FILE(Key), GET_SIGNED_URL(Key, ExpiresInSeconds)
+ *   and GET_FILE_DETAILS(Key).
+ * - Drivers storing files on the local disk also implement CREATE_READ_STREAM(Key, Range), so the application can serve them itself.
+ *********************/
+const STORAGE_DRIVERS = {
+    [CLOUDINARY_STORAGE.Name]: CLOUDINARY_STORAGE,
+    [LOCAL_DISK_STORAGE.Name]: LOCAL_DISK_STORAGE,
+};
+
+/*********************
+ * The driver new files are uploaded with, selected by the STORAGE_DRIVER environment variable ("cloudinary" or "local").
+ * - Defaults to "cloudinary" to keep the previous behaviour.
+ *********************/
+const ACTIVE_STORAGE_DRIVER_NAME = (PROCESS.env.STORAGE_DRIVER || CLOUDINARY_STORAGE.Name).toLowerCase();
+
+if (!STORAGE_DRIVERS[ACTIVE_STORAGE_DRIVER_NAME]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${ACTIVE_STORAGE_DRIVER_NAME}", expected one of: ${Object.keys(STORAGE_DRIVERS).join(", ")}`);
+}
+
+const ACTIVE_STORAGE_DRIVER = STORAGE_DRIVERS[ACTIVE_STORAGE_DRIVER_NAME];
+
+/*********************
+ * Split a storage key into the driver that created it and the driver specific key.
+ * - Keys are stored as "<driver>:<driver key>" (e.g. "local:Uploads/Avatars/123.png"), so files uploaded
+ *   before STORAGE_DRIVER was changed can still be deleted through the driver that stored them.
+ * - Returns null for empty or unknown keys.
+ *********************/
+export const RESOLVE_STORAGE_KEY = (Key = "") => {
+    const SeparatorIndex = String(Key).indexOf(":");
+
+    if (SeparatorIndex < 0) return null;
+
+    const Driver = STORAGE_DRIVERS[Key.slice(0, SeparatorIndex)];
+
+    if (!Driver) return null;
+
+    return { Driver, DriverKey: Key.slice(SeparatorIndex + 1) };
+}
+
+/*********************
+ * Upload a local (temporary) file with the active driver.
+ * - LocalFilePath: Path of the file written by Multer.
+ * - Options.Folder: Logical folder of the file (e.g. "Avatars", "Videos").
+ * - Options.MimeType, Options.OriginalName: Information reported by the client. Drivers detect the type of the file themselves.
+ * - Returns { key, url, size, mimeType, duration, width, height }, or null if no file was given or the upload failed.
+ *********************/
+export const UPLOAD_FILE = async (LocalFilePath, Options = {}) => {
+    if (!LocalFilePath) return null;
+
+    const StoredFile = await ACTIVE_STORAGE_DRIVER.UPLOAD_FILE(LocalFilePath, Options);
+
+    if (!StoredFile) return null;
+
+    return { ...StoredFile, key: `${ACTIVE_STORAGE_DRIVER.Name}:${StoredFile.key}` };
+}
+
+/*********************
+ * Delete a stored file using the driver that stored it.
+ * - Returns true if the file was deleted (or did not exist), false otherwise.
+ *********************/
+export const DELETE_FILE = async (Key) => {
+    const ResolvedKey = RESOLVE_STORAGE_KEY(Key);
+
+    if (!ResolvedKey) return false;
+
+    return await ResolvedKey.Driver.DELETE_FILE(ResolvedKey.DriverKey);
+}
+
+/*********************
+ * Background job deleting a stored file, retried with a backoff while the storage provider fails.
+ *********************/
+const DELETE_STORED_FILE_JOB = "DeleteStoredFile";
+
+REGISTER_JOB(DELETE_STORED_FILE_JOB, async ({ Key }) => {
+    if (!(await DELETE_FILE(Key))) throw new Error(`Stored file "${Key}" could not be deleted`);
+}, { MaxAttempts: 8, Concurrency: 2, BackoffMs: 60 * 1000 });
+
+/*********************
+ * Queue the deletion of stored files (e.g. the files of a deleted video, or a replaced avatar), so the request
+ * does not wait for the storage provider.
+ * - Empty keys are skipped.
+ * - Never throws, since the database change the files belonged to is already done.
+ *   Files whose deletion cannot be queued are logged with their key.
+ *********************/
+export const QUEUE_FILE_DELETION = async (...Keys) => {
+    await Promise.all(Keys.filter(Boolean).map(async (Key) => {
+        try {
+            await ENQUEUE_JOB(DELETE_STORED_FILE_JOB, { Key });
+        } catch (error) {
+            LOG_ERROR({
+                label: "Storage.js",
+                service: "QUEUE_FILE_DELETION",
+                error: `Deletion of the stored file "${Key}" could not be queued: ${error.message}`,
+            });
+        }
+    }));
+}
+
+/*********************
+ * Delete files that were uploaded for an operation that then failed (e.g. the database write after the upload),
+ * so they are not left behind in the storage.
+ * - UploadedFiles: Results of UPLOAD_FILE, missing (null or undefined) files are skipped.
+ * - Files that cannot be deleted right away are queued for deletion (see QUEUE_FILE_DELETION).
+ * - Never throws, so the original error can be passed on.
+ *********************/
+export const DISCARD_UPLOADED_FILES = async (...UploadedFiles) => {
+    const Keys = UploadedFiles.filter(Boolean).map((UploadedFile) => UploadedFile.key);
+
+    const Results = await Promise.allSettled(Keys.map((Key) => DELETE_FILE(Key)));
+
+    const FailedKeys = Keys.filter((Key, Index) => !(Results[Index].status === "fulfilled" && Results[Index].value));
+
+    FailedKeys.forEach((Key) => {
+        LOG_WARN({
+            label: "Storage.js",
+            service: "DISCARD_UPLOADED_FILES",
+            message: `Orphaned file "${Key}" could not be deleted, its deletion is queued`,
+        });
+    });
+
+    await QUEUE_FILE_DELETION(...FailedKeys);
+}
+
+/*********************
+ * Build a signed URL to a stored file that expires after `ExpiresInSeconds` (default 1 hour) when the driver supports it.
+ * - Cloudinary returns a signed delivery URL, which does not expire.
+ * - Drivers that cannot sign URLs (local disk) return the plain URL of public files, and null for private files.
+ *********************/
+export const GET_SIGNED_URL = async (Key, ExpiresInSeconds = 3600) => {
+    const ResolvedKey = RESOLVE_STORAGE_KEY(Key);
+
+    if (!ResolvedKey) return null;
+
+    return await ResolvedKey.Driver.GET_SIGNED_URL(ResolvedKey.DriverKey, ExpiresInSeconds);
+}
+
+/*********************
+ * Describe a stored file: { key, url, size, mimeType, lastModified }, or null if it does not exist.
+ *********************/
+export const GET_FILE_DETAILS = async (Key) => {
+    const ResolvedKey = RESOLVE_STORAGE_KEY(Key);
+
+    if (!ResolvedKey) return null;
+
+    const FileDetails = await ResolvedKey.Driver.GET_FILE_DETAILS(ResolvedKey.DriverKey);
+
+    return FileDetails ? { ...FileDetails, key: Key } : null;
+}
+
+/*********************
+ * Whether a stored file can be read by the application itself (see CREATE_READ_STREAM).
+ * - Files of other drivers are served by their provider, through their URL.
+ *********************/
+export const CAN_STREAM_FILE = (Key) => Boolean(RESOLVE_STORAGE_KEY(Key)?.Driver.CREATE_READ_STREAM);
+
+/*********************
+ * Open a readable stream on a stored file, optionally limited to the bytes from `Range.Start` to `Range.End` (inclusive).
+ * - Returns null if the driver that stored the file cannot stream it.
+ *********************/
+export const CREATE_READ_STREAM = (Key, Range = {}) => {
+    const ResolvedKey = RESOLVE_STORAGE_KEY(Key);
+
+    if (!ResolvedKey?.Driver.CREATE_READ_STREAM) return null;
+
+    return ResolvedKey.Driver.CREATE_READ_STREAM(ResolvedKey.DriverKey, Range);
+}
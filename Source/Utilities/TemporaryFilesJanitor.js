@@ -0,0 +1,155 @@
+/*********************
+ * Import necessary packages and modules.
+ * - path: Used for working with file paths.
+ * - fs: Provides methods for interacting with the file system.
+ * - process: Provides access to the environment variables.
+ *********************/
+import PATH from "node:path";
+import FILE_SYSTEM from "node:fs";
+import PROCESS from "node:process";
+
+/*********************
+ * Import custom modules and functions.
+ * - PUBLIC_DIRECTORY: The "Public" directory, whose "Temporary" sub directory holds the files being uploaded.
+ * - IS_UPLOAD_PENDING: Whether a resumable upload still exists.
+ * - ACQUIRE_LOCK, RELEASE_LOCK: Functions to take and release a lock shared by the workers.
+ * - LOG_ERROR, LOG_INFO, LOG_WARN: Logging functions for error, info and warning logs.
+ *********************/
+import { PUBLIC_DIRECTORY } from "../Storage/LocalDisk.Storage.js";
+import { IS_UPLOAD_PENDING } from "./ResumableUploads.js";
+import { ACQUIRE_LOCK, RELEASE_LOCK } from "./RedisLock.js";
+import { LOG_ERROR, LOG_INFO, LOG_WARN } from "./WinstonLogger.js";
+
+/*********************
+ * Temporary files janitor settings (overridable through environment variables).
+ * - TEMPORARY_FILES_MAX_AGE_MS: Files not modified for this long are deleted (6 hours by default, TEMPORARY_FILES_MAX_AGE_HOURS).
+ *   Requests never take that long, so such files were left behind by a request that aborted or a worker that died.
+ * - TEMPORARY_FILES_CLEANUP_INTERVAL_MS: How often the janitor runs (every hour by default).
+ * - CLEANUP_LOCK_TIME_TO_LIVE_MS: Lifetime of the lock that keeps the workers from cleaning up at the same time.
+ *********************/
+const TEMPORARY_FILES_MAX_AGE_MS = (Number(PROCESS.env.TEMPORARY_FILES_MAX_AGE_HOURS) || 6) * 60 * 60 * 1000;
+const TEMPORARY_FILES_CLEANUP_INTERVAL_MS = Number(PROCESS.env.TEMPORARY_FILES_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
+const CLEANUP_LOCK_TIME_TO_LIVE_MS = 10 * 60 * 1000;
+
+/*********************
+ * Directories cleaned up by the janitor.
+ * - TEMPORARY_DIRECTORY: Where Multer writes the uploaded files ("Public/Temporary").
+ * - UPLOADS_DIRECTORY: Where the resumable uploads are assembled ("Public/Temporary/Uploads"),
+ *   their files are kept for as long as the upload exists, however old they are.
+ *********************/
+const TEMPORARY_DIRECTORY = PATH.join(PUBLIC_DIRECTORY, "Temporary");
+const UPLOADS_DIRECTORY = PATH.join(TEMPORARY_DIRECTORY, "Uploads");
+
+/*********************
+ * Redis key of the lock held by the worker that is cleaning up.
+ *********************/
+const CLEANUP_LOCK_KEY = "Janitor:TemporaryFiles:Lock";
+
+/*********************
+ * List the files of a directory and of its sub directories, skipping hidden files (e.g. ".gitkeep").
+ *********************/
+const LIST_FILES = async (Directory) => {
+    let Entries;
+
+    try {
+        Entries = await FILE_SYSTEM.promises.readdir(Directory, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === "ENOENT") return [];
+
+        throw error;
+    }
+
+    const Files = [];
+
+    for (const Entry of Entries) {
+        if (Entry.name.startsWith(".")) continue;
+
+        const EntryPath = PATH.join(Directory, Entry.name);
+
+        if (Entry.isDirectory()) Files.push(...(await LIST_FILES(EntryPath)));
+        else if (Entry.isFile()) Files.push(EntryPath);
+    }
+
+    return Files;
+}
+
+/*********************
+ * CLEAN_TEMPORARY_FILES Function
+ * - Deletes the files of "Public/Temporary" that were not modified for TEMPORARY_FILES_MAX_AGE_MS,
+ *   except the files of the resumable uploads that still exist.
+ * - Only one worker cleans up at a time. Returns the number of files deleted.
+ *********************/
+export const CLEAN_TEMPORARY_FILES = async () => {
+    const LockToken = await ACQUIRE_LOCK(CLEANUP_LOCK_KEY, CLEANUP_LOCK_TIME_TO_LIVE_MS);
+
+    if (!LockToken) return 0;
+
+    try {
+        const OldestModifiedAt = Date.now() - TEMPORARY_FILES_MAX_AGE_MS;
+
+        let DeletedFiles = 0;
+
+        for (const FilePath of await LIST_FILES(TEMPORARY_DIRECTORY)) {
+            try {
+                const Stats = await FILE_SYSTEM.promises.stat(FilePath);
+
+                if (Stats.mtimeMs > OldestModifiedAt) continue;
+
+                if (PATH.dirname(FilePath) === UPLOADS_DIRECTORY && await IS_UPLOAD_PENDING(PATH.basename(FilePath))) continue;
+
+                await FILE_SYSTEM.promises.unlink(FilePath);
+
+                DeletedFiles += 1;
+            } catch (error) {
+                if (error.code === "ENOENT") continue;
+
+                LOG_WARN({
+                    label: "TemporaryFilesJanitor.js",
+                    service: "CLEAN_TEMPORARY_FILES",
+                    message: `Temporary file "${FilePath}" could not be deleted: ${error.message}`,
+                });
+            }
+        }
+
+        if (DeletedFiles > 0) {
+            LOG_INFO({
+                label: "TemporaryFilesJanitor.js",
+                service: "CLEAN_TEMPORARY_FILES",
+                message: `Deleted ${DeletedFiles} stale temporary file(s)`,
+            });
+        }
+
+        return DeletedFiles;
+    } finally {
+        await RELEASE_LOCK(CLEANUP_LOCK_KEY, LockToken);
+    }
+}
+
+/*********************
+ * START_TEMPORARY_FILES_JANITOR Function
+ * - Cleans up "Public/Temporary" once at startup, then every TEMPORARY_FILES_CLEANUP_INTERVAL_MS.
+ * - Every worker runs the timer, the cleanup lock makes sure only one of them cleans up at a time.
+ * - Returns a function that stops the timer, used on shutdown.
+ *********************/
+export const START_TEMPORARY_FILES_JANITOR = () => {
+    const Clean = () => CLEAN_TEMPORARY_FILES().catch((error) => {
+        LOG_ERROR({
+            label: "TemporaryFilesJanitor.js",
+            service: "CLEAN_TEMPORARY_FILES",
+            error: `Failed to clean up the temporary files: ${error?.message}`,
+        });
+    });
+
+    Clean();
+
+    const Timer = setInterval(Clean, TEMPORARY_FILES_CLEANUP_INTERVAL_MS);
+    Timer.unref();
+
+    LOG_INFO({
+        label: "TemporaryFilesJanitor.js",
+        service: "START_TEMPORARY_FILES_JANITOR",
+        message: `Temporary files older than ${TEMPORARY_FILES_MAX_AGE_MS}ms are deleted every ${TEMPORARY_FILES_CLEANUP_INTERVAL_MS}ms`,
+    });
+
+    return () => clearInterval(Timer);
+}
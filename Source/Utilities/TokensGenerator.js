@@ -1,74 +1,137 @@
+/*********************
+ * Import necessary packages and modules.
+ * - jsonwebtoken: Library for creating and verifying JSON Web Tokens (JWTs).
+ *********************/
+import JSON_WEB_TOKEN from "jsonwebtoken";
+
 /*********************
  * Import custom modules and functions.
  * - USER: Mongoose model representing the User schema.
+ * - SESSION: Mongoose model representing the Session schema.
  * - INSERT_INTO_STRING: Helper function to insert string into another string.
+ * - HASH_STRING: Helper function that returns the SHA-256 hash of a string.
  * - API_ERROR: Custom error class for handling API errors.
  *********************/
 import { USER } from "../Models/User.Model.js";
-import { INSERT_INTO_STRING } from "./HelperFunctions.js";
+import { SESSION } from "../Models/Session.Model.js";
+import { INSERT_INTO_STRING, HASH_STRING } from "./HelperFunctions.js";
 import { API_ERROR } from "./ApiError.js";
 
+/*********************
+ * ISSUE_TOKENS_FOR_SESSION
+ * - This function generates access and refresh tokens for an already resolved user and binds them to a session.
+ * - If `SessionId` is provided, the tokens are rotated inside that session. When `PreviousRefreshToken` is also provided,
+ *   the rotation only succeeds if it is still the latest refresh token of the session, which makes concurrent rotations safe.
+ * - If no `SessionId` is provided, a new session is created from `SessionDetails` (device label, user agent, IP address).
+ * - Only the SHA-256 hash of the refresh token is stored in the session.
+ *********************/
+const ISSUE_TOKENS_FOR_SESSION = async ({ User, SessionId, PreviousRefreshToken, SessionDetails = {} }) => {
+    /*******
+     * Resolve the session the tokens belong to.
+     * - An existing session must still be active, otherwise the user has to login again.
+     * - A new session is only instantiated here and saved once the refresh token is known.
+     *******/
+    let Session;
+
+    if (SessionId) {
+        Session = await SESSION.FindActiveSession(SessionId, User._id);
+
+        if (!Session) throw new API_ERROR(401, "Session has expired or been revoked...!");
+    } else {
+        Session = new SESSION({
+            user: User._id,
+            ...SessionDetails,
+        });
+    }
+
+    /*******
+     * Generate the access and refresh tokens, both carrying the session ID.
+     *******/
+    const AccessToken = await User.GenerateAccessToken(Session._id);
+    const RefreshToken = await User.GenerateRefreshToken(AccessToken, Session._id);
+
+    /*******
+     * The session expires together with its latest refresh token.
+     * - `exp` is expressed in seconds since the epoch.
+     *******/
+    const { exp } = JSON_WEB_TOKEN.decode(RefreshToken);
+    const SessionUpdate = {
+        refreshTokenHash: HASH_STRING(RefreshToken),
+        lastSeenAt: new Date(),
+        expiresAt: new Date(exp * 1000),
+    };
+
+    /*******
+     * Persist the session.
+     * - New sessions are saved as they are.
+     * - Existing sessions are updated with a compare-and-swap on the previous refresh token hash,
+     *   so that the same refresh token can never be rotated twice.
+     *******/
+    if (Session.isNew) {
+        Session.set(SessionUpdate);
+        await Session.save();
+    } else {
+        const Filter = { _id: Session._id, revokedAt: null };
+
+        if (PreviousRefreshToken) Filter.refreshTokenHash = HASH_STRING(PreviousRefreshToken);
+
+        const UpdatedSession = await SESSION.findOneAndUpdate(Filter, { $set: SessionUpdate }, { new: true });
+
+        if (!UpdatedSession) throw new API_ERROR(401, "Refresh token is expired or already used...!");
+
+        Session = UpdatedSession;
+    }
+
+    /*******
+     * Modify the AccessToken by inserting the User's `_id` before the second occurrence of the "." character.
+     * - This uses the `INSERT_INTO_STRING` function to insert the `_id` into the token string.
+     * - The modified token enhances the token structure with additional information.
+     *******/
+    const UpdatedAccessToken = INSERT_INTO_STRING({
+        InsertBefore: ".",
+        CountInsertBefore: 2,
+        OriginalString: AccessToken,
+        InsertStringBefore: String(User._id),
+    });
+
+    /*******
+     * Return the modified AccessToken, the RefreshToken and the session they belong to.
+     *******/
+    return { AccessToken: UpdatedAccessToken, RefreshToken, Session };
+}
+
 /*********************
  * GENERATE_REFRESH_AND_ACCESS_TOKEN
  * - This function generates access and refresh tokens for a user.
  * - The function accepts an object that can contain either the `User` object itself, or the user's `_id`, `username`, or `email`.
+ * - `SessionId` and `PreviousRefreshToken` are optional: pass them to rotate the tokens of an existing session.
+ * - `SessionDetails` is optional: it describes the device of a new session (e.g. on login).
  * - Depending on the input, it fetches the user from the database and generates the tokens.
  * - If the user does not exist, it throws an API_ERROR.
  *********************/
-export const GENERATE_REFRESH_AND_ACCESS_TOKEN = async ({ User, _id, username, email }) => {
+export const GENERATE_REFRESH_AND_ACCESS_TOKEN = async ({
+    User,
+    _id,
+    username,
+    email,
+    SessionId,
+    PreviousRefreshToken,
+    SessionDetails,
+}) => {
     try {
         /*******
          * If the `User` object is provided directly:
-         * - Generate access and refresh tokens.
-         * - Store the generated refresh token in the `refreshToken` field of the `User` object.
-         * - Save the updated `User` object to the database without triggering validation.
-         * - Modify and return the AccessToken and RefreshToken.
+         * - Generate access and refresh tokens and bind them to a session.
          *******/
         if (User) {
-            const AccessToken = await User.GenerateAccessToken();
-            const RefreshToken = await User.GenerateRefreshToken(AccessToken);
-
-            /*******
-             * Store the generated refresh token in the `refreshToken` field of the `User` object.
-             * - This line assigns the newly generated `RefreshToken` to the `refreshToken` field of the `User` instance.
-             * - Storing the refresh token in the database allows it to be invalidated if needed, enhancing security.
-             *******/
-            User.refreshToken = RefreshToken;
-
-            /*******
-             * Save the updated `User` object to the database without triggering validation.
-             * - The `save` method is called to persist the changes made to the `User` object, including the new `refreshToken`.
-             * - `{ validateBeforeSave: false }`: Disables validation checks before saving, which can be useful if other fields are incomplete 
-             *   or if validation is unnecessary for this specific operation.
-             *******/
-            await User.save({ validateBeforeSave: false });
-
-            /*******
-             * Modify the AccessToken by inserting the User's `_id` before the second occurrence of the "." character.
-             * - This uses the `INSERT_INTO_STRING` function to insert the `_id` into the token string.
-             * - The modified token enhances the token structure with additional information.
-             *******/
-            const UpdatedAccessToken = INSERT_INTO_STRING({
-                InsertBefore: ".",
-                CountInsertBefore: 2,
-                OriginalString: AccessToken,
-                InsertStringBefore: User._id,
-            });
-
-            /*******
-             * Return the modified AccessToken and the RefreshToken.
-             *******/
-            return { AccessToken: UpdatedAccessToken, RefreshToken };
+            return await ISSUE_TOKENS_FOR_SESSION({ User, SessionId, PreviousRefreshToken, SessionDetails });
         }
 
         /*******
          * If the user's `_id` is provided:
          * - Find the user by `_id` in the database.
          * - If the user is not found, throw an API_ERROR with a message indicating that the user does not exist.
-         * - If the user is found, generate access and refresh tokens.
-         * - Store the generated refresh token in the `refreshToken` field of the `AvailableUser` object.
-         * - Save the updated `AvailableUser` object to the database without triggering validation.
-         * - Modify and return the AccessToken and RefreshToken.
+         * - If the user is found, generate access and refresh tokens and bind them to a session.
          *******/
         if (_id) {
             const AvailableUser = await USER.findById(_id);
@@ -77,50 +140,14 @@ export const GENERATE_REFRESH_AND_ACCESS_TOKEN = async ({ User, _id, username, e
                 throw new API_ERROR(500, "User does not exist with this _id...!");
             }
 
-            const AccessToken = await AvailableUser.GenerateAccessToken();
-            const RefreshToken = await AvailableUser.GenerateRefreshToken(AccessToken);
-
-            /*******
-             * Store the generated refresh token in the `refreshToken` field of the `AvailableUser` object.
-             * - This line assigns the newly generated `RefreshToken` to the `refreshToken` field of the `AvailableUser` instance.
-             * - Storing the refresh token in the database allows it to be invalidated if needed, enhancing security.
-             *******/
-            AvailableUser.refreshToken = RefreshToken;
-
-            /*******
-             * Save the updated `AvailableUser` object to the database without triggering validation.
-             * - The `save` method is called to persist the changes made to the `AvailableUser` object, including the new `refreshToken`.
-             * - `{ validateBeforeSave: false }`: Disables validation checks before saving, which can be useful if other fields are incomplete 
-             *   or if validation is unnecessary for this specific operation.
-             *******/
-            await AvailableUser.save({ validateBeforeSave: false });
-
-            /*******
-             * Modify the AccessToken by inserting the User's `_id` before the second occurrence of the "." character.
-             * - This uses the `INSERT_INTO_STRING` function to insert the `_id` into the token string.
-             * - The modified token enhances the token structure with additional information.
-             *******/
-            const UpdatedAccessToken = INSERT_INTO_STRING({
-                InsertBefore: ".",
-                CountInsertBefore: 2,
-                OriginalString: AccessToken,
-                InsertStringBefore: _id,
-            });
-
-            /*******
-             * Return the modified AccessToken and the RefreshToken.
-             *******/
-            return { AccessToken: UpdatedAccessToken, RefreshToken };
+            return await ISSUE_TOKENS_FOR_SESSION({ User: AvailableUser, SessionId, PreviousRefreshToken, SessionDetails });
         }
 
         /*******
          * If the user's `username` or `email` is provided:
          * - Find the user by `username` or `email` in the database.
          * - If the user is not found, throw an API_ERROR with a message indicating that the user does not exist.
-         * - If the user is found, generate access and refresh tokens.
-         * - Store the generated refresh token in the `refreshToken` field of the `AvailableUser` object.
-         * - Save the updated `AvailableUser` object to the database without triggering validation.
-         * - Modify and return the AccessToken and RefreshToken.
+         * - If the user is found, generate access and refresh tokens and bind them to a session.
          *******/
         if (username || email) {
             const AvailableUser = await USER.findOne({
@@ -131,40 +158,7 @@ export const GENERATE_REFRESH_AND_ACCESS_TOKEN = async ({ User, _id, username, e
                 throw new API_ERROR(500, "User does not exist with this username or email...!");
             }
 
-            const AccessToken = await AvailableUser.GenerateAccessToken();
-            const RefreshToken = await AvailableUser.GenerateRefreshToken(AccessToken);
-
-            /*******
-             * Store the generated refresh token in the `refreshToken` field of the `AvailableUser` object.
-             * - This line assigns the newly generated `RefreshToken` to the `refreshToken` field of the `AvailableUser` instance.
-             * - Storing the refresh token in the database allows it to be invalidated if needed, enhancing security.
-             *******/
-            AvailableUser.refreshToken = RefreshToken;
-
-            /*******
-             * Save the updated `AvailableUser` object to the database without triggering validation.
-             * - The `save` method is called to persist the changes made to the `AvailableUser` object, including the new `refreshToken`.
-             * - `{ validateBeforeSave: false }`: Disables validation checks before saving, which can be useful if other fields are incomplete 
-             *   or if validation is unnecessary for this specific operation.
-             *******/
-            await AvailableUser.save({ validateBeforeSave: false });
-
-            /*******
-             * Modify the AccessToken by inserting the User's `_id` before the second occurrence of the "." character.
-             * - This uses the `INSERT_INTO_STRING` function to insert the `_id` into the token string.
-             * - The modified token enhances the token structure with additional information.
-             *******/
-            const UpdatedAccessToken = INSERT_INTO_STRING({
-                InsertBefore: ".",
-                CountInsertBefore: 2,
-                OriginalString: AccessToken,
-                InsertStringBefore: AvailableUser._id,
-            });
-
-            /*******
-             * Return the modified AccessToken and the RefreshToken.
-             *******/
-            return { AccessToken: UpdatedAccessToken, RefreshToken };
+            return await ISSUE_TOKENS_FOR_SESSION({ User: AvailableUser, SessionId, PreviousRefreshToken, SessionDetails });
         }
 
         /*******
@@ -173,7 +167,7 @@ export const GENERATE_REFRESH_AND_ACCESS_TOKEN = async ({ User, _id, username, e
         return null;
     } catch (error) {
         /*******
-         * If an error occurs during the process, throw an API_ERROR with the statusCode, 
+         * If an error occurs during the process, throw an API_ERROR with the statusCode,
          *   error message, errors and error stack for debugging.
          *******/
         throw new API_ERROR(error?.statusCode, error?.message, [error], error.stack);
@@ -0,0 +1,155 @@
+/*********************
+ * Import necessary packages and modules.
+ * - crypto: Node.js crypto module used to generate secrets and compute HMACs.
+ *********************/
+import CRYPTO from "node:crypto";
+
+/*********************
+ * TOTP settings (RFC 6238), matching the defaults of the common authenticator apps.
+ * - TOTP_DIGITS: Length of a code.
+ * - TOTP_PERIOD: Lifetime of a code, in seconds.
+ * - TOTP_ALGORITHM: HMAC algorithm.
+ *********************/
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+const TOTP_ALGORITHM = "sha1";
+
+/*********************
+ * Base32 alphabet (RFC 4648), used by authenticator apps to exchange secrets.
+ *********************/
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/*********************
+ * Encode a buffer in base32, without padding.
+ *********************/
+const BASE32_ENCODE = (Input) => {
+    let Bits = 0;
+    let Value = 0;
+    let Output = "";
+
+    for (const Byte of Input) {
+        Value = (Value << 8) | Byte;
+        Bits += 8;
+
+        while (Bits >= 5) {
+            Output += BASE32_ALPHABET[(Value >>> (Bits - 5)) & 31];
+            Bits -= 5;
+        }
+    }
+
+    if (Bits > 0) Output += BASE32_ALPHABET[(Value << (5 - Bits)) & 31];
+
+    return Output;
+}
+
+/*********************
+ * Decode a base32 string (case insensitive, spaces and padding are ignored).
+ * - Throws if the string contains characters outside of the base32 alphabet.
+ *********************/
+const BASE32_DECODE = (Encoded) => {
+    const Cleaned = String(Encoded).toUpperCase().replace(/[\s=]/g, "");
+    const Bytes = [];
+    let Bits = 0;
+    let Value = 0;
+
+    for (const Character of Cleaned) {
+        const Index = BASE32_ALPHABET.indexOf(Character);
+
+        if (Index < 0) throw new Error("Invalid base32 secret");
+
+        Value = (Value << 5) | Index;
+        Bits += 5;
+
+        if (Bits >= 8) {
+            Bytes.push((Value >>> (Bits - 8)) & 255);
+            Bits -= 8;
+        }
+    }
+
+    return Buffer.from(Bytes);
+}
+
+/*********************
+ * Compute the code of a given time step (HOTP, RFC 4226).
+ *********************/
+const GENERATE_CODE_FOR_STEP = (Secret, Step) => {
+    const Counter = Buffer.alloc(8);
+    Counter.writeBigUInt64BE(BigInt(Step));
+
+    const Hmac = CRYPTO.createHmac(TOTP_ALGORITHM, BASE32_DECODE(Secret)).update(Counter).digest();
+    const Offset = Hmac[Hmac.length - 1] & 15;
+    const Binary = Hmac.readUInt32BE(Offset) & 0x7fffffff;
+
+    return String(Binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/*********************
+ * GENERATE_TOTP_SECRET Function
+ * - Generates a random 160-bit secret, encoded in base32.
+ *********************/
+export const GENERATE_TOTP_SECRET = () => BASE32_ENCODE(CRYPTO.randomBytes(20));
+
+/*********************
+ * GENERATE_TOTP Function
+ * - Returns the code of a secret at a given time (defaults to now).
+ *********************/
+export const GENERATE_TOTP = (Secret, Time = Date.now()) => GENERATE_CODE_FOR_STEP(Secret, Math.floor(Time / 1000 / TOTP_PERIOD));
+
+/*********************
+ * VERIFY_TOTP Function
+ * - Checks a code against a secret, accepting the codes of `Window` time steps before and after the current one
+ *   to tolerate clock drift between the server and the authenticator app.
+ * - Returns the time step the code belongs to, so that callers can reject a code that was already used,
+ *   or null if the code is invalid.
+ *********************/
+export const VERIFY_TOTP = (Secret, Code, Window = 1, Time = Date.now()) => {
+    const NormalisedCode = String(Code || "").replace(/\s/g, "");
+
+    if (!Secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(NormalisedCode)) return null;
+
+    const CurrentStep = Math.floor(Time / 1000 / TOTP_PERIOD);
+
+    for (let Offset = -Window; Offset <= Window; Offset++) {
+        const Expected = GENERATE_CODE_FOR_STEP(Secret, CurrentStep + Offset);
+
+        if (CRYPTO.timingSafeEqual(Buffer.from(Expected), Buffer.from(NormalisedCode))) return CurrentStep + Offset;
+    }
+
+    return null;
+}
+
+/*********************
+ * BUILD_OTPAUTH_URI Function
+ * - Builds the "otpauth://" URI understood by authenticator apps (usually rendered as a QR code by the client).
+ * - Issuer: Name of the service shown in the app.
+ * - AccountName: Name of the account shown in the app (e.g. the email address).
+ *********************/
+export const BUILD_OTPAUTH_URI = ({ Secret, Issuer, AccountName }) => {
+    const Label = encodeURIComponent(`${Issuer}:${AccountName}`);
+    const Parameters = new URLSearchParams({
+        secret: Secret,
+        issuer: Issuer,
+        algorithm: TOTP_ALGORITHM.toUpperCase(),
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD),
+    });
+
+    return `otpauth://totp/${Label}?${Parameters}`;
+}
+
+/*********************
+ * GENERATE_RECOVERY_CODES Function
+ * - Generates `Count` random single-use recovery codes in the form "xxxxx-xxxxx".
+ * - The codes are returned in plain text to be shown to the user once; only their hashes should be stored.
+ *********************/
+export const GENERATE_RECOVERY_CODES = (Count = 10) => Array.from({ length: Count }, () => {
+    const Code = CRYPTO.randomBytes(5).toString("hex");
+
+    return `${Code.slice(0, 5)}-${Code.slice(5)}`;
+});
+
+/*********************
+ * NORMALISE_RECOVERY_CODE Function
+ * - Normalises a recovery code typed by the user (case, spaces and dashes) before it is hashed and compared.
+ *********************/
+export const NORMALISE_RECOVERY_CODE = (Code = "") => String(Code).toLowerCase().replace(/[\s-]/g, "");
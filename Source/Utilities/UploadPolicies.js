@@ -0,0 +1,138 @@
+/*********************
+ * Import necessary packages and modules.
+ * - path: Used to sanitise the names of the uploaded files.
+ * - process: Provides access to the environment variables.
+ *********************/
+import PATH from "node:path";
+import PROCESS from "node:process";
+
+/*********************
+ * Import custom modules and functions.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - INSPECT_FILE: Detects the type, dimensions and duration of a file from its content.
+ * - SCAN_FILE: Scans a file with the configured malware scanner.
+ *********************/
+import { API_ERROR } from "./ApiError.js";
+import { INSPECT_FILE } from "./FileInspection.js";
+import { SCAN_FILE } from "./MalwareScanner.js";
+
+/*********************
+ * Types accepted for images and videos, as detected from the content of the files.
+ *********************/
+const IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+const VIDEO_MIME_TYPES = ["video/mp4", "video/quicktime", "video/webm", "video/x-matroska"];
+
+const MEGABYTE = 1024 * 1024;
+
+/*********************
+ * Upload policies, by form field name.
+ * - Label: Name of the file in error messages.
+ * - MimeTypes: Accepted types, detected from the magic bytes of the file (the type reported by the client is ignored).
+ * - MaxBytes: Largest accepted file. Videos default to 2 GiB (UPLOAD_MAX_VIDEO_BYTES), larger files go through
+ *   the resumable uploads.
+ * - MaxWidth, MaxHeight: Largest accepted image dimensions, in pixels.
+ * - MaxDurationSeconds: Longest accepted video, 4 hours by default (UPLOAD_MAX_VIDEO_DURATION_SECONDS).
+ *   Videos whose duration cannot be read from their header are rejected, since their length could not be checked.
+ * - Files sent in a field without a policy are rejected.
+ *********************/
+export const UPLOAD_POLICIES = {
+    avatar: { Label: "Avatar", MimeTypes: IMAGE_MIME_TYPES, MaxBytes: 5 * MEGABYTE, MaxWidth: 4096, MaxHeight: 4096 },
+    coverImage: { Label: "Cover image", MimeTypes: IMAGE_MIME_TYPES, MaxBytes: 10 * MEGABYTE, MaxWidth: 8192, MaxHeight: 8192 },
+    thumbnail: { Label: "Thumbnail", MimeTypes: IMAGE_MIME_TYPES, MaxBytes: 5 * MEGABYTE, MaxWidth: 4096, MaxHeight: 4096 },
+    image: { Label: "Image", MimeTypes: IMAGE_MIME_TYPES, MaxBytes: 10 * MEGABYTE, MaxWidth: 8192, MaxHeight: 8192 },
+    videoFile: {
+        Label: "Video",
+        MimeTypes: VIDEO_MIME_TYPES,
+        MaxBytes: Number(PROCESS.env.UPLOAD_MAX_VIDEO_BYTES) || 2 * 1024 * MEGABYTE,
+        MaxDurationSeconds: Number(PROCESS.env.UPLOAD_MAX_VIDEO_DURATION_SECONDS) || 4 * 60 * 60,
+    },
+};
+
+/*********************
+ * Format a number of bytes for error messages (e.g. "5 MB").
+ *********************/
+const FORMAT_BYTES = (Bytes) => Bytes >= MEGABYTE ? `${Math.floor(Bytes / MEGABYTE)} MB` : `${Math.floor(Bytes / 1024)} KB`;
+
+/*********************
+ * SAFE_FILE_NAME Function
+ * - Builds a file name that is safe to store and to show: no directories, no control or special characters,
+ *   at most 100 characters, and the extension of the detected type instead of the one chosen by the client.
+ *********************/
+export const SAFE_FILE_NAME = (OriginalName = "", Extension = "") => {
+    const BaseName = PATH.basename(String(OriginalName).replace(/\\/g, "/"), PATH.extname(String(OriginalName)))
+        .normalize("NFKC")
+        .replace(/[^\p{L}\p{N} ._-]/gu, "")
+        .replace(/^[.\s]+/, "")
+        .trim()
+        .slice(0, 100);
+
+    return `${BaseName || "file"}${Extension}`;
+}
+
+/*********************
+ * TOO_LARGE_ERROR Function
+ * - Content Too Large (413) error for a file that exceeds the size allowed by its policy.
+ *********************/
+export const TOO_LARGE_ERROR = (Policy) => new API_ERROR(413, `${Policy.Label} must be at most ${FORMAT_BYTES(Policy.MaxBytes)}...!`);
+
+/*********************
+ * ENFORCE_UPLOAD_POLICY Function
+ * - Checks a file written to disk against a policy, then scans it for malware:
+ *   - Content Too Large (413) when the file is larger than the policy allows.
+ *   - Unsupported Media Type (415) when its content is not one of the accepted types, whatever its name or reported type.
+ *   - Unprocessable Content (422) when the file cannot be read, the image is too large, the video too long,
+ *     or the malware scanner rejects the file.
+ *   - Service Unavailable (503) when the malware scanner fails, files are never accepted unscanned.
+ * - File: Described like a Multer file ({ fieldname, originalname, mimetype, path, size }).
+ * - Returns the file with its detected type, a safe name, and its width, height and duration.
+ *********************/
+export const ENFORCE_UPLOAD_POLICY = async (File, Policy) => {
+    if (File.size > Policy.MaxBytes) throw TOO_LARGE_ERROR(Policy);
+
+    let Details;
+
+    try {
+        Details = await INSPECT_FILE(File.path);
+    } catch (error) {
+        throw new API_ERROR(422, `${Policy.Label} could not be read, the file may be damaged...!`);
+    }
+
+    if (!Policy.MimeTypes.includes(Details.mimeType)) {
+        throw new API_ERROR(415, `${Policy.Label} must be one of: ${Policy.MimeTypes.join(", ")}...!`);
+    }
+
+    if (Policy.MaxWidth && !(Details.width > 0 && Details.height > 0)) {
+        throw new API_ERROR(422, `${Policy.Label} could not be read, the file may be damaged...!`);
+    }
+
+    if (Details.width > Policy.MaxWidth || Details.height > Policy.MaxHeight) {
+        throw new API_ERROR(422, `${Policy.Label} must be at most ${Policy.MaxWidth}x${Policy.MaxHeight} pixels...!`);
+    }
+
+    if (Policy.MaxDurationSeconds && !(Details.duration > 0)) {
+        throw new API_ERROR(422, `${Policy.Label} duration could not be read, the file may be damaged...!`);
+    }
+
+    if (Policy.MaxDurationSeconds && Details.duration > Policy.MaxDurationSeconds) {
+        throw new API_ERROR(422, `${Policy.Label} must be at most ${Math.floor(Policy.MaxDurationSeconds / 60)} minutes long...!`);
+    }
+
+    let ScanResult;
+
+    try {
+        ScanResult = await SCAN_FILE(File.path, { MimeType: Details.mimeType, FieldName: File.fieldname });
+    } catch (error) {
+        throw new API_ERROR(503, `${Policy.Label} could not be scanned, please try again later...!`);
+    }
+
+    if (!ScanResult.isClean) throw new API_ERROR(422, `${Policy.Label} was rejected by the malware scan...!`);
+
+    return {
+        ...File,
+        originalname: SAFE_FILE_NAME(File.originalname, Details.extension),
+        mimetype: Details.mimeType,
+        width: Details.width,
+        height: Details.height,
+        duration: Details.duration,
+    };
+}
@@ -0,0 +1,130 @@
+/*********************
+ * Import necessary packages and modules.
+ * - path: Used for working with file paths.
+ * - fs: Provides methods for interacting with the file system.
+ * - crypto: Used to give every upload attempt its own copy of the image.
+ *********************/
+import PATH from "node:path";
+import FILE_SYSTEM from "node:fs";
+import CRYPTO from "node:crypto";
+
+/*********************
+ * Import custom modules and functions.
+ * - USER: Mongoose model representing the User schema.
+ * - PUBLIC_DIRECTORY: The "Public" directory, whose "Temporary" sub directory holds the files being uploaded.
+ * - UPLOAD_FILE, DISCARD_UPLOADED_FILES: Functions to upload files with the configured storage driver and delete them.
+ * - REGISTER_JOB, ENQUEUE_JOB: Functions to declare and queue background jobs.
+ *********************/
+import { USER } from "../Models/User.Model.js";
+import { PUBLIC_DIRECTORY } from "../Storage/LocalDisk.Storage.js";
+import { UPLOAD_FILE, DISCARD_UPLOADED_FILES } from "./Storage.js";
+import { REGISTER_JOB, ENQUEUE_JOB } from "./JobQueue.js";
+
+/*********************
+ * Directory the images of a queued job are moved to, out of the reach of the cleanup of the request that uploaded them.
+ * - It is outside "Public/Temporary", so the temporary files janitor never deletes the images of a job that is still
+ *   waiting or retrying, however long the queue is. The job deletes each image once it is stored.
+ *********************/
+const QUEUED_IMAGES_DIRECTORY = PATH.join(PUBLIC_DIRECTORY, "Jobs");
+
+/*********************
+ * Name of the job storing the images of a new user.
+ *********************/
+const STORE_USER_IMAGES_JOB = "StoreUserImages";
+
+/*********************
+ * Store the images of a user with the configured storage driver, then set them on the user.
+ * - Images: { Field, Folder, Path } of each image, Field being "avatar" or "coverImage".
+ * - The job can run again after a failure or a crash, so every step is safe to repeat:
+ *   - An image whose file is gone was stored by a previous attempt and is skipped, if the user has it. If the user still
+ *     has no image, the file was lost: the job fails, so it ends in the dead-letter list instead of passing silently.
+ *   - The image is uploaded from a copy of its own for every attempt, since the storage drivers delete the file they are
+ *     given when the upload fails. The copy is removed whatever the outcome.
+ *   - An image is only set on a user who has none yet: if the user was deleted, or already set another image in the
+ *     meantime, the uploaded image is deleted again.
+ *   - Once the attempt timed out (Signal), it stops before the next step and deletes an image it uploaded but did not set,
+ *     since the job is retried.
+ *********************/
+REGISTER_JOB(STORE_USER_IMAGES_JOB, async ({ UserId, Images }, Job, Signal) => {
+    for (const { Field, Folder, Path } of Images) {
+        Signal?.throwIfAborted();
+
+        const isQueued = await FILE_SYSTEM.promises.access(Path).then(() => true, () => false);
+
+        if (!isQueued) {
+            const isMissing = await USER.exists({ _id: UserId, [`${Field}Key`]: null });
+
+            if (isMissing) throw new Error(`The ${Field} of user ${UserId} is not stored and its file "${Path}" is gone`);
+
+            continue;
+        }
+
+        const UploadPath = `${Path}.${CRYPTO.randomBytes(8).toString("hex")}.upload`;
+
+        let UploadedImage;
+
+        try {
+            await FILE_SYSTEM.promises.copyFile(Path, UploadPath);
+
+            UploadedImage = await UPLOAD_FILE(UploadPath, { Folder });
+        } finally {
+            await FILE_SYSTEM.promises.unlink(UploadPath).catch(() => { });
+        }
+
+        if (!UploadedImage) throw new Error(`The ${Field} of user ${UserId} could not be uploaded`);
+
+        try {
+            Signal?.throwIfAborted();
+
+            const Result = await USER.updateOne(
+                { _id: UserId, [`${Field}Key`]: null },
+                { $set: { [Field]: UploadedImage.url, [`${Field}Key`]: UploadedImage.key } }
+            );
+
+            if (Result.matchedCount === 0) await DISCARD_UPLOADED_FILES(UploadedImage);
+        } catch (error) {
+            await DISCARD_UPLOADED_FILES(UploadedImage);
+
+            throw error;
+        }
+
+        await FILE_SYSTEM.promises.unlink(Path).catch(() => { });
+    }
+}, { MaxAttempts: 5, Concurrency: 2, BackoffMs: 30 * 1000 });
+
+/*********************
+ * QUEUE_USER_IMAGES_STORAGE Function
+ * - Queues the storage of the images uploaded for a user (e.g. at registration), so the request does not wait for
+ *   the storage provider.
+ * - Files: Multer files by field name ({ avatar: [File], coverImage: [File] }), only the fields of Folders are stored.
+ * - Folders: Storage folder of each field (e.g. { avatar: "Avatars" }).
+ * - The files are moved out of the temporary files of the request first. If the job cannot be queued, they are
+ *   deleted and the error is passed on.
+ *********************/
+export const QUEUE_USER_IMAGES_STORAGE = async (UserId, Files = {}, Folders = {}) => {
+    const Images = Object.entries(Folders)
+        .filter(([Field]) => Files[Field]?.[0]?.path)
+        .map(([Field, Folder]) => ({
+            Field,
+            Folder,
+            Path: PATH.join(QUEUED_IMAGES_DIRECTORY, PATH.basename(Files[Field][0].path)),
+            TemporaryPath: Files[Field][0].path,
+        }));
+
+    if (Images.length === 0) return null;
+
+    await FILE_SYSTEM.promises.mkdir(QUEUED_IMAGES_DIRECTORY, { recursive: true });
+
+    try {
+        for (const Image of Images) await FILE_SYSTEM.promises.rename(Image.TemporaryPath, Image.Path);
+
+        return await ENQUEUE_JOB(STORE_USER_IMAGES_JOB, {
+            UserId: String(UserId),
+            Images: Images.map(({ Field, Folder, Path }) => ({ Field, Folder, Path })),
+        });
+    } catch (error) {
+        await Promise.all(Images.map((Image) => FILE_SYSTEM.promises.unlink(Image.Path).catch(() => { })));
+
+        throw error;
+    }
+}
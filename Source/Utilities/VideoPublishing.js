@@ -0,0 +1,79 @@
+/*********************
+ * Import necessary packages and modules.
+ * - mongoose: Used here to build the id of the new video.
+ *********************/
+import MONGOOSE from "mongoose";
+
+/*********************
+ * Import custom modules and functions.
+ * - API_ERROR: Custom error class for handling API errors.
+ * - VIDEO: Mongoose model representing the Video schema.
+ * - UPLOAD_FILE, DISCARD_UPLOADED_FILES, CAN_STREAM_FILE: Functions to upload, delete and check stored files.
+ *********************/
+import { API_ERROR } from "./ApiError.js";
+import { VIDEO } from "../Models/Video.Model.js";
+import { UPLOAD_FILE, DISCARD_UPLOADED_FILES, CAN_STREAM_FILE } from "./Storage.js";
+
+/*********************
+ * PUBLISH_VIDEO Function
+ * - Uploads a video file and its thumbnail with the configured storage driver and creates the video in the database.
+ * - VideoFile, ThumbnailFile: Local (temporary) files, described like Multer files ({ path, mimetype, originalname, duration }).
+ * - If an upload fails, the file that was already uploaded is removed and an Internal Server Error (500) error is thrown.
+ * - If the video cannot be created, both uploaded files are removed and the error is passed on.
+ * - Used by the single request upload (POST /videos) and the resumable uploads (POST /uploads/:uploadId/complete).
+ *********************/
+export const PUBLISH_VIDEO = async ({ OwnerId, VideoFile, ThumbnailFile, Title, Description, IsPublished }) => {
+    const UploadedVideoFile = await UPLOAD_FILE(VideoFile.path, {
+        Folder: "Videos",
+        MimeType: VideoFile.mimetype,
+        OriginalName: VideoFile.originalname,
+    });
+
+    if (!UploadedVideoFile) throw new API_ERROR(500, "Something went wrong while uploading video file...!");
+
+    const UploadedThumbnail = await UPLOAD_FILE(ThumbnailFile.path, {
+        Folder: "Thumbnails",
+        MimeType: ThumbnailFile.mimetype,
+        OriginalName: ThumbnailFile.originalname,
+    });
+
+    if (!UploadedThumbnail) {
+        await DISCARD_UPLOADED_FILES(UploadedVideoFile);
+        throw new API_ERROR(500, "Something went wrong while uploading thumbnail...!");
+    }
+
+    /*******
+     * Create the video in the database.
+     * - The duration is reported by the storage driver when it can determine it (e.g. Cloudinary),
+     *   otherwise it is the duration read from the file header when it was checked (see ENFORCE_UPLOAD_POLICY), 0 otherwise.
+     * - Files the application reads itself (local storage) are not served under "/static", and private files of other
+     *   providers (Cloudinary authenticated files) have no URL: their URL is the streaming endpoint, which checks the
+     *   publish status of the video.
+     *******/
+    const VideoId = new MONGOOSE.Types.ObjectId();
+
+    let CreatedVideo;
+
+    try {
+        CreatedVideo = await VIDEO.create({
+            _id: VideoId,
+            videoFile: CAN_STREAM_FILE(UploadedVideoFile.key) || !UploadedVideoFile.url ? `/api/v1/videos/${VideoId}/stream` : UploadedVideoFile.url,
+            videoFileKey: UploadedVideoFile.key,
+            thumbnail: UploadedThumbnail.url,
+            thumbnailKey: UploadedThumbnail.key,
+            title: Title,
+            description: Description,
+            owner: OwnerId,
+            duration: UploadedVideoFile.duration || VideoFile.duration || 0,
+            isPublished: IsPublished,
+        });
+    } catch (error) {
+        await DISCARD_UPLOADED_FILES(UploadedVideoFile, UploadedThumbnail);
+
+        throw error;
+    }
+
+    if (!CreatedVideo) throw new API_ERROR(500, "Something went wrong while publishing the video...!");
+
+    return CreatedVideo;
+}
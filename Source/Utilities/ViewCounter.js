@@ -0,0 +1,232 @@
+/*********************
+ * Import necessary packages and modules.
+ * - crypto: Used to generate the ids of the batches of views.
+ * - process: Provides access to the environment variables.
+ *********************/
+import CRYPTO from "node:crypto";
+import PROCESS from "node:process";
+
+/*********************
+ * Import custom modules and functions.
+ * - REDIS: Redis client used to buffer the views.
+ * - VIDEO: Mongoose model representing the Video schema, where the views are persisted.
+ * - HASH_STRING: Helper function that returns the SHA-256 hash of a string.
+ * - ACQUIRE_LOCK, EXTEND_LOCK, RELEASE_LOCK: Functions to take, keep and release a lock shared by the workers.
+ * - LOG_ERROR, LOG_INFO: Logging functions for error and info logs.
+ *********************/
+import { REDIS } from "../Redis.js";
+import { VIDEO } from "../Models/Video.Model.js";
+import { HASH_STRING } from "./HelperFunctions.js";
+import { ACQUIRE_LOCK, EXTEND_LOCK, RELEASE_LOCK } from "./RedisLock.js";
+import { LOG_ERROR, LOG_INFO } from "./WinstonLogger.js";
+
+/*********************
+ * View counting settings (overridable through environment variables).
+ * - VIEW_DEDUPLICATION_WINDOW_SECONDS: A viewer is counted at most once per video during this window.
+ * - VIEW_FLUSH_INTERVAL_MS: How often the buffered views are written to MongoDB.
+ * - FLUSH_LOCK_TIME_TO_LIVE_MS: Lifetime of the lock that keeps the workers from flushing at the same time.
+ *   It is extended every third of its lifetime while the flush runs.
+ * - VIEW_BATCHES_KEPT: Number of batch ids remembered on each video, to recognise a batch that is written again.
+ *********************/
+const VIEW_DEDUPLICATION_WINDOW_SECONDS = Number(PROCESS.env.VIEW_DEDUPLICATION_WINDOW_SECONDS) || 30 * 60;
+const VIEW_FLUSH_INTERVAL_MS = Number(PROCESS.env.VIEW_FLUSH_INTERVAL_MS) || 10 * 1000;
+const FLUSH_LOCK_TIME_TO_LIVE_MS = 30 * 1000;
+const VIEW_BATCHES_KEPT = 10;
+
+/*********************
+ * Redis keys used by the view counter.
+ * - PENDING_VIEWS_KEY: Hash mapping a video id to the number of views not yet written to MongoDB.
+ * - FLUSHING_VIEWS_KEY: The pending views being written to MongoDB. It is kept until the write succeeds,
+ *   so views are never lost when MongoDB is unavailable or a worker dies in the middle of a flush.
+ * - FLUSHING_BATCH_KEY: Id of the batch stored in FLUSHING_VIEWS_KEY.
+ * - FLUSH_LOCK_KEY: Lock held by the worker that is flushing.
+ * - VIEWER_KEY: Marks that a viewer was already counted for a video during the deduplication window.
+ *********************/
+const PENDING_VIEWS_KEY = "Views:Pending";
+const FLUSHING_VIEWS_KEY = "Views:Flushing";
+const FLUSHING_BATCH_KEY = "Views:Flushing:BatchId";
+const FLUSH_LOCK_KEY = "Views:FlushLock";
+const VIEWER_KEY = (VideoId, Viewer) => `Views:Viewer:${VideoId}:${Viewer}`;
+
+/*********************
+ * Lua script claiming the batch of views to flush, and returning its id (nil when there is nothing to flush).
+ * - The batch of a previous flush that did not complete is claimed again with its id (given one if it had none),
+ *   otherwise the pending views are renamed to FLUSHING_VIEWS_KEY and get the new id ARGV[1], in one step.
+ *********************/
+const CLAIM_BATCH_SCRIPT = `
+if redis.call("EXISTS", KEYS[2]) == 1 then
+    local BatchId = redis.call("GET", KEYS[3])
+    if not BatchId then
+        BatchId = ARGV[1]
+        redis.call("SET", KEYS[3], BatchId)
+    end
+    return BatchId
+end
+if redis.call("EXISTS", KEYS[1]) == 0 then
+    return nil
+end
+redis.call("RENAME", KEYS[1], KEYS[2])
+redis.call("SET", KEYS[3], ARGV[1])
+return ARGV[1]
+`;
+
+/*********************
+ * Lua script deleting a batch of views once it is written, only if it is still the batch with the id ARGV[1],
+ * so a worker that lost its lock cannot delete the batch claimed after its own.
+ *********************/
+const COMPLETE_BATCH_SCRIPT = `
+if redis.call("GET", KEYS[2]) == ARGV[1] then
+    return redis.call("DEL", KEYS[1], KEYS[2])
+end
+return 0
+`;
+
+/*********************
+ * GET_VIEWER_IDENTIFIER Function
+ * - Identifies who is watching, for the deduplication of views.
+ * - Authenticated users are identified by their id, anonymous viewers by a hash of their IP address and user agent.
+ *********************/
+export const GET_VIEWER_IDENTIFIER = (Request) => {
+    if (Request.User?._id) return `User:${Request.User._id}`;
+
+    return `Anonymous:${HASH_STRING(`${Request.ip}|${Request.get("user-agent") || ""}`)}`;
+}
+
+/*********************
+ * RECORD_VIEW Function
+ * - Counts a view of a video in Redis, unless the viewer was already counted during the deduplication window.
+ * - Returns true when the view was counted.
+ *********************/
+export const RECORD_VIEW = async ({ VideoId, Viewer }) => {
+    const isFirstView = await REDIS.set(VIEWER_KEY(VideoId, Viewer), "1", "EX", VIEW_DEDUPLICATION_WINDOW_SECONDS, "NX");
+
+    if (!isFirstView) return false;
+
+    await REDIS.hincrby(PENDING_VIEWS_KEY, String(VideoId), 1);
+
+    return true;
+}
+
+/*********************
+ * GET_PENDING_VIEWS Function
+ * - Returns a map of video id to the number of views buffered in Redis and not yet written to MongoDB,
+ *   including the views of a flush in progress.
+ *********************/
+export const GET_PENDING_VIEWS = async (VideoIds = []) => {
+    const Ids = VideoIds.map(String);
+    const PendingViews = {};
+
+    if (Ids.length === 0) return PendingViews;
+
+    const [[, Pending], [, Flushing]] = await REDIS.multi()
+        .hmget(PENDING_VIEWS_KEY, ...Ids)
+        .hmget(FLUSHING_VIEWS_KEY, ...Ids)
+        .exec();
+
+    Ids.forEach((Id, Index) => {
+        PendingViews[Id] = (Number(Pending[Index]) || 0) + (Number(Flushing[Index]) || 0);
+    });
+
+    return PendingViews;
+}
+
+/*********************
+ * ADD_PENDING_VIEWS Function
+ * - Adds the buffered views to the `views` of one or several videos (documents or aggregation results),
+ *   so responses show the combined persisted and pending count.
+ *********************/
+export const ADD_PENDING_VIEWS = async (Videos) => {
+    const List = (Array.isArray(Videos) ? Videos : [Videos]).filter(Boolean);
+    const PendingViews = await GET_PENDING_VIEWS(List.map((Video) => Video._id));
+
+    List.forEach((Video) => {
+        Video.views = (Video.views || 0) + (PendingViews[String(Video._id)] || 0);
+    });
+
+    return Videos;
+}
+
+/*********************
+ * FLUSH_PENDING_VIEWS Function
+ * - Writes the buffered views to MongoDB in a single bulk write and returns the number of videos updated.
+ * - Only one worker flushes at a time, the lock is extended while the flush runs. The pending views are renamed to
+ *   FLUSHING_VIEWS_KEY before they are written, so views recorded during the flush are buffered for the next one.
+ * - If the write fails, FLUSHING_VIEWS_KEY is left in place and written again by the next flush.
+ * - Every batch has an id, added to the `viewBatches` of each video in the same update as its views: a batch written
+ *   again (after a failed or interrupted flush, or by a worker that lost the lock) skips the videos it was already added to.
+ *********************/
+export const FLUSH_PENDING_VIEWS = async () => {
+    const LockToken = await ACQUIRE_LOCK(FLUSH_LOCK_KEY, FLUSH_LOCK_TIME_TO_LIVE_MS);
+
+    if (!LockToken) return 0;
+
+    const LockTimer = setInterval(() => {
+        EXTEND_LOCK(FLUSH_LOCK_KEY, LockToken, FLUSH_LOCK_TIME_TO_LIVE_MS).catch(() => { });
+    }, FLUSH_LOCK_TIME_TO_LIVE_MS / 3);
+    LockTimer.unref();
+
+    try {
+        /*******
+         * Pick up the views of a previous flush that did not complete, or else start a new batch.
+         *******/
+        const BatchId = await REDIS.eval(
+            CLAIM_BATCH_SCRIPT, 3, PENDING_VIEWS_KEY, FLUSHING_VIEWS_KEY, FLUSHING_BATCH_KEY, CRYPTO.randomUUID()
+        );
+
+        if (!BatchId) return 0;
+
+        const Views = await REDIS.hgetall(FLUSHING_VIEWS_KEY);
+
+        const Operations = Object.entries(Views)
+            .filter(([, Count]) => Number(Count) > 0)
+            .map(([VideoId, Count]) => ({
+                updateOne: {
+                    filter: { _id: VideoId, viewBatches: { $ne: BatchId } },
+                    update: {
+                        $inc: { views: Number(Count) },
+                        $push: { viewBatches: { $each: [BatchId], $slice: -VIEW_BATCHES_KEPT } },
+                    },
+                },
+            }));
+
+        if (Operations.length > 0) await VIDEO.bulkWrite(Operations, { ordered: false });
+
+        await REDIS.eval(COMPLETE_BATCH_SCRIPT, 2, FLUSHING_VIEWS_KEY, FLUSHING_BATCH_KEY, BatchId);
+
+        return Operations.length;
+    } finally {
+        clearInterval(LockTimer);
+
+        await RELEASE_LOCK(FLUSH_LOCK_KEY, LockToken);
+    }
+}
+
+/*********************
+ * START_VIEW_COUNTER Function
+ * - Flushes the buffered views to MongoDB every VIEW_FLUSH_INTERVAL_MS.
+ * - Every worker runs the timer, the flush lock makes sure only one of them writes at a time.
+ * - Returns a function that stops the timer and flushes one last time, used on shutdown.
+ *********************/
+export const START_VIEW_COUNTER = () => {
+    const Flush = () => FLUSH_PENDING_VIEWS().catch((error) => {
+        LOG_ERROR({
+            label: "ViewCounter.js",
+            service: "FLUSH_PENDING_VIEWS",
+            error: `Failed to flush the buffered views: ${error?.message}`,
+        });
+    });
+
+    const Timer = setInterval(Flush, VIEW_FLUSH_INTERVAL_MS);
+    Timer.unref();
+
+    LOG_INFO({
+        label: "ViewCounter.js",
+        service: "START_VIEW_COUNTER",
+        message: `Buffered views are flushed every ${VIEW_FLUSH_INTERVAL_MS}ms`,
+    });
+
+    return async () => {
+        clearInterval(Timer);
+        await Flush();
+    };
+}
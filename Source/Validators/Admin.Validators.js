@@ -0,0 +1,53 @@
+/*********************
+ * Import custom modules and functions.
+ * - ROLES: Roles a user can have.
+ *********************/
+import { ROLES } from "../Utilities/Permissions.js";
+
+/*********************
+ * Validation schemas of the admin routes.
+ * - Every schema is passed to the VALIDATE middleware (see Validation.Middleware.js) and describes
+ *   the body, query, params and files a route accepts.
+ *********************/
+
+/*********************
+ * GET /users/:userId/roles
+ * POST /users/:userId/unlock
+ *********************/
+export const USER_ID_SCHEMA = {
+    params: {
+        userId: { type: "objectId", required: true, label: "User id" },
+    },
+};
+
+/*********************
+ * PUT /users/:userId/roles/:role
+ * DELETE /users/:userId/roles/:role
+ *********************/
+export const USER_ROLE_SCHEMA = {
+    params: {
+        userId: { type: "objectId", required: true, label: "User id" },
+        role: { type: "string", required: true, lowercase: true, enum: Object.values(ROLES), label: "Role" },
+    },
+};
+
+/*********************
+ * GET /jobs/failed
+ *********************/
+export const FAILED_JOBS_SCHEMA = {
+    query: {
+        page: { type: "integer", min: 1, default: 1, label: "Page" },
+        limit: { type: "integer", min: 1, max: 100, default: 20, label: "Limit" },
+    },
+};
+
+/*********************
+ * GET /jobs/:jobId
+ * POST /jobs/:jobId/retry
+ * DELETE /jobs/:jobId
+ *********************/
+export const JOB_ID_SCHEMA = {
+    params: {
+        jobId: { type: "string", required: true, pattern: /^[a-f\d]{24}$/, lowercase: true, label: "Job id", message: "Job id must be a valid id...!" },
+    },
+};
@@ -0,0 +1,76 @@
+/*********************
+ * Validation schemas of the comment routes.
+ * - Every schema is passed to the VALIDATE middleware (see Validation.Middleware.js) and describes
+ *   the body, query, params and files a route accepts.
+ *********************/
+
+/*********************
+ * Reusable field rules.
+ *********************/
+const PAGINATION_QUERY = {
+    page: { type: "integer", min: 1, default: 1, label: "Page" },
+    limit: { type: "integer", min: 1, max: 50, default: 10, label: "Limit" },
+};
+const VIDEO_ID_PARAMS = {
+    videoId: { type: "objectId", required: true, label: "Video id" },
+};
+const COMMENT_ID_PARAMS = {
+    commentId: { type: "objectId", required: true, label: "Comment id" },
+};
+const CONTENT_RULE = { type: "string", required: true, maxLength: 2000, label: "Content" };
+
+/*********************
+ * GET /videos/:videoId
+ *********************/
+export const GET_VIDEO_COMMENTS_SCHEMA = {
+    params: VIDEO_ID_PARAMS,
+    query: {
+        ...PAGINATION_QUERY,
+        sortBy: { type: "string", enum: ["newest", "top"], default: "newest", label: "Sort by" },
+    },
+};
+
+/*********************
+ * POST /videos/:videoId
+ *********************/
+export const ADD_COMMENT_SCHEMA = {
+    params: VIDEO_ID_PARAMS,
+    body: {
+        content: CONTENT_RULE,
+    },
+};
+
+/*********************
+ * GET /:commentId/replies
+ *********************/
+export const GET_COMMENT_REPLIES_SCHEMA = {
+    params: COMMENT_ID_PARAMS,
+    query: PAGINATION_QUERY,
+};
+
+/*********************
+ * POST /:commentId/replies
+ *********************/
+export const ADD_REPLY_SCHEMA = {
+    params: COMMENT_ID_PARAMS,
+    body: {
+        content: CONTENT_RULE,
+    },
+};
+
+/*********************
+ * PATCH /:commentId
+ *********************/
+export const UPDATE_COMMENT_SCHEMA = {
+    params: COMMENT_ID_PARAMS,
+    body: {
+        content: CONTENT_RULE,
+    },
+};
+
+/*********************
+ * DELETE /:commentId, PATCH /:commentId/toggle-pin
+ *********************/
+export const COMMENT_ID_SCHEMA = {
+    params: COMMENT_ID_PARAMS,
+};
@@ -0,0 +1,27 @@
+/*********************
+ * Validation schemas of the dashboard routes.
+ * - Every schema is passed to the VALIDATE middleware (see Validation.Middleware.js) and describes
+ *   the body, query, params and files a route accepts.
+ *********************/
+
+/*********************
+ * GET /stats
+ * - days: Number of days covered by `uploadsPerDay`, ending today.
+ *********************/
+export const GET_CHANNEL_STATS_SCHEMA = {
+    query: {
+        days: { type: "integer", min: 1, max: 365, default: 30, label: "Days" },
+    },
+};
+
+/*********************
+ * GET /videos
+ *********************/
+export const GET_CHANNEL_VIDEOS_STATS_SCHEMA = {
+    query: {
+        page: { type: "integer", min: 1, default: 1, label: "Page" },
+        limit: { type: "integer", min: 1, max: 50, default: 10, label: "Limit" },
+        sortBy: { type: "string", enum: ["createdAt", "views", "duration", "title"], default: "createdAt", label: "Sort by" },
+        sortType: { type: "string", enum: ["asc", "desc"], default: "desc", label: "Sort type" },
+    },
+};
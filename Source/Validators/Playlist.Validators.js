@@ -0,0 +1,120 @@
+/*********************
+ * Import the constants of the Playlist model.
+ * - PLAYLIST_VISIBILITIES: Visibilities of a playlist.
+ * - PLAYLIST_MAX_VIDEOS: Maximum number of videos in a playlist.
+ *********************/
+import { PLAYLIST_VISIBILITIES, PLAYLIST_MAX_VIDEOS } from "../Models/Playlist.Model.js";
+
+/*********************
+ * Validation schemas of the playlist routes.
+ * - Every schema is passed to the VALIDATE middleware (see Validation.Middleware.js) and describes
+ *   the body, query, params and files a route accepts.
+ *********************/
+
+/*********************
+ * Reusable field rules.
+ * - PLAYLIST_ID_RULE: The id of a playlist, or "watch-later" for the "Watch later" playlist of the authenticated user.
+ *********************/
+const PAGINATION_QUERY = {
+    page: { type: "integer", min: 1, default: 1, label: "Page" },
+    limit: { type: "integer", min: 1, max: 50, default: 10, label: "Limit" },
+};
+const PLAYLIST_ID_RULE = {
+    type: "string",
+    required: true,
+    lowercase: true,
+    pattern: /^([a-f\d]{24}|watch-later)$/,
+    message: "Playlist id must be a valid id or \"watch-later\"...!",
+    label: "Playlist id",
+};
+const PLAYLIST_VIDEO_PARAMS = {
+    playlistId: PLAYLIST_ID_RULE,
+    videoId: { type: "objectId", required: true, label: "Video id" },
+};
+const NAME_RULE = { type: "string", maxLength: 150, label: "Name" };
+const DESCRIPTION_RULE = { type: "string", maxLength: 5000, label: "Description" };
+const VISIBILITY_RULE = { type: "string", enum: Object.values(PLAYLIST_VISIBILITIES), label: "Visibility" };
+const POSITION_RULE = { type: "integer", min: 0, max: PLAYLIST_MAX_VIDEOS - 1, label: "Position" };
+
+/*********************
+ * POST /
+ *********************/
+export const CREATE_PLAYLIST_SCHEMA = {
+    body: {
+        name: { ...NAME_RULE, required: true },
+        description: { ...DESCRIPTION_RULE, default: "" },
+        visibility: { ...VISIBILITY_RULE, default: PLAYLIST_VISIBILITIES.PRIVATE },
+    },
+};
+
+/*********************
+ * GET /users/:userId
+ *********************/
+export const GET_USER_PLAYLISTS_SCHEMA = {
+    params: {
+        userId: { type: "objectId", required: true, label: "User id" },
+    },
+    query: PAGINATION_QUERY,
+};
+
+/*********************
+ * GET /:playlistId
+ *********************/
+export const GET_PLAYLIST_SCHEMA = {
+    params: {
+        playlistId: PLAYLIST_ID_RULE,
+    },
+    query: PAGINATION_QUERY,
+};
+
+/*********************
+ * PATCH /:playlistId
+ * - Every field is optional, the controller rejects requests that update nothing.
+ *********************/
+export const UPDATE_PLAYLIST_SCHEMA = {
+    params: {
+        playlistId: PLAYLIST_ID_RULE,
+    },
+    body: {
+        name: NAME_RULE,
+        description: DESCRIPTION_RULE,
+        visibility: VISIBILITY_RULE,
+    },
+};
+
+/*********************
+ * DELETE /:playlistId
+ *********************/
+export const PLAYLIST_ID_SCHEMA = {
+    params: {
+        playlistId: PLAYLIST_ID_RULE,
+    },
+};
+
+/*********************
+ * POST /:playlistId/videos/:videoId
+ * - The video is added at the end of the playlist when no position is given.
+ *********************/
+export const ADD_VIDEO_TO_PLAYLIST_SCHEMA = {
+    params: PLAYLIST_VIDEO_PARAMS,
+    body: {
+        position: POSITION_RULE,
+    },
+};
+
+/*********************
+ * PATCH /:playlistId/videos/:videoId
+ *********************/
+export const MOVE_VIDEO_IN_PLAYLIST_SCHEMA = {
+    params: PLAYLIST_VIDEO_PARAMS,
+    body: {
+        position: { ...POSITION_RULE, required: true },
+    },
+};
+
+/*********************
+ * DELETE /:playlistId/videos/:videoId
+ *********************/
+export const REMOVE_VIDEO_FROM_PLAYLIST_SCHEMA = {
+    params: PLAYLIST_VIDEO_PARAMS,
+};
@@ -0,0 +1,61 @@
+/*********************
+ * Validation schemas of the community post routes.
+ * - Every schema is passed to the VALIDATE middleware (see Validation.Middleware.js) and describes
+ *   the body, query, params and files a route accepts.
+ *********************/
+
+/*********************
+ * Reusable field rules.
+ *********************/
+const POST_ID_PARAMS = {
+    postId: { type: "objectId", required: true, label: "Post id" },
+};
+const CONTENT_RULE = { type: "string", maxLength: 5000, label: "Content" };
+
+/*********************
+ * POST /
+ * - The image is optional.
+ *********************/
+export const CREATE_POST_SCHEMA = {
+    body: {
+        content: { ...CONTENT_RULE, required: true },
+    },
+    files: {
+        image: { maxCount: 1, label: "Image" },
+    },
+};
+
+/*********************
+ * GET /channels/:channelId
+ *********************/
+export const GET_CHANNEL_POSTS_SCHEMA = {
+    params: {
+        channelId: { type: "objectId", required: true, label: "Channel id" },
+    },
+    query: {
+        page: { type: "integer", min: 1, default: 1, label: "Page" },
+        limit: { type: "integer", min: 1, max: 50, default: 10, label: "Limit" },
+    },
+};
+
+/*********************
+ * PATCH /:postId
+ * - Every field is optional, the controller rejects requests that update nothing.
+ *********************/
+export const UPDATE_POST_SCHEMA = {
+    params: POST_ID_PARAMS,
+    body: {
+        content: CONTENT_RULE,
+        removeImage: { type: "boolean", default: false, label: "Remove image" },
+    },
+    files: {
+        image: { maxCount: 1, label: "Image" },
+    },
+};
+
+/*********************
+ * GET /:postId, DELETE /:postId, PATCH /:postId/toggle-pin
+ *********************/
+export const POST_ID_SCHEMA = {
+    params: POST_ID_PARAMS,
+};
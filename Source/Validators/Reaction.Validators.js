@@ -0,0 +1,47 @@
+/*********************
+ * Import the constants of the Reaction model.
+ * - REACTION_TARGET_TYPES: Types of documents users can react to.
+ * - REACTION_TYPES: Reactions a user can have on a target.
+ *********************/
+import { REACTION_TARGET_TYPES, REACTION_TYPES } from "../Models/Reaction.Model.js";
+
+/*********************
+ * Validation schemas of the reaction routes.
+ * - Every schema is passed to the VALIDATE middleware (see Validation.Middleware.js) and describes
+ *   the body, query, params and files a route accepts.
+ *********************/
+
+/*********************
+ * Reusable field rules.
+ *********************/
+const TARGET_PARAMS = {
+    targetType: { type: "string", required: true, enum: Object.values(REACTION_TARGET_TYPES), label: "Target type" },
+    targetId: { type: "objectId", required: true, label: "Target id" },
+};
+
+/*********************
+ * GET /:targetType/:targetId
+ *********************/
+export const GET_REACTIONS_SCHEMA = {
+    params: TARGET_PARAMS,
+};
+
+/*********************
+ * POST /:targetType/:targetId
+ *********************/
+export const TOGGLE_REACTION_SCHEMA = {
+    params: TARGET_PARAMS,
+    body: {
+        type: { type: "string", required: true, enum: Object.values(REACTION_TYPES), label: "Reaction type" },
+    },
+};
+
+/*********************
+ * GET /videos/liked
+ *********************/
+export const GET_LIKED_VIDEOS_SCHEMA = {
+    query: {
+        page: { type: "integer", min: 1, default: 1, label: "Page" },
+        limit: { type: "integer", min: 1, max: 50, default: 10, label: "Limit" },
+    },
+};
@@ -0,0 +1,42 @@
+/*********************
+ * Validation schemas of the subscription routes.
+ * - Every schema is passed to the VALIDATE middleware (see Validation.Middleware.js) and describes
+ *   the body, query, params and files a route accepts.
+ *********************/
+
+/*********************
+ * Reusable field rules.
+ *********************/
+const PAGINATION_QUERY = {
+    page: { type: "integer", min: 1, default: 1, label: "Page" },
+    limit: { type: "integer", min: 1, max: 50, default: 10, label: "Limit" },
+};
+
+/*********************
+ * POST /channels/:channelId
+ *********************/
+export const TOGGLE_SUBSCRIPTION_SCHEMA = {
+    params: {
+        channelId: { type: "objectId", required: true, label: "Channel id" },
+    },
+};
+
+/*********************
+ * GET /channels/:channelId/subscribers
+ *********************/
+export const GET_CHANNEL_SUBSCRIBERS_SCHEMA = {
+    params: {
+        channelId: { type: "objectId", required: true, label: "Channel id" },
+    },
+    query: PAGINATION_QUERY,
+};
+
+/*********************
+ * GET /users/:subscriberId/channels
+ *********************/
+export const GET_SUBSCRIBED_CHANNELS_SCHEMA = {
+    params: {
+        subscriberId: { type: "objectId", required: true, label: "Subscriber id" },
+    },
+    query: PAGINATION_QUERY,
+};
@@ -0,0 +1,49 @@
+/*********************
+ * Validation schemas of the resumable upload routes.
+ * - Every schema is passed to the VALIDATE middleware (see Validation.Middleware.js) and describes
+ *   the body, query, params and files a route accepts.
+ * - The chunks themselves are raw request bodies, their headers are checked by the controller.
+ *********************/
+
+/*********************
+ * Reusable field rules.
+ *********************/
+const UPLOAD_ID_PARAMS = {
+    uploadId: { type: "string", required: true, pattern: /^[a-f\d]{32}$/, lowercase: true, label: "Upload id", message: "Upload id must be a valid id...!" },
+};
+
+/*********************
+ * POST /
+ * - checksum: SHA-256 hash of the whole file, in hexadecimal.
+ *********************/
+export const CREATE_RESUMABLE_UPLOAD_SCHEMA = {
+    body: {
+        fileName: { type: "string", required: true, maxLength: 255, label: "File name" },
+        fileSize: { type: "integer", required: true, min: 1, label: "File size" },
+        mimeType: { type: "string", required: true, pattern: /^video\/[a-z0-9.+-]+$/, lowercase: true, label: "MIME type", message: "MIME type must be a video type (e.g. video/mp4)...!" },
+        checksum: { type: "string", required: true, pattern: /^[a-f\d]{64}$/, lowercase: true, label: "Checksum", message: "Checksum must be the SHA-256 hash of the file, in hexadecimal...!" },
+    },
+};
+
+/*********************
+ * GET /:uploadId, PATCH /:uploadId and DELETE /:uploadId
+ *********************/
+export const RESUMABLE_UPLOAD_ID_SCHEMA = {
+    params: UPLOAD_ID_PARAMS,
+};
+
+/*********************
+ * POST /:uploadId/complete
+ * - Same fields as POST /videos, the video file being the assembled upload.
+ *********************/
+export const COMPLETE_RESUMABLE_UPLOAD_SCHEMA = {
+    params: UPLOAD_ID_PARAMS,
+    body: {
+        title: { type: "string", required: true, maxLength: 150, label: "Title" },
+        description: { type: "string", required: true, maxLength: 5000, label: "Description" },
+        isPublished: { type: "boolean", default: true, label: "Is published" },
+    },
+    files: {
+        thumbnail: { required: true, maxCount: 1, label: "Thumbnail" },
+    },
+};
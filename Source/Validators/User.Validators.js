@@ -0,0 +1,255 @@
+/*********************
+ * Validation schemas of the user routes.
+ * - Every schema is passed to the VALIDATE middleware (see Validation.Middleware.js) and describes
+ *   the body, query, params and files a route accepts.
+ *********************/
+
+/*********************
+ * Reusable field rules.
+ * - USERNAME_RULE: Lowercase letters, digits, dots and underscores, 3 to 30 characters.
+ * - PASSWORD_RULE: 8 to 128 characters.
+ *********************/
+const USERNAME_RULE = { type: "string", lowercase: true, minLength: 3, maxLength: 30, pattern: /^[a-z0-9._]+$/, label: "Username" };
+const PASSWORD_RULE = { type: "string", trim: false, minLength: 8, maxLength: 128, label: "Password" };
+const DEVICE_LABEL_RULE = { type: "string", maxLength: 100, label: "Device label" };
+
+/*********************
+ * Two-factor code rule.
+ * - Accepts a 6 digit TOTP code or a recovery code ("xxxxx-xxxxx", the dash is optional).
+ *********************/
+const TWO_FACTOR_CODE_RULE = { type: "string", pattern: /^(\d{6}|[a-f\d]{5}-?[a-f\d]{5})$/i, label: "Code", message: "Invalid two-factor authentication code...!" };
+
+/*********************
+ * POST /register
+ * - All text fields and the avatar are required, the cover image is optional.
+ *********************/
+export const REGISTER_NEW_USER_SCHEMA = {
+    body: {
+        username: { ...USERNAME_RULE, required: true },
+        email: { type: "email", required: true, maxLength: 254, label: "Email" },
+        fullName: { type: "string", required: true, maxLength: 100, label: "Full name" },
+        password: { ...PASSWORD_RULE, required: true },
+    },
+    files: {
+        avatar: { required: true, maxCount: 1, label: "Avatar" },
+        coverImage: { maxCount: 1, label: "Cover image" },
+    },
+};
+
+/*********************
+ * POST /login
+ * - Either the username or the email is required, together with the password.
+ *********************/
+export const LOGIN_USER_SCHEMA = {
+    body: {
+        username: { type: "string", lowercase: true, maxLength: 30, label: "Username" },
+        email: {
+            type: "email",
+            maxLength: 254,
+            label: "Email",
+            custom: (Value, Body) => (!Value && !Body.username ? "Username or email required...!" : undefined),
+        },
+        password: { type: "string", trim: false, required: true, maxLength: 128, label: "Password" },
+        deviceLabel: DEVICE_LABEL_RULE,
+    },
+};
+
+/*********************
+ * POST /refresh-token
+ * - The refresh token may also be sent in the "refreshToken" cookie, so it is optional in the body.
+ *********************/
+export const REFRESH_ACCESS_TOKEN_SCHEMA = {
+    body: {
+        refreshToken: { type: "string", maxLength: 2048, label: "Refresh token" },
+    },
+};
+
+/*********************
+ * DELETE /sessions/:sessionId
+ *********************/
+export const REVOKE_SESSION_SCHEMA = {
+    params: {
+        sessionId: { type: "objectId", required: true, label: "Session id" },
+    },
+};
+
+/*********************
+ * POST /forgot-password
+ *********************/
+export const FORGOT_PASSWORD_SCHEMA = {
+    body: {
+        email: { type: "email", required: true, maxLength: 254, label: "Email" },
+    },
+};
+
+/*********************
+ * POST /reset-password
+ * - `token` is the password reset token sent by email, `password` is the new password.
+ *********************/
+export const RESET_PASSWORD_SCHEMA = {
+    body: {
+        token: { type: "string", required: true, pattern: /^[a-f\d]{64}$/i, label: "Token", message: "Password reset token is invalid or has expired...!" },
+        password: { ...PASSWORD_RULE, required: true },
+    },
+};
+
+/*********************
+ * POST /verify-email
+ * - `token` is the email verification token sent by email.
+ *********************/
+export const VERIFY_EMAIL_SCHEMA = {
+    body: {
+        token: { type: "string", required: true, pattern: /^[a-f\d]{64}$/i, label: "Token", message: "Email verification token is invalid or has expired...!" },
+    },
+};
+
+/*********************
+ * POST /resend-verification
+ *********************/
+export const RESEND_EMAIL_VERIFICATION_SCHEMA = {
+    body: {
+        email: { type: "email", required: true, maxLength: 254, label: "Email" },
+    },
+};
+
+/*********************
+ * POST /login/2fa
+ * - `challengeToken` is returned by POST /login when two-factor authentication is enabled.
+ *********************/
+export const LOGIN_WITH_TWO_FACTOR_SCHEMA = {
+    body: {
+        challengeToken: { type: "string", required: true, maxLength: 2048, label: "Challenge token" },
+        code: { ...TWO_FACTOR_CODE_RULE, required: true },
+        deviceLabel: DEVICE_LABEL_RULE,
+    },
+};
+
+/*********************
+ * POST /2fa/enroll
+ *********************/
+export const ENROLL_TWO_FACTOR_SCHEMA = {
+    body: {
+        password: { type: "string", trim: false, required: true, maxLength: 128, label: "Password" },
+    },
+};
+
+/*********************
+ * POST /2fa/confirm
+ * - Only a TOTP code of the pending secret is accepted, recovery codes do not exist yet.
+ *********************/
+export const CONFIRM_TWO_FACTOR_SCHEMA = {
+    body: {
+        code: { type: "string", required: true, pattern: /^\d{6}$/, label: "Code", message: "Invalid two-factor authentication code...!" },
+    },
+};
+
+/*********************
+ * POST /2fa/disable
+ *********************/
+export const DISABLE_TWO_FACTOR_SCHEMA = {
+    body: {
+        password: { type: "string", trim: false, required: true, maxLength: 128, label: "Password" },
+        code: { ...TWO_FACTOR_CODE_RULE, required: true },
+    },
+};
+
+/*********************
+ * POST /2fa/recovery-codes
+ *********************/
+export const REGENERATE_RECOVERY_CODES_SCHEMA = {
+    body: {
+        code: { ...TWO_FACTOR_CODE_RULE, required: true },
+    },
+};
+
+/*********************
+ * POST /unlock-account
+ * - `token` is the account unlock token sent by email when the account was locked.
+ *********************/
+export const UNLOCK_ACCOUNT_SCHEMA = {
+    body: {
+        token: { type: "string", required: true, pattern: /^[a-f\d]{64}$/i, label: "Token", message: "Account unlock token is invalid or has expired...!" },
+    },
+};
+
+/*********************
+ * PATCH /me
+ * - At least one of the fields is required.
+ *********************/
+export const UPDATE_ACCOUNT_DETAILS_SCHEMA = {
+    body: {
+        fullName: { type: "string", maxLength: 100, label: "Full name" },
+        username: USERNAME_RULE,
+        email: {
+            type: "email",
+            maxLength: 254,
+            label: "Email",
+            custom: (Value, Body) => (!Value && !Body.username && !Body.fullName ? "Provide a full name, username or email to update...!" : undefined),
+        },
+    },
+};
+
+/*********************
+ * POST /change-password
+ *********************/
+export const CHANGE_PASSWORD_SCHEMA = {
+    body: {
+        oldPassword: { type: "string", trim: false, required: true, maxLength: 128, label: "Old password" },
+        newPassword: { ...PASSWORD_RULE, required: true, label: "New password" },
+    },
+};
+
+/*********************
+ * PATCH /avatar
+ *********************/
+export const UPDATE_AVATAR_SCHEMA = {
+    files: {
+        avatar: { required: true, maxCount: 1, label: "Avatar" },
+    },
+};
+
+/*********************
+ * PATCH /cover-image
+ *********************/
+export const UPDATE_COVER_IMAGE_SCHEMA = {
+    files: {
+        coverImage: { required: true, maxCount: 1, label: "Cover image" },
+    },
+};
+
+/*********************
+ * GET /channel/:username
+ *********************/
+export const GET_USER_CHANNEL_PROFILE_SCHEMA = {
+    params: {
+        username: { ...USERNAME_RULE, required: true },
+    },
+};
+
+/*********************
+ * GET /history
+ *********************/
+export const GET_WATCH_HISTORY_SCHEMA = {
+    query: {
+        page: { type: "integer", min: 1, default: 1, label: "Page" },
+        limit: { type: "integer", min: 1, max: 50, default: 10, label: "Limit" },
+    },
+};
+
+/*********************
+ * DELETE /history/:videoId
+ *********************/
+export const REMOVE_FROM_WATCH_HISTORY_SCHEMA = {
+    params: {
+        videoId: { type: "objectId", required: true, label: "Video id" },
+    },
+};
+
+/*********************
+ * PATCH /history
+ *********************/
+export const UPDATE_WATCH_HISTORY_SETTINGS_SCHEMA = {
+    body: {
+        isPaused: { type: "boolean", required: true, label: "Is paused" },
+    },
+};
@@ -0,0 +1,66 @@
+/*********************
+ * Validation schemas of the video routes.
+ * - Every schema is passed to the VALIDATE middleware (see Validation.Middleware.js) and describes
+ *   the body, query, params and files a route accepts.
+ *********************/
+
+/*********************
+ * Reusable field rules.
+ *********************/
+const VIDEO_ID_PARAMS = {
+    videoId: { type: "objectId", required: true, label: "Video id" },
+};
+const TITLE_RULE = { type: "string", maxLength: 150, label: "Title" };
+const DESCRIPTION_RULE = { type: "string", maxLength: 5000, label: "Description" };
+
+/*********************
+ * GET /
+ *********************/
+export const GET_ALL_VIDEOS_SCHEMA = {
+    query: {
+        page: { type: "integer", min: 1, default: 1, label: "Page" },
+        limit: { type: "integer", min: 1, max: 50, default: 10, label: "Limit" },
+        query: { type: "string", maxLength: 100, label: "Query" },
+        sortBy: { type: "string", enum: ["createdAt", "views", "duration", "title"], default: "createdAt", label: "Sort by" },
+        sortType: { type: "string", enum: ["asc", "desc"], default: "desc", label: "Sort type" },
+        userId: { type: "objectId", label: "User id" },
+    },
+};
+
+/*********************
+ * POST /
+ * - The video file, the thumbnail, the title and the description are required.
+ *********************/
+export const PUBLISH_A_VIDEO_SCHEMA = {
+    body: {
+        title: { ...TITLE_RULE, required: true },
+        description: { ...DESCRIPTION_RULE, required: true },
+        isPublished: { type: "boolean", default: true, label: "Is published" },
+    },
+    files: {
+        videoFile: { required: true, maxCount: 1, label: "Video" },
+        thumbnail: { required: true, maxCount: 1, label: "Thumbnail" },
+    },
+};
+
+/*********************
+ * GET /:videoId, DELETE /:videoId and PATCH /:videoId/toggle-publish
+ *********************/
+export const VIDEO_ID_SCHEMA = {
+    params: VIDEO_ID_PARAMS,
+};
+
+/*********************
+ * PATCH /:videoId
+ * - Every field is optional, the controller rejects requests that change nothing.
+ *********************/
+export const UPDATE_VIDEO_SCHEMA = {
+    params: VIDEO_ID_PARAMS,
+    body: {
+        title: TITLE_RULE,
+        description: DESCRIPTION_RULE,
+    },
+    files: {
+        thumbnail: { maxCount: 1, label: "Thumbnail" },
+    },
+};
@@ -0,0 +1,48 @@
+/*********************
+ * Import necessary packages and modules.
+ * - node:test, assert: Built-in test runner and assertions.
+ *********************/
+import { test } from "node:test";
+import ASSERT from "node:assert/strict";
+
+/*********************
+ * Import custom modules and functions.
+ * - AGGREGATE_PAGE: The function under test.
+ *********************/
+import { AGGREGATE_PAGE } from "../Source/Utilities/AggregationStages.js";
+
+/*********************
+ * A model whose aggregations return the matched documents in reverse order, with a `looked` field added.
+ *********************/
+const CREATE_MODEL = () => {
+    const Pipelines = [];
+
+    return {
+        Pipelines,
+        aggregate: async (Pipeline) => {
+            Pipelines.push(Pipeline);
+
+            return Pipeline[0].$match._id.$in.map((_id) => ({ _id, looked: true })).reverse();
+        },
+    };
+}
+
+test("the stages run on the documents of the page only, which keep their order", async () => {
+    const Model = CREATE_MODEL();
+    const Stages = [{ $addFields: { looked: true } }];
+    const Page = { docs: [{ _id: "b" }, { _id: "a" }, { _id: "c" }], totalDocs: 30 };
+
+    await AGGREGATE_PAGE(Model, Page, Stages);
+
+    ASSERT.deepEqual(Model.Pipelines, [[{ $match: { _id: { $in: ["b", "a", "c"] } } }, ...Stages]]);
+    ASSERT.deepEqual(Page.docs, [{ _id: "b", looked: true }, { _id: "a", looked: true }, { _id: "c", looked: true }]);
+    ASSERT.equal(Page.totalDocs, 30);
+});
+
+test("an empty page is returned without running the stages", async () => {
+    const Model = CREATE_MODEL();
+    const Page = { docs: [] };
+
+    ASSERT.equal(await AGGREGATE_PAGE(Model, Page, []), Page);
+    ASSERT.equal(Model.Pipelines.length, 0);
+});
@@ -0,0 +1,65 @@
+/*********************
+ * Import necessary packages and modules.
+ * - node:test, assert: Built-in test runner and assertions.
+ * - express: Used to mount the upload middleware on a throwaway application.
+ *********************/
+import { test, before, after } from "node:test";
+import ASSERT from "node:assert/strict";
+import EXPRESS from "express";
+
+/*********************
+ * Import custom modules and functions.
+ * - UPLOAD: The upload middleware under test.
+ * - API_ERROR: Custom error class, turned into a response like the error handler of Application.js does.
+ *********************/
+import { UPLOAD } from "../Source/Middlewares/Multer.Middleware.js";
+import { API_ERROR } from "../Source/Utilities/ApiError.js";
+
+let SERVER;
+let BASE_URL;
+
+/*********************
+ * Start an application accepting a `videoFile` upload, answering with the status of API errors.
+ *********************/
+before(async () => {
+    const APPLICATION = EXPRESS();
+
+    APPLICATION.post("/upload", UPLOAD.single("videoFile"), (Request, Response) => Response.status(200).json({ success: true }));
+    APPLICATION.use((Error, Request, Response, Next) => {
+        Response.status(Error instanceof API_ERROR ? Error.statusCode : 500).json({ message: Error.message });
+    });
+
+    SERVER = APPLICATION.listen(0);
+    await new Promise((Resolve) => SERVER.once("listening", Resolve));
+    BASE_URL = `http://127.0.0.1:${SERVER.address().port}`;
+});
+
+after(() => SERVER.close());
+
+/*********************
+ * A WebM file whose Duration element is 1 byte long, instead of the 4 or 8 bytes of a float.
+ *********************/
+const MALFORMED_WEBM = Buffer.from([
+    0x1A, 0x45, 0xDF, 0xA3, 0x87, 0x42, 0x82, 0x84, ...Buffer.from("webm"), // EBML header, DocType "webm"
+    0x18, 0x53, 0x80, 0x67, 0xFF, // Segment of unknown size
+    0x15, 0x49, 0xA9, 0x66, 0x84, // Info
+    0x44, 0x89, 0x81, 0x00, // Duration, 1 byte
+]);
+
+test("a malformed Matroska upload is rejected with 422 instead of failing with 500", async () => {
+    const Form = new FormData();
+    Form.append("videoFile", new Blob([MALFORMED_WEBM], { type: "video/webm" }), "video.webm");
+
+    const Response = await fetch(`${BASE_URL}/upload`, { method: "POST", body: Form });
+
+    ASSERT.equal(Response.status, 422);
+});
+
+test("a truncated Matroska upload is rejected with 422", async () => {
+    const Form = new FormData();
+    Form.append("videoFile", new Blob([MALFORMED_WEBM.subarray(0, 19)], { type: "video/webm" }), "video.webm");
+
+    const Response = await fetch(`${BASE_URL}/upload`, { method: "POST", body: Form });
+
+    ASSERT.equal(Response.status, 422);
+});
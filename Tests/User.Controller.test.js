@@ -0,0 +1,86 @@
+/*********************
+ * Import necessary packages and modules.
+ * - node:test, assert: Built-in test runner and assertions.
+ * - express: Used to mount the controller on a throwaway application.
+ * - mongoose: Used to build the ObjectIds of the user.
+ *********************/
+import { test, before, after } from "node:test";
+import ASSERT from "node:assert/strict";
+import EXPRESS from "express";
+import MONGOOSE from "mongoose";
+
+/*********************
+ * Import custom modules and functions.
+ * - GET_CURRENT_USER: The controller under test.
+ * - USER: Mongoose model representing the User schema, used to build the authenticated user.
+ * - REDIS: Redis client, disconnected since the controller does not use it.
+ *********************/
+import { GET_CURRENT_USER } from "../Source/Controllers/User.Controller.js";
+import { USER } from "../Source/Models/User.Model.js";
+import { REDIS } from "../Source/Redis.js";
+
+/*********************
+ * The authenticated user, as AUTHENTICATE_USER loads it.
+ *********************/
+const AUTHENTICATED_USER = new USER({
+    username: "user",
+    email: "user@example.com",
+    fullName: "User",
+    avatar: "/static/Uploads/Avatars/avatar.png",
+    avatarKey: "local:Uploads/Avatars/avatar.png",
+    coverImage: "/static/Uploads/CoverImages/cover.png",
+    coverImageKey: "local:Uploads/CoverImages/cover.png",
+    watchHistory: [new MONGOOSE.Types.ObjectId(), new MONGOOSE.Types.ObjectId()],
+    password: "password",
+    createdAt: new Date("2024-01-01T00:00:00.000Z"),
+    updatedAt: new Date("2024-01-02T00:00:00.000Z"),
+});
+
+let SERVER;
+let BASE_URL;
+
+/*********************
+ * Start an application answering as the authenticated user.
+ *********************/
+before(async () => {
+    REDIS.disconnect();
+
+    const APPLICATION = EXPRESS();
+
+    APPLICATION.get("/current-user", (Request, Response, Next) => {
+        Request.User = AUTHENTICATED_USER;
+        Next();
+    }, GET_CURRENT_USER);
+
+    SERVER = APPLICATION.listen(0);
+    await new Promise((Resolve) => SERVER.once("listening", Resolve));
+    BASE_URL = `http://127.0.0.1:${SERVER.address().port}`;
+});
+
+after(() => SERVER.close());
+
+test("the current user is returned with their profile fields only", async () => {
+    const Response = await fetch(`${BASE_URL}/current-user`);
+    const Body = await Response.json();
+
+    ASSERT.equal(Response.status, 200);
+    ASSERT.deepEqual(Object.keys(Body.data).sort(), [
+        "_id",
+        "avatar",
+        "coverImage",
+        "createdAt",
+        "email",
+        "emailVerifiedAt",
+        "fullName",
+        "isEmailVerified",
+        "isWatchHistoryPaused",
+        "permissions",
+        "roles",
+        "twoFactor",
+        "updatedAt",
+        "username",
+    ]);
+    ASSERT.equal(Body.data.avatar, AUTHENTICATED_USER.avatar);
+    ASSERT.deepEqual(Body.data.twoFactor, { isEnabled: false, enabledAt: null });
+    ASSERT.equal(Body.data.password, undefined);
+});
@@ -0,0 +1,133 @@
+/*********************
+ * Import necessary packages and modules.
+ * - node:test, assert: Built-in test runner and assertions.
+ * - express: Used to mount the controllers on a throwaway application.
+ * - mongoose: Used to build the ObjectIds of the stored video.
+ *********************/
+import { test, before, after } from "node:test";
+import ASSERT from "node:assert/strict";
+import EXPRESS from "express";
+import MONGOOSE from "mongoose";
+
+/*********************
+ * Import custom modules and functions.
+ * - GET_ALL_VIDEOS, GET_VIDEO_BY_ID: The controllers under test.
+ * - VIDEO: Mongoose model representing the Video schema, whose aggregations are answered from memory.
+ * - REDIS: Redis client, whose pending views are answered from memory.
+ * - API_ERROR: Custom error class, turned into a response like the error handler of Application.js does.
+ *********************/
+import { GET_ALL_VIDEOS, GET_VIDEO_BY_ID } from "../Source/Controllers/Video.Controller.js";
+import { VIDEO } from "../Source/Models/Video.Model.js";
+import { REDIS } from "../Source/Redis.js";
+import { API_ERROR } from "../Source/Utilities/ApiError.js";
+
+/*********************
+ * A video as stored in MongoDB, internal fields included.
+ *********************/
+const STORED_VIDEO = {
+    _id: new MONGOOSE.Types.ObjectId(),
+    videoFile: "/static/Uploads/Videos/video.mp4",
+    videoFileKey: "local:Uploads/Videos/video.mp4",
+    thumbnail: "/static/Uploads/Thumbnails/thumbnail.png",
+    thumbnailKey: "local:Uploads/Thumbnails/thumbnail.png",
+    title: "Title",
+    description: "Description",
+    owner: new MONGOOSE.Types.ObjectId(),
+    duration: 10,
+    views: 3,
+    isPublished: true,
+    viewBatches: ["batch-1"],
+};
+
+/*********************
+ * Run a pipeline over the stored video, applying only the exclusion projections, which decide the fields returned.
+ *********************/
+const RUN_PIPELINE = (Pipeline) => {
+    const Video = { ...STORED_VIDEO };
+
+    for (const Stage of Pipeline) {
+        if (!Stage.$project) continue;
+
+        for (const [Field, Value] of Object.entries(Stage.$project)) {
+            if (Value === 0) delete Video[Field];
+        }
+    }
+
+    return [Video];
+}
+
+let SERVER;
+let BASE_URL;
+
+/*********************
+ * Start an application serving the controllers, with MongoDB and Redis answered from memory.
+ *********************/
+before(async () => {
+    REDIS.disconnect();
+    REDIS.multi = () => ({
+        hmget() { return this; },
+        exec: async () => [[null, []], [null, []]],
+    });
+
+    VIDEO.aggregate = (Pipeline = []) => {
+        const Result = Promise.resolve().then(() => RUN_PIPELINE(Pipeline));
+
+        Result.pipeline = () => Pipeline;
+
+        return Result;
+    };
+    VIDEO.aggregatePaginate = async (Aggregate) => {
+        const Docs = await Aggregate;
+
+        return { docs: Docs, totalDocs: Docs.length, page: 1, totalPages: 1 };
+    };
+
+    const APPLICATION = EXPRESS();
+
+    APPLICATION.get("/videos", (Request, Response, Next) => {
+        Request.query = { page: 1, limit: 10, sortBy: "createdAt", sortType: "desc" };
+        Next();
+    }, GET_ALL_VIDEOS);
+    APPLICATION.get("/videos/:videoId", GET_VIDEO_BY_ID);
+    APPLICATION.use((Error, Request, Response, Next) => {
+        Response.status(Error instanceof API_ERROR ? Error.statusCode : 500).json({ message: Error.message });
+    });
+
+    SERVER = APPLICATION.listen(0);
+    await new Promise((Resolve) => SERVER.once("listening", Resolve));
+    BASE_URL = `http://127.0.0.1:${SERVER.address().port}`;
+});
+
+after(() => SERVER.close());
+
+/*********************
+ * Check that a video of a response has its public fields and none of the internal ones.
+ *********************/
+const ASSERT_PUBLIC_VIDEO = (Video) => {
+    ASSERT.equal(Video._id, String(STORED_VIDEO._id));
+    ASSERT.equal(Video.title, STORED_VIDEO.title);
+    ASSERT.equal(Video.videoFile, STORED_VIDEO.videoFile);
+    ASSERT.equal(Video.thumbnail, STORED_VIDEO.thumbnail);
+    ASSERT.equal(Video.views, STORED_VIDEO.views);
+
+    ASSERT.equal("viewBatches" in Video, false);
+    ASSERT.equal("videoFileKey" in Video, false);
+    ASSERT.equal("thumbnailKey" in Video, false);
+}
+
+test("a video is returned without its view batches and storage keys", async () => {
+    const Response = await fetch(`${BASE_URL}/videos/${STORED_VIDEO._id}`);
+    const Body = await Response.json();
+
+    ASSERT.equal(Response.status, 200);
+    ASSERT_PUBLIC_VIDEO(Body.data);
+});
+
+test("listed videos are returned without their view batches and storage keys", async () => {
+    const Response = await fetch(`${BASE_URL}/videos`);
+    const Body = await Response.json();
+
+    ASSERT.equal(Response.status, 200);
+    ASSERT.equal(Body.data.docs.length, 1);
+    ASSERT_PUBLIC_VIDEO(Body.data.docs[0]);
+});